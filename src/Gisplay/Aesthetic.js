@@ -1,4 +1,5 @@
 import { Feature } from './Feature';
+import { SpatialIndex } from './Helpers/SpatialIndex';
 
 /**
  * Class that represents an aesthetic element. There will be one Aesthetic class for each class on the Legend.
@@ -18,7 +19,7 @@ export class Aesthetic {
      * @param {string} attr - The attribute being mapped on this Aesthetic.
      * @param {number[]|Function} fcolor - The color to fill the Aesthetic element(RGBA).
      * @param {number[]} stroke - Stroke color values(RGBA).
-     * @param {number|null} pointsize - Size of the Aesthetic point to be drawn (Used only in maps that require dots to be drawn).
+     * @param {number|null} pointsize - Size of the Aesthetic point to be drawn (Used only in maps that require dots to be drawn). On Line Maps it's the line width.
      * @param {number[]} range - The range for this particular Aesthetic element.
      * 
      * @memberOf Aesthetic
@@ -75,6 +76,16 @@ export class Aesthetic {
          * @type {boolean}
          */
         this.outer = false;
+        /**
+         * Index of the Features bounding boxes, created when it's first needed (see getVisibleFeatures).
+         * @type {SpatialIndex|null}
+         */
+        this._featureIndex = null;
+        /**
+         * The Features without a bounding box, they are always visible (see getVisibleFeatures).
+         * @type {Array<Feature>}
+         */
+        this._unboundedFeatures = new Array();
     }
 
     /**
@@ -84,11 +95,15 @@ export class Aesthetic {
      * @param {{itemSize: number, numItems: number}} triangles - Number of triangles associated with the Feature.
      * @param {{itemSize: number, numItems: number}} borders - Number of borders associated with the Feature.
      * @param {{itemSize: number, numItems: number}} points - The points that belong to the Feature.
+     * @param {{itemSize: number, numItems: number}} [lines=[]] - The lines that belong to the Feature.
+     * @param {Array<{triangles: Array<WebGLBuffer>, borders: Array<WebGLBuffer>}>} [lods=[]] - Triangles and borders of each level of detail.
+     * @param {number[]} [bbox=null] - Bounding box of the Feature, [minLon, minLat, maxLon, maxLat].
      * 
      * @memberOf Aesthetic
      */
-    addFeature(id, properties, triangles, borders, points) {
-        this._features.push(new Feature(id, properties, triangles, borders, points));
+    addFeature(id, properties, triangles, borders, points, lines = [], lods = [], bbox = null) {
+        this._features.push(new Feature(id, properties, triangles, borders, points, lines, lods, bbox));
+        this._featureIndex = null;
     }
 
     /**
@@ -112,7 +127,9 @@ export class Aesthetic {
         if (this.range === null)
             return true;
         else {
-            if (typeof value === 'number')
+            if (this.range.length === 1) //Qualitative Aesthetic (one category)
+                return (value === this.range[0]);
+            else if (typeof value === 'number')
                 return ((this.range[0] === null || value >= this.range[0]) &&
                     (this.range[1] === null || (value < this.range[1] || (value <= this.range[1] && this.isOuter()))));
             else
@@ -121,16 +138,53 @@ export class Aesthetic {
     }
 
     /**
-     * Add new grouped feature. Only used for Maps with points. 
+     * Add new grouped feature. Used for the points (Dot Maps) and the polygons of all the Features of this Aesthetic object.
      * @todo Finish document of this method.
      * @param {number} id - The id of the Feature.
      * @param {{buffer: WebGLBuffer, itemSize: number, numItems: number}} triangles - Triangles that belong to the Feature.
      * @param {{buffer: WebGLBuffer, itemSize: number, numItems: number}} borders - Borders that belong to the Feature.
      * @param {{buffer: WebGLBuffer, itemSize: number, numItems: number}} points - Points that belong to the Feature.
+     * @param {Array<{triangles: Array<WebGLBuffer>, borders: Array<WebGLBuffer>}>} [lods=[]] - Triangles and borders of each level of detail.
+     * @param {number[]} [bbox=null] - Bounding box of the grouped Features, [minLon, minLat, maxLon, maxLat].
      * @see Diogo's thesis page 57/58
      */
-    addGroupedFeature(id, triangles, borders, points) {
-        this._allFeatures.push(new Feature(id, null, triangles, borders, points));
+    addGroupedFeature(id, triangles, borders, points, lods = [], bbox = null) {
+        this._allFeatures.push(new Feature(id, null, triangles, borders, points, [], lods, bbox));
+    }
+
+    /**
+     * Removes the Features with the given ids from this Aesthetic object. Their WebGLBuffers are not deleted.
+     * @param {Set<number>} ids - The ids of the Features to remove.
+     * @returns {Array<Feature>} - The Features removed.
+     * @memberOf Aesthetic
+     */
+    removeFeatures(ids) {
+        const removed = this._features.filter(f => ids.has(f.getId()));
+        if (removed.length > 0) {
+            this._features = this._features.filter(f => !ids.has(f.getId()));
+            this._featureIndex = null;
+        }
+        return removed;
+    }
+
+    /**
+     * Removes all grouped Features from this Aesthetic object. Their WebGLBuffers are not deleted.
+     * @returns {void}
+     * @memberOf Aesthetic
+     */
+    removeAllGroupedFeatures() {
+        this._allFeatures = new Array();
+    }
+
+    /**
+     * Removes all Features (grouped or not) from this Aesthetic object. Their WebGLBuffers are not deleted.
+     * @returns {void}
+     * @memberOf Aesthetic
+     */
+    removeAllFeatures() {
+        this._features = new Array();
+        this._allFeatures = new Array();
+        this._featureIndex = null;
     }
 
     /**
@@ -161,6 +215,22 @@ export class Aesthetic {
         return this._allFeatures;
     }
 
+    /**
+     * Returns the Features (not grouped) whose bounding box intersects the given one. Features without a bounding box are always returned.
+     * The index of the bounding boxes is created on the first call after the Features change.
+     * @param {number[]} bbox - [minLon, minLat, maxLon, maxLat].
+     * @returns {Array<Feature>} - The Features that may be visible.
+     * @memberOf Aesthetic
+     */
+    getVisibleFeatures(bbox) {
+        if (this._featureIndex === null) {
+            this._featureIndex = new SpatialIndex(this._features.filter(f => f.getBoundingBox() !== null), f => f.getBoundingBox());
+            this._unboundedFeatures = this._features.filter(f => f.getBoundingBox() === null);
+        }
+        const visible = this._featureIndex.search(bbox);
+        return this._unboundedFeatures.length === 0 ? visible : visible.concat(this._unboundedFeatures);
+    }
+
     /**
      * Returns the stroke color for this Aesthetic object.
      * @returns {Aesthetic#strokeColor}
@@ -188,6 +258,15 @@ export class Aesthetic {
         return this.pointSize;
     }
 
+    /**
+     * Returns the width, in pixels, of this Aesthetic lines. Line Maps use the point size as the line width.
+     * @returns {number} - The width of the line.
+     * @memberOf Aesthetic
+     */
+    getLineWidth(){
+        return this.pointSize;
+    }
+
     /**
      * Returns if this Aesthetic is outer or not.
      * @returns {boolean} - true if it is outer, false, otherwise.
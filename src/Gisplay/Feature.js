@@ -15,10 +15,13 @@ export class Feature {
      * @param {{itemSize: number, numItems: number}} triangles - Number of triangles associated with this Feature. 
      * @param {{itemSize: number, numItems: number}} borders - Number of borders associated with this Feature.
      * @param {number[]} points - The points that belong to this Feature.
+     * @param {{itemSize: number, numItems: number}} [lines=[]] - The lines (segments as quads) that belong to this Feature.
+     * @param {Array<{triangles: Array<WebGLBuffer>, borders: Array<WebGLBuffer>}>} [lods=[]] - Triangles and borders of each level of detail (simplified polygons).
+     * @param {number[]} [bbox=null] - Bounding box of the geometry, [minLon, minLat, maxLon, maxLat]. Features without it are always drawn.
      * 
      * @memberOf Feature
      */
-    constructor(id, properties, triangles, borders, points) {
+    constructor(id, properties, triangles, borders, points, lines = [], lods = [], bbox = null) {
         /**
          * This Feature id.
          * @type {number} 
@@ -31,11 +34,13 @@ export class Feature {
         this._properties = properties;
         /**
          * Number of triangles associated with this Feature. The Object that contains the itemSize and numItems is a WebGLBuffer.
+         * For the polygons of each Feature it's a mesh (vertices and indices), only the grouped Features have WebGLBuffers for them.
          * @type {{itemSize: number, numItems: number}}
          */
         this._triangles = triangles;
         /**
          * Number of borders associated with this Feature. The Object that contains the itemSize and numItems is a WebGLBuffer.
+         * Like the triangles, it's a mesh for each Feature and a WebGLBuffer for the grouped Features.
          * @type {{itemSize: number, numItems: number}}
          */
         this._borders = borders;
@@ -44,24 +49,69 @@ export class Feature {
          * @type {{itemSize: number, numItems: number}}
          */
         this._points = points;
+        /**
+         * The lines that belong to this Feature (LineString and MultiLineString). The Object that contains the itemSize and numItems is a WebGLBuffer.
+         * @type {{itemSize: number, numItems: number}}
+         */
+        this._lines = lines;
+        /**
+         * Triangles and borders of the simplified polygons, one for each level of detail (see GisplayOptions.lodZoomLevels).
+         * @type {Array<{triangles: Array<WebGLBuffer>, borders: Array<WebGLBuffer>}>}
+         */
+        this._lods = lods;
+        /**
+         * Bounding box of the geometry, used to skip the Features outside the visible part of the map (see Map.isVisible).
+         * @type {number[]|null}
+         */
+        this._bbox = bbox;
+    }
+
+    /**
+     * Returns this Feature id.
+     * @returns {Feature._id} - This Feature id.
+     * @memberOf Feature
+     */
+    getId(){
+        return this._id;
     }
 
     /**
      * Returns all triangles that belong to the Feature.
+     * @param {number} [level] - Level of detail. If not given (or the Feature doesn't have it) the original triangles are returned.
      * @returns {Feature._triangles} - All triangles that belong to the Feature.
      * @memberOf Feature
      */
-    getTriangles(){
-        return this._triangles;
+    getTriangles(level){
+        return level !== undefined && level < this._lods.length ? this._lods[level].triangles : this._triangles;
     }
 
      /**
       * Returns all borders that belong to the Feature.
+      * @param {number} [level] - Level of detail. If not given (or the Feature doesn't have it) the original borders are returned.
       * @returns {Feature._borders} - All borders that belong to the Feature.
       * @memberOf Feature
       */
-    getBorders(){
-        return this._borders;
+    getBorders(level){
+        return level !== undefined && level < this._lods.length ? this._lods[level].borders : this._borders;
+    }
+
+    /**
+     * Returns the triangles and borders of each level of detail.
+     * @returns {Feature._lods} - The levels of detail of the Feature.
+     * @memberOf Feature
+     */
+    getLods(){
+        return this._lods;
+    }
+
+    /**
+     * Changes the triangles and borders of each level of detail. Used when the junctions of the borders change (see Map.updateNeighbourLods).
+     * @param {Array<{triangles: Array, borders: Array}>} lods - The new levels of detail.
+     * @returns {void}
+     * @memberOf Feature
+     */
+    setLods(lods){
+        this._lods = lods;
     }
 
      /**
@@ -73,6 +123,24 @@ export class Feature {
         return this._points;
     }
 
+    /**
+     * Returns all lines that belong to the Feature.
+     * @returns {Feature._lines} - All lines that belong to the Feature.
+     * @memberOf Feature
+     */
+    getLines(){
+        return this._lines;
+    }
+
+    /**
+     * Returns the bounding box of the Feature.
+     * @returns {Feature._bbox} - [minLon, minLat, maxLon, maxLat] or null if it's not known.
+     * @memberOf Feature
+     */
+    getBoundingBox(){
+        return this._bbox;
+    }
+
     /**
      * Returns all properties that belong to the Feature.
      * @returns {Feature._properties}
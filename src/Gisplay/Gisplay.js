@@ -2,9 +2,22 @@ import { Choropleth } from './Maps/Choropleth';
 import { DotMap } from './Maps/DotMap';
 import { ChangeMap } from './Maps/ChangeMap';
 import { ProportionalSymbolsMap } from './Maps/ProportionalSymbolsMap';
+import { ChorochromaticMap } from './Maps/ChorochromaticMap';
+import { HeatMap } from './Maps/HeatMap';
+import { LineMap } from './Maps/LineMap';
+import { CSV } from './Helpers/CSV';
+import { Join } from './Helpers/Join';
+import { Shapefile } from './Helpers/Shapefile';
+
+/**
+ * Number of Gisplay instances created. Used to give each instance (and it's maps) a different id.
+ * @type {number}
+ */
+let gisplayCount = 0;
 
 /**
  * Gisplay API entry point with one method for each map available.
+ * Each instance keeps a registry of the maps it created, several instances (and several maps over several background maps) can exist in the same page.
  */
 export class Gisplay {
 
@@ -14,25 +27,151 @@ export class Gisplay {
      */
     constructor() {
         /**
-         * @type {Array} - Array of maps. @WHY?
-         */
-        window.maps = new Array();
-        /**
-         * @type {number} - The number of maps. Used to mark each one with a different id.
+         * This Gisplay instance unique identifier.
+         * @type {number}
          */
-        window.mapcount = 0;
-
-        //WebGL API
+        this.id = gisplayCount++;
         /**
-         * @type {number} - The number of vertices produced. @WHY?
-         * @deprecated
+         * @type {Array<Map>} - The maps created by this instance.
          */
-        window._vertexcount = 0;
+        this.maps = new Array();
         /**
-         * @type {number} - The number of triangles. @WHY?
-         * @deprecated
+         * @type {number} - The number of maps created by this instance. Used to mark each one with a different id.
          */
-        window._tricount = 0;
+        this.mapcount = 0;
+    }
+
+    /**
+     * Returns a new map id, unique in the page. Used by the maps on the ids of their canvas and Legend elements.
+     * @returns {string} - The new map id.
+     * @memberOf Gisplay
+     */
+    nextMapId() {
+        return `${this.id}_${this.mapcount++}`;
+    }
+
+    /**
+     * Creates a map of the given type and adds it to this instance. 
+     * Errors thrown while creating the map (e.g., invalid options) reject the returned Promise.
+     * @param {Function} MapType - The Map subclass to create (e.g., Choropleth).
+     * @param {Object} bgmap - Background map object.
+     * @param {JSON|Blob|Response|ReadableStream} geometry - The object that contains the data: a GeoJSON FeatureCollection or a TopoJSON Topology (see Map.readData).
+     * Large GeoJSON files can be given without parsing them (e.g., the File of an input or the Response of fetch), they are read and drawn in chunks (see Map.loadStream).
+     * @param {Object} options - Object that contains user personalization options.
+     * @returns {Promise<Map>} - Resolved with the map created after it's drawn.
+     * @memberOf Gisplay
+     */
+    createMap(MapType, bgmap, geometry, options) {
+        let gismap;
+        try {
+            gismap = new MapType(bgmap, geometry, options, this.nextMapId());
+        } catch (error) {
+            if (bgmap !== undefined && bgmap !== null && typeof bgmap.hideLoader === 'function')
+                bgmap.hideLoader();
+            return Promise.reject(error);
+        }
+        return this.addMap(gismap);
+    }
+
+    /**
+     * Registers the map on this instance and starts making it.
+     * The map is available on getMaps() right away, so listeners can be added before it's made.
+     * If making the map fails it's destroyed, which removes it from this instance.
+     * @param {Map} gismap - The map to register.
+     * @returns {Promise<Map>} - Resolved with the map given after it's drawn.
+     * @memberOf Gisplay
+     */
+    addMap(gismap) {
+        this.maps.push(gismap);
+        gismap.gisplay = this;
+        return gismap.makeMap().catch((error) => {
+            gismap.destroy();
+            throw error;
+        });
+    }
+
+    /**
+     * Removes the map from this instance without destroying it. Called by Map.destroy, so maps destroyed directly are also removed.
+     * @param {Map} gismap - The map to remove.
+     * @returns {void}
+     * @memberOf Gisplay
+     */
+    unregisterMap(gismap) {
+        const index = this.maps.indexOf(gismap);
+        if (index > -1)
+            this.maps.splice(index, 1);
+    }
+
+    /**
+     * Returns all the maps created by this instance that were not removed.
+     * @returns {Array<Map>} - The maps created by this instance.
+     * @memberOf Gisplay
+     */
+    getMaps() {
+        return this.maps;
+    }
+
+    /**
+     * Returns the map with the given id.
+     * @param {string} id - The map id.
+     * @returns {Map|undefined} - The map with the given id or undefined if it does not belong to this instance.
+     * @memberOf Gisplay
+     */
+    getMap(id) {
+        return this.maps.find(gismap => gismap.id === id);
+    }
+
+    /**
+     * Destroys the given map and removes it from this instance.
+     * @param {Map} gismap - The map to remove.
+     * @returns {void}
+     * @memberOf Gisplay
+     */
+    removeMap(gismap) {
+        if (this.maps.includes(gismap))
+            gismap.destroy(); //Also removes it from this instance (see unregisterMap)
+    }
+
+    /**
+     * Reads CSV or TSV text with one point per row (e.g., accidents) as a GeoJSON FeatureCollection,
+     * that can be given to makeDotMap, makeProportionalSymbolsMap or makeHeatMap.
+     * @static
+     * @param {string} text - The CSV or TSV text, the first line has the names of the columns.
+     * @param {Object} [options={}] - The latitude and longitude columns, the delimiter and the types of the columns (see CSV.toGeoJSON).
+     * @returns {{geojson: JSON, columns: Object<string, string>, invalidRows: Array<{line: number, reason: string}>}} -
+     * The FeatureCollection, the type inferred for each column and the rows without valid coordinates.
+     * @memberOf Gisplay
+     */
+    static readCSV(text, options = {}) {
+        return CSV.toGeoJSON(text, options);
+    }
+
+    /**
+     * Reads an ESRI shapefile as a GeoJSON FeatureCollection, that can be given to any map.
+     * Points, MultiPoints, PolyLines and Polygons (with holes) are read, the attributes of the .dbf are decoded with the encoding of the .cpg.
+     * @static
+     * @param {{shp: ArrayBuffer, dbf: ArrayBuffer, prj: (string|ArrayBuffer), cpg: (string|ArrayBuffer)}} files - The files of the shapefile,
+     * only shp is required. Without the dbf the Features have no properties.
+     * @param {Object} [options={}] - The encoding of the .dbf and the conversion of projected coordinates (see Shapefile.toGeoJSON).
+     * @returns {JSON} - The GeoJSON FeatureCollection.
+     * @memberOf Gisplay
+     */
+    static readShapefile(files, options = {}) {
+        return Shapefile.toGeoJSON(files.shp, files.dbf, Object.assign({ prj: files.prj, cpg: files.cpg }, options));
+    }
+
+    /**
+     * Joins a table of attributes (e.g., accidents by year and state) to the Features of a GeoJSON FeatureCollection (e.g., the state boundaries)
+     * by a key that both have (e.g., the FIPS code). The result can be given to any map. Maps can also do it with the join option.
+     * @static
+     * @param {JSON} geojson - The GeoJSON FeatureCollection.
+     * @param {Array<Object>|string} table - The records, or CSV/TSV text with one record per row.
+     * @param {Object} options - The keys and what to do with missing and duplicate keys (see Join.attributes).
+     * @returns {{geojson: JSON, report: Object}} - The FeatureCollection with the joined Features and the report of the Features and records without a match.
+     * @memberOf Gisplay
+     */
+    static joinAttributes(geojson, table, options) {
+        return Join.attributes(geojson, table, options);
     }
 
     /**
@@ -40,11 +179,11 @@ export class Gisplay {
      * @param {Object} bgmap - Background map object be used(atm only MapBox being used).- Background map object be used(atm only MapBox being used).
      * @param {JSON} geometry - The object that contains the data.
      * @param {Object} options - Object that contains user personalization options.
+     * @returns {Promise<Map>} - Resolved with the map created (can be used to redraw, change or destroy the map) after it's drawn.
      * @memberOf Gisplay
      */
     makeChoropleth(bgmap, geometry, options) {
-        const gismap = new Choropleth(bgmap, geometry, options);
-        gismap.makeMap();
+        return this.createMap(Choropleth, bgmap, geometry, options);
     }
 
     /**
@@ -52,11 +191,11 @@ export class Gisplay {
      * @param {Object} bgmap - Background map object be used(atm only MapBox being used).
      * @param {JSON} geometry - The object that contains the data.
      * @param {Object} options - Object that contains user personalization options.
+     * @returns {Promise<Map>} - Resolved with the map created (can be used to redraw, change or destroy the map) after it's drawn.
      * @memberOf Gisplay
      */
     makeDotMap(bgmap, geometry, options) {
-        const gismap = new DotMap(bgmap, geometry, options);
-        gismap.makeMap();
+        return this.createMap(DotMap, bgmap, geometry, options);
     }
 
     /**
@@ -64,11 +203,11 @@ export class Gisplay {
      * @param {Object} bgmap - Background map object be used(atm only MapBox being used).
      * @param {JSON} geometry - The object that contains the data.
      * @param {Object} options - Object that contains user personalization options.
+     * @returns {Promise<Map>} - Resolved with the map created (can be used to redraw, change or destroy the map) after it's drawn.
      * @memberOf Gisplay
      */
     makeChangeMap(bgmap, geometry, options) {
-        const gismap = new ChangeMap(bgmap, geometry, options);
-        gismap.makeMap();
+        return this.createMap(ChangeMap, bgmap, geometry, options);
     }
 
     /**
@@ -76,22 +215,46 @@ export class Gisplay {
      * @param {Object} bgmap - Background map object be used(atm only MapBox being used).
      * @param {JSON} geometry - The object that contains the data.
      * @param {Object} options - Object that contains user personalization options.
+     * @returns {Promise<Map>} - Resolved with the map created (can be used to redraw, change or destroy the map) after it's drawn.
      * @memberOf Gisplay
      */
     makeProportionalSymbolsMap(bgmap, geometry, options) {
-        const gismap = new ProportionalSymbolsMap(bgmap, geometry, options);
-        gismap.makeMap();
+        return this.createMap(ProportionalSymbolsMap, bgmap, geometry, options);
     }
 
     /**
-     * Creates a Chorocromatic Map.
+     * Creates a Chorochromatic Map. Used for qualitative data on polygons, each category has it's own color.
      * @param {Object} bgmap - Background map object be used(atm only MapBox being used).
      * @param {JSON} geometry - The object that contains the data.
      * @param {Object} options - Object that contains user personalization options.
+     * @returns {Promise<Map>} - Resolved with the map created (can be used to redraw, change or destroy the map) after it's drawn.
      * @memberOf Gisplay
      */
     makeChorochromaticMap(bgmap, geometry, options) {
-        const gismap = new ChorochromaticMap(bgmap, geometry, options);
-        gismap.makeMap();
+        return this.createMap(ChorochromaticMap, bgmap, geometry, options);
+    }
+
+    /**
+     * Creates a Heat Map (kernel density map). Used for point datasets, each point can be weighted by the attribute (attr).
+     * @param {Object} bgmap - Background map object be used(atm only MapBox being used).
+     * @param {JSON} geometry - The object that contains the data.
+     * @param {Object} options - Object that contains user personalization options.
+     * @returns {Promise<Map>} - Resolved with the map created (can be used to redraw, change or destroy the map) after it's drawn.
+     * @memberOf Gisplay
+     */
+    makeHeatMap(bgmap, geometry, options) {
+        return this.createMap(HeatMap, bgmap, geometry, options);
+    }
+
+    /**
+     * Creates a Line Map. Used for LineString and MultiLineString datasets (e.g., roads, rivers, routes), the color and width of each line is given by the attribute (attr).
+     * @param {Object} bgmap - Background map object be used(atm only MapBox being used).
+     * @param {JSON} geometry - The object that contains the data.
+     * @param {Object} options - Object that contains user personalization options.
+     * @returns {Promise<Map>} - Resolved with the map created (can be used to redraw, change or destroy the map) after it's drawn.
+     * @memberOf Gisplay
+     */
+    makeLineMap(bgmap, geometry, options) {
+        return this.createMap(LineMap, bgmap, geometry, options);
     }
 }
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Error thrown when one of the options given by the user is not valid.
+ * The name of the option is kept so the user (or the UI) can point to it.
+ */
+export class GisplayOptionError extends Error {
+
+    /**
+     * Creates an instance of GisplayOptionError.
+     * @param {string} option - The name of the invalid option.
+     * @param {string} message - What is wrong with the option.
+     * @memberOf GisplayOptionError
+     */
+    constructor(option, message) {
+        super(`Invalid option "${option}": ${message}`);
+        this.name = 'GisplayOptionError';
+        /**
+         * The name of the invalid option.
+         * @type {string}
+         */
+        this.option = option;
+    }
+}
+
+/**
+ * Error thrown when the data given by the user can't be used by the map (e.g., a Dot Map given polygons).
+ */
+export class GisplayDataError extends Error {
+
+    /**
+     * Creates an instance of GisplayDataError.
+     * @param {string} message - What is wrong with the data.
+     * @memberOf GisplayDataError
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'GisplayDataError';
+    }
+}
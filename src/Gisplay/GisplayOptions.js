@@ -1,3 +1,9 @@
+import { GisplayOptionError } from './GisplayErrors';
+import { Join } from './Helpers/Join';
+
+/** Unknown options that were already warned about, so each one is only reported once. */
+const warnedOptions = new Set();
+
 /**
  * This class will contain all the options available on the Gisplay API.
  * @see Diogo's thesis page 50-52
@@ -12,7 +18,7 @@ export class GisplayOptions {
      * @param {number} [userOptions.numberOfClasses] -  Number of classes to be used on the map Legend.
      * @param {string} [userOptions.classBreaksMethod=quantile] -  Algorithm to be used by the API to calculate classes intervals. 
      * @param {number[]} [userOptions.classBreaks=undefined] - Class intervals.
-     * @param {boolean} [userOptions.interactive=true] - Show pop-up when the user clicks on a Feature.
+     * @param {boolean} [userOptions.interactive=true] - Show pop-up when the user clicks on a Feature. Not available with cluster, false by default then.
      * @param {boolean} [userOptions.showPropertiesOnClick=null] - Show pop-up when the user clicks on a Feature.
      * @param {boolean} [userOptions.showLegend=true] - Show map Legend.
      * @param {string} [userOptions.minuend=undefined] - The minimum property of the GeoJSON feature object.
@@ -22,28 +28,50 @@ export class GisplayOptions {
      * @param {boolean} [userOptions.useCustomMapService=false] - Use custom map service.
      * @param {number} [userOptions.minPointSize=1.0] - Minimum point size.
      * @param {number} [userOptions.maxPointSize=10.0] - Maximum point size.
+     * @param {number} [userOptions.minLineWidth=1.0] - Line width, in pixels, of the first class on a Line Map.
+     * @param {number} [userOptions.maxLineWidth=8.0] - Line width, in pixels, of the last class on a Line Map.
      * @param {boolean} [userOptions.sizeByClass=false] - Specify the size of the dots on a PSymbols Map using classes.
-     * @param {boolean} [userOptions.memorySaver=false] - Save memory on Dot Maps.
+     * @param {boolean} [userOptions.memorySaver=true] - Save memory on Dot Maps.
      * @param {boolean} [userOptions.colorSchemeId=1] - The color scheme id to use.
      * @param {Function} [userOptions.legendOnClickFunction] - Function to be called when the user clicks on a Legend class.
      * @param {Function} [userOptions.mapOnClickFunction] - Function to be called when the user clicks on the Map (on a Feature).
+     * @param {Object<string, Function>} [userOptions.on={}] - Listeners of the map events (e.g., {error: fn}), added before the map is made.
      * @param {number} [userOptions.alpha=0.8] - Alpha to be used in WebGL.
      * @param {number} [userOptions.maxFeatures=Number.MAX_VALUE] - The max number of features to be displayed.
      * @param {number} [userOptions.numberOfLegendItems=2] - The number of Legend items (Used on PSymbols Map).
      * @param {number} [userOptions.intensity=1] - Intensity for Heat Map.
+     * @param {number} [userOptions.radius=20] - Kernel radius in pixels for Heat Map.
      * @param {string} [userOptions.legendPosition=br] - The Legend position(br=bottom right).
      * @param {number} [userOptions.legendNumberFormat=0] - Number of decimal numbers to show on the numerical values of the Legend.
      * @param {number} [userOptions.tileSize=256] - Size of each background map tile.
+     * @param {string|number[]} [userOptions.strokeColor=#000000] - Color of the polygon borders.
+     * @param {number} [userOptions.strokeWidth=1] - Width, in pixels, of the polygon borders. 0 hides them.
+     * @param {string} [userOptions.strokeJoin=miter] - How the segments of borders and lines are joined: 'miter', 'round' or 'none'.
+     * @param {number[]} [userOptions.strokeDash] - Lengths, in pixels, of the dashes and gaps of the polygon borders, e.g. [4, 2]. Solid if not given.
+     * @param {number} [userOptions.strokeMinZoom=0] - The polygon borders are not drawn below this zoom.
+     * @param {boolean} [userOptions.simplify=true] - Draw simplified polygons when the map is zoomed out.
+     * @param {number} [userOptions.simplifyTolerance=1] - Maximum error, in pixels, of the simplified polygons.
+     * @param {number[]} [userOptions.lodZoomLevels=[4, 7, 10]] - Highest zoom of each level of detail. Above the last one the polygons are not simplified.
+     * @param {boolean} [userOptions.cluster=false] - Dot Maps only. Group the points that are close to each other in clusters, which split when zooming in.
+     * @param {number} [userOptions.clusterRadius=40] - Radius, in pixels, of each cluster.
+     * @param {number} [userOptions.clusterMaxZoom=14] - Last zoom with clusters. Above it every point is drawn.
+     * @param {boolean} [userOptions.useWorker=true] - Calculate the class breaks, triangulate the polygons, build the strokes and the indexes used on clicks in a Web Worker, so the page doesn't freeze while loading.
+     * @param {string[]} [userOptions.workerScripts] - URLs of the earcut script imported by the worker. By default the earcut of the page is copied to the worker.
+     * @param {string} [userOptions.topologyObject] - When the data is TopoJSON, the name of the object of the topology to map. The first one by default.
+     * @param {Object} [userOptions.join] - Table of attributes joined to the Features by key before they are classified, e.g. {data: records, featureKey: 'FIPS'}.
+     * data is an array of records or CSV text, the other fields are the options of Join.attributes.
+     * @param {number} [userOptions.chunkSize=10000] - When the data is streamed (a File, Blob, Response or ReadableStream), number of Features loaded and drawn at a time.
+     * @param {boolean} [attrRequired=true] - If the map needs the attr option (e.g., Heat Maps don't).
+     * @throws {GisplayOptionError} When one of the options is not valid.
      */
-    constructor(userOptions) {
+    constructor(userOptions, attrRequired = true) {
+        this.validate(userOptions, attrRequired);
         /**
          * The attribute to be mapped.
          * @see Chapter 4 Page 50 of Diogo's thesis.
          * @type {string} 
          */
         this.attr = userOptions.attr;
-        //TODO: Uncoment next line
-        //if(!this.attr) throw new Error("Attribute not defined in userOptions, please define one attribute to be mapped");
         /**
          * Array of colors to be used by the API. 
          * @see Chapter 4 Page 50 of Diogo's thesis.
@@ -62,7 +90,7 @@ export class GisplayOptions {
          * Available options are 'quantile', 'equidistant', 'k-means'.
          * @type {string}
          */
-        this.classBreaksMethod = this.getAvailableClassBreaksMethods().indexOf(userOptions.classBreaksMethod) > 0 ? userOptions.classBreaksMethod : 'quantile';
+        this.classBreaksMethod = this.getAvailableClassBreaksMethods().indexOf(userOptions.classBreaksMethod) >= 0 ? userOptions.classBreaksMethod : 'quantile';
         /**
          * Class intervals. If this is defined then numberOfClasses and classBreakMethod are ignored.
          * @type {number[]}
@@ -72,7 +100,7 @@ export class GisplayOptions {
          * When we click on a feature that is on the map, show properties of said Feature or not.
          * @type {boolean}
          */
-        this.interactive = (userOptions.interactive !== undefined) ? userOptions.interactive : true;
+        this.interactive = (userOptions.interactive !== undefined) ? userOptions.interactive : userOptions.cluster !== true;
         /**
          * Properties and description to be shown when the user clicks on a Feature.
          * @todo NOT USED? 
@@ -103,7 +131,7 @@ export class GisplayOptions {
          * Whether to show or not the loader when we the API is loading the needed data.
          * @type {boolean}
          */
-        this.showLoader = userOptions.showLoader || true;
+        this.showLoader = (userOptions.showLoader !== undefined) ? userOptions.showLoader : true;
         /**
          * True when the user wants to use another background map service than those who are supported by default by the API.
          * If this is true then the user should send the custom map service when creating the new Map. 
@@ -121,6 +149,16 @@ export class GisplayOptions {
          * @type {number}
          */
         this.maxPointSize = userOptions.maxPointSize === undefined ? 10.0 : parseFloat(userOptions.maxPointSize); //N preciso do if no PSymbols?
+        /**
+         * The width, in pixels, of the lines of the first class on a Line Map. The other classes are wider, up to maxLineWidth.
+         * @type {number}
+         */
+        this.minLineWidth = userOptions.minLineWidth === undefined ? 1.0 : userOptions.minLineWidth;
+        /**
+         * The width, in pixels, of the lines of the last class on a Line Map.
+         * @type {number}
+         */
+        this.maxLineWidth = userOptions.maxLineWidth === undefined ? 8.0 : userOptions.maxLineWidth;
         /**
          * If the user wants to specify the size of the dots on a PSymbols Map using classes, this attribute should be true.
          * @type {boolean}
@@ -132,7 +170,7 @@ export class GisplayOptions {
          * Only Available/Relevant to Dot Maps.
          * @type {boolean}
          */
-        this.memorySaver = userOptions.memorySaver || true;
+        this.memorySaver = (userOptions.memorySaver !== undefined) ? userOptions.memorySaver : true;
         /**
          * Function to be called when the user clicks on a Legend class. This function should receive an object of type Aesthetic.
          * @type {Function}
@@ -143,6 +181,11 @@ export class GisplayOptions {
          * @type {Function}
          */
         this.mapOnClickFunction = userOptions.mapOnClickFunction;
+        /**
+         * Listeners of the map events ('dataprocessed', 'render', 'legendbuilt', 'click' and 'error'). Key is the event name.
+         * @type {Object<string, Function>}
+         */
+        this.on = userOptions.on || {};
 
         /** #####################       OTHER OPTIONS(Non Described on the Thesis draft)      ############################## */
         /**
@@ -150,7 +193,7 @@ export class GisplayOptions {
          * 0 means fully transparent <-> 1 fully opaque.
          * @type {number}
          */
-        this.alpha = userOptions.alpha || 1.0;
+        this.alpha = (userOptions.alpha !== undefined) ? userOptions.alpha : 1.0;
         /**
          * The max number of features to be displayed. If not given by the user then it is the maximum numnber allowed.
          * Number.MAX_VALUE = 1.79E+308
@@ -167,6 +210,102 @@ export class GisplayOptions {
          * @type {number}
          */
         this.tileSize = userOptions.tileSize || 256;
+        /**
+         * Intensity of a heat map. Multiplies the density of every point, higher values of intensity means more points
+         * with the last color of the color scheme.
+         * @type {number}
+         */
+        this.intensity = userOptions.intensity || 1.0;
+        /**
+         * Radius of the kernel of each point on a Heat Map, in pixels.
+         * @type {number}
+         */
+        this.radius = userOptions.radius || 20;
+        /**
+         * Color of the polygon borders (any color accepted by chroma.js).
+         * @type {string|number[]}
+         */
+        this.strokeColor = userOptions.strokeColor || '#000000';
+        /**
+         * Width, in pixels, of the polygon borders. 0 hides them.
+         * @type {number}
+         */
+        this.strokeWidth = (userOptions.strokeWidth !== undefined) ? userOptions.strokeWidth : 1;
+        /**
+         * How the segments of polygon borders and lines are joined: 'miter' (sharp corners, bevelled when too sharp), 'round' or 'none'.
+         * @type {string}
+         */
+        this.strokeJoin = userOptions.strokeJoin || 'miter';
+        /**
+         * Lengths, in pixels, of the dashes and gaps of the polygon borders (2 or 4 values, e.g. [6, 3] or [6, 3, 1, 3]). Undefined for solid borders.
+         * @type {number[]}
+         */
+        this.strokeDash = userOptions.strokeDash;
+        /**
+         * The polygon borders are not drawn when the zoom is below this value (e.g., to hide the borders of small polygons when zoomed out).
+         * @type {number}
+         */
+        this.strokeMinZoom = userOptions.strokeMinZoom || 0;
+        /**
+         * If true each polygon is also stored simplified, one level of detail for each zoom band (see lodZoomLevels),
+         * and the simplified version is drawn when the map is zoomed out. Borders shared by polygons are kept equal.
+         * @type {boolean}
+         */
+        this.simplify = (userOptions.simplify !== undefined) ? userOptions.simplify : true;
+        /**
+         * Maximum distance, in pixels, between a simplified polygon and the original one.
+         * @type {number}
+         */
+        this.simplifyTolerance = (userOptions.simplifyTolerance !== undefined) ? userOptions.simplifyTolerance : 1;
+        /**
+         * Highest zoom of each level of detail, in ascending order. E.g., with [4, 7, 10] the 1st level is used up to zoom 4,
+         * the 2nd up to zoom 7, the 3rd up to zoom 10 and the original polygons above that.
+         * @type {number[]}
+         */
+        this.lodZoomLevels = userOptions.lodZoomLevels || [4, 7, 10];
+        /**
+         * If true the points of Dot Maps are grouped in clusters (see Cluster), one set of clusters for each Aesthetic object and zoom level.
+         * Clusters are drawn as circles, sized and labelled by the number of points, with the color of their Aesthetic object.
+         * @type {boolean}
+         */
+        this.cluster = (userOptions.cluster !== undefined) ? userOptions.cluster : false;
+        /**
+         * Points closer than this distance, in pixels, to the center of a cluster are grouped in it. Also the maximum size of the circles.
+         * @type {number}
+         */
+        this.clusterRadius = userOptions.clusterRadius || 40;
+        /**
+         * Last zoom where the points are grouped in clusters.
+         * @type {number}
+         */
+        this.clusterMaxZoom = (userOptions.clusterMaxZoom !== undefined) ? userOptions.clusterMaxZoom : 14;
+        /**
+         * If true the class breaks, the geometries (triangulation, strokes and levels of detail) and the indexes used on clicks are calculated in a Web Worker (see GeometryWorker).
+         * When workers are not available, or the worker script can't be made, they are processed on the main thread. Errors of the worker make the map fail.
+         * @type {boolean}
+         */
+        this.useWorker = (userOptions.useWorker !== undefined) ? userOptions.useWorker : true;
+        /**
+         * URLs of the scripts imported by the worker (earcut), relative URLs are relative to the page.
+         * If not given the source of the earcut already loaded by the page is copied to the worker (see GeometryWorker.source).
+         * @type {string[]}
+         */
+        this.workerScripts = userOptions.workerScripts;
+        /**
+         * Name of the object (in the objects of the topology) that is mapped when the data is TopoJSON. If not given the first object is used.
+         * @type {string}
+         */
+        this.topologyObject = userOptions.topologyObject;
+        /**
+         * Table of attributes joined to the Features when the data is given (see Map.readData and Join.attributes).
+         * @type {{data: Array<Object>|string, featureKey: string, recordKey: string, fields: string[], missing: string, duplicates: string}}
+         */
+        this.join = userOptions.join;
+        /**
+         * Number of Features of each chunk when the data is streamed (see Map.loadStream).
+         * @type {number}
+         */
+        this.chunkSize = (userOptions.chunkSize !== undefined) ? userOptions.chunkSize : 10000;
 
         /** #####################       OTHER NON-USER DEFINED OPTIONS      ############################## */
         /**
@@ -183,12 +322,6 @@ export class GisplayOptions {
         this.legendToggle = true;
 
         /** #####################       DEPRECATED ############################## */
-        /**
-         * Intensity of a heat map. Higher values of intensity means more red in the end color. Otherwise more green.
-         * @deprecated Not used ATM, should probably be used for Heat Maps.
-         * @type {number}
-         */
-        this.intensity = userOptions.intensity || 1.0;
         /**
          * The user defined position of the Legend over the map. Allowed positions tl, tr, bl, br.
          * @type {string}
@@ -203,7 +336,152 @@ export class GisplayOptions {
         this.legendNumberFormat = userOptions.legendNumberFormat || 0;
 
         /** #####################      OTHER GLOBAL OPTIONS     ############################## */
-        this.profiling = userOptions.profiling || true;
+        /**
+         * If true, what was done to draw each frame (time, draw calls, state changes) is kept and emitted with the 'profile' event (see Map.getFrameStats).
+         * @type {boolean}
+         */
+        this.profiling = (userOptions.profiling !== undefined) ? userOptions.profiling : true;
+    }
+
+    /**
+     * Checks the options given by the user against the schema (see getSchema). Unknown options (e.g., a misspelled one)
+     * are ignored by the API and only give a warning, once per option, but options with the wrong type, value or range throw an error.
+     * @param {Object} userOptions - The user defined options.
+     * @param {boolean} attrRequired - If the map needs the attr option.
+     * @throws {GisplayOptionError} When one of the options is not valid.
+     * @returns {void}
+     * @memberOf GisplayOptions
+     */
+    validate(userOptions, attrRequired) {
+        if (userOptions === null || typeof userOptions !== 'object')
+            throw new GisplayOptionError('options', 'options must be an object.');
+
+        const schema = this.getSchema();
+        for (const option of Object.keys(userOptions)) {
+            const value = userOptions[option];
+            const rule = schema[option];
+            if (rule === undefined) {
+                if (!warnedOptions.has(option)) {
+                    warnedOptions.add(option);
+                    console.warn(`Gisplay: unknown option "${option}" will be ignored. Options: ${Object.keys(schema).join(', ')}.`);
+                }
+                continue;
+            }
+            if (value === undefined || value === null)
+                continue;
+
+            const type = Array.isArray(value) ? 'array' : typeof value;
+            if (!rule.type.includes(type))
+                throw new GisplayOptionError(option, `expected ${rule.type.join(' or ')} but got ${type}.`);
+            if (rule.values !== undefined && !rule.values.includes(value))
+                throw new GisplayOptionError(option, `"${value}" is not one of: ${rule.values.join(', ')}.`);
+            if (type === 'number') {
+                if (isNaN(value))
+                    throw new GisplayOptionError(option, 'must be a number, got NaN.');
+                if (rule.integer && !Number.isInteger(value))
+                    throw new GisplayOptionError(option, `must be an integer, got ${value}.`);
+                if (rule.min !== undefined && value < rule.min)
+                    throw new GisplayOptionError(option, `must be at least ${rule.min}, got ${value}.`);
+                if (rule.max !== undefined && value > rule.max)
+                    throw new GisplayOptionError(option, `must be at most ${rule.max}, got ${value}.`);
+            }
+        }
+
+        if (userOptions.classBreaks !== undefined && userOptions.classBreaks !== null) {
+            const breaks = userOptions.classBreaks;
+            if (breaks.length < 2 || breaks.some(b => typeof b !== 'number' || isNaN(b)))
+                throw new GisplayOptionError('classBreaks', 'must have at least 2 numbers.');
+            for (let i = 1; i < breaks.length; i++)
+                if (breaks[i] < breaks[i - 1])
+                    throw new GisplayOptionError('classBreaks', 'must be in ascending order.');
+        }
+        if (userOptions.minPointSize !== undefined && userOptions.maxPointSize !== undefined
+            && parseFloat(userOptions.minPointSize) > parseFloat(userOptions.maxPointSize))
+            throw new GisplayOptionError('minPointSize', 'must not be higher than maxPointSize.');
+        if (userOptions.minLineWidth !== undefined && userOptions.maxLineWidth !== undefined && userOptions.minLineWidth > userOptions.maxLineWidth)
+            throw new GisplayOptionError('minLineWidth', 'must not be higher than maxLineWidth.');
+        if (userOptions.strokeDash !== undefined) {
+            const dash = userOptions.strokeDash;
+            if ((dash.length !== 2 && dash.length !== 4) || dash.some(d => typeof d !== 'number' || isNaN(d) || d < 0))
+                throw new GisplayOptionError('strokeDash', 'must have 2 or 4 positive numbers (dash and gap lengths).');
+            if (dash.reduce((sum, d) => sum + d, 0) === 0)
+                throw new GisplayOptionError('strokeDash', 'must not be all zeros.');
+        }
+        if (userOptions.lodZoomLevels !== undefined) {
+            const levels = userOptions.lodZoomLevels;
+            if (levels.some(z => typeof z !== 'number' || isNaN(z)))
+                throw new GisplayOptionError('lodZoomLevels', 'must only have numbers.');
+            for (let i = 1; i < levels.length; i++)
+                if (levels[i] <= levels[i - 1])
+                    throw new GisplayOptionError('lodZoomLevels', 'must be in ascending order.');
+        }
+        if (userOptions.join !== undefined && userOptions.join !== null) {
+            Join.validate(userOptions.join);
+            if (!Array.isArray(userOptions.join.data) && typeof userOptions.join.data !== 'string')
+                throw new GisplayOptionError('join', 'data must be an array of records or CSV text.');
+        }
+        if ((userOptions.minuend === undefined) !== (userOptions.subtrahend === undefined))
+            throw new GisplayOptionError(userOptions.minuend === undefined ? 'minuend' : 'subtrahend', 'minuend and subtrahend must be given together.');
+        if (attrRequired && !userOptions.attr && userOptions.minuend === undefined)
+            throw new GisplayOptionError('attr', 'attribute not defined in options, please define one attribute to be mapped.');
+    }
+
+    /**
+     * Returns the schema of the options: for each option the accepted types and, when needed, the accepted values or limits.
+     * @returns {Object<string, {type: string[], values: Array, min: number, max: number, integer: boolean}>} - The schema of the options.
+     * @memberOf GisplayOptions
+     */
+    getSchema() {
+        return {
+            attr: { type: ['string'] },
+            colorScheme: { type: ['array'] },
+            numberOfClasses: { type: ['number'], integer: true, min: 1 },
+            classBreaksMethod: { type: ['string'], values: this.getAvailableClassBreaksMethods() },
+            classBreaks: { type: ['array'] },
+            interactive: { type: ['boolean'] },
+            showPropertiesOnClick: { type: ['array'] },
+            showLegend: { type: ['boolean'] },
+            minuend: { type: ['string'] },
+            subtrahend: { type: ['string'] },
+            legendTitle: { type: ['string'] },
+            showLoader: { type: ['boolean'] },
+            useCustomMapService: { type: ['boolean'] },
+            minPointSize: { type: ['number', 'string'] },
+            maxPointSize: { type: ['number', 'string'] },
+            minLineWidth: { type: ['number'], min: 0 },
+            maxLineWidth: { type: ['number'], min: 0 },
+            sizeByClass: { type: ['boolean'] },
+            memorySaver: { type: ['boolean'] },
+            colorSchemeId: { type: ['number'] },
+            legendOnClickFunction: { type: ['function'] },
+            mapOnClickFunction: { type: ['function'] },
+            on: { type: ['object'] },
+            alpha: { type: ['number'], min: 0, max: 1 },
+            maxFeatures: { type: ['number'], min: 0 },
+            numberOfLegendItems: { type: ['number'], integer: true, min: 1 },
+            tileSize: { type: ['number'], min: 1 },
+            intensity: { type: ['number'], min: 0 },
+            radius: { type: ['number'], min: 0 },
+            strokeColor: { type: ['string', 'array'] },
+            strokeWidth: { type: ['number'], min: 0 },
+            strokeJoin: { type: ['string'], values: ['miter', 'round', 'none'] },
+            strokeDash: { type: ['array'] },
+            strokeMinZoom: { type: ['number'], min: 0 },
+            simplify: { type: ['boolean'] },
+            simplifyTolerance: { type: ['number'], min: 0 },
+            lodZoomLevels: { type: ['array'] },
+            cluster: { type: ['boolean'] },
+            clusterRadius: { type: ['number'], min: 1 },
+            clusterMaxZoom: { type: ['number'], integer: true, min: 0 },
+            useWorker: { type: ['boolean'] },
+            workerScripts: { type: ['array'] },
+            topologyObject: { type: ['string'] },
+            join: { type: ['object'] },
+            chunkSize: { type: ['number'], integer: true, min: 1 },
+            legendPosition: { type: ['string'], values: ['tl', 'tr', 'bl', 'br'] },
+            legendNumberFormat: { type: ['number'], integer: true, min: 0 },
+            profiling: { type: ['boolean'] }
+        };
     }
 
     /**
@@ -0,0 +1,243 @@
+import { GisplayDataError, GisplayOptionError } from '../GisplayErrors';
+
+/**
+ * Class with static methods to read tabular point data (CSV or TSV text) as a GeoJSON FeatureCollection of Points,
+ * which can be given to Dot Maps, Proportional Symbols Maps and Heat Maps.
+ * Fields can be quoted (with "" for a quote inside them), so they can have the delimiter and line breaks.
+ * @see https://tools.ietf.org/html/rfc4180
+ * @static
+ * @class CSV
+ */
+export class CSV {
+
+    /**
+     * Converts CSV or TSV text to a GeoJSON FeatureCollection. The first line has the names of the columns.
+     * Each row is one Point Feature with all it's columns as properties. Columns where every value is a number (or empty) are numeric,
+     * their values are converted to numbers (empty values to null), so the quantitative/qualitative choice of the map works as with GeoJSON.
+     * Rows without valid coordinates are not converted, they are returned in invalidRows.
+     * @static
+     * @param {string} text - The CSV or TSV text.
+     * @param {Object} [options={}] - How to read the text.
+     * @param {string} [options.latitude] - Name of the latitude column. By default the first named lat, latitude or y (any case).
+     * @param {string} [options.longitude] - Name of the longitude column. By default the first named lon, lng, long, longitude or x (any case).
+     * @param {string} [options.delimiter] - Delimiter of the fields. By default the one of ',', '\t', ';' and '|' most used on the first line.
+     * @param {Object<string, string>} [options.types] - Type of some columns ('number' or 'string'), instead of the inferred one.
+     * @returns {{geojson: {type: string, features: Array<JSON>}, columns: Object<string, string>, invalidRows: Array<{line: number, reason: string}>}} -
+     * The FeatureCollection, the type of each column and the rows not converted (line is the line number in the text, starting at 1).
+     * @throws {GisplayDataError} When the text has no header or the coordinate columns were not found.
+     * @throws {GisplayOptionError} When the latitude or longitude columns given don't exist.
+     * @memberOf CSV
+     */
+    static toGeoJSON(text, options = {}) {
+        const delimiter = options.delimiter !== undefined ? options.delimiter : CSV.detectDelimiter(text);
+        const rows = CSV.parse(text, delimiter).filter(row => row.fields.length > 1 || row.fields[0] !== '');
+        if (rows.length === 0)
+            throw new GisplayDataError("The CSV has no header line.");
+
+        const header = rows[0].fields.map(name => name.trim());
+        const latitude = CSV.findColumn(header, options.latitude, 'latitude', ['lat', 'latitude', 'y']);
+        const longitude = CSV.findColumn(header, options.longitude, 'longitude', ['lon', 'lng', 'long', 'longitude', 'x']);
+        const data = rows.slice(1);
+        const columns = CSV.inferTypes(header, data, options.types);
+        columns[header[latitude]] = 'number';
+        columns[header[longitude]] = 'number';
+
+        const features = [];
+        const invalidRows = [];
+        for (const { fields, line } of data) {
+            const lat = CSV.toNumber(fields[latitude]);
+            const lon = CSV.toNumber(fields[longitude]);
+            let reason;
+            if (fields.length !== header.length)
+                reason = `it has ${fields.length} fields, the header has ${header.length}`;
+            else if (lat === null || lon === null)
+                reason = `the coordinates ("${fields[latitude]}", "${fields[longitude]}") are not numbers`;
+            else if (Math.abs(lat) > 90 || Math.abs(lon) > 180)
+                reason = `the coordinates (${lat}, ${lon}) are out of range`;
+            if (reason !== undefined) {
+                invalidRows.push({ line, reason });
+                continue;
+            }
+
+            const properties = {};
+            for (const [i, name] of header.entries())
+                properties[name] = columns[name] === 'number' ? CSV.toNumber(fields[i]) : fields[i];
+            features.push({ type: 'Feature', properties, geometry: { type: 'Point', coordinates: [lon, lat] } });
+        }
+        return { geojson: { type: 'FeatureCollection', features }, columns, invalidRows };
+    }
+
+    /**
+     * Converts CSV or TSV text without coordinates (e.g., statistics by state) to records, one object for each row.
+     * The types of the columns are inferred as in toGeoJSON. Rows with a different number of fields than the header are ignored.
+     * @static
+     * @param {string} text - The CSV or TSV text, the first line has the names of the columns.
+     * @param {Object} [options={}] - The delimiter and the types of the columns (see toGeoJSON).
+     * @returns {{records: Array<Object>, columns: Object<string, string>}} - The records and the type of each column.
+     * @throws {GisplayDataError} When the text has no header.
+     * @memberOf CSV
+     */
+    static toRecords(text, options = {}) {
+        const delimiter = options.delimiter !== undefined ? options.delimiter : CSV.detectDelimiter(text);
+        const rows = CSV.parse(text, delimiter).filter(row => row.fields.length > 1 || row.fields[0] !== '');
+        if (rows.length === 0)
+            throw new GisplayDataError("The CSV has no header line.");
+
+        const header = rows[0].fields.map(name => name.trim());
+        const data = rows.slice(1).filter(row => row.fields.length === header.length);
+        const columns = CSV.inferTypes(header, data, options.types);
+        const records = data.map(({ fields }) => {
+            const record = {};
+            for (const [i, name] of header.entries())
+                record[name] = columns[name] === 'number' ? CSV.toNumber(fields[i]) : fields[i];
+            return record;
+        });
+        return { records, columns };
+    }
+
+    /**
+     * Splits the text in rows and fields.
+     * @static
+     * @param {string} text - The CSV text.
+     * @param {string} delimiter - Delimiter of the fields.
+     * @returns {Array<{fields: string[], line: number}>} - The fields of each row and the line where the row starts.
+     * @memberOf CSV
+     */
+    static parse(text, delimiter) {
+        const rows = [];
+        let fields = [], field = '', quoted = false, line = 1, rowLine = 1;
+        const endRow = () => {
+            fields.push(field);
+            rows.push({ fields, line: rowLine });
+            fields = [];
+            field = '';
+        };
+        for (let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0; i < text.length; i++) { //Skips the byte order mark
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                }
+                else if (c === '"')
+                    quoted = false;
+                else {
+                    if (c === '\n')
+                        line++;
+                    field += c;
+                }
+            }
+            else if (c === '"' && field === '')
+                quoted = true;
+            else if (c === delimiter) {
+                fields.push(field);
+                field = '';
+            }
+            else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n')
+                    i++;
+                endRow();
+                rowLine = ++line;
+            }
+            else
+                field += c;
+        }
+        if (field !== '' || fields.length > 0)
+            endRow();
+        return rows;
+    }
+
+    /**
+     * Finds the delimiter used by the text: the one of ',', '\t', ';' and '|' that appears more times on the first line.
+     * @static
+     * @param {string} text - The CSV text.
+     * @returns {string} - The delimiter (',' if none of them is on the first line).
+     * @memberOf CSV
+     */
+    static detectDelimiter(text) {
+        const end = text.search(/\r|\n/);
+        const firstLine = end === -1 ? text : text.slice(0, end);
+        let best = ',', bestCount = 0;
+        for (const delimiter of [',', '\t', ';', '|']) {
+            const count = firstLine.split(delimiter).length - 1;
+            if (count > bestCount) {
+                best = delimiter;
+                bestCount = count;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Finds a coordinate column.
+     * @static
+     * @param {string[]} header - The names of the columns.
+     * @param {string} [name] - The name given by the user.
+     * @param {string} option - Name of the option, used on the errors.
+     * @param {string[]} candidates - Names (lower case) looked for when the user doesn't give one.
+     * @returns {number} - The index of the column.
+     * @throws {GisplayOptionError} When the column given doesn't exist.
+     * @throws {GisplayDataError} When none of the candidates exists.
+     * @memberOf CSV
+     */
+    static findColumn(header, name, option, candidates) {
+        if (name !== undefined) {
+            const index = header.indexOf(name);
+            if (index === -1)
+                throw new GisplayOptionError(option, `"${name}" is not a column of the CSV. Columns: ${header.join(', ')}.`);
+            return index;
+        }
+        for (const candidate of candidates) {
+            const index = header.findIndex(column => column.toLowerCase() === candidate);
+            if (index !== -1)
+                return index;
+        }
+        throw new GisplayDataError(`The ${option} column was not found in the CSV (tried ${candidates.join(', ')}), give it's name in the ${option} option.`);
+    }
+
+    /**
+     * Infers the type of each column: 'number' when every value that is not empty is a number, 'string' otherwise.
+     * Columns that are always empty are 'string'.
+     * @static
+     * @param {string[]} header - The names of the columns.
+     * @param {Array<{fields: string[]}>} rows - The rows, without the header.
+     * @param {Object<string, string>} [types={}] - Types given by the user, they are not inferred.
+     * @returns {Object<string, string>} - The type of each column.
+     * @memberOf CSV
+     */
+    static inferTypes(header, rows, types = {}) {
+        const columns = {};
+        for (const [i, name] of header.entries()) {
+            if (types[name] !== undefined) {
+                columns[name] = types[name];
+                continue;
+            }
+            let numbers = 0, numeric = true;
+            for (const { fields } of rows) {
+                const value = fields[i];
+                if (value === undefined || value.trim() === '')
+                    continue;
+                if (CSV.toNumber(value) === null) {
+                    numeric = false;
+                    break;
+                }
+                numbers++;
+            }
+            columns[name] = numeric && numbers > 0 ? 'number' : 'string';
+        }
+        return columns;
+    }
+
+    /**
+     * Converts a field to a number.
+     * @static
+     * @param {string} value - The field.
+     * @returns {number|null} - The number or null if the field is empty or isn't a (finite) number.
+     * @memberOf CSV
+     */
+    static toNumber(value) {
+        if (value === undefined || !/^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(value))
+            return null;
+        return Number(value);
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * Class with static methods to calculate class breaks. The algorithms are the ones of chroma.limits (chroma.js 1.1.1), written here
+ * without using chroma so they can also run in the geometry worker (see GeometryWorker).
+ * @static
+ * @class ClassBreaks
+ */
+export class ClassBreaks {
+
+    /**
+     * Calculates the class breaks using the algorithm given (k-means, quantile or equidistant, quantile by default).
+     * There will be as many class breaks as number of classes (numberOfClasses) given as input.
+     * Null and NaN values are not used, like chroma.limits does.
+     * @static
+     * @param {number[]} numberValues - The data values that will be used to be compute the breaks.
+     * @param {string} classBreakMethod - The algorithm to use to calculate the class breaks.
+     * @param {number} numberOfClasses - Number of classes the result expects.
+     * @returns {number[]} - The class breaks resulting from the use of the given algorithm and the number of classes.
+     * @see http://gka.github.io/chroma.js/#chroma-limits
+     * @memberOf ClassBreaks
+     */
+    static calculate(numberValues, classBreakMethod, numberOfClasses) {
+        const values = numberValues.filter(v => v !== null && !isNaN(v)).sort((a, b) => a - b);
+        switch (classBreakMethod) {
+            case 'equidistant':
+                return ClassBreaks.equidistant(values, numberOfClasses);
+            case 'k-means':
+                return ClassBreaks.kMeans(values, numberOfClasses);
+            default: //quantile
+                return ClassBreaks.quantile(values, numberOfClasses);
+        }
+    }
+
+    /**
+     * Class breaks that split the range of the values in classes of the same width.
+     * @static
+     * @param {number[]} values - The values, sorted in ascending order.
+     * @param {number} numberOfClasses - Number of classes.
+     * @returns {number[]} - The minimum, the numberOfClasses - 1 breaks and the maximum.
+     * @memberOf ClassBreaks
+     */
+    static equidistant(values, numberOfClasses) {
+        const min = values[0], max = values[values.length - 1];
+        const breaks = [min];
+        for (let i = 1; i < numberOfClasses; i++)
+            breaks.push(min + i / numberOfClasses * (max - min));
+        breaks.push(max);
+        return breaks;
+    }
+
+    /**
+     * Class breaks that put the same number of values in each class. Breaks between two values are interpolated
+     * with the same weights chroma.limits uses, so the classes don't change when the breaks are calculated in the worker.
+     * @static
+     * @param {number[]} values - The values, sorted in ascending order.
+     * @param {number} numberOfClasses - Number of classes.
+     * @returns {number[]} - The minimum, the numberOfClasses - 1 breaks and the maximum.
+     * @memberOf ClassBreaks
+     */
+    static quantile(values, numberOfClasses) {
+        const breaks = [values[0]];
+        for (let i = 1; i < numberOfClasses; i++) {
+            const position = values.length * i / numberOfClasses;
+            const index = Math.floor(position);
+            if (index === position)
+                breaks.push(values[index]);
+            else {
+                const fraction = position - index;
+                breaks.push(values[index] * fraction + values[index + 1] * (1 - fraction));
+            }
+        }
+        breaks.push(values[values.length - 1]);
+        return breaks;
+    }
+
+    /**
+     * Class breaks found by grouping the values in numberOfClasses clusters (k-means, starting with equidistant centers).
+     * The values are assigned to the nearest center and the centers moved to the mean of their values until they don't change (at most 200 times).
+     * The breaks are the first value of the first cluster and the last value of each cluster, empty clusters give no break.
+     * @static
+     * @param {number[]} values - The values, sorted in ascending order.
+     * @param {number} numberOfClasses - Number of classes.
+     * @returns {number[]} - The class breaks.
+     * @memberOf ClassBreaks
+     */
+    static kMeans(values, numberOfClasses) {
+        let centers = ClassBreaks.equidistant(values, numberOfClasses);
+        const cluster = new Array(values.length);
+        for (let iteration = 0; iteration <= 200; iteration++) {
+            const sums = new Array(numberOfClasses).fill(null);
+            const counts = new Array(numberOfClasses).fill(0);
+            for (const [i, value] of values.entries()) {
+                let nearest = Number.MAX_VALUE;
+                for (let c = 0; c < numberOfClasses; c++) {
+                    const distance = Math.abs(centers[c] - value);
+                    if (nearest > distance) {
+                        nearest = distance;
+                        cluster[i] = c;
+                    }
+                }
+                counts[cluster[i]]++;
+                sums[cluster[i]] += value;
+            }
+            const moved = sums.map((sum, c) => sum * (1 / counts[c])); //NaN for empty clusters, so no value is assigned to them again
+            const changed = moved.some((center, c) => !Object.is(center, centers[c]));
+            centers = moved;
+            if (!changed)
+                break;
+        }
+
+        const clusters = Array.from({ length: numberOfClasses }, () => []);
+        for (const [i, value] of values.entries())
+            clusters[cluster[i]].push(value);
+        const limits = [];
+        for (const values of clusters)
+            if (values.length > 0)
+                limits.push(values[0], values[values.length - 1]);
+        limits.sort((a, b) => a - b);
+        const breaks = [limits[0]];
+        for (let i = 1; i < limits.length; i += 2)
+            breaks.push(limits[i]);
+        return breaks;
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Class with static methods to group points in clusters for each zoom level (hierarchical greedy clustering, like supercluster).
+ * The last level has one cluster per point, each level above it merges the clusters of the level below that are closer than the radius (in pixels at that zoom).
+ * Positions are kept in Web Mercator world coordinates (between 0 and 1) to measure the distances in pixels.
+ * @see https://github.com/mapbox/supercluster
+ * @static
+ * @class Cluster
+ */
+export class Cluster {
+
+    /**
+     * Creates the last level of clusters (maxZoom + 1), one per point. The other levels are only created when they are needed (see getLevel).
+     * @static
+     * @param {Array<{lon: number, lat: number, properties: JSON}>} points - The points to group.
+     * @param {number} maxZoom - Last zoom level with clusters.
+     * @returns {Array<Array<{x: number, y: number, lon: number, lat: number, count: number, point: Object, children: Array}>>} - The clusters of each zoom level,
+     * only the last one is created. Clusters of one point have the point, the others have the clusters of the level below (children).
+     * @memberOf Cluster
+     */
+    static build(points, maxZoom) {
+        const levels = new Array(maxZoom + 2);
+        levels[maxZoom + 1] = points.map(point => {
+            const { x, y } = Cluster.project(point.lon, point.lat);
+            return { x, y, lon: point.lon, lat: point.lat, count: 1, point, children: null };
+        });
+        return levels;
+    }
+
+    /**
+     * Returns the clusters of one zoom level, creating it (and the levels between it and the closest level below that exists) the first time.
+     * Each level merges the clusters of the level below, so a level is never created twice and the levels that are never drawn are never created.
+     * @static
+     * @param {Array<Array<Object>>} levels - The levels of clusters (see build). The levels created are added to it.
+     * @param {number} zoom - The zoom level, from 0 to maxZoom + 1.
+     * @param {number} radius - Maximum distance, in pixels, between the center of a cluster and the clusters merged into it.
+     * @param {number} tileSize - The size of each tile in the background map.
+     * @returns {Array<Object>} - The clusters of the zoom level.
+     * @memberOf Cluster
+     */
+    static getLevel(levels, zoom, radius, tileSize) {
+        let z = zoom;
+        while (levels[z] === undefined)
+            z++;
+        for (z--; z >= zoom; z--)
+            levels[z] = Cluster.clusterLevel(levels[z + 1], radius / (tileSize * 2 ** z));
+        return levels[zoom];
+    }
+
+    /**
+     * Merges the clusters that are closer than the radius. Each cluster not merged yet takes all the others (not merged) around it,
+     * the new cluster is at the center of it's points. Clusters with nothing around them go to the next level as they are.
+     * @static
+     * @param {Array<Object>} clusters - The clusters of the level below.
+     * @param {number} radius - The radius in world coordinates.
+     * @returns {Array<Object>} - The clusters of this level.
+     * @memberOf Cluster
+     */
+    static clusterLevel(clusters, radius) {
+        const grid = new Map(); //Cell -> indices of the clusters in it. Cells have the size of the radius
+        const columns = Math.ceil(1 / radius) + 2;
+        const cell = (gx, gy) => gy * columns + gx;
+        for (let i = 0; i < clusters.length; i++) {
+            const k = cell(Math.floor(clusters[i].x / radius), Math.floor(clusters[i].y / radius));
+            const indices = grid.get(k);
+            if (indices === undefined)
+                grid.set(k, [i]);
+            else
+                indices.push(i);
+        }
+
+        const merged = new Uint8Array(clusters.length);
+        const sqRadius = radius * radius;
+        const result = [];
+        for (let i = 0; i < clusters.length; i++) {
+            if (merged[i] === 1)
+                continue;
+            merged[i] = 1;
+            const c = clusters[i];
+            const children = [c];
+            let sumX = c.x * c.count, sumY = c.y * c.count, count = c.count;
+            const cx = Math.floor(c.x / radius), cy = Math.floor(c.y / radius);
+            for (let gx = cx - 1; gx <= cx + 1; gx++) {
+                for (let gy = cy - 1; gy <= cy + 1; gy++) {
+                    for (const j of grid.get(cell(gx, gy)) || []) {
+                        const other = clusters[j];
+                        if (merged[j] === 1 || (other.x - c.x) ** 2 + (other.y - c.y) ** 2 > sqRadius)
+                            continue;
+                        merged[j] = 1;
+                        children.push(other);
+                        sumX += other.x * other.count;
+                        sumY += other.y * other.count;
+                        count += other.count;
+                    }
+                }
+            }
+            if (children.length === 1)
+                result.push(c);
+            else {
+                const x = sumX / count, y = sumY / count;
+                const { lon, lat } = Cluster.unproject(x, y);
+                result.push({ x, y, lon, lat, count, point: null, children });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Returns the points of a cluster.
+     * @static
+     * @param {Object} cluster - The cluster.
+     * @returns {Array<{lon: number, lat: number, properties: JSON}>} - The points grouped in the cluster.
+     * @memberOf Cluster
+     */
+    static getPoints(cluster) {
+        const points = [];
+        const stack = [cluster]; //Not recursive, there can be many levels
+        while (stack.length > 0) {
+            const c = stack.pop();
+            if (c.children === null)
+                points.push(c.point);
+            else
+                stack.push(...c.children);
+        }
+        return points;
+    }
+
+    /**
+     * Converts a longitude and latitude to Web Mercator world coordinates.
+     * @static
+     * @param {number} lon - The longitude.
+     * @param {number} lat - The latitude.
+     * @returns {{x: number, y: number}} - The world coordinates, between 0 and 1 (y grows to the south).
+     * @memberOf Cluster
+     */
+    static project(lon, lat) {
+        const sin = Math.sin(lat * Math.PI / 180);
+        const y = 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI);
+        return { x: (lon + 180) / 360, y: Math.min(Math.max(y, 0), 1) };
+    }
+
+    /**
+     * Converts Web Mercator world coordinates to longitude and latitude.
+     * @static
+     * @param {number} x - The x world coordinate.
+     * @param {number} y - The y world coordinate.
+     * @returns {{lon: number, lat: number}} - The longitude and latitude.
+     * @memberOf Cluster
+     */
+    static unproject(x, y) {
+        return { lon: x * 360 - 180, lat: Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180 / Math.PI };
+    }
+}
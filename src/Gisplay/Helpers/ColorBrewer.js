@@ -189,6 +189,39 @@ export class ColorBrewer {
         return hexColors;
     }
 
+    /**
+     * Returns numberOfClasses distinct colors for qualitative data, even when numberOfClasses is higher than 12 (ColorBrewer limit).
+     * First uses the colors of every ColorBrewer qualitative color scheme (largest version of each, without repeated colors)
+     * and, if those are not enough, generates the remaining ones spreading the hue using the golden angle.
+     * @static
+     * @param {number} numberOfClasses - number of classes (categories).
+     * @returns {Array<Array<number>>} Colors in RGB. As many as number of classes given.
+     * @see https://en.wikipedia.org/wiki/Golden_angle
+     * @memberOf ColorBrewer
+     */
+    static getExtendedQualitativeColors(numberOfClasses) {
+        const names = ['Paired', 'Set3', 'Set1', 'Dark2', 'Accent', 'Set2', 'Pastel1', 'Pastel2'];
+        const qualitative = this.getQualitativeColorSchemes();
+        const seen = new Set();
+        let res = new Array();
+        for (const name of names) {
+            const maxClasses = Math.max(...Object.keys(qualitative[name]).map(Number).filter(n => !isNaN(n)));
+            for (const color of ColorBrewer.getColors(name, maxClasses)) {
+                const key = color.join(',');
+                if (!seen.has(key) && res.length < numberOfClasses) {
+                    seen.add(key);
+                    res.push(color.map(Number));
+                }
+            }
+        }
+
+        for (let i = res.length; i < numberOfClasses; i++) {
+            const [r, g, b] = chroma.hsl((i * 137.508) % 360, 0.65, i % 2 === 0 ? 0.45 : 0.65).rgb();
+            res.push([Math.round(r), Math.round(g), Math.round(b)]);
+        }
+        return res;
+    }
+
     /** ########################     DEFAULTS       ####################################### */
     static getDefautls(mapName, numClasses, dataNature) {
         let seq = ['Sequential', 'Seq', 'S'];
@@ -227,6 +260,18 @@ export class ColorBrewer {
                     return this.getProportionalSymbolsDefaults(dataNature, numClasses);
                 else //if (div.indexOf(dataNature) > -1 || qua.indexOf(dataNature) > -1)
                     throw new Error("ProportionalSymbols defaults for Divergent or Qualitative data are currently not set.");
+            case 'HeatMap':
+                if (seq.indexOf(dataNature) > -1)
+                    return this.getHeatMapDefaults(dataNature, numClasses);
+                else //if (div.indexOf(dataNature) > -1 || qua.indexOf(dataNature) > -1)
+                    throw new Error("Heat Map defaults for Divergent or Qualitative data are currently not set.");
+            case 'LineMap':
+                if (seq.indexOf(dataNature) > -1)
+                    return this.getLineMapDefaults(dataNature, numClasses);
+                else if (qua.indexOf(dataNature) > -1)
+                    return this.getChorochromaticDefaults('Qualitative', numClasses);
+                else //if (div.indexOf(dataNature) > -1)
+                    throw new Error("Line Map defaults for Divergent data are currently not set.");
         }
     }
 
@@ -281,6 +326,7 @@ export class ColorBrewer {
         switch (dataNature) {
             case 'Qualitative':
                 switch (numClasses) {
+                    case 1:
                     case 2: {
                         let colors = ColorBrewer.getColors('Set1', 3);
                         res[0] = colors[0];
@@ -414,6 +460,62 @@ export class ColorBrewer {
         return res;
     }
 
+    /**
+     * Returns the default color for Heat Maps taking in consideration the given number of classes and nature of data currently being used.
+     * The colors are the stops of the color ramp, from lowest to highest density.
+     * @static
+     * @param { string } dataNature - The type of data.
+     * @param { number } numClasses - The number of classes.
+     * @returns { Array<number>} the default color for the given number of classes and nature of data currently being used.
+     * @memberOf ColorBrewer
+     */
+    static getHeatMapDefaults(dataNature, numClasses) {
+        let res = [];
+        switch (dataNature) {
+            case 'Sequential':
+                switch (numClasses) {
+                    case 1:
+                    case 2:
+                        res = ColorBrewer.getColors('YlOrRd', 3);
+                        break;
+                    default:
+                        res = ColorBrewer.getColors('YlOrRd', numClasses);
+                        break;
+                }
+                break;
+        }
+        return res;
+    }
+
+    /**
+     * Returns the default color for Line Maps taking in consideration the given number of classes and nature of data currently being used.
+     * The lightest colors of the scheme are not used, so thin lines are still visible over the background map.
+     * @static
+     * @param { string } dataNature - The type of data.
+     * @param { number } numClasses - The number of classes.
+     * @returns { Array<number>} the default color for the given number of classes and nature of data currently being used.
+     * @memberOf ColorBrewer
+     */
+    static getLineMapDefaults(dataNature, numClasses) {
+        let res = [];
+        switch (dataNature) {
+            case 'Sequential':
+                switch (numClasses) {
+                    case 1:
+                        res = [ColorBrewer.getColors('YlGnBu', 3)[2]];
+                        break;
+                    case 2:
+                        res = ColorBrewer.getColors('YlGnBu', 3).slice(1);
+                        break;
+                    default:
+                        res = ColorBrewer.getColors('YlGnBu', Math.min(numClasses + 1, 9)).slice(-numClasses);
+                        break;
+                }
+                break;
+        }
+        return res;
+    }
+
     /**
      * Returns the ColorBrewer object of type of color schemes. 
      * @static
@@ -0,0 +1,87 @@
+/**
+ * Simple event emitter used by the maps to tell the user what is happening (e.g., data processed, legend built, errors).
+ */
+export class EventEmitter {
+
+    /**
+     * Creates an instance of EventEmitter.
+     * @memberOf EventEmitter
+     */
+    constructor() {
+        /**
+         * Listeners of each event. Key is the event name.
+         * @type {Object<string, Array<Function>>}
+         */
+        this.listeners = {};
+    }
+
+    /**
+     * Adds a listener to the given event.
+     * @param {string} event - The event name.
+     * @param {Function} listener - Function to be called when the event is emitted.
+     * @returns {void}
+     * @memberOf EventEmitter
+     */
+    on(event, listener) {
+        if (this.listeners[event] === undefined)
+            this.listeners[event] = [];
+        this.listeners[event].push(listener);
+    }
+
+    /**
+     * Adds a listener that is removed after being called once.
+     * @param {string} event - The event name.
+     * @param {Function} listener - Function to be called when the event is emitted.
+     * @returns {void}
+     * @memberOf EventEmitter
+     */
+    once(event, listener) {
+        const onceListener = (...args) => {
+            this.off(event, onceListener);
+            listener(...args);
+        };
+        onceListener.listener = listener;
+        this.on(event, onceListener);
+    }
+
+    /**
+     * Removes a listener from the given event. If no listener is given all the listeners of the event are removed.
+     * @param {string} event - The event name.
+     * @param {Function} [listener] - The listener to remove.
+     * @returns {void}
+     * @memberOf EventEmitter
+     */
+    off(event, listener) {
+        if (this.listeners[event] === undefined)
+            return;
+        if (listener === undefined)
+            delete this.listeners[event];
+        else
+            this.listeners[event] = this.listeners[event].filter(l => l !== listener && l.listener !== listener);
+    }
+
+    /**
+     * Calls all the listeners of the given event with the given arguments.
+     * @param {string} event - The event name.
+     * @param {...*} args - Arguments given to the listeners.
+     * @returns {boolean} - True if the event had listeners.
+     * @memberOf EventEmitter
+     */
+    emit(event, ...args) {
+        const listeners = this.listeners[event];
+        if (listeners === undefined || listeners.length === 0)
+            return false;
+        for (const listener of listeners.slice())
+            listener(...args);
+        return true;
+    }
+
+    /**
+     * Removes all the listeners of all events.
+     * @returns {void}
+     * @memberOf EventEmitter
+     */
+    removeAllListeners() {
+        this.listeners = {};
+    }
+}
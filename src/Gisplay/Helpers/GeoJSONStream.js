@@ -0,0 +1,246 @@
+import { GisplayDataError } from '../GisplayErrors';
+
+/**
+ * Character codes used by the parser.
+ * @type {Object<string, number>}
+ */
+const CHAR = { QUOTE: 34, BACKSLASH: 92, COLON: 58, OPEN_OBJECT: 123, CLOSE_OBJECT: 125, OPEN_ARRAY: 91, CLOSE_ARRAY: 93 };
+
+/**
+ * Incremental parser of GeoJSON FeatureCollections. The text is given in pieces (see push) and each Feature of the features array
+ * is parsed as soon as it's complete, so files of hundreds of MB are never kept (or parsed) as one string.
+ * Only the features of the FeatureCollection are read, the other members (e.g., crs, bbox) are ignored.
+ * @class GeoJSONStream
+ */
+export class GeoJSONStream {
+
+    /**
+     * Creates an instance of GeoJSONStream.
+     * @memberOf GeoJSONStream
+     */
+    constructor() {
+        /**
+         * Text of the last push that was not parsed yet: the Feature (or top level key) that is not complete.
+         * @type {string}
+         */
+        this.pending = '';
+        /**
+         * Depth of the current position, each object and array is one level. The FeatureCollection is 1, the Features are 3.
+         * @type {number}
+         */
+        this.depth = 0;
+        /**
+         * If the current position is inside a string.
+         * @type {boolean}
+         */
+        this.inString = false;
+        /**
+         * If the last character of the last push was a backslash inside a string, so the first one of the next push is escaped.
+         * @type {boolean}
+         */
+        this.escaped = false;
+        /**
+         * Position (in pending) where the current string starts. Used to read the top level keys.
+         * @type {number}
+         */
+        this.stringStart = -1;
+        /**
+         * Last string that ended on the top level (e.g., "features").
+         * @type {string}
+         */
+        this.lastString = '';
+        /**
+         * The current top level key.
+         * @type {string}
+         */
+        this.key = '';
+        /**
+         * Position (in pending) where the current Feature starts, -1 when not inside a Feature.
+         * @type {number}
+         */
+        this.featureStart = -1;
+        /**
+         * If the current position is inside the features array.
+         * @type {boolean}
+         */
+        this.inFeatures = false;
+        /**
+         * If the features array was read until the end.
+         * @type {boolean}
+         */
+        this.done = false;
+    }
+
+    /**
+     * Parses the next piece of the text.
+     * @param {string} text - The text that follows the one given before.
+     * @returns {Array<JSON>} - The Features completed by this piece.
+     * @throws {GisplayDataError} When a Feature is not valid JSON.
+     * @memberOf GeoJSONStream
+     */
+    push(text) {
+        const features = [];
+        const start = this.pending.length;
+        text = this.pending + text;
+        for (let i = start; i < text.length; i++) {
+            const c = text.charCodeAt(i);
+            if (this.inString) {
+                if (this.escaped)
+                    this.escaped = false;
+                else if (c === CHAR.BACKSLASH)
+                    this.escaped = true;
+                else if (c === CHAR.QUOTE) {
+                    this.inString = false;
+                    if (this.depth === 1)
+                        this.lastString = text.slice(this.stringStart, i);
+                }
+                continue;
+            }
+            switch (c) {
+                case CHAR.QUOTE:
+                    this.inString = true;
+                    this.stringStart = i + 1;
+                    break;
+                case CHAR.COLON:
+                    if (this.depth === 1)
+                        this.key = this.lastString;
+                    break;
+                case CHAR.OPEN_ARRAY:
+                case CHAR.OPEN_OBJECT:
+                    if (this.depth === 1 && c === CHAR.OPEN_ARRAY && this.key === 'features')
+                        this.inFeatures = true;
+                    else if (this.inFeatures && this.depth === 2 && c === CHAR.OPEN_OBJECT)
+                        this.featureStart = i;
+                    this.depth++;
+                    break;
+                case CHAR.CLOSE_ARRAY:
+                case CHAR.CLOSE_OBJECT:
+                    this.depth--;
+                    if (this.inFeatures && this.depth === 2 && c === CHAR.CLOSE_OBJECT) {
+                        features.push(GeoJSONStream.parseFeature(text.slice(this.featureStart, i + 1)));
+                        this.featureStart = -1;
+                    }
+                    else if (this.inFeatures && this.depth === 1) {
+                        this.inFeatures = false;
+                        this.done = true;
+                    }
+                    break;
+            }
+        }
+
+        //Keeps only what is needed by the next push
+        let keep = text.length;
+        if (this.featureStart !== -1)
+            keep = this.featureStart;
+        else if (this.inString && this.depth === 1)
+            keep = this.stringStart;
+        this.pending = text.slice(keep);
+        if (this.featureStart !== -1)
+            this.featureStart -= keep;
+        if (this.stringStart !== -1)
+            this.stringStart -= keep;
+        return features;
+    }
+
+    /**
+     * Checks that the whole features array was read. Called after the last piece of the text.
+     * @returns {void}
+     * @throws {GisplayDataError} When the text is not a FeatureCollection or ended before the end of the features array.
+     * @memberOf GeoJSONStream
+     */
+    end() {
+        if (!this.done)
+            throw new GisplayDataError("The data must be a GeoJSON FeatureCollection (an object with a features array), the stream ended before the end of the features.");
+    }
+
+    /**
+     * Parses the text of one Feature.
+     * @static
+     * @param {string} text - The JSON text of the Feature.
+     * @returns {JSON} - The Feature.
+     * @throws {GisplayDataError} When it's not valid JSON.
+     * @memberOf GeoJSONStream
+     */
+    static parseFeature(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new GisplayDataError(`A Feature of the GeoJSON is not valid JSON (${error.message}): ${text.slice(0, 100)}`);
+        }
+    }
+
+    /**
+     * Checks if the data given to a map can be streamed: a Blob (e.g., a File from an input), a fetch Response or a ReadableStream.
+     * @static
+     * @param {*} data - The data given to the map.
+     * @returns {boolean} - True if it's read with read.
+     * @memberOf GeoJSONStream
+     */
+    static isSource(data) {
+        return (typeof Blob !== 'undefined' && data instanceof Blob)
+            || (typeof Response !== 'undefined' && data instanceof Response)
+            || (typeof ReadableStream !== 'undefined' && data instanceof ReadableStream);
+    }
+
+    /**
+     * Reads the Features of a GeoJSON FeatureCollection from a Blob, a Response or a ReadableStream (of bytes, UTF-8).
+     * The Features are given in chunks to onChunk, the next chunk is only read after the Promise returned by onChunk is resolved,
+     * so only one chunk is kept in memory at a time.
+     * @static
+     * @param {Blob|Response|ReadableStream} source - Where the GeoJSON is read from.
+     * @param {Function} onChunk - Receives the Features of each chunk and the fraction (0 to 1) of the source that was read
+     * (null when the size is not known, e.g. a Response without Content-Length). Can return a Promise, if it resolves with false the reading stops.
+     * @param {number} [chunkSize=10000] - Number of Features of each chunk (the last one may have less).
+     * @returns {Promise<void>} - Resolved when the whole source was read, rejected when the source or onChunk fail.
+     * @memberOf GeoJSONStream
+     */
+    static read(source, onChunk, chunkSize = 10000) {
+        let stream, total = null;
+        if (source instanceof Response) {
+            if (source.body === null)
+                return Promise.reject(new GisplayDataError("The Response has no body."));
+            stream = source.body;
+            const length = parseInt(source.headers.get('Content-Length'));
+            total = isNaN(length) ? null : length;
+        }
+        else if (source instanceof ReadableStream)
+            stream = source;
+        else {
+            stream = source.stream();
+            total = source.size;
+        }
+
+        const reader = stream.getReader();
+        const decoder = new TextDecoder('utf-8');
+        const parser = new GeoJSONStream();
+        let features = [];
+        let bytesRead = 0;
+        const progress = () => total === null ? null : (total > 0 ? Math.min(bytesRead / total, 1) : 1);
+        const add = (parsed) => {
+            for (const feature of parsed)
+                features.push(feature);
+        };
+        const next = () => reader.read().then(({ done, value }) => {
+            if (done) {
+                add(parser.push(decoder.decode()));
+                parser.end();
+                return features.length > 0 ? Promise.resolve(onChunk(features, 1)).then(() => undefined) : undefined;
+            }
+            bytesRead += value.byteLength;
+            add(parser.push(decoder.decode(value, { stream: true })));
+            if (features.length < chunkSize)
+                return next();
+            const chunk = features;
+            features = [];
+            return Promise.resolve(onChunk(chunk, progress())).then(more => {
+                if (more === false)
+                    return reader.cancel();
+                return next();
+            });
+        });
+        return next().catch(error => {
+            reader.cancel().catch(() => { });
+            throw error;
+        });
+    }
+}
@@ -0,0 +1,511 @@
+import { Simplify } from './Simplify';
+import { GisplayDataError } from '../GisplayErrors';
+
+/**
+ * Class with static methods that convert GeoJSON geometries into the meshes drawn by the maps (triangulation, strokes and levels of detail).
+ * They don't use WebGL, the DOM or the map, so they can also run inside a Web Worker (see GeometryWorker).
+ * Meshes use typed arrays so they can be transferred from the worker without being copied. Each position is stored
+ * with 4 values, the high and low parts of the longitude and latitude (see setPosition), so it keeps double precision on the GPU.
+ * @static
+ * @class Geometry
+ */
+export class Geometry {
+
+    /**
+     * Converts the geometry of one Feature into meshes: triangles and borders of the polygons (and of each level of detail),
+     * the strokes of the lines and the points. Geometries read from TopoJSON are given the arcs of their polygons (see TopoJSON.toGeoJSON),
+     * the borders are then one mesh per arc instead of the rings, so the borders shared with other Features can be drawn once (see Map.createPolygonBatches).
+     * @static
+     * @param {JSON} geometry - GeoJSON Geometry Object (can be null).
+     * @param {{simplify: boolean, simplifyTolerance: number, lodZoomLevels: number[], tileSize: number}} options - The options used (see GisplayOptions).
+     * @param {Set<string>} [junctions] - Positions where the borders of the polygons meet (see Simplify.findJunctions).
+     * @param {Array<{arc: number, line: Array<Array<number>>}>} [borders] - The arcs of the polygons, drawn as the borders.
+     * @returns {{polygons: {triangles: Array, borders: Array, lods: Array}, lines: Array<{vertices: Float32Array, indices: Uint32Array}>,
+     * points: Array<Array<number>>, bbox: number[]}} - The meshes of the Feature, polygons is null when there are none.
+     * The bounding box is [minLon, minLat, maxLon, maxLat] of all the vertices (with the longitudes unwrapped), empty when there are none.
+     * @memberOf Geometry
+     */
+    static processFeature(geometry, options, junctions, borders) {
+        const parts = Geometry.decomposeGeometry(geometry);
+        const result = { polygons: null, lines: [], points: parts.points, bbox: [] };
+
+        if (parts.polygons.length > 0) {
+            const triangulated = parts.polygons.map(rings => Geometry.triangulateRings(rings));
+            result.polygons = Geometry.createPolygonMesh(triangulated);
+            if (borders !== undefined)
+                result.polygons.borders = Geometry.createArcMeshes(borders);
+            result.polygons.lods = options.simplify ? Geometry.createLodMeshes(parts.polygons, options, junctions, borders) : [];
+            if (result.polygons.triangles.length === 0)
+                result.polygons = null;
+            else
+                Geometry.addToBounds(result.bbox, result.polygons.triangles[0].vertices, 4);
+        }
+        for (const line of parts.lines) {
+            const stroke = Geometry.processLine(line);
+            if (stroke.indices.length > 0)
+                result.lines.push(stroke);
+            Geometry.addToBounds(result.bbox, stroke.vertices, 14);
+        }
+        for (const point of parts.points)
+            Geometry.addToBounds(result.bbox, point, 2);
+        return result;
+    }
+
+    /**
+     * Converts the geometries of all the Features (see processFeature). The junctions of the polygons are found first,
+     * so the borders shared by polygons are simplified the same way.
+     * @static
+     * @param {Array<JSON>} geometries - GeoJSON Geometry Objects.
+     * @param {{simplify: boolean, simplifyTolerance: number, lodZoomLevels: number[], tileSize: number}} options - The options used (see GisplayOptions).
+     * @param {Array<Array<{arc: number, line: Array<Array<number>>}>>} [borders] - The arcs of each geometry (see processFeature), undefined for the ones without arcs.
+     * @returns {Array<Object>} - The result of processFeature for each geometry.
+     * @memberOf Geometry
+     */
+    static processFeatures(geometries, options, borders = []) {
+        const junctions = options.simplify ? Geometry.findJunctions(geometries) : undefined;
+        return geometries.map((geometry, i) => Geometry.processFeature(geometry, options, junctions, borders[i]));
+    }
+
+    /**
+     * Returns the ArrayBuffers of all the meshes in the results of processFeature, to be transferred from the worker.
+     * @static
+     * @param {Array<Object>} results - The results of processFeature.
+     * @returns {Array<ArrayBuffer>} - The ArrayBuffers, each one only once.
+     * @memberOf Geometry
+     */
+    static transferables(results) {
+        const buffers = new Set();
+        const addMeshes = meshes => {
+            for (const mesh of meshes) {
+                buffers.add(mesh.vertices.buffer);
+                buffers.add(mesh.indices.buffer);
+            }
+        };
+        for (const result of results) {
+            addMeshes(result.lines);
+            if (result.polygons === null)
+                continue;
+            addMeshes(result.polygons.triangles);
+            addMeshes(result.polygons.borders);
+            for (const lod of result.polygons.lods) {
+                addMeshes(lod.triangles);
+                addMeshes(lod.borders);
+            }
+        }
+        return Array.from(buffers);
+    }
+
+    /**
+     * Finds the positions where the borders of the polygons of the given geometries meet, so the borders they share are simplified the same way.
+     * @static
+     * @param {Array<JSON>} geometries - GeoJSON Geometry Objects.
+     * @returns {Set<string>} - The junctions (see Simplify.findJunctions) or undefined if there are no polygons.
+     * @memberOf Geometry
+     */
+    static findJunctions(geometries) {
+        const rings = [];
+        for (const geometry of geometries)
+            for (const polygon of Geometry.decomposeGeometry(geometry).polygons)
+                for (const ring of polygon)
+                    rings.push(ring);
+        return rings.length > 0 ? Simplify.findJunctions(rings) : undefined;
+    }
+
+    /**
+     * Splits a GeoJSON geometry into it's polygons, lines and points. Multi geometries give one part for each geometry
+     * and GeometryCollections are split recursively.
+     * @static
+     * @param {JSON} geometry - GeoJSON Geometry Object (can be null).
+     * @param {{polygons: Array, lines: Array, points: Array}} [parts] - Where to add the parts found. Used on the recursive calls.
+     * @returns {{polygons: Array<Array<Array<Array<number>>>>, lines: Array<Array<Array<number>>>, points: Array<Array<number>>}} -
+     * The coordinates of each Polygon, LineString and Point found.
+     * @throws {GisplayDataError} When the type of the geometry is not a GeoJSON geometry type.
+     * @memberOf Geometry
+     */
+    static decomposeGeometry(geometry, parts = { polygons: [], lines: [], points: [] }) {
+        if (geometry === null || geometry === undefined)
+            return parts;
+        switch (geometry.type) {
+            case "Point":
+                parts.points.push(geometry.coordinates);
+                break;
+            case "MultiPoint":
+                for (const point of geometry.coordinates)
+                    parts.points.push(point);
+                break;
+            case "LineString":
+                parts.lines.push(geometry.coordinates);
+                break;
+            case "MultiLineString":
+                for (const line of geometry.coordinates)
+                    parts.lines.push(line);
+                break;
+            case "Polygon":
+                parts.polygons.push(geometry.coordinates);
+                break;
+            case "MultiPolygon":
+                for (const polygon of geometry.coordinates)
+                    parts.polygons.push(polygon);
+                break;
+            case "GeometryCollection":
+                for (const g of geometry.geometries)
+                    Geometry.decomposeGeometry(g, parts);
+                break;
+            default:
+                throw new GisplayDataError(`"${geometry.type}" is not a GeoJSON geometry type.`);
+        }
+        return parts;
+    }
+
+    /**
+     * Triangulates one polygon given it's rings. The 1st ring is the outside of the polygon, the others are holes.
+     * The last position of each ring (equal to the first) is not used, the borders are closed strokes.
+     * Rings that cross the antimeridian are unwrapped, so earcut doesn't create triangles across the whole world,
+     * and holes are moved to the same copy of the world as the outside ring.
+     * @static
+     * @param {Array<Array<Array<number>>>} rings - GeoJSON Polygon coordinates.
+     * @returns {{triangles: Array<number>, vertices: Array<number>, rings: Array<Array<number>>}} - The triangles (indices of vertices),
+     * the vertices of all rings and the vertices of each ring.
+     * @memberOf Geometry
+     */
+    static triangulateRings(rings) {
+        const vertices = new Array();
+        const holes = new Array();
+        const ringsVertices = new Array();
+        let referenceLon;
+        for (let [r, ring] of rings.entries()) {
+            if (ring.length === 0)
+                continue;
+            ring = Geometry.unwrapLongitudes(ring, referenceLon);
+            if (referenceLon === undefined)
+                referenceLon = ring[0][0];
+            const last = ring.length - 1;
+            const closed = last > 0 && ring[0][0] === ring[last][0] && ring[0][1] === ring[last][1];
+            const ringVertices = new Array();
+            for (let i = 0; i < (closed ? last : ring.length); i++)
+                ringVertices.push(ring[i][0], ring[i][1]);
+
+            if (r > 0)
+                holes.push(vertices.length / 2);
+            for (const v of ringVertices)
+                vertices.push(v);
+            ringsVertices.push(ringVertices);
+        }
+        const triangles = earcut(vertices, holes.length > 0 ? holes : null);
+        return { triangles, vertices, rings: ringsVertices };
+    }
+
+    /**
+     * Creates the triangles and borders meshes of the polygons of one Feature for each level of detail (see GisplayOptions.lodZoomLevels).
+     * The tolerance of each level is simplifyTolerance pixels at the highest zoom of the level. Rings smaller than that are removed.
+     * @static
+     * @param {Array<Array<Array<Array<number>>>>} polygons - GeoJSON Polygon coordinates.
+     * @param {{simplifyTolerance: number, lodZoomLevels: number[], tileSize: number}} options - The options used (see GisplayOptions).
+     * @param {Set<string>} [junctions] - Positions that must be kept (see Simplify.findJunctions).
+     * @param {Array<{arc: number, line: Array<Array<number>>}>} [borders] - Arcs drawn as the borders instead of the rings (see processFeature), simplified the same way.
+     * @returns {Array<{triangles: Array<{vertices: Float32Array, indices: Uint32Array}>, borders: Array<{vertices: Float32Array, indices: Uint32Array}>}>} -
+     * Triangles and borders meshes of each level of detail.
+     * @memberOf Geometry
+     */
+    static createLodMeshes(polygons, options, junctions, borders) {
+        const lods = [];
+        for (const zoom of options.lodZoomLevels) {
+            const tolerance = options.simplifyTolerance * 360 / (options.tileSize * 2 ** zoom); //Degrees
+            const triangulated = [];
+            for (const rings of polygons) {
+                const simplifiedRings = rings.map(ring => Simplify.simplifyRing(ring, tolerance, junctions));
+                if (simplifiedRings.length > 0 && simplifiedRings[0].length > 0)
+                    triangulated.push(Geometry.triangulateRings(simplifiedRings.filter(ring => ring.length > 0)));
+            }
+            const lod = Geometry.createPolygonMesh(triangulated);
+            if (borders !== undefined)
+                lod.borders = Geometry.createArcMeshes(borders.map(({ arc, line }) => ({ arc, line: Simplify.simplifyLine(line, tolerance, junctions) })));
+            lods.push(lod);
+        }
+        return lods;
+    }
+
+    /**
+     * Creates the borders meshes of a Feature from the arcs of it's polygons (see processLine), instead of the rings.
+     * Each mesh keeps the index of it's arc, so an arc shared by several Features is only drawn once when they are grouped.
+     * @static
+     * @param {Array<{arc: number, line: Array<Array<number>>}>} borders - The index and GeoJSON LineString coordinates of each arc.
+     * @returns {Array<{vertices: Float32Array, indices: Uint32Array, arc: number}>} - One mesh for each arc with segments.
+     * @memberOf Geometry
+     */
+    static createArcMeshes(borders) {
+        return borders.map(({ arc, line }) => Object.assign(Geometry.processLine(line), { arc })).filter(stroke => stroke.indices.length > 0);
+    }
+
+    /**
+     * Joins the triangulated polygons (see triangulateRings) of one Feature in one mesh: the vertices of all polygons and
+     * the indices of the triangles (from earcut). The borders are another mesh, with the strokes of all the rings (see createStroke).
+     * The meshes are kept (not WebGLBuffers) so the polygons can be grouped again in one WebGLBuffer per Aesthetic object
+     * when the Features change (see Map.createPolygonBatches). Each vertex of the triangles has 4 values (see setPosition).
+     * @static
+     * @param {Array<{triangles: Array<number>, vertices: Array<number>, rings: Array<Array<number>>}>} polygons - The triangulated polygons.
+     * @returns {{triangles: Array<{vertices: Float32Array, indices: Uint32Array}>, borders: Array<{vertices: Float32Array, indices: Uint32Array}>}} -
+     * The triangles and borders meshes (empty arrays if there are no vertices).
+     * @memberOf Geometry
+     */
+    static createPolygonMesh(polygons) {
+        const vertices = [];
+        const triangles = [];
+        const strokes = [];
+        for (const polygon of polygons) {
+            const start = vertices.length / 2;
+            for (const t of polygon.triangles)
+                triangles.push(start + t);
+            for (const v of polygon.vertices)
+                vertices.push(v);
+            for (const ring of polygon.rings)
+                strokes.push(Geometry.createStroke(ring, true));
+        }
+        if (vertices.length === 0)
+            return { triangles: [], borders: [] };
+        return {
+            triangles: [{ vertices: Geometry.splitPositions(vertices), indices: new Uint32Array(triangles) }],
+            borders: [Geometry.joinMeshes(strokes, 14)]
+        };
+    }
+
+    /**
+     * Joins meshes in one, the indices of each mesh are moved by the number of vertices before it.
+     * @static
+     * @param {Array<{vertices: Float32Array, indices: Uint32Array}>} meshes - The meshes to join.
+     * @param {number} itemSize - Number of values of each vertex.
+     * @param {Function} [IndexArray=Uint32Array] - Type of the indices array.
+     * @returns {{vertices: Float32Array, indices: Uint32Array}} - The mesh with all the vertices and indices.
+     * @memberOf Geometry
+     */
+    static joinMeshes(meshes, itemSize, IndexArray = Uint32Array) {
+        const vertices = new Float32Array(meshes.reduce((sum, m) => sum + m.vertices.length, 0));
+        const indices = new IndexArray(meshes.reduce((sum, m) => sum + m.indices.length, 0));
+        let vOffset = 0, iOffset = 0;
+        for (const mesh of meshes) {
+            vertices.set(mesh.vertices, vOffset * itemSize);
+            for (const i of mesh.indices)
+                indices[iOffset++] = i + vOffset;
+            vOffset += mesh.vertices.length / itemSize;
+        }
+        return { vertices, indices };
+    }
+
+    /**
+     * Splits a mesh in meshes of at most maxVertices vertices, each with the triangles whose vertices fit in it.
+     * Used when 32 bit indices are not available and a geometry has more vertices than 16 bit indices can address.
+     * The vertices used by triangles of several meshes are copied to each one.
+     * @static
+     * @param {{vertices: Float32Array, indices: Uint32Array}} mesh - The mesh to split. Every 3 indices are one triangle.
+     * @param {number} itemSize - Number of values of each vertex.
+     * @param {number} maxVertices - Maximum number of vertices of each mesh (at least 3).
+     * @returns {Array<{vertices: Float32Array, indices: Uint32Array}>} - The meshes, only the given one if it's not bigger than maxVertices.
+     * @memberOf Geometry
+     */
+    static splitMesh(mesh, itemSize, maxVertices) {
+        const numVertices = mesh.vertices.length / itemSize;
+        if (numVertices <= maxVertices)
+            return [mesh];
+        const meshes = [];
+        const newIndex = new Int32Array(numVertices).fill(-1); //Index of each vertex in the current mesh
+        let used = [], indices = [];
+        const flush = () => {
+            const vertices = new Float32Array(used.length * itemSize);
+            for (const [i, v] of used.entries()) {
+                vertices.set(mesh.vertices.subarray(v * itemSize, (v + 1) * itemSize), i * itemSize);
+                newIndex[v] = -1;
+            }
+            meshes.push({ vertices, indices: new Uint32Array(indices) });
+            used = [];
+            indices = [];
+        };
+        for (let t = 0; t + 2 < mesh.indices.length; t += 3) {
+            if (used.length + 3 > maxVertices)
+                flush();
+            for (let k = t; k < t + 3; k++) {
+                const v = mesh.indices[k];
+                if (newIndex[v] === -1) {
+                    newIndex[v] = used.length;
+                    used.push(v);
+                }
+                indices.push(newIndex[v]);
+            }
+        }
+        if (indices.length > 0)
+            flush();
+        return meshes;
+    }
+
+    /**
+     * Converts one line into the stroke needed to draw it with a given width (see createStroke). Lines that cross the antimeridian are unwrapped first.
+     * @static
+     * @param {Array<Array<number>>} coordinates - GeoJSON LineString coordinates.
+     * @returns {{vertices: Float32Array, indices: Uint32Array}} - The stroke mesh.
+     * @memberOf Geometry
+     */
+    static processLine(coordinates) {
+        const points = [];
+        for (const [lng, lat] of Geometry.unwrapLongitudes(coordinates))
+            points.push(lng, lat);
+        return Geometry.createStroke(points, false);
+    }
+
+    /**
+     * Creates the mesh of a stroke (line or ring) to be drawn with a width in pixels. Each segment [A, B] is a quad (4 vertices, 2 triangles)
+     * and each vertex has: it's position, the position of the other end of the segment, the position before it (A's previous or B's next,
+     * or itself at the ends of a line), the side where it goes (±1 on A, ±2 on B) and the distance from the start of the line to A, in pixels at zoom 0.
+     * Positions have 4 values each (see setPosition).
+     * The vertex shader moves each vertex half the width to it's side, in pixels, and joins the segments (see WebGLUtils.generateLineShadersSourceCode).
+     * @static
+     * @param {Array<number>} points - The positions (longitude, latitude) of the line.
+     * @param {boolean} closed - If the last position connects to the first (rings).
+     * @returns {{vertices: Float32Array, indices: Uint32Array}} - 14 values per vertex, 4 vertices and 6 indices per segment.
+     * @memberOf Geometry
+     */
+    static createStroke(points, closed) {
+        const unique = [];
+        for (let i = 0; i < points.length; i += 2) {
+            const n = unique.length;
+            if (n === 0 || unique[n - 2] !== points[i] || unique[n - 1] !== points[i + 1])
+                unique.push(points[i], points[i + 1]);
+        }
+        if (closed && unique.length > 2 && unique[0] === unique[unique.length - 2] && unique[1] === unique[unique.length - 1])
+            unique.length -= 2;
+
+        const n = unique.length / 2;
+        const numSegments = closed ? (n > 2 ? n : 0) : Math.max(n - 1, 0);
+        const vertices = new Float32Array(numSegments * 4 * 14);
+        const indices = new Uint32Array(numSegments * 6);
+        const point = i => closed ? (i + n) % n : Math.min(Math.max(i, 0), n - 1); //Lines use their ends as neighbours
+        let distance = 0;
+        const vertex = (index, x, y, ox, oy, nbx, nby, side) => {
+            const offset = index * 14;
+            Geometry.setPosition(vertices, offset, x, y);
+            Geometry.setPosition(vertices, offset + 4, ox, oy);
+            Geometry.setPosition(vertices, offset + 8, nbx, nby);
+            vertices[offset + 12] = side;
+            vertices[offset + 13] = distance;
+        };
+        for (let s = 0; s < numSegments; s++) {
+            const a = point(s), b = point(s + 1), before = point(s - 1), after = point(s + 2);
+            const [ax, ay, bx, by] = [unique[a * 2], unique[a * 2 + 1], unique[b * 2], unique[b * 2 + 1]];
+            const [px, py, nx, ny] = [unique[before * 2], unique[before * 2 + 1], unique[after * 2], unique[after * 2 + 1]];
+            vertex(s * 4, ax, ay, bx, by, px, py, 1);
+            vertex(s * 4 + 1, ax, ay, bx, by, px, py, -1);
+            vertex(s * 4 + 2, bx, by, ax, ay, nx, ny, -2);
+            vertex(s * 4 + 3, bx, by, ax, ay, nx, ny, 2);
+            indices.set([s * 4, s * 4 + 1, s * 4 + 2, s * 4 + 2, s * 4 + 1, s * 4 + 3], s * 6);
+
+            const pa = Geometry.latLongToPixelXY(ax, ay);
+            const pb = Geometry.latLongToPixelXY(bx, by);
+            distance += Math.hypot(pb.x - pa.x, pb.y - pa.y);
+        }
+        return { vertices, indices };
+    }
+
+    /**
+     * Writes one position in 4 values: the longitude and latitude rounded to float32 (high parts) and what was lost on the rounding (low parts).
+     * The GPU subtracts the center of the map from both parts separately (see WebGLUtils.projectionShaderCode), so there's no loss of precision
+     * at street level zooms, which float32 alone (about 1 meter) doesn't have.
+     * @static
+     * @param {Float32Array} array - Where to write.
+     * @param {number} offset - Index of the 1st value.
+     * @param {number} lon - The longitude.
+     * @param {number} lat - The latitude.
+     * @returns {void}
+     * @memberOf Geometry
+     */
+    static setPosition(array, offset, lon, lat) {
+        array[offset] = lon;
+        array[offset + 1] = lat;
+        array[offset + 2] = lon - array[offset];
+        array[offset + 3] = lat - array[offset + 1];
+    }
+
+    /**
+     * Converts positions with 2 values (longitude, latitude) to the 4 values used by the buffers (see setPosition).
+     * @static
+     * @param {Array<number>} coords - The longitude and latitude of each position.
+     * @returns {Float32Array} - The high and low parts of each position.
+     * @memberOf Geometry
+     */
+    static splitPositions(coords) {
+        const array = new Float32Array(coords.length * 2);
+        for (let i = 0; i < coords.length; i += 2)
+            Geometry.setPosition(array, i * 2, coords[i], coords[i + 1]);
+        return array;
+    }
+
+    /**
+     * Makes the longitudes of a ring or line continuous: when two consecutive positions are more than 180 degrees apart
+     * the line is crossing the antimeridian, so 360 is added or subtracted to the next positions (e.g., 179, -179 becomes 179, 181).
+     * The result can have longitudes beyond ±180, those parts are drawn on the next copy of the world (see Map.getWorldCopies).
+     * @static
+     * @param {Array<Array<number>>} coordinates - GeoJSON positions.
+     * @param {number} [referenceLon] - If given, the positions are moved (by 360 degrees) to be as close as possible to this longitude.
+     * @returns {Array<Array<number>>} - The positions with continuous longitudes. The same array if nothing changed.
+     * @memberOf Geometry
+     */
+    static unwrapLongitudes(coordinates, referenceLon) {
+        let shift = (referenceLon === undefined || coordinates.length === 0) ? 0 : Math.round((referenceLon - coordinates[0][0]) / 360) * 360;
+        let crosses = false;
+        for (let i = 1; i < coordinates.length && !crosses; i++)
+            crosses = Math.abs(coordinates[i][0] - coordinates[i - 1][0]) > 180;
+        if (!crosses && shift === 0)
+            return coordinates;
+
+        const unwrapped = new Array(coordinates.length);
+        for (let i = 0; i < coordinates.length; i++) {
+            if (i > 0) {
+                const delta = coordinates[i][0] - coordinates[i - 1][0];
+                if (delta > 180)
+                    shift -= 360;
+                else if (delta < -180)
+                    shift += 360;
+            }
+            unwrapped[i] = [coordinates[i][0] + shift, coordinates[i][1]];
+        }
+        return unwrapped;
+    }
+
+    /**
+     * Updates a bounding box with the given vertices.
+     * @static
+     * @param {number[]} bbox - [minLon, minLat, maxLon, maxLat] (empty if there's none yet). Changed by this method.
+     * @param {Array<number>} vertices - Vertices with the longitude and latitude as the first two values.
+     * @param {number} stride - Number of values of each vertex.
+     * @returns {void}
+     * @memberOf Geometry
+     */
+    static addToBounds(bbox, vertices, stride) {
+        for (let i = 0; i < vertices.length; i += stride) {
+            const lon = vertices[i], lat = vertices[i + 1];
+            if (bbox.length === 0)
+                bbox.push(lon, lat, lon, lat);
+            else {
+                bbox[0] = Math.min(bbox[0], lon);
+                bbox[1] = Math.min(bbox[1], lat);
+                bbox[2] = Math.max(bbox[2], lon);
+                bbox[3] = Math.max(bbox[3], lat);
+            }
+        }
+    }
+
+    /**
+     * Converts geographic coordinates (longitude, latitude) to Web Mercator pixels at zoom 0 (256 pixels for the whole world).
+     * @static
+     * @param {number} longitude - The longitude.
+     * @param {number} latitude - The latitude.
+     * @returns {{x: number, y: number}} - The pixel.
+     * @see http://gisgeography.com/latitude-longitude-coordinates/
+     * @memberOf Geometry
+     */
+    static latLongToPixelXY(longitude, latitude) {
+        const pi_180 = Math.PI / 180.0;
+        const pi_4 = Math.PI * 4;
+        const sinLatitude = Math.sin(latitude * pi_180);
+        const pixelY = (0.5 - Math.log((1 + sinLatitude) / (1 - sinLatitude)) / (pi_4)) * 256;
+        const pixelX = ((longitude + 180) / 360) * 256;
+        return { x: pixelX, y: pixelY };
+    }
+}
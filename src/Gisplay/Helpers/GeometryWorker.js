@@ -0,0 +1,352 @@
+import { Geometry } from './Geometry';
+import { Simplify } from './Simplify';
+import { ClassBreaks } from './ClassBreaks';
+import { SpatialIndex } from './SpatialIndex';
+import { PolygonIndex } from './PolygonIndex';
+import { GisplayDataError } from '../GisplayErrors';
+
+/**
+ * The Blob URLs of the worker script, by the workerScripts it imports (see GeometryWorker.scriptUrl). Null when the script could not be made.
+ * @type {Object<string, string>}
+ */
+const workerUrls = {};
+
+/**
+ * Runs the heavy work of making a map in a Web Worker, so big datasets don't freeze the page (and the loader): the class breaks,
+ * Geometry.processFeatures (triangulation, strokes and levels of detail) and the k-d Tree and the bounding boxes of the polygons used on clicks.
+ * The results come back as transferred typed arrays and plain objects, the main thread only uploads the meshes to WebGL and links the indexes to the Features.
+ * The worker script is made on the page, no file has to be served: it has the source of the classes it uses and of the earcut loaded by the page (see source),
+ * and it's loaded from a Blob URL. One worker is created for each map and used for all it's requests.
+ * When useWorker is off, workers are not available or the script can't be made the requests run on the main thread. Errors in the worker reject the requests.
+ * @class GeometryWorker
+ */
+export class GeometryWorker {
+
+    /**
+     * Creates an instance of GeometryWorker and starts the worker, if it's used.
+     * @param {GisplayOptions} options - The options of the map (useWorker and workerScripts).
+     * @memberOf GeometryWorker
+     */
+    constructor(options) {
+        /**
+         * The Web Worker, null when the requests run on the main thread.
+         * @type {Worker}
+         */
+        this.worker = null;
+        /**
+         * The callbacks of the requests sent to the worker that were not answered yet, by request id.
+         * @type {Object<number, {resolve: Function, reject: Function}>}
+         */
+        this.requests = {};
+        /**
+         * The id of the next request.
+         * @type {number}
+         */
+        this.nextRequest = 0;
+        /**
+         * The error that stopped the worker, every request made after it is rejected with it.
+         * @type {Error}
+         */
+        this.error = null;
+
+        if (!options.useWorker || !GeometryWorker.isAvailable())
+            return;
+        const url = GeometryWorker.scriptUrl(options);
+        if (url === null)
+            return;
+        this.worker = new Worker(url);
+        this.worker.onmessage = e => this.onMessage(e.data);
+        this.worker.onerror = (e) => { //E.g., one of the workerScripts could not be loaded
+            e.preventDefault();
+            this.stop(new Error(`The geometry worker failed: ${e.message}`));
+        };
+    }
+
+    /**
+     * Processes the geometries of the Features (see Geometry.processFeatures).
+     * @param {Array<JSON>} geometries - GeoJSON Geometry Objects.
+     * @param {GisplayOptions} options - The options of the map. Only the ones used by Geometry are sent to the worker.
+     * @param {Array<Array<Object>>} [borders] - The arcs of each geometry read from TopoJSON (see Geometry.processFeatures).
+     * @returns {Promise<Array<Object>>} - Resolved with the result of Geometry.processFeature for each geometry, in the same order.
+     * @memberOf GeometryWorker
+     */
+    process(geometries, options, borders = []) {
+        return this.request({ type: 'process', geometries, options: GeometryWorker.geometryOptions(options), borders });
+    }
+
+    /**
+     * Processes the geometries of the Features (see process) and builds the indexes of their points and polygons.
+     * Without a worker only the geometries are processed, the indexes are built on the main thread (see Map.buildIndexes).
+     * @param {Array<JSON>} geometries - GeoJSON Geometry Objects.
+     * @param {GisplayOptions} options - The options of the map.
+     * @param {Array<Array<Object>>} [borders] - The arcs of each geometry read from TopoJSON (see Geometry.processFeatures).
+     * @returns {Promise<{results: Array<Object>, pointOrder: Uint32Array, polygonBoxes: Float64Array}>} - Resolved with the processed geometries, the order
+     * of their points in the k-d Tree (see SpatialIndex.kdTreeOrder) and the bounding boxes of their polygons (see PolygonIndex.bboxes), null if there are no polygons.
+     * @memberOf GeometryWorker
+     */
+    processAndIndex(geometries, options, borders = []) {
+        if (this.worker === null && this.error === null)
+            return this.process(geometries, options, borders).then(results => ({ results }));
+        return this.request({ type: 'processAndIndex', geometries, options: GeometryWorker.geometryOptions(options), borders });
+    }
+
+    /**
+     * Calculates the class breaks of the values (see ClassBreaks.calculate).
+     * @param {Float64Array} values - The values, transferred to the worker.
+     * @param {string} method - The algorithm to use (classBreaksMethod).
+     * @param {number} numberOfClasses - Number of classes.
+     * @returns {Promise<number[]>} - Resolved with the class breaks.
+     * @memberOf GeometryWorker
+     */
+    classBreaks(values, method, numberOfClasses) {
+        return this.request({ type: 'classBreaks', values, method, numberOfClasses }, [values.buffer]);
+    }
+
+    /**
+     * Sends a request to the worker, or runs it on the main thread when there's no worker (see handle).
+     * @param {Object} message - The request, type is the name of the request.
+     * @param {Array<ArrayBuffer>} [transfer] - The ArrayBuffers of the message that are transferred to the worker.
+     * @returns {Promise<Object>} - Resolved with the result of the request, rejected with it's error.
+     * @memberOf GeometryWorker
+     */
+    request(message, transfer = []) {
+        if (this.error !== null)
+            return Promise.reject(this.error);
+        if (this.worker === null) {
+            try {
+                return Promise.resolve(GeometryWorker.handle(message).result);
+            }
+            catch (error) {
+                return Promise.reject(error);
+            }
+        }
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequest++;
+            this.requests[id] = { resolve, reject };
+            this.worker.postMessage(Object.assign({ id }, message), transfer);
+        });
+    }
+
+    /**
+     * Receives the answer of the worker to a request (see listen).
+     * @param {{id: number, result: Object, error: {name: string, message: string}}} data - The answer, error is only given when the request failed.
+     * @returns {void}
+     * @memberOf GeometryWorker
+     */
+    onMessage(data) {
+        const request = this.requests[data.id];
+        if (request === undefined)
+            return;
+        delete this.requests[data.id];
+        if (data.error === undefined)
+            request.resolve(data.result);
+        else if (data.error.name === 'GisplayDataError')
+            request.reject(new GisplayDataError(data.error.message));
+        else
+            request.reject(new Error(`The geometry worker failed: ${data.error.message}`));
+    }
+
+    /**
+     * Terminates the worker and rejects the requests that were not answered, and the ones made after, with the given error.
+     * @param {Error} error - Why the worker was stopped.
+     * @returns {void}
+     * @memberOf GeometryWorker
+     */
+    stop(error) {
+        if (this.worker !== null)
+            this.worker.terminate();
+        this.worker = null;
+        this.error = error;
+        const requests = Object.values(this.requests);
+        this.requests = {};
+        for (const request of requests)
+            request.reject(error);
+    }
+
+    /**
+     * Terminates the worker, used when the map is destroyed.
+     * @returns {void}
+     * @memberOf GeometryWorker
+     */
+    terminate() {
+        this.stop(new Error('The geometry worker was terminated.'));
+    }
+
+    /**
+     * Runs a request, in the worker or on the main thread.
+     * @static
+     * @param {{type: string}} message - The request (see process, processAndIndex and classBreaks).
+     * @returns {{result: Object, transfer: Array<ArrayBuffer>}} - The result and the ArrayBuffers that can be transferred with it.
+     * @throws {Error} When the type of the request is not known.
+     * @memberOf GeometryWorker
+     */
+    static handle(message) {
+        switch (message.type) {
+            case 'process': {
+                const results = Geometry.processFeatures(message.geometries, message.options, message.borders);
+                return { result: results, transfer: Geometry.transferables(results) };
+            }
+            case 'processAndIndex': {
+                const results = Geometry.processFeatures(message.geometries, message.options, message.borders);
+                const { pointOrder, polygonBoxes } = GeometryWorker.buildIndexes(message.geometries, results);
+                const transfer = Geometry.transferables(results).concat([pointOrder.buffer]);
+                if (polygonBoxes !== null)
+                    transfer.push(polygonBoxes.buffer);
+                return { result: { results, pointOrder, polygonBoxes }, transfer };
+            }
+            case 'classBreaks':
+                return { result: ClassBreaks.calculate(Array.from(message.values), message.method, message.numberOfClasses), transfer: [] };
+            default:
+                throw new Error(`"${message.type}" is not a geometry worker request.`);
+        }
+    }
+
+    /**
+     * Builds the indexes used on clicks that don't need the Features themselves: the order of the points in the k-d Tree
+     * (the points of each geometry in order, like Map.treepoints) and the bounding boxes of the polygons, in the order PolygonIndex indexes them.
+     * @static
+     * @param {Array<JSON>} geometries - GeoJSON Geometry Objects.
+     * @param {Array<Object>} results - The processed geometries (see Geometry.processFeatures).
+     * @returns {{pointOrder: Uint32Array, polygonBoxes: Float64Array}} - The order of the points and the bounding boxes, null if there are no polygons.
+     * @memberOf GeometryWorker
+     */
+    static buildIndexes(geometries, results) {
+        const coords = [];
+        for (const result of results)
+            for (const [lon, lat] of result.points)
+                coords.push(lon, lat);
+        const pointOrder = SpatialIndex.kdTreeOrder(new Float64Array(coords));
+
+        const polygonBoxes = results.some(result => result.polygons !== null) ? PolygonIndex.bboxes(geometries) : null;
+        return { pointOrder, polygonBoxes };
+    }
+
+    /**
+     * Returns the options used by Geometry, the only ones sent to the worker.
+     * @static
+     * @param {GisplayOptions} options - The options of the map.
+     * @returns {Object} - simplify, simplifyTolerance, lodZoomLevels and tileSize.
+     * @memberOf GeometryWorker
+     */
+    static geometryOptions(options) {
+        return {
+            simplify: options.simplify,
+            simplifyTolerance: options.simplifyTolerance,
+            lodZoomLevels: options.lodZoomLevels,
+            tileSize: options.tileSize
+        };
+    }
+
+    /**
+     * Checks if Web Workers can be used in this environment.
+     * @static
+     * @returns {boolean} - True if the worker can be used.
+     * @memberOf GeometryWorker
+     */
+    static isAvailable() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Answers the requests sent to the worker, it's the entry point of the worker script (see source):
+     * each one is answered with the request id and the result, or the error, with the typed arrays of the result transferred.
+     * @static
+     * @param {DedicatedWorkerGlobalScope} scope - The global scope of the worker.
+     * @returns {void}
+     * @memberOf GeometryWorker
+     */
+    static listen(scope) {
+        scope.onmessage = (e) => {
+            const message = e.data;
+            try {
+                const { result, transfer } = GeometryWorker.handle(message);
+                scope.postMessage({ id: message.id, result }, transfer);
+            }
+            catch (error) {
+                scope.postMessage({ id: message.id, error: { name: error.name, message: error.message } });
+            }
+        };
+    }
+
+    /**
+     * Returns the Blob URL of the worker script (see source), made once for each workerScripts option.
+     * When the script can't be made (e.g., earcut is not loaded or the classes were renamed by a minifier) a warning is given once
+     * and null is returned, the requests then run on the main thread.
+     * @static
+     * @param {GisplayOptions} options - The options of the map (workerScripts and the ones used by Geometry).
+     * @returns {string} - The URL, null if there's no worker script.
+     * @memberOf GeometryWorker
+     */
+    static scriptUrl(options) {
+        const key = JSON.stringify(options.workerScripts || []);
+        if (workerUrls[key] === undefined) {
+            try {
+                workerUrls[key] = URL.createObjectURL(new Blob([GeometryWorker.source(options)], { type: 'text/javascript' }));
+            }
+            catch (error) {
+                console.warn(`Gisplay: the geometry worker can't be used, the maps are processed on the main thread. ${error.message}`);
+                workerUrls[key] = null;
+            }
+        }
+        return workerUrls[key];
+    }
+
+    /**
+     * Makes the worker script: the source of the classes used by handle, of earcut and the global functions it uses
+     * (or importScripts of the workerScripts, when given) and the call to listen. The script is run on the main thread first, with a small polygon,
+     * so a script that doesn't work (e.g., a bundle that renamed the classes) is found before the worker is created.
+     * @static
+     * @param {GisplayOptions} options - The options of the map (workerScripts and the ones used by Geometry).
+     * @returns {string} - The source of the worker script.
+     * @throws {Error} When earcut is not loaded or the script doesn't work.
+     * @memberOf GeometryWorker
+     */
+    static source(options) {
+        const classes = Object.entries({ GisplayDataError, Simplify, Geometry, SpatialIndex, PolygonIndex, ClassBreaks, GeometryWorker })
+            .map(([name, type]) => `var ${name} = ${type.toString()};`).join('\n');
+        let libraries;
+        if (options.workerScripts !== undefined) //Relative to the page, the Blob URL has no path
+            libraries = `importScripts(${options.workerScripts.map(src => JSON.stringify(new URL(src, location.href).href)).join(', ')});`;
+        else if (typeof earcut === 'function')
+            libraries = GeometryWorker.functionSource('earcut');
+        else
+            throw new Error('earcut is not loaded.');
+
+        const handle = new Function(`${options.workerScripts !== undefined ? '' : libraries}\n${classes}\nreturn GeometryWorker.handle;`)();
+        const square = { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]], [[0.2, 0.2], [0.2, 0.4], [0.4, 0.4], [0.2, 0.2]]] };
+        const { result } = handle({ type: 'processAndIndex', geometries: [square], options: GeometryWorker.geometryOptions(options), borders: [] });
+        if (result.results[0].polygons === null || result.polygonBoxes.length !== 4)
+            throw new Error('The worker script could not triangulate a polygon.');
+        handle({ type: 'classBreaks', values: new Float64Array([1, 2, 3, 10]), method: 'k-means', numberOfClasses: 2 });
+
+        return `${libraries}\n${classes}\nGeometryWorker.listen(self);`;
+    }
+
+    /**
+     * Returns the source of a global function of the page and of every global function it uses, recursively (e.g., earcut and it's helpers).
+     * Each function is given to a var with it's name, so the functions also work when they are not declarations. Native functions are not copied.
+     * @static
+     * @param {string} name - The name of the global function.
+     * @returns {string} - The source of the functions.
+     * @memberOf GeometryWorker
+     */
+    static functionSource(name) {
+        const copied = new Set();
+        const sources = [];
+        const copy = (name) => {
+            copied.add(name);
+            const value = globalThis[name];
+            if (typeof value !== 'function')
+                return;
+            const source = Function.prototype.toString.call(value);
+            if (/\{\s*\[native code\]\s*\}$/.test(source))
+                return;
+            sources.push(`var ${name} = ${source};`);
+            for (const [identifier] of source.matchAll(/(?<![\w$.])[A-Za-z_$][\w$]*/g)) //Property names are not global
+                if (!copied.has(identifier))
+                    copy(identifier);
+        };
+        copy(name);
+        return sources.join('\n');
+    }
+}
@@ -0,0 +1,125 @@
+import { CSV } from './CSV';
+import { GisplayDataError, GisplayOptionError } from '../GisplayErrors';
+
+/**
+ * Class with static methods to join a table of attributes (e.g., statistics by state) to the Features of a GeoJSON FeatureCollection
+ * (e.g., the state boundaries) using a key that both have (e.g., the FIPS code).
+ * Keys are compared as text, numeric keys as numbers, so "01" in the records matches 1 in the Features.
+ * @static
+ * @class Join
+ */
+export class Join {
+
+    /**
+     * Joins the records to the Features. The fields of each record are added to the properties of the Features with the same key,
+     * replacing the properties with the same name. The Features and the data given are not changed, the Features returned are copies.
+     * @static
+     * @param {JSON} geojson - The GeoJSON FeatureCollection.
+     * @param {Array<Object>|string} table - The records, or CSV/TSV text with one record per row (see CSV.toRecords).
+     * @param {Object} options - How to join.
+     * @param {string} options.featureKey - The property of the Features with the key.
+     * @param {string} [options.recordKey=options.featureKey] - The field of the records with the key.
+     * @param {string[]} [options.fields] - Fields of the records added to the Features. All but the key by default.
+     * @param {string} [options.missing=keep] - What to do with the Features without a record: 'keep' them, with the fields as null, or 'drop' them.
+     * @param {string} [options.duplicates=first] - Which record is joined when several have the same key: the 'first', the 'last' or 'error' to throw a GisplayDataError.
+     * @returns {{geojson: JSON, report: {matchedFeatures: number, unmatchedFeatures: Array<JSON>, unmatchedRecords: Array<Object>, duplicateKeys: Array<string>}}} -
+     * The FeatureCollection with the joined Features and the report: the number of Features joined, the Features (as given) and records without a match
+     * and the keys of the records that appeared more than once.
+     * @throws {GisplayOptionError} When the options are not valid.
+     * @throws {GisplayDataError} When duplicates is 'error' and there are duplicate keys.
+     * @memberOf Join
+     */
+    static attributes(geojson, table, options) {
+        Join.validate(options);
+        const { featureKey, recordKey = featureKey, missing = 'keep', duplicates = 'first' } = options;
+        const records = typeof table === 'string' ? CSV.toRecords(table).records : table;
+
+        const byKey = new Map();
+        const duplicateKeys = new Set();
+        for (const record of records) {
+            const key = Join.normalizeKey(record[recordKey]);
+            if (key === null)
+                continue;
+            if (byKey.has(key)) {
+                if (duplicates === 'error')
+                    throw new GisplayDataError(`Several records have the key "${record[recordKey]}" (${recordKey}).`);
+                duplicateKeys.add(key);
+                if (duplicates === 'first')
+                    continue;
+            }
+            byKey.set(key, record);
+        }
+        const fields = options.fields !== undefined ? options.fields :
+            Array.from(new Set([].concat(...records.map(r => Object.keys(r))))).filter(f => f !== recordKey);
+
+        const matchedKeys = new Set();
+        const unmatchedFeatures = [];
+        const features = [];
+        for (const feature of geojson.features) {
+            const key = Join.normalizeKey(feature.properties !== null && feature.properties !== undefined ? feature.properties[featureKey] : undefined);
+            const record = key === null ? undefined : byKey.get(key);
+            if (record === undefined) {
+                unmatchedFeatures.push(feature);
+                if (missing === 'drop')
+                    continue;
+            }
+            else
+                matchedKeys.add(key);
+            const properties = Object.assign({}, feature.properties);
+            for (const field of fields)
+                properties[field] = record !== undefined && record[field] !== undefined ? record[field] : null;
+            features.push(Object.assign({}, feature, { properties }));
+        }
+
+        const unmatchedRecords = records.filter(r => !matchedKeys.has(Join.normalizeKey(r[recordKey])));
+        return {
+            geojson: Object.assign({}, geojson, { features }),
+            report: {
+                matchedFeatures: geojson.features.length - unmatchedFeatures.length,
+                unmatchedFeatures,
+                unmatchedRecords,
+                duplicateKeys: Array.from(duplicateKeys)
+            }
+        };
+    }
+
+    /**
+     * Checks the options of a join.
+     * @static
+     * @param {Object} options - The options (see attributes).
+     * @throws {GisplayOptionError} When an option is missing or not valid.
+     * @returns {void}
+     * @memberOf Join
+     */
+    static validate(options) {
+        if (options === null || typeof options !== 'object')
+            throw new GisplayOptionError('join', 'must be an object.');
+        if (typeof options.featureKey !== 'string')
+            throw new GisplayOptionError('join', 'featureKey (the property of the Features with the key) must be a string.');
+        if (options.recordKey !== undefined && typeof options.recordKey !== 'string')
+            throw new GisplayOptionError('join', 'recordKey must be a string.');
+        if (options.fields !== undefined && (!Array.isArray(options.fields) || options.fields.some(f => typeof f !== 'string')))
+            throw new GisplayOptionError('join', 'fields must be an array of strings.');
+        if (options.missing !== undefined && !['keep', 'drop'].includes(options.missing))
+            throw new GisplayOptionError('join', `missing "${options.missing}" is not one of: keep, drop.`);
+        if (options.duplicates !== undefined && !['first', 'last', 'error'].includes(options.duplicates))
+            throw new GisplayOptionError('join', `duplicates "${options.duplicates}" is not one of: first, last, error.`);
+    }
+
+    /**
+     * Returns the key used to compare a value: numbers (or numeric text) as their number, other values as their trimmed text.
+     * @static
+     * @param {*} value - The value of the key.
+     * @returns {string|null} - The key, null if the value is empty.
+     * @memberOf Join
+     */
+    static normalizeKey(value) {
+        if (value === undefined || value === null)
+            return null;
+        const text = String(value).trim();
+        if (text === '')
+            return null;
+        const number = CSV.toNumber(text);
+        return number !== null ? String(number) : text;
+    }
+}
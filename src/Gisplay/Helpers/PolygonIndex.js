@@ -0,0 +1,158 @@
+import { Geometry } from './Geometry';
+import { SpatialIndex } from './SpatialIndex';
+
+/**
+ * Index of the polygons of the Features, used to find the Feature where the user clicked (see Map.searchRTree).
+ * Every Polygon, also the ones of MultiPolygons and GeometryCollections, is indexed by the bounding box of it's outside ring in a SpatialIndex
+ * and the Feature it belongs to is the one returned. Rings that cross the antimeridian are unwrapped (see Geometry.unwrapLongitudes),
+ * so their bounding boxes can be beyond ±180 and the copies of the click on the previous and next worlds are searched too.
+ * @class PolygonIndex
+ */
+export class PolygonIndex {
+
+    /**
+     * Creates an instance of PolygonIndex.
+     * @param {Array<JSON>} features - GeoJSON Features.
+     * @param {Float64Array} [bboxes] - The bounding boxes of the polygons of the Features calculated in the worker (see bboxes).
+     * Calculated here when not given or when their number doesn't match the polygons.
+     * @memberOf PolygonIndex
+     */
+    constructor(features, bboxes) {
+        /**
+         * The indexed polygons: the Feature, the rings (GeoJSON Polygon coordinates) and the bounding box of the outside ring.
+         * @type {Array<{feature: JSON, rings: Array<Array<Array<number>>>, bbox: number[]}>}
+         */
+        this.polygons = [];
+        /**
+         * The grid with the bounding boxes of the polygons.
+         * @type {SpatialIndex}
+         */
+        this.index = undefined;
+        this.add(features, bboxes);
+    }
+
+    /**
+     * Adds the polygons of new Features to the index. The grid of the SpatialIndex is created again.
+     * @param {Array<JSON>} features - GeoJSON Features.
+     * @param {Float64Array} [bboxes] - The bounding boxes of their polygons (see constructor).
+     * @returns {void}
+     * @memberOf PolygonIndex
+     */
+    add(features, bboxes) {
+        const polygons = PolygonIndex.polygonsOf(features.map(f => f.geometry));
+        const given = bboxes !== undefined && bboxes !== null && bboxes.length === polygons.length * 4;
+        for (const [i, { geometry, rings }] of polygons.entries())
+            this.polygons.push({
+                feature: features[geometry],
+                rings,
+                bbox: given ? Array.from(bboxes.subarray(i * 4, i * 4 + 4)) : PolygonIndex.boundingBox(rings)
+            });
+        this.index = new SpatialIndex(this.polygons, polygon => polygon.bbox);
+    }
+
+    /**
+     * Finds the Feature with a polygon that contains the position, outside of it's holes. When polygons overlap
+     * (e.g., an enclave whose surrounding polygon has no hole) the Feature of the smallest one is returned.
+     * @param {number} lon - The longitude, between -180 and 180.
+     * @param {number} lat - The latitude.
+     * @returns {JSON} - The Feature found, undefined if there's none.
+     * @memberOf PolygonIndex
+     */
+    search(lon, lat) {
+        let found, foundArea;
+        for (const x of [lon, lon - 360, lon + 360])
+            for (const polygon of this.index.search([x, lat, x, lat])) {
+                const [minLon, minLat, maxLon, maxLat] = polygon.bbox;
+                const area = (maxLon - minLon) * (maxLat - minLat);
+                if ((found === undefined || area < foundArea) && PolygonIndex.contains(polygon.rings, x, lat)) {
+                    found = polygon.feature;
+                    foundArea = area;
+                }
+            }
+        return found;
+    }
+
+    /**
+     * Returns the polygons of the geometries, in the order they are indexed. Polygons without an outside ring are skipped.
+     * @static
+     * @param {Array<JSON>} geometries - GeoJSON Geometry Objects (can be null).
+     * @returns {Array<{geometry: number, rings: Array<Array<Array<number>>>}>} - The index of the geometry of each polygon and it's rings.
+     * @memberOf PolygonIndex
+     */
+    static polygonsOf(geometries) {
+        const polygons = [];
+        for (const [i, geometry] of geometries.entries())
+            for (const rings of Geometry.decomposeGeometry(geometry).polygons)
+                if (rings.length > 0 && rings[0].length > 0)
+                    polygons.push({ geometry: i, rings });
+        return polygons;
+    }
+
+    /**
+     * Calculates the bounding boxes of the polygons of the geometries (see polygonsOf), in the worker for big datasets.
+     * @static
+     * @param {Array<JSON>} geometries - GeoJSON Geometry Objects.
+     * @returns {Float64Array} - [minLon, minLat, maxLon, maxLat] of each polygon.
+     * @memberOf PolygonIndex
+     */
+    static bboxes(geometries) {
+        const polygons = PolygonIndex.polygonsOf(geometries);
+        const bboxes = new Float64Array(polygons.length * 4);
+        for (const [i, { rings }] of polygons.entries())
+            bboxes.set(PolygonIndex.boundingBox(rings), i * 4);
+        return bboxes;
+    }
+
+    /**
+     * Returns the bounding box of the outside ring of a polygon, with it's longitudes unwrapped.
+     * @static
+     * @param {Array<Array<Array<number>>>} rings - GeoJSON Polygon coordinates.
+     * @returns {number[]} - [minLon, minLat, maxLon, maxLat].
+     * @memberOf PolygonIndex
+     */
+    static boundingBox(rings) {
+        const bbox = [];
+        for (const [lon, lat] of Geometry.unwrapLongitudes(rings[0]))
+            Geometry.addToBounds(bbox, [lon, lat], 2);
+        return bbox;
+    }
+
+    /**
+     * Checks if a position is inside a polygon and not inside one of it's holes. The rings are unwrapped like the ones triangulated (see Geometry.triangulateRings).
+     * @static
+     * @param {Array<Array<Array<number>>>} rings - GeoJSON Polygon coordinates.
+     * @param {number} lon - The longitude, in the same copy of the world as the bounding box of the polygon.
+     * @param {number} lat - The latitude.
+     * @returns {boolean} - True if the polygon contains the position.
+     * @memberOf PolygonIndex
+     */
+    static contains(rings, lon, lat) {
+        const outside = Geometry.unwrapLongitudes(rings[0]);
+        if (!PolygonIndex.insideRing(outside, lon, lat))
+            return false;
+        for (let r = 1; r < rings.length; r++)
+            if (rings[r].length > 0 && PolygonIndex.insideRing(Geometry.unwrapLongitudes(rings[r], outside[0][0]), lon, lat))
+                return false;
+        return true;
+    }
+
+    /**
+     * Checks if a position is inside a ring, counting how many of it's edges a ray from the position crosses.
+     * @static
+     * @param {Array<Array<number>>} ring - GeoJSON positions, the last one can be equal to the first.
+     * @param {number} lon - The longitude.
+     * @param {number} lat - The latitude.
+     * @returns {boolean} - True if the position is inside.
+     * @see https://wrf.ecse.rpi.edu/Research/Short_Notes/pnpoly.html
+     * @memberOf PolygonIndex
+     */
+    static insideRing(ring, lon, lat) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i], [xj, yj] = ring[j];
+            if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi)
+                inside = !inside;
+        }
+        return inside;
+    }
+}
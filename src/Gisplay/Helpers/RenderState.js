@@ -0,0 +1,238 @@
+/**
+ * Keeps track of the WebGL state used to draw the maps, so each frame only changes what is different from the last draw call.
+ * - Programs have their attribute and uniform locations cached when they are created (see WebGLUtils.cacheLocations).
+ * - The vertex attributes of each buffer are set once in a vertex array object (OES_vertex_array_object) and later only the VAO is bound.
+ *   Without the extension the attributes are set on every draw call, enabling only the ones that are needed.
+ * - Uniforms are only uploaded when their value changes, the projection is calculated once per frame for each copy of the world.
+ * It also counts what is done in each frame, used by the profiling option (see Map.redraw).
+ * @class RenderState
+ */
+export class RenderState {
+
+    /**
+     * Creates an instance of RenderState.
+     * @param {WebGLRenderingContext} gl - The WebGLRenderingContext to be used.
+     * @param {Function} projectionOf - Receives the copy of the world and returns the projection uniforms (see WebGLUtils.highPrecisionProjection).
+     * @memberOf RenderState
+     */
+    constructor(gl, projectionOf) {
+        /**
+         * The WebGLRenderingContext.
+         * @type {WebGLRenderingContext}
+         */
+        this.gl = gl;
+        /**
+         * The OES_vertex_array_object extension, null if it's not available.
+         * @type {OES_vertex_array_object|null}
+         */
+        this.vaoExt = gl.getExtension('OES_vertex_array_object');
+        /**
+         * The program in use.
+         * @type {WebGLProgram|null}
+         */
+        this.program = null;
+        /**
+         * The vertex array object bound.
+         * @type {WebGLVertexArrayObjectOES|null}
+         */
+        this.vertexArray = null;
+        /**
+         * Attribute locations enabled, only used when there are no vertex array objects.
+         * @type {Set<number>}
+         */
+        this.enabledAttributes = new Set();
+        /**
+         * Function that calculates the projection of a copy of the world.
+         * @type {Function}
+         */
+        this.projectionOf = projectionOf;
+        /**
+         * Projections already calculated in this frame. Key is the copy of the world.
+         * @type {Map<number, Object>}
+         */
+        this.projections = new Map();
+        /**
+         * What was done in the current frame (see endFrame).
+         * @type {{drawCalls: number, programChanges: number, vertexArrayBinds: number, attributeSetups: number, uniformUploads: number, projections: number}}
+         */
+        this.stats = RenderState.emptyStats();
+    }
+
+    /**
+     * Starts a new frame: the projections of the last frame are forgotten (the map may have moved) and the counters go back to 0.
+     * @returns {void}
+     * @memberOf RenderState
+     */
+    beginFrame() {
+        this.projections.clear();
+        this.stats = RenderState.emptyStats();
+    }
+
+    /**
+     * Ends the frame. The default vertex array object is bound again, so buffers created outside the frame don't change the last VAO.
+     * @returns {Object} - What was done in the frame (see stats).
+     * @memberOf RenderState
+     */
+    endFrame() {
+        this.bindVertexArray(null);
+        return this.stats;
+    }
+
+    /**
+     * Makes the program current, if it isn't already.
+     * @param {WebGLProgram} program - The program.
+     * @returns {void}
+     * @memberOf RenderState
+     */
+    useProgram(program) {
+        if (this.program === program)
+            return;
+        this.gl.useProgram(program);
+        this.program = program;
+        this.stats.programChanges++;
+    }
+
+    /**
+     * Uploads a uniform of the program if it's value changed since the last upload. The program must be current.
+     * @param {WebGLProgram} program - The program (with cached locations).
+     * @param {string} name - Name of the uniform. Uniforms that are not used by the shaders are ignored.
+     * @param {string} method - The WebGLRenderingContext method used to upload it (e.g., 'uniform4f', 'uniform2fv').
+     * @param {...(number|Float32Array)} values - The values given to the method.
+     * @returns {void}
+     * @memberOf RenderState
+     */
+    uniform(program, name, method, ...values) {
+        const location = program.uniforms[name];
+        if (location === undefined)
+            return;
+        const flat = values.length === 1 && ArrayBuffer.isView(values[0]) ? values[0] : values;
+        const last = program.uniformValues[name];
+        if (last !== undefined && last.length === flat.length && last.every((v, i) => v === flat[i]))
+            return;
+        program.uniformValues[name] = Array.from(flat);
+        this.gl[method](location, ...values);
+        this.stats.uniformUploads++;
+    }
+
+    /**
+     * Uploads the projection of a copy of the world (u_center, u_mercator and u_clipScale) to the program.
+     * The projection is calculated only once per frame for each copy and only uploaded when the program has another one.
+     * @param {WebGLProgram} program - The program, must be current.
+     * @param {number} worldCopy - The copy of the world (see Map.getWorldCopies).
+     * @returns {void}
+     * @memberOf RenderState
+     */
+    setProjection(program, worldCopy) {
+        let projection = this.projections.get(worldCopy);
+        if (projection === undefined) {
+            projection = this.projectionOf(worldCopy);
+            this.projections.set(worldCopy, projection);
+            this.stats.projections++;
+        }
+        this.uniform(program, 'u_center', 'uniform4fv', projection.center);
+        this.uniform(program, 'u_mercator', 'uniform4fv', projection.mercator);
+        this.uniform(program, 'u_clipScale', 'uniform2fv', projection.clipScale);
+    }
+
+    /**
+     * Draws a buffer with the current program. The attributes are read from the buffer as described by the layout.
+     * @param {WebGLProgram} program - The program, must be current.
+     * @param {WebGLBuffer} buffer - An ARRAY_BUFFER (drawn with drawArrays) or an ELEMENT_ARRAY_BUFFER with it's vertexBuffer (drawn with drawElements).
+     * @param {{stride: number, attributes: Array<Array>}} layout - Number of floats of each vertex and, for each attribute, it's name, size and offset (in floats).
+     * @param {number} mode - What to draw (e.g., gl.TRIANGLES, gl.POINTS).
+     * @returns {void}
+     * @memberOf RenderState
+     */
+    draw(program, buffer, layout, mode) {
+        const gl = this.gl;
+        if (this.vaoExt === null)
+            this.setupAttributes(program, buffer, layout);
+        else {
+            if (buffer.vao === undefined || buffer.vaoProgram !== program) {
+                this.deleteVertexArray(buffer);
+                buffer.vao = this.vaoExt.createVertexArrayOES();
+                buffer.vaoProgram = program;
+                this.bindVertexArray(buffer.vao);
+                this.setupAttributes(program, buffer, layout);
+            }
+            this.bindVertexArray(buffer.vao);
+        }
+        if (buffer.vertexBuffer !== undefined)
+            gl.drawElements(mode, buffer.numItems, buffer.indexType, 0);
+        else
+            gl.drawArrays(mode, 0, buffer.numItems);
+        this.stats.drawCalls++;
+    }
+
+    /**
+     * Points the attributes of the program to the buffer (and binds the indices). With vertex array objects this is saved in the bound VAO.
+     * @param {WebGLProgram} program - The program (with cached locations).
+     * @param {WebGLBuffer} buffer - The ARRAY_BUFFER or ELEMENT_ARRAY_BUFFER.
+     * @param {{stride: number, attributes: Array<Array>}} layout - The layout of the vertices (see draw).
+     * @returns {void}
+     * @memberOf RenderState
+     */
+    setupAttributes(program, buffer, layout) {
+        const gl = this.gl;
+        const fsize = Float32Array.BYTES_PER_ELEMENT;
+        const locations = new Set();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer.vertexBuffer !== undefined ? buffer.vertexBuffer : buffer);
+        for (const [name, size, offset] of layout.attributes) {
+            const location = program.attributes[name];
+            if (location === undefined)
+                continue;
+            locations.add(location);
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, fsize * layout.stride, fsize * offset);
+        }
+        if (buffer.vertexBuffer !== undefined)
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffer);
+        if (this.vaoExt === null) { //Attributes left enabled by other draws would be read out of their buffers
+            for (const location of this.enabledAttributes)
+                if (!locations.has(location))
+                    gl.disableVertexAttribArray(location);
+            this.enabledAttributes = locations;
+        }
+        this.stats.attributeSetups++;
+    }
+
+    /**
+     * Binds a vertex array object, if it isn't already.
+     * @param {WebGLVertexArrayObjectOES|null} vao - The VAO, null for the default one.
+     * @returns {void}
+     * @memberOf RenderState
+     */
+    bindVertexArray(vao) {
+        if (this.vaoExt === null || this.vertexArray === vao)
+            return;
+        this.vaoExt.bindVertexArrayOES(vao);
+        this.vertexArray = vao;
+        this.stats.vertexArrayBinds++;
+    }
+
+    /**
+     * Deletes the vertex array object of a buffer (if it has one). Must be called before the buffer is deleted.
+     * @param {WebGLBuffer} buffer - The buffer.
+     * @returns {void}
+     * @memberOf RenderState
+     */
+    deleteVertexArray(buffer) {
+        if (buffer.vao === undefined)
+            return;
+        if (this.vertexArray === buffer.vao)
+            this.bindVertexArray(null);
+        this.vaoExt.deleteVertexArrayOES(buffer.vao);
+        buffer.vao = undefined;
+        buffer.vaoProgram = undefined;
+    }
+
+    /**
+     * Returns the counters of a frame, all at 0.
+     * @static
+     * @returns {{drawCalls: number, programChanges: number, vertexArrayBinds: number, attributeSetups: number, uniformUploads: number, projections: number}}
+     * @memberOf RenderState
+     */
+    static emptyStats() {
+        return { drawCalls: 0, programChanges: 0, vertexArrayBinds: 0, attributeSetups: 0, uniformUploads: 0, projections: 0 };
+    }
+}
@@ -0,0 +1,402 @@
+import { GisplayDataError, GisplayOptionError } from '../GisplayErrors';
+
+/**
+ * Encodings of the dBASE language driver ids (byte 29 of the .dbf header), used when there is no .cpg file.
+ * Only the ones the TextDecoder of the browsers can decode.
+ * @type {Object<number, string>}
+ */
+const LANGUAGE_DRIVERS = {
+    0x03: 'windows-1252', 0x13: 'shift_jis', 0x4D: 'gbk', 0x4E: 'euc-kr', 0x4F: 'big5', 0x57: 'windows-1252', 0x58: 'windows-1252',
+    0x59: 'windows-1252', 0x65: 'ibm866', 0x7C: 'windows-874', 0x7D: 'windows-1255', 0x7E: 'windows-1256',
+    0xC8: 'windows-1250', 0xC9: 'windows-1251', 0xCA: 'windows-1254', 0xCB: 'windows-1253', 0xCC: 'windows-1257'
+};
+
+/**
+ * Class with static methods to read ESRI shapefiles: the geometries of the .shp file and the attributes of the .dbf file
+ * are converted to GeoJSON Features. Points, MultiPoints, PolyLines and Polygons (also their Z and M types, only x and y are read) are supported.
+ * The rings of the polygons are grouped in polygons with holes using their orientation (outer rings are clockwise) and
+ * written with the orientation of GeoJSON (outer rings counterclockwise).
+ * @see https://www.esri.com/library/whitepapers/pdfs/shapefile.pdf
+ * @see http://www.dbase.com/Knowledgebase/INT/db7_file_fmt.htm
+ * @static
+ * @class Shapefile
+ */
+export class Shapefile {
+
+    /**
+     * Converts a shapefile to a GeoJSON FeatureCollection.
+     * @static
+     * @param {ArrayBuffer} shp - The .shp file.
+     * @param {ArrayBuffer} [dbf] - The .dbf file. Without it the Features have no properties.
+     * @param {Object} [options={}] - The other files of the shapefile and how to read them.
+     * @param {string|ArrayBuffer} [options.prj] - The .prj file (WKT). Only geographic coordinates and Web Mercator are read, other projections need toLonLat.
+     * @param {string|ArrayBuffer} [options.cpg] - The .cpg file with the encoding of the .dbf (e.g., UTF-8, 1252).
+     * @param {string} [options.encoding] - Encoding of the .dbf, instead of the one of the .cpg. By default the one of the .cpg,
+     * then the one of the language driver of the .dbf, then UTF-8 if the text is valid UTF-8 and windows-1252 otherwise.
+     * @param {Function} [options.toLonLat] - Receives the x and y of each position and returns [longitude, latitude], e.g. the inverse of proj4.
+     * @returns {{type: string, features: Array<JSON>}} - The GeoJSON FeatureCollection.
+     * @throws {GisplayDataError} When the files are not valid or the coordinates are projected and can't be converted.
+     * @throws {GisplayOptionError} When the encoding is not supported.
+     * @memberOf Shapefile
+     */
+    static toGeoJSON(shp, dbf, options = {}) {
+        return { type: 'FeatureCollection', features: Array.from(Shapefile.readFeatures(shp, dbf, options)) };
+    }
+
+    /**
+     * Reads the Features of a shapefile one at a time, so they can be loaded in chunks without converting the whole file first.
+     * Records marked as deleted in the .dbf are skipped.
+     * @static
+     * @param {ArrayBuffer} shp - The .shp file.
+     * @param {ArrayBuffer} [dbf] - The .dbf file.
+     * @param {Object} [options={}] - The other files and how to read them (see toGeoJSON).
+     * @returns {Iterator<JSON>} - The GeoJSON Features, in the order of the records.
+     * @throws {GisplayDataError} When the files are not valid or the coordinates are projected and can't be converted.
+     * @throws {GisplayOptionError} When the encoding is not supported.
+     * @memberOf Shapefile
+     */
+    static *readFeatures(shp, dbf, options = {}) {
+        const view = new DataView(shp);
+        if (shp.byteLength < 100 || view.getInt32(0, false) !== 9994)
+            throw new GisplayDataError("The .shp file is not a shapefile (file code 9994 not found).");
+        const length = Math.min(view.getInt32(24, false) * 2, shp.byteLength);
+        const bbox = [view.getFloat64(36, true), view.getFloat64(44, true), view.getFloat64(52, true), view.getFloat64(60, true)];
+        const toLonLat = Shapefile.getTransform(options, bbox);
+        const table = dbf !== undefined && dbf !== null ? Shapefile.readTable(dbf, options) : null;
+
+        let record = 0;
+        for (let offset = 100; offset + 12 <= length; record++) {
+            const contentLength = view.getInt32(offset + 4, false) * 2;
+            const content = offset + 8;
+            if (content + contentLength > shp.byteLength)
+                throw new GisplayDataError(`The .shp file ends in the middle of record ${record + 1}.`);
+            const properties = table !== null ? table.read(record) : {};
+            if (properties === undefined)
+                throw new GisplayDataError(`The .dbf file has less records than the .shp file (record ${record + 1} is missing).`);
+            if (properties !== null) //Deleted records are skipped
+                yield { type: 'Feature', properties, geometry: Shapefile.readGeometry(view, content, toLonLat) };
+            offset = content + contentLength;
+        }
+        if (table !== null && record !== table.numRecords)
+            throw new GisplayDataError(`The .shp file has ${record} records, the .dbf file has ${table.numRecords}.`);
+    }
+
+    /**
+     * Reads the geometry of one record.
+     * @static
+     * @param {DataView} view - The .shp file.
+     * @param {number} offset - Where the record content starts (after the record header).
+     * @param {Function} toLonLat - Converts the positions to [longitude, latitude].
+     * @returns {JSON} - The GeoJSON geometry or null for Null shapes.
+     * @throws {GisplayDataError} When the shape type is not supported (MultiPatch) or not valid.
+     * @memberOf Shapefile
+     */
+    static readGeometry(view, offset, toLonLat) {
+        const shapeType = view.getInt32(offset, true);
+        const point = (o) => toLonLat(view.getFloat64(o, true), view.getFloat64(o + 8, true));
+        switch (shapeType) {
+            case 0:
+                return null;
+            case 1: case 11: case 21: //Point, PointZ, PointM
+                return { type: 'Point', coordinates: point(offset + 4) };
+            case 8: case 18: case 28: { //MultiPoint
+                const numPoints = view.getInt32(offset + 36, true);
+                const coordinates = [];
+                for (let i = 0; i < numPoints; i++)
+                    coordinates.push(point(offset + 40 + i * 16));
+                return { type: 'MultiPoint', coordinates };
+            }
+            case 3: case 13: case 23: //PolyLine
+            case 5: case 15: case 25: { //Polygon
+                const numParts = view.getInt32(offset + 36, true);
+                const numPoints = view.getInt32(offset + 40, true);
+                const points = offset + 44 + numParts * 4;
+                const parts = [];
+                for (let p = 0; p < numParts; p++) {
+                    const start = view.getInt32(offset + 44 + p * 4, true);
+                    const end = p < numParts - 1 ? view.getInt32(offset + 48 + p * 4, true) : numPoints;
+                    const part = [];
+                    for (let i = start; i < end; i++)
+                        part.push(point(points + i * 16));
+                    parts.push(part);
+                }
+                const isPolygon = shapeType % 10 === 5;
+                if (isPolygon)
+                    return Shapefile.toPolygons(parts);
+                return parts.length === 1 ? { type: 'LineString', coordinates: parts[0] } : { type: 'MultiLineString', coordinates: parts };
+            }
+            case 31: //MultiPatch
+                throw new GisplayDataError("The shapefile has MultiPatch (3D surface) shapes, only Points, MultiPoints, PolyLines and Polygons can be read.");
+            default:
+                throw new GisplayDataError(`The .shp file has a record with shape type ${shapeType}, which is not a valid shape type.`);
+        }
+    }
+
+    /**
+     * Groups the rings of a shapefile polygon in polygons: each clockwise ring is an outer ring and each counterclockwise ring
+     * is a hole of the smallest outer ring that contains it (if none contains it, it's an outer ring too).
+     * @static
+     * @param {Array<Array<number[]>>} rings - The rings of the record.
+     * @returns {JSON} - GeoJSON Polygon or MultiPolygon, null if there are no rings.
+     * @memberOf Shapefile
+     */
+    static toPolygons(rings) {
+        const polygons = [];
+        const holes = [];
+        for (const ring of rings) {
+            if (ring.length < 4)
+                continue;
+            if (Shapefile.signedArea(ring) <= 0)
+                polygons.push([ring.slice().reverse()]); //Clockwise in the shapefile, counterclockwise in GeoJSON
+            else
+                holes.push(ring);
+        }
+        for (const hole of holes) { //The smallest outer ring that contains it (islands can be inside holes of other polygons)
+            let polygon, area = Infinity;
+            for (const p of polygons) {
+                const a = Shapefile.signedArea(p[0]); //Counterclockwise, positive
+                if (a < area && Shapefile.ringContains(p[0], hole[0])) {
+                    polygon = p;
+                    area = a;
+                }
+            }
+            if (polygon !== undefined)
+                polygon.push(hole.slice().reverse());
+            else
+                polygons.push([hole]);
+        }
+        if (polygons.length === 0)
+            return null;
+        return polygons.length === 1 ? { type: 'Polygon', coordinates: polygons[0] } : { type: 'MultiPolygon', coordinates: polygons };
+    }
+
+    /**
+     * Returns the signed area of a ring (shoelace formula): positive when it's counterclockwise.
+     * @static
+     * @param {Array<number[]>} ring - The positions of the ring.
+     * @returns {number} - The signed area.
+     * @memberOf Shapefile
+     */
+    static signedArea(ring) {
+        let sum = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++)
+            sum += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+        return sum / 2;
+    }
+
+    /**
+     * Checks if a point is inside a ring (ray casting).
+     * @static
+     * @param {Array<number[]>} ring - The positions of the ring.
+     * @param {number[]} point - The point.
+     * @returns {boolean} - True if it's inside.
+     * @memberOf Shapefile
+     */
+    static ringContains(ring, [x, y]) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i], [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi)
+                inside = !inside;
+        }
+        return inside;
+    }
+
+    /**
+     * Returns the function that converts the positions of the shapefile to [longitude, latitude], using the .prj file.
+     * Geographic coordinates are used as they are and Web Mercator is converted, other projections need the toLonLat option.
+     * @static
+     * @param {Object} options - The options of toGeoJSON.
+     * @param {number[]} bbox - Bounding box of the shapefile (from the .shp header), used to check the coordinates when there is no .prj.
+     * @returns {Function} - Receives x and y and returns [longitude, latitude].
+     * @throws {GisplayDataError} When the coordinates are projected and can't be converted.
+     * @memberOf Shapefile
+     */
+    static getTransform(options, bbox) {
+        if (options.toLonLat !== undefined)
+            return (x, y) => options.toLonLat(x, y);
+        const prj = options.prj !== undefined ? Shapefile.decodeText(options.prj).trim() : '';
+        if (/^PROJCS/i.test(prj)) {
+            if (/Mercator_Auxiliary_Sphere|Pseudo[ _-]?Mercator|Popular Visualisation|EPSG[",]+3857/i.test(prj)) {
+                const R = 6378137;
+                return (x, y) => [x / R * 180 / Math.PI, (2 * Math.atan(Math.exp(y / R)) - Math.PI / 2) * 180 / Math.PI];
+            }
+            const name = (prj.match(/^PROJCS\["([^"]*)"/i) || [])[1];
+            throw new GisplayDataError(`The shapefile coordinates are projected (${name}), only longitude/latitude and Web Mercator can be read. Give the toLonLat option (e.g., with proj4) or reproject it to WGS 84.`);
+        }
+        if (prj === '' && (Math.abs(bbox[0]) > 540 || Math.abs(bbox[2]) > 540 || Math.abs(bbox[1]) > 90 || Math.abs(bbox[3]) > 90))
+            throw new GisplayDataError("The shapefile coordinates are not longitude/latitude and there is no .prj file. Give the toLonLat option or reproject it to WGS 84.");
+        return (x, y) => [x, y];
+    }
+
+    /**
+     * Reads the header of a .dbf file, the records are read when needed.
+     * @static
+     * @param {ArrayBuffer} dbf - The .dbf file.
+     * @param {Object} options - The options of toGeoJSON (cpg and encoding).
+     * @returns {{numRecords: number, fields: Array<{name: string, type: string, length: number}>, read: Function}} -
+     * The number of records, the fields and a function that receives the index of a record and returns it's properties
+     * (null if the record is marked as deleted, undefined after the last one).
+     * @throws {GisplayDataError} When the file is not valid.
+     * @throws {GisplayOptionError} When the encoding is not supported.
+     * @memberOf Shapefile
+     */
+    static readTable(dbf, options) {
+        const view = new DataView(dbf);
+        if (dbf.byteLength < 32)
+            throw new GisplayDataError("The .dbf file is too small to be a dBASE table.");
+        const numRecords = view.getUint32(4, true);
+        const headerLength = view.getUint16(8, true);
+        const recordLength = view.getUint16(10, true);
+        const decode = Shapefile.getDecoder(options, view.getUint8(29));
+
+        const fields = [];
+        for (let offset = 32, start = 1; offset + 32 <= headerLength && view.getUint8(offset) !== 0x0D; offset += 32) {
+            const nameBytes = new Uint8Array(dbf, offset, 11);
+            const end = nameBytes.indexOf(0);
+            const field = {
+                name: Shapefile.decodeText(nameBytes.subarray(0, end === -1 ? 11 : end)).trim(),
+                type: String.fromCharCode(view.getUint8(offset + 11)),
+                length: view.getUint8(offset + 16),
+                start
+            };
+            fields.push(field);
+            start += field.length;
+        }
+
+        const read = (index) => {
+            const offset = headerLength + index * recordLength;
+            if (index >= numRecords || offset + recordLength > dbf.byteLength)
+                return undefined;
+            if (view.getUint8(offset) === 0x2A) //'*', deleted
+                return null;
+            const properties = {};
+            for (const field of fields)
+                properties[field.name] = Shapefile.readValue(view, offset + field.start, field, decode);
+            return properties;
+        };
+        return { numRecords, fields, read };
+    }
+
+    /**
+     * Reads the value of one field of a record. Character fields are strings (without the padding), numeric fields are numbers,
+     * logical fields are booleans, dates are strings (YYYY-MM-DD). Empty values are null, except on character fields.
+     * @static
+     * @param {DataView} view - The .dbf file.
+     * @param {number} offset - Where the value starts.
+     * @param {{type: string, length: number}} field - The field.
+     * @param {Function} decode - Decodes the bytes of text values.
+     * @returns {string|number|boolean|null} - The value.
+     * @memberOf Shapefile
+     */
+    static readValue(view, offset, field, decode) {
+        if (field.type === 'I') //Binary integer (Visual FoxPro)
+            return view.getInt32(offset, true);
+        if (field.type === 'O') //Binary double (dBASE 7)
+            return view.getFloat64(offset, true);
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, field.length);
+        const text = field.type === 'C' ? decode(bytes) : Shapefile.decodeText(bytes);
+        const value = text.replace(/\0/g, '').trim();
+        switch (field.type) {
+            case 'N':
+            case 'F': {
+                const number = parseFloat(value);
+                return isNaN(number) ? null : number;
+            }
+            case 'L':
+                if (/^[YyTt]$/.test(value))
+                    return true;
+                return /^[NnFf]$/.test(value) ? false : null;
+            case 'D':
+                return /^\d{8}$/.test(value) ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : null;
+            case 'C':
+                return value;
+            default:
+                return value === '' ? null : value;
+        }
+    }
+
+    /**
+     * Returns the function that decodes the text of the .dbf, with the encoding of the encoding option, the .cpg or the language driver.
+     * Without any of them each value is decoded as UTF-8 if it's valid UTF-8 and as windows-1252 otherwise.
+     * @static
+     * @param {Object} options - The options of toGeoJSON (cpg and encoding).
+     * @param {number} languageDriver - The language driver id of the .dbf header.
+     * @returns {Function} - Receives the bytes and returns the text.
+     * @throws {GisplayOptionError} When the encoding option is not supported by the browser.
+     * @throws {GisplayDataError} When the encoding of the .cpg is not supported by the browser (the encoding option can be given instead).
+     * @memberOf Shapefile
+     */
+    static getDecoder(options, languageDriver) {
+        const create = (label) => {
+            try {
+                return new TextDecoder(label);
+            } catch (error) {
+                return null;
+            }
+        };
+        if (options.encoding !== undefined) {
+            const decoder = create(options.encoding);
+            if (decoder === null)
+                throw new GisplayOptionError('encoding', `"${options.encoding}" is not an encoding supported by this browser.`);
+            return bytes => decoder.decode(bytes);
+        }
+        if (options.cpg !== undefined) {
+            const label = Shapefile.encodingOfCodePage(Shapefile.decodeText(options.cpg).trim());
+            const decoder = create(label);
+            if (decoder === null)
+                throw new GisplayDataError(`The encoding "${label}" of the .cpg file is not supported by this browser, give the encoding of the .dbf in the encoding option.`);
+            return bytes => decoder.decode(bytes);
+        }
+        if (LANGUAGE_DRIVERS[languageDriver] !== undefined) {
+            const decoder = create(LANGUAGE_DRIVERS[languageDriver]);
+            return bytes => decoder.decode(bytes);
+        }
+        const utf8 = new TextDecoder('utf-8', { fatal: true });
+        const latin = new TextDecoder('windows-1252');
+        return (bytes) => {
+            try {
+                return utf8.decode(bytes);
+            } catch (error) {
+                return latin.decode(bytes);
+            }
+        };
+    }
+
+    /**
+     * Converts the code page of a .cpg file to the label of the encoding used by TextDecoder (e.g., "1252" to "windows-1252", "88591" to "iso-8859-1").
+     * @static
+     * @param {string} codePage - The content of the .cpg file.
+     * @returns {string} - The encoding label.
+     * @memberOf Shapefile
+     */
+    static encodingOfCodePage(codePage) {
+        const page = codePage.replace(/^(ANSI|CP|WINDOWS-?)\s*/i, '');
+        if (/^125\d$/.test(page) || page === '874')
+            return `windows-${page}`;
+        if (/^8859\d+$/.test(page))
+            return `iso-8859-${page.slice(4)}`;
+        if (page === '866')
+            return 'ibm866';
+        if (page === '932')
+            return 'shift_jis';
+        if (page === '936')
+            return 'gbk';
+        if (page === '949')
+            return 'euc-kr';
+        if (page === '950')
+            return 'big5';
+        return codePage;
+    }
+
+    /**
+     * Decodes ASCII/UTF-8 text (field names, numbers and the .prj and .cpg files).
+     * @static
+     * @param {string|ArrayBuffer|Uint8Array} data - The text or it's bytes.
+     * @returns {string} - The text.
+     * @memberOf Shapefile
+     */
+    static decodeText(data) {
+        return typeof data === 'string' ? data : new TextDecoder('utf-8').decode(data);
+    }
+}
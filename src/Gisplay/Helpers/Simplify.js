@@ -0,0 +1,238 @@
+/**
+ * Class with static methods to simplify polygons (Douglas-Peucker) keeping the borders shared by neighbour polygons equal,
+ * so no gaps or overlaps appear between them. Used to create the level of detail (LOD) buffers of each zoom band.
+ * @static
+ * @class Simplify
+ */
+export class Simplify {
+
+    /**
+     * Finds the junctions of the given rings. A junction is a position where the set of rings that use it changes
+     * (e.g., where the border of 2 counties meets a 3rd one). Between 2 junctions every ring that shares the border has
+     * exactly the same positions, so if those parts are simplified alone the result is the same for all the rings.
+     * @static
+     * @param {Array<Array<Array<number>>>} rings - GeoJSON rings (outside and holes) of all polygons.
+     * @returns {Set<string>} - The keys (see Simplify.key) of the junctions.
+     * @memberOf Simplify
+     */
+    static findJunctions(rings) {
+        const ringsOf = new Map(); //Key of the position -> ids of the rings that use it
+        for (const [r, ring] of rings.entries()) {
+            for (let i = 0; i < Simplify.ringLength(ring); i++) {
+                const k = Simplify.key(ring[i]);
+                const ids = ringsOf.get(k);
+                if (ids === undefined)
+                    ringsOf.set(k, [r]);
+                else if (ids[ids.length - 1] !== r)
+                    ids.push(r);
+            }
+        }
+
+        const junctions = new Set();
+        for (const ring of rings) {
+            const n = Simplify.ringLength(ring);
+            for (let i = 0; i < n; i++) {
+                const ids = ringsOf.get(Simplify.key(ring[i]));
+                const previous = ringsOf.get(Simplify.key(ring[(i + n - 1) % n]));
+                const next = ringsOf.get(Simplify.key(ring[(i + 1) % n]));
+                if (!Simplify.sameIds(ids, previous) || !Simplify.sameIds(ids, next))
+                    junctions.add(Simplify.key(ring[i]));
+            }
+        }
+        return junctions;
+    }
+
+    /**
+     * Simplifies one ring. The ring is split on the junctions and each part is simplified with Douglas-Peucker,
+     * always in the same direction so neighbour polygons get the same result.
+     * Rings without junctions are split on the 1st position and the one farthest from it.
+     * @static
+     * @param {Array<Array<number>>} ring - GeoJSON ring, the last position is equal to the 1st.
+     * @param {number} tolerance - Maximum distance, in degrees, between the simplified ring and the original.
+     * @param {Set<string>} [junctions=new Set()] - Positions that must be kept (see Simplify.findJunctions).
+     * @returns {Array<Array<number>>} - The simplified ring (closed) or an empty array if it became smaller than a triangle.
+     * @memberOf Simplify
+     */
+    static simplifyRing(ring, tolerance, junctions = new Set()) {
+        const n = Simplify.ringLength(ring);
+        if (n < 4)
+            return ring;
+
+        let fixed = [];
+        for (let i = 0; i < n; i++)
+            if (junctions.has(Simplify.key(ring[i])))
+                fixed.push(i);
+        if (fixed.length < 2) {
+            const start = fixed.length === 1 ? fixed[0] : 0;
+            let farthest = start, farthestDistance = -1;
+            for (let i = 0; i < n; i++) {
+                const d = (ring[i][0] - ring[start][0]) ** 2 + (ring[i][1] - ring[start][1]) ** 2;
+                if (d > farthestDistance) {
+                    farthest = i;
+                    farthestDistance = d;
+                }
+            }
+            fixed = start < farthest ? [start, farthest] : [farthest, start];
+        }
+
+        const simplified = [];
+        for (let f = 0; f < fixed.length; f++) {
+            const from = fixed[f];
+            const to = f < fixed.length - 1 ? fixed[f + 1] : fixed[0] + n;
+            const chain = [];
+            for (let i = from; i <= to; i++)
+                chain.push(ring[i % n]);
+
+            const reversed = Simplify.key(chain[0]) > Simplify.key(chain[chain.length - 1]);
+            if (reversed)
+                chain.reverse();
+            const part = Simplify.douglasPeucker(chain, tolerance);
+            if (reversed)
+                part.reverse();
+            for (let i = 0; i < part.length - 1; i++) //The last position is the 1st of the next part
+                simplified.push(part[i]);
+        }
+        if (simplified.length < 3)
+            return [];
+        simplified.push(simplified[0]);
+        return simplified;
+    }
+
+    /**
+     * Simplifies one line the same way the rings that contain it are simplified (see simplifyRing): split on the junctions
+     * and each part simplified in the same direction. Closed lines are simplified as rings. Used for the shared arcs of TopoJSON borders.
+     * @static
+     * @param {Array<Array<number>>} line - GeoJSON LineString coordinates.
+     * @param {number} tolerance - Maximum distance, in degrees, between the simplified line and the original.
+     * @param {Set<string>} [junctions=new Set()] - Positions that must be kept (see Simplify.findJunctions).
+     * @returns {Array<Array<number>>} - The simplified line, empty if it was a ring that became smaller than a triangle.
+     * @memberOf Simplify
+     */
+    static simplifyLine(line, tolerance, junctions = new Set()) {
+        if (Simplify.ringLength(line) < line.length)
+            return Simplify.simplifyRing(line, tolerance, junctions);
+
+        const fixed = [0];
+        for (let i = 1; i < line.length - 1; i++)
+            if (junctions.has(Simplify.key(line[i])))
+                fixed.push(i);
+        fixed.push(line.length - 1);
+
+        const simplified = [line[0]];
+        for (let f = 0; f < fixed.length - 1; f++) {
+            const chain = line.slice(fixed[f], fixed[f + 1] + 1);
+            const reversed = Simplify.key(chain[0]) > Simplify.key(chain[chain.length - 1]);
+            if (reversed)
+                chain.reverse();
+            const part = Simplify.douglasPeucker(chain, tolerance);
+            if (reversed)
+                part.reverse();
+            for (let i = 1; i < part.length; i++)
+                simplified.push(part[i]);
+        }
+        return simplified;
+    }
+
+    /**
+     * Douglas-Peucker simplification of a line. The 1st and last positions are always kept.
+     * @static
+     * @param {Array<Array<number>>} line - The positions of the line.
+     * @param {number} tolerance - Maximum distance, in degrees, between the simplified line and the original.
+     * @returns {Array<Array<number>>} - The simplified line.
+     * @see https://en.wikipedia.org/wiki/Ramer%E2%80%93Douglas%E2%80%93Peucker_algorithm
+     * @memberOf Simplify
+     */
+    static douglasPeucker(line, tolerance) {
+        const last = line.length - 1;
+        if (last < 2)
+            return line.slice();
+        const keep = new Uint8Array(line.length);
+        keep[0] = keep[last] = 1;
+        const stack = [[0, last]]; //Not recursive, lines can have thousands of positions
+        const sqTolerance = tolerance * tolerance;
+        while (stack.length > 0) {
+            const [first, end] = stack.pop();
+            let index = -1, maxDistance = sqTolerance;
+            for (let i = first + 1; i < end; i++) {
+                const d = Simplify.sqSegmentDistance(line[i], line[first], line[end]);
+                if (d > maxDistance) {
+                    index = i;
+                    maxDistance = d;
+                }
+            }
+            if (index !== -1) {
+                keep[index] = 1;
+                stack.push([first, index], [index, end]);
+            }
+        }
+        return line.filter((p, i) => keep[i] === 1);
+    }
+
+    /**
+     * Returns the square of the distance from point p to the segment [a, b].
+     * @static
+     * @param {Array<number>} p - The point.
+     * @param {Array<number>} a - Start of the segment.
+     * @param {Array<number>} b - End of the segment.
+     * @returns {number} - The square of the distance.
+     * @memberOf Simplify
+     */
+    static sqSegmentDistance(p, a, b) {
+        let [x, y] = a;
+        let dx = b[0] - x;
+        let dy = b[1] - y;
+        if (dx !== 0 || dy !== 0) {
+            const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+            if (t > 1) {
+                [x, y] = b;
+            }
+            else if (t > 0) {
+                x += dx * t;
+                y += dy * t;
+            }
+        }
+        dx = p[0] - x;
+        dy = p[1] - y;
+        return dx * dx + dy * dy;
+    }
+
+    /**
+     * Number of positions of the ring without the last one when it's equal to the 1st.
+     * @static
+     * @param {Array<Array<number>>} ring - GeoJSON ring.
+     * @returns {number} - Number of different positions of the ring.
+     * @memberOf Simplify
+     */
+    static ringLength(ring) {
+        const last = ring.length - 1;
+        return last > 0 && ring[0][0] === ring[last][0] && ring[0][1] === ring[last][1] ? last : ring.length;
+    }
+
+    /**
+     * Key of a position, used to find the same position on different rings.
+     * @static
+     * @param {Array<number>} position - GeoJSON position.
+     * @returns {string} - The key.
+     * @memberOf Simplify
+     */
+    static key(position) {
+        return position[0] + ',' + position[1];
+    }
+
+    /**
+     * Compares two lists of ring ids.
+     * @static
+     * @param {Array<number>} a - Ids of rings.
+     * @param {Array<number>} b - Ids of rings.
+     * @returns {boolean} - True if both have the same ids.
+     * @memberOf Simplify
+     */
+    static sameIds(a, b) {
+        if (a.length !== b.length)
+            return false;
+        for (const id of a)
+            if (b.indexOf(id) === -1)
+                return false;
+        return true;
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * Index of items with bounding boxes, used to find the Features visible on the map without checking all of them every frame.
+ * The items are put in a uniform grid over the extent of all the bounding boxes, each item in every cell its bounding box touches.
+ * Items that cover too many cells are kept in a separate list that is always checked.
+ * Bounding boxes are [minLon, minLat, maxLon, maxLat] (longitudes can be beyond ±180, see Geometry.unwrapLongitudes).
+ * @class SpatialIndex
+ */
+export class SpatialIndex {
+
+    /**
+     * Creates an instance of SpatialIndex.
+     * @param {Array<Object>} items - The items to index.
+     * @param {Function} bboxOf - Returns the bounding box of an item.
+     * @memberOf SpatialIndex
+     */
+    constructor(items, bboxOf) {
+        /**
+         * The indexed items and their bounding boxes.
+         * @type {Array<{item: Object, bbox: number[]}>}
+         */
+        this.entries = items.map(item => ({ item, bbox: bboxOf(item) }));
+        /**
+         * Extent of all the bounding boxes, [minLon, minLat, maxLon, maxLat].
+         * @type {number[]}
+         */
+        this.extent = SpatialIndex.union(this.entries.map(e => e.bbox));
+        /**
+         * Number of columns and rows of the grid (about 4 items per cell).
+         * @type {number}
+         */
+        this.size = Math.min(Math.max(Math.ceil(Math.sqrt(this.entries.length / 4)), 1), 256);
+        /**
+         * Width and height of each cell, in degrees.
+         * @type {number[]}
+         */
+        this.cellSize = [(this.extent[2] - this.extent[0]) / this.size || 1, (this.extent[3] - this.extent[1]) / this.size || 1];
+        /**
+         * Indices of the entries in each cell.
+         * @type {Array<Array<number>>}
+         */
+        this.cells = Array.from({ length: this.size * this.size }, () => []);
+        /**
+         * Indices of the entries that cover more than maxCells cells.
+         * @type {Array<number>}
+         */
+        this.large = [];
+        /**
+         * Query number of the last query that returned each entry, so an entry in several cells is returned once.
+         * @type {Uint32Array}
+         */
+        this.marks = new Uint32Array(this.entries.length);
+        /**
+         * Number of the last query (see search).
+         * @type {number}
+         */
+        this.query = 0;
+
+        const maxCells = 64;
+        for (const [i, { bbox }] of this.entries.entries()) {
+            const [x0, y0, x1, y1] = this.cellRange(bbox);
+            if ((x1 - x0 + 1) * (y1 - y0 + 1) > maxCells)
+                this.large.push(i);
+            else
+                for (let y = y0; y <= y1; y++)
+                    for (let x = x0; x <= x1; x++)
+                        this.cells[y * this.size + x].push(i);
+        }
+    }
+
+    /**
+     * Returns the items whose bounding box intersects the given one.
+     * @param {number[]} bbox - [minLon, minLat, maxLon, maxLat].
+     * @returns {Array<Object>} - The items, in the order they were given to the constructor when they are in the same cell.
+     * @memberOf SpatialIndex
+     */
+    search(bbox) {
+        if (this.entries.length === 0 || !SpatialIndex.intersects(bbox, this.extent))
+            return [];
+        this.query = (this.query + 1) >>> 0 || 1;
+        const result = [];
+        const check = (i) => {
+            if (this.marks[i] === this.query)
+                return;
+            this.marks[i] = this.query;
+            if (SpatialIndex.intersects(bbox, this.entries[i].bbox))
+                result.push(this.entries[i].item);
+        };
+        const [x0, y0, x1, y1] = this.cellRange(bbox);
+        for (let y = y0; y <= y1; y++)
+            for (let x = x0; x <= x1; x++)
+                for (const i of this.cells[y * this.size + x])
+                    check(i);
+        for (const i of this.large)
+            check(i);
+        return result;
+    }
+
+    /**
+     * Returns the cells touched by a bounding box, clamped to the grid.
+     * @param {number[]} bbox - [minLon, minLat, maxLon, maxLat].
+     * @returns {number[]} - First column, first row, last column and last row.
+     * @memberOf SpatialIndex
+     */
+    cellRange(bbox) {
+        const clamp = v => Math.min(Math.max(v, 0), this.size - 1);
+        return [
+            clamp(Math.floor((bbox[0] - this.extent[0]) / this.cellSize[0])),
+            clamp(Math.floor((bbox[1] - this.extent[1]) / this.cellSize[1])),
+            clamp(Math.floor((bbox[2] - this.extent[0]) / this.cellSize[0])),
+            clamp(Math.floor((bbox[3] - this.extent[1]) / this.cellSize[1]))
+        ];
+    }
+
+    /**
+     * Checks if two bounding boxes intersect (touching counts).
+     * @static
+     * @param {number[]} a - [minLon, minLat, maxLon, maxLat].
+     * @param {number[]} b - [minLon, minLat, maxLon, maxLat].
+     * @returns {boolean} - True if they intersect.
+     * @memberOf SpatialIndex
+     */
+    static intersects(a, b) {
+        return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+    }
+
+    /**
+     * Returns the bounding box that contains all the given ones.
+     * @static
+     * @param {Array<number[]>} bboxes - The bounding boxes.
+     * @returns {number[]} - [minLon, minLat, maxLon, maxLat], empty if there are no bounding boxes.
+     * @memberOf SpatialIndex
+     */
+    static union(bboxes) {
+        if (bboxes.length === 0)
+            return [];
+        const result = bboxes[0].slice();
+        for (const bbox of bboxes) {
+            result[0] = Math.min(result[0], bbox[0]);
+            result[1] = Math.min(result[1], bbox[1]);
+            result[2] = Math.max(result[2], bbox[2]);
+            result[3] = Math.max(result[3], bbox[3]);
+        }
+        return result;
+    }
+
+    /**
+     * Sorts items so the ones that are close to each other on the map are close in the array (Z-order of the centers of their bounding boxes).
+     * Batches of consecutive items then cover small areas, that can be skipped when they are not visible.
+     * @static
+     * @param {Array<Object>} items - The items to sort. Not changed.
+     * @param {Function} bboxOf - Returns the bounding box of an item.
+     * @returns {Array<Object>} - The sorted items.
+     * @memberOf SpatialIndex
+     */
+    static sortByLocation(items, bboxOf) {
+        return SpatialIndex.locationKeys(items, bboxOf).map(k => k.item);
+    }
+
+    /**
+     * Splits items in groups by the cell of a cells x cells grid over their extent where the center of their bounding box is.
+     * The groups are in Z-order (see sortByLocation) and so are the items of each group.
+     * @static
+     * @param {Array<Object>} items - The items to group. Not changed.
+     * @param {Function} bboxOf - Returns the bounding box of an item.
+     * @param {number} [cells=16] - Number of columns and rows of the grid, a power of 2 up to 65536.
+     * @returns {Array<Array<Object>>} - The groups, without empty ones.
+     * @memberOf SpatialIndex
+     */
+    static groupByLocation(items, bboxOf, cells = 16) {
+        const shift = 32 - 2 * Math.log2(cells); //The cells are aligned with the Z-order, the first bits of the key are the cell
+        const groups = [];
+        let cell;
+        for (const { item, key } of SpatialIndex.locationKeys(items, bboxOf)) {
+            const c = shift >= 32 ? 0 : key >>> shift;
+            if (groups.length === 0 || c !== cell)
+                groups.push([]);
+            groups[groups.length - 1].push(item);
+            cell = c;
+        }
+        return groups;
+    }
+
+    /**
+     * Returns the Z-order key of each item (see sortByLocation), sorted by key.
+     * @static
+     * @param {Array<Object>} items - The items. Not changed.
+     * @param {Function} bboxOf - Returns the bounding box of an item.
+     * @returns {Array<{item: Object, key: number}>} - The items with their key.
+     * @memberOf SpatialIndex
+     */
+    static locationKeys(items, bboxOf) {
+        const extent = SpatialIndex.union(items.map(bboxOf));
+        if (extent.length === 0)
+            return [];
+        const width = extent[2] - extent[0] || 1, height = extent[3] - extent[1] || 1;
+        const spread = (v) => { //Puts a 0 bit between each of the 16 bits of v
+            v = (v | (v << 8)) & 0x00FF00FF;
+            v = (v | (v << 4)) & 0x0F0F0F0F;
+            v = (v | (v << 2)) & 0x33333333;
+            return (v | (v << 1)) & 0x55555555;
+        };
+        const keyed = items.map(item => {
+            const bbox = bboxOf(item);
+            const x = Math.round(((bbox[0] + bbox[2]) / 2 - extent[0]) / width * 0xFFFF);
+            const y = Math.round(((bbox[1] + bbox[3]) / 2 - extent[1]) / height * 0xFFFF);
+            return { item, key: (spread(x) | (spread(y) << 1)) >>> 0 };
+        });
+        keyed.sort((a, b) => a.key - b.key);
+        return keyed;
+    }
+
+    /**
+     * Returns the order of the points in a balanced k-d Tree, the same tree built by kdTree (kdtree.js): the points are sorted by
+     * longitude, the median is the root and the points before and after it are the left and right subtrees, sorted by latitude, and so on.
+     * Used to build the tree in the worker, the main thread then only creates it's nodes (see kdTreeNodes).
+     * @static
+     * @param {Float64Array} coords - Longitude and latitude of each point.
+     * @returns {Uint32Array} - The indices of the points, in the order of the tree.
+     * @memberOf SpatialIndex
+     */
+    static kdTreeOrder(coords) {
+        const order = new Uint32Array(coords.length / 2);
+        for (let i = 0; i < order.length; i++)
+            order[i] = i;
+        const sort = (start, end, dimension) => {
+            if (end - start <= 1)
+                return;
+            order.subarray(start, end).sort((a, b) => coords[a * 2 + dimension] - coords[b * 2 + dimension]);
+            const median = start + Math.floor((end - start) / 2);
+            sort(start, median, 1 - dimension);
+            sort(median + 1, end, 1 - dimension);
+        };
+        sort(0, order.length, 0);
+        return order;
+    }
+
+    /**
+     * Creates the nodes of a k-d Tree from the order of it's points (see kdTreeOrder), in the format loaded by kdTree (kdtree.js).
+     * @static
+     * @param {Uint32Array} order - The indices of the points, in the order of the tree.
+     * @param {Array<Object>} points - The points, stored in the nodes.
+     * @returns {{obj: Object, left: Object, right: Object, dimension: number}} - The root node, null if there are no points.
+     * @memberOf SpatialIndex
+     */
+    static kdTreeNodes(order, points) {
+        const node = (start, end, dimension) => {
+            if (start >= end)
+                return null;
+            const median = start + Math.floor((end - start) / 2);
+            return {
+                obj: points[order[median]],
+                left: node(start, median, 1 - dimension),
+                right: node(median + 1, end, 1 - dimension),
+                dimension
+            };
+        };
+        return node(0, order.length, 0);
+    }
+}
@@ -0,0 +1,170 @@
+import { GisplayDataError, GisplayOptionError } from '../GisplayErrors';
+
+/**
+ * Class with static methods to read TopoJSON topologies. The geometries of one object of the topology are converted to GeoJSON Features,
+ * decoding the arcs (delta encoded when the topology is quantized) and stitching them into lines and rings.
+ * The arcs of the polygons of each Feature can also be returned, so they are drawn as it's borders (see Geometry.processFeature):
+ * an arc shared by several polygons (e.g., the border between two counties) is then drawn once by the Features grouped together.
+ * @see https://github.com/topojson/topojson-specification
+ * @static
+ * @class TopoJSON
+ */
+export class TopoJSON {
+
+    /**
+     * Checks if the data is a TopoJSON topology.
+     * @static
+     * @param {JSON} data - The data given to the map.
+     * @returns {boolean} - True if it's a topology.
+     * @memberOf TopoJSON
+     */
+    static isTopology(data) {
+        return data !== null && typeof data === 'object' && data.type === 'Topology';
+    }
+
+    /**
+     * Converts one object of the topology to a GeoJSON FeatureCollection. Each geometry of a GeometryCollection is one Feature,
+     * with it's properties and id. The GeoJSON geometries only have GeoJSON members, the arcs are put in borders.
+     * @static
+     * @param {JSON} topology - The TopoJSON topology.
+     * @param {string} [objectName] - Name of the object to convert. If not given the first object of the topology is used.
+     * @param {WeakMap} [borders] - Where the arcs used by the polygons of each Feature are put, by GeoJSON geometry:
+     * the index of each arc (once, even when the Feature uses it twice) and it's GeoJSON LineString coordinates.
+     * @returns {{type: string, features: Array<JSON>}} - The GeoJSON FeatureCollection.
+     * @throws {GisplayDataError} When the topology has no objects or arcs.
+     * @throws {GisplayOptionError} When the object doesn't exist in the topology.
+     * @memberOf TopoJSON
+     */
+    static toGeoJSON(topology, objectName, borders) {
+        if (topology.objects === null || typeof topology.objects !== 'object' || Object.keys(topology.objects).length === 0)
+            throw new GisplayDataError("The TopoJSON topology has no objects.");
+        if (!Array.isArray(topology.arcs))
+            throw new GisplayDataError("The TopoJSON topology has no arcs array.");
+        const names = Object.keys(topology.objects);
+        const name = objectName !== undefined ? objectName : names[0];
+        if (topology.objects[name] === undefined)
+            throw new GisplayOptionError('topologyObject', `"${name}" is not an object of the topology. Objects: ${names.join(', ')}.`);
+
+        const arcs = TopoJSON.decodeArcs(topology);
+        const object = topology.objects[name];
+        const geometries = object.type === 'GeometryCollection' ? object.geometries : [object];
+        const features = geometries.map((g) => {
+            const feature = { type: 'Feature', properties: Object.assign({}, g.properties), geometry: TopoJSON.convertGeometry(g, arcs, topology.transform) };
+            if (g.id !== undefined)
+                feature.id = g.id;
+            const polygonArcs = new Set(TopoJSON.polygonArcs(g).map(index => index < 0 ? ~index : index));
+            if (borders !== undefined && feature.geometry !== null && polygonArcs.size > 0)
+                borders.set(feature.geometry, Array.from(polygonArcs, arc => ({ arc, line: arcs[arc] })));
+            return feature;
+        });
+        return { type: 'FeatureCollection', features };
+    }
+
+    /**
+     * Decodes the arcs of the topology to positions (longitude, latitude).
+     * Quantized topologies (with a transform) have delta encoded arcs: each position is the difference to the previous one.
+     * @static
+     * @param {JSON} topology - The TopoJSON topology.
+     * @returns {Array<Array<Array<number>>>} - The positions of each arc.
+     * @memberOf TopoJSON
+     */
+    static decodeArcs(topology) {
+        const transform = topology.transform;
+        if (transform === undefined)
+            return topology.arcs.map(arc => arc.map(p => [p[0], p[1]]));
+        const [kx, ky] = transform.scale;
+        const [dx, dy] = transform.translate;
+        return topology.arcs.map(arc => {
+            let x = 0, y = 0;
+            return arc.map(p => {
+                x += p[0];
+                y += p[1];
+                return [x * kx + dx, y * ky + dy];
+            });
+        });
+    }
+
+    /**
+     * Converts a geometry of the topology to a GeoJSON geometry.
+     * @static
+     * @param {JSON} geometry - TopoJSON geometry object.
+     * @param {Array<Array<Array<number>>>} arcs - The decoded arcs (see decodeArcs).
+     * @param {{scale: number[], translate: number[]}} [transform] - Transform of the quantized positions of Points and MultiPoints.
+     * @returns {JSON} - GeoJSON geometry or null when the geometry has no type (null geometry).
+     * @memberOf TopoJSON
+     */
+    static convertGeometry(geometry, arcs, transform) {
+        const point = p => transform === undefined ? [p[0], p[1]] :
+            [p[0] * transform.scale[0] + transform.translate[0], p[1] * transform.scale[1] + transform.translate[1]];
+        const line = indices => TopoJSON.stitch(indices, arcs);
+        const ring = indices => {
+            const positions = line(indices);
+            if (positions.length === 0)
+                return positions;
+            const first = positions[0], last = positions[positions.length - 1];
+            if (first[0] !== last[0] || first[1] !== last[1])
+                positions.push(first.slice());
+            return positions;
+        };
+        switch (geometry.type) {
+            case 'Point':
+                return { type: 'Point', coordinates: point(geometry.coordinates) };
+            case 'MultiPoint':
+                return { type: 'MultiPoint', coordinates: geometry.coordinates.map(point) };
+            case 'LineString':
+                return { type: 'LineString', coordinates: line(geometry.arcs) };
+            case 'MultiLineString':
+                return { type: 'MultiLineString', coordinates: geometry.arcs.map(line) };
+            case 'Polygon':
+                return { type: 'Polygon', coordinates: geometry.arcs.map(ring) };
+            case 'MultiPolygon':
+                return { type: 'MultiPolygon', coordinates: geometry.arcs.map(polygon => polygon.map(ring)) };
+            case 'GeometryCollection':
+                return { type: 'GeometryCollection', geometries: geometry.geometries.map(g => TopoJSON.convertGeometry(g, arcs, transform)).filter(g => g !== null) };
+            case null:
+            case undefined:
+                return null;
+            default:
+                return { type: geometry.type }; //Rejected with a GisplayDataError (see Geometry.decomposeGeometry)
+        }
+    }
+
+    /**
+     * Joins arcs in one line. Negative indices (~index) are the arc in reverse order. The first position of each arc after the first
+     * is the last position of the arc before it, so it's not repeated.
+     * @static
+     * @param {Array<number>} indices - The indices of the arcs.
+     * @param {Array<Array<Array<number>>>} arcs - The decoded arcs (see decodeArcs).
+     * @returns {Array<Array<number>>} - The positions of the line.
+     * @memberOf TopoJSON
+     */
+    static stitch(indices, arcs) {
+        const positions = [];
+        for (const index of indices) {
+            const arc = index < 0 ? arcs[~index].slice().reverse() : arcs[index];
+            for (let i = positions.length > 0 ? 1 : 0; i < arc.length; i++)
+                positions.push(arc[i].slice());
+        }
+        return positions;
+    }
+
+    /**
+     * Returns the indices of the arcs used by the rings of the polygons of a geometry (also inside GeometryCollections).
+     * @static
+     * @param {JSON} geometry - TopoJSON geometry object.
+     * @returns {Array<number>} - The indices of the arcs (negative when used in reverse).
+     * @memberOf TopoJSON
+     */
+    static polygonArcs(geometry) {
+        switch (geometry.type) {
+            case 'Polygon':
+                return [].concat(...geometry.arcs);
+            case 'MultiPolygon':
+                return [].concat(...geometry.arcs.map(polygon => [].concat(...polygon)));
+            case 'GeometryCollection':
+                return [].concat(...geometry.geometries.map(g => TopoJSON.polygonArcs(g)));
+            default:
+                return [];
+        }
+    }
+}
@@ -37,6 +37,68 @@ export class WebGLUtils {
         return { scale: scale, offsetX: offsetX, offsetY: offsetY };
     }
 
+    /**
+     * Calculates the uniforms of the high precision projection (see projectionShaderCode). Positions are projected relative to the center of the map,
+     * so the big values (the center and the vertices) are subtracted before the float32 math of the GPU and the result stays precise at street level zooms.
+     * The center is split in high and low parts like the vertices (see Geometry.setPosition). The Mercator Y is not linear on the latitude,
+     * so near the center it's given by it's Taylor series (u_mercator has Y of the center and the 1st, 2nd and 3rd order coefficients).
+     * @static
+     * @param {number} longitudeCenter - Longitude of the center of the map.
+     * @param {number} latitudeCenter - Latitude of the center of the map.
+     * @param {number} zoom - Current zoom level of the background map.
+     * @param {number} tileSize - The size of each tile in the background map.
+     * @param {number} width - Width of the current canvas.
+     * @param {number} height - Height of the current canvas.
+     * @returns {{center: Float32Array, mercator: Float32Array, clipScale: Float32Array}} - Values of the u_center, u_mercator and u_clipScale uniforms.
+     * @see https://www.cesium.com/blog/2015/05/26/graphics-tech-in-cesium-stack/
+     * @memberOf WebGLUtils
+     */
+    static highPrecisionProjection(longitudeCenter, latitudeCenter, zoom, tileSize, width, height) {
+        const scale = ((tileSize / 2) / Math.PI) * Math.pow(2, zoom); //Pixels per radian
+        const phi = latitudeCenter * (Math.PI / 180);
+        const sec = 1 / Math.cos(phi);
+        const tan = Math.tan(phi);
+
+        const center = new Float32Array(4);
+        center[0] = longitudeCenter;
+        center[1] = latitudeCenter;
+        center[2] = longitudeCenter - center[0];
+        center[3] = latitudeCenter - center[1];
+        return {
+            center,
+            mercator: new Float32Array([Math.log(Math.tan((Math.PI / 4) + (phi / 2))), sec, sec * tan / 2, sec * (tan * tan + sec * sec) / 6]),
+            clipScale: new Float32Array([2 * scale / width, 2 * scale / height])
+        };
+    }
+
+    /**
+     * Creates the GLSL code shared by the vertex shaders to project positions (see highPrecisionProjection): the uniforms and the project function,
+     * which receives the high (xy) and low (zw) parts of the longitude and latitude and returns the position in clip space.
+     * Positions farther than 0.002 radians (in latitude) from the center use the Mercator formula, they are only visible at low zooms where it's precise enough.
+     * @static
+     * @returns {string} - The GLSL code.
+     * @memberOf WebGLUtils
+     */
+    static projectionShaderCode() {
+        return `
+            uniform vec4 u_center;
+            uniform vec4 u_mercator;
+            uniform vec2 u_clipScale;
+
+            vec2 project(vec4 c) {
+                vec2 d = ((c.xy - u_center.xy) + (c.zw - u_center.zw)) * (PI / 180.0);
+                float dy;
+                if (abs(d.y) < 0.002)
+                    dy = d.y * (u_mercator.y + d.y * (u_mercator.z + d.y * u_mercator.w));
+                else {
+                    float phi = (c.y + c.w) * (PI / 180.0);
+                    dy = log(tan((PI/4.0) + phi/2.0)) - u_mercator.x;
+                }
+                return vec2(d.x, dy) * u_clipScale;
+            }
+        `;
+    }
+
     /**
      * This is the result matrix from the multiplication of M1*M2*M3
      * @static
@@ -47,6 +109,7 @@ export class WebGLUtils {
      * @param {number} offsetY - The offsetY calculated with WebMercator projection.
      * @returns {Float32Array} The resulting matrix (M1*M2*M3) in a single matrix to send to WebGL in order to calculate the resulting position.
      * @see Rui's thesis
+     * @deprecated highPrecisionProjection(..) method is used instead.
      * @memberOf WebGLUtils
      */
     static finalMatrix(scale, width, height, offsetX, offsetY) {
@@ -72,21 +135,15 @@ export class WebGLUtils {
             `
             #define PI radians(180.0)
 
-            attribute vec2 coords;
-            uniform mat3 M;
+            attribute vec4 coords;
+            ${this.projectionShaderCode()}
             
          	attribute float aPointSize; 
          	attribute float a_opacity; 
          	varying float v_opacity; 
 
          	void main() {
-                float phi = coords[1] * (PI / 180.0);
-                float YValue = PI -log( tan((PI/4.0) + phi/2.0) );
-                vec3 f = vec3(coords[0], YValue, 1.0);
-                vec3 pixeis = M * f;
-                float X = pixeis[0];
-                float Y = -(pixeis[1]);
-                gl_Position = vec4(X, Y , 0.0, 1.0);
+                gl_Position = vec4(project(coords), 0.0, 1.0);
          		
          		gl_PointSize = aPointSize; 
                 v_opacity = a_opacity; 
@@ -138,7 +195,7 @@ export class WebGLUtils {
 
     /**
      * Initializes:
-     * 1)WebGLProgram, 2) Generates shadders, 3) Attaches shaders to the program, 4) links program, 5) uses program.
+     * 1)WebGLProgram, 2) Generates shadders, 3) Attaches shaders to the program, 4) links program, 5) caches the locations (see cacheLocations), 6) uses program.
      * @static
      * @param {{gl: WebGLRenderingContext, program: WebGLProgram}} webgl 
      * @returns {void}
@@ -155,9 +212,239 @@ export class WebGLUtils {
         webgl.gl.attachShader(webgl.program, fragment_shader);
 
         webgl.gl.linkProgram(webgl.program);
+        this.cacheLocations(webgl.gl, webgl.program);
         webgl.gl.useProgram(webgl.program);
     }
 
+    /**
+     * Creates and links one extra WebGLProgram (e.g., the ones used by Heat Maps) without making it the current program.
+     * @static
+     * @param {{gl: WebGLRenderingContext, program: WebGLProgram}} webgl - Webgl object used by the Map class.
+     * @param {string} vertexCode - The vertex shader source code.
+     * @param {string} fragmentCode - The fragment shader source code.
+     * @returns {WebGLProgram} - The linked program.
+     * @memberOf WebGLUtils
+     */
+    static createExtraWebGLProgram(webgl, vertexCode, fragmentCode) {
+        const program = webgl.gl.createProgram();
+        webgl.gl.attachShader(program, this.createAndCompileShader(webgl.gl.VERTEX_SHADER, vertexCode, webgl));
+        webgl.gl.attachShader(program, this.createAndCompileShader(webgl.gl.FRAGMENT_SHADER, fragmentCode, webgl));
+        webgl.gl.linkProgram(program);
+        this.cacheLocations(webgl.gl, program);
+        return program;
+    }
+
+    /**
+     * Saves the locations of the active attributes and uniforms in the program (attributes and uniforms, by name),
+     * so the draw methods don't look for them on every frame. Also creates the cache of the uniform values (see RenderState.uniform).
+     * @static
+     * @param {WebGLRenderingContext} gl - The WebGLRenderingContext to be used.
+     * @param {WebGLProgram} program - The linked program.
+     * @returns {void}
+     * @memberOf WebGLUtils
+     */
+    static cacheLocations(gl, program) {
+        program.attributes = {};
+        program.uniforms = {};
+        program.uniformValues = {};
+        const numAttributes = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+        for (let i = 0; i < numAttributes; i++) {
+            const name = gl.getActiveAttrib(program, i).name;
+            program.attributes[name] = gl.getAttribLocation(program, name);
+        }
+        const numUniforms = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < numUniforms; i++) {
+            const name = gl.getActiveUniform(program, i).name.replace(/\[0\]$/, ''); //Arrays are named after their first element
+            program.uniforms[name] = gl.getUniformLocation(program, name);
+        }
+    }
+
+    /**
+     * Creates the shaders source code used by Heat Maps.
+     * The accumulation shaders draw each point as a Gaussian kernel (with radius in pixels) that is added to an offscreen texture (density).
+     * The color shaders read that density and convert it to a color using a color ramp texture.
+     * @static
+     * @returns {{accumulation: {vertexCode: string, fragmentCode: string}, color: {vertexCode: string, fragmentCode: string}}} - The code for the accumulation and color shaders.
+     * @see https://en.wikipedia.org/wiki/Kernel_density_estimation
+     * @memberOf WebGLUtils
+     */
+    static generateHeatMapShadersSourceCode() {
+        let accumulationVertexCode =
+            `
+            #define PI radians(180.0)
+
+            attribute vec4 coords;
+            attribute float a_weight;
+            ${this.projectionShaderCode()}
+            uniform float u_radius;
+            varying float v_weight;
+
+            void main() {
+                gl_Position = vec4(project(coords), 0.0, 1.0);
+
+                gl_PointSize = u_radius * 2.0;
+                v_weight = a_weight;
+            }
+        `;
+
+        let accumulationFragmentCode =
+            `
+            precision highp float;
+            uniform float u_intensity;
+            varying float v_weight;
+
+            const float GAUSS_COEF = 0.3989422804014327;
+
+            void main() {
+                vec2 d = (gl_PointCoord - 0.5) * 2.0;
+                float d2 = dot(d, d);
+                if (d2 > 1.0) discard;
+                float density = v_weight * u_intensity * GAUSS_COEF * exp(-0.5 * 9.0 * d2);
+                gl_FragColor = vec4(density, 0.0, 0.0, 1.0);
+            }
+        `;
+
+        let colorVertexCode =
+            `
+            attribute vec2 a_position;
+            varying vec2 v_texCoord;
+
+            void main() {
+                v_texCoord = (a_position + 1.0) / 2.0;
+                gl_Position = vec4(a_position, 0.0, 1.0);
+            }
+        `;
+
+        let colorFragmentCode =
+            `
+            precision mediump float;
+            uniform sampler2D u_density;
+            uniform sampler2D u_ramp;
+            uniform float u_alpha;
+            varying vec2 v_texCoord;
+
+            void main() {
+                float t = clamp(texture2D(u_density, v_texCoord).r, 0.0, 1.0);
+                if (t <= 0.0) discard;
+                vec4 color = texture2D(u_ramp, vec2(t, 0.5));
+                float alpha = color.a * u_alpha;
+                gl_FragColor = vec4(color.rgb * alpha, alpha);
+            }
+        `;
+        return {
+            accumulation: { vertexCode: accumulationVertexCode, fragmentCode: accumulationFragmentCode },
+            color: { vertexCode: colorVertexCode, fragmentCode: colorFragmentCode }
+        };
+    }
+
+    /**
+     * Creates the shaders source code used to draw lines and polygon borders (strokes) with a width in pixels.
+     * Each vertex knows the other end of it's segment and the position before it (a_neighbour), all are projected and the vertex
+     * is moved half the width along the normal of the segment (on screen), to the side given by a_side (±1 on the 1st end, ±2 on the 2nd).
+     * Joins: 0 - miter (the vertex is moved along the bisector of both normals), 1 - round (each segment is extended half the width 
+     * and the fragments outside the circle around the end are discarded), 2 - none.
+     * The edges are antialiased with the distance to the center of the line and dashes use the distance along the line (a_distance, in pixels at zoom 0).
+     * @static
+     * @returns {{vertexCode: string, fragmentCode: string}} - The code for the vertex and fragment shaders.
+     * @memberOf WebGLUtils
+     */
+    static generateLineShadersSourceCode() {
+        let vertexSourceCode =
+            `
+            #define PI radians(180.0)
+            #define MITER_LIMIT 4.0
+
+            attribute vec4 coords;
+            attribute vec4 a_other;
+            attribute vec4 a_neighbour;
+            attribute float a_side;
+            attribute float a_distance;
+            ${this.projectionShaderCode()}
+            uniform vec2 u_resolution;
+            uniform float u_width;
+            uniform float u_scale;
+            uniform float u_join;
+            varying float v_across;
+            varying float v_along;
+            varying float v_length;
+            varying float v_distance;
+
+            vec2 toPixels(vec4 c) {
+                return project(c) * u_resolution / 2.0;
+            }
+
+            void main() {
+                vec2 position = toPixels(coords);
+                vec2 other = toPixels(a_other);
+                float side = sign(a_side);
+                float end = abs(a_side) > 1.5 ? 1.0 : 0.0;
+                float halfWidth = u_width / 2.0 + 0.5; //Half pixel more to antialias the edges
+                float len = length(other - position);
+                vec2 direction = len > 0.0 ? (other - position) / len : vec2(1.0, 0.0);
+                vec2 normal = vec2(-direction.y, direction.x);
+                vec2 offset = normal * side * halfWidth;
+
+                if (u_join == 0.0 && a_neighbour != coords) {
+                    vec2 neighbour = toPixels(a_neighbour);
+                    vec2 before = position - neighbour;
+                    if (length(before) > 0.0) {
+                        vec2 neighbourNormal = vec2(-before.y, before.x) / length(before);
+                        vec2 miter = normalize(normal + neighbourNormal);
+                        float miterLength = 1.0 / max(dot(miter, normal), 0.01);
+                        if (miterLength <= MITER_LIMIT)
+                            offset = miter * side * halfWidth * miterLength;
+                    }
+                }
+                else if (u_join == 1.0)
+                    offset -= direction * halfWidth;
+
+                vec2 alongDirection = end == 0.0 ? direction : -direction; //From the 1st end to the 2nd
+                v_across = side * halfWidth;
+                v_along = end * len + dot(offset, alongDirection);
+                v_length = len;
+                v_distance = a_distance * u_scale + v_along;
+                gl_Position = vec4((position + offset) * 2.0 / u_resolution, 0.0, 1.0);
+            }
+        `;
+
+        let fragmentSourceCode =
+            `
+            #ifdef GL_FRAGMENT_PRECISION_HIGH
+            precision highp float;
+            #else
+            precision mediump float;
+            #endif
+            uniform vec4 u_color;
+            uniform float u_width;
+            uniform float u_join;
+            uniform vec4 u_dash;
+            varying float v_across;
+            varying float v_along;
+            varying float v_length;
+            varying float v_distance;
+
+            void main() {
+                float distance = abs(v_across);
+                if (u_join == 1.0 && v_along < 0.0)
+                    distance = length(vec2(v_along, v_across));
+                else if (u_join == 1.0 && v_along > v_length)
+                    distance = length(vec2(v_along - v_length, v_across));
+                float alpha = clamp(u_width / 2.0 + 0.5 - distance, 0.0, 1.0);
+
+                float period = u_dash.x + u_dash.y + u_dash.z + u_dash.w;
+                if (period > 0.0) { //Distance to the closest end of a dash, negative on the gaps
+                    float t = mod(v_distance, period);
+                    float secondDash = u_dash.x + u_dash.y;
+                    float inside = max(min(t, u_dash.x - t), min(t - secondDash, secondDash + u_dash.z - t));
+                    alpha *= clamp(inside + 0.5, 0.0, 1.0);
+                }
+                if (alpha <= 0.0)
+                    discard;
+                gl_FragColor = u_color * alpha;
+            }
+        `;
+        return { vertexCode: vertexSourceCode, fragmentCode: fragmentSourceCode };
+    }
 
     /** ########################    DEPRECATED ZONE ######################## */
     /**
@@ -5,7 +5,7 @@
 export class Legend {
     /**
      * Creates an instance of Legend class.
-     * @param {number} id -  The id of the legend.
+     * @param {string} id -  The id of the legend (same as the id of the map).
      * @param {string} title - The title for the legend.
      * 
      * @memberOf Legend
@@ -51,13 +51,18 @@ export class Legend {
          * @constant {number} POLYGON
          */
         this.POINT = 2;
+        /**
+         * Constant to use when it's a Line.
+         * @constant {number} LINE
+         */
+        this.LINE = 3;
 
         this.init(id, null);
     }
 
     /**
      * Initialise Legend. Creates a table element and appends title, color element and value element.
-     * @param {number} id - The id of this Legend.
+     * @param {string} id - The id of this Legend.
      * @param {string} classname - The class name to be usde by the Legend.
      * @memberOf Legend
      */
@@ -114,11 +119,21 @@ export class Legend {
         this.insertRow(currentaes, mapobj, this.POLYGON);
     }
 
+    /**
+     * Inserts one line row into the Legend, with the color and width of the Aesthetic lines. Used for Line Maps.
+     * @param {Aesthetic} currentaes  - The Aesthetic object 
+     * @param {Map} mapobj - The map where to insert a line row.
+     * @memberOf Legend
+     */
+    insertLineRow(currentaes, mapobj) {
+        this.insertRow(currentaes, mapobj, this.LINE);
+    }
+
     /**
      * Adds one row to the Legend and attaches an on click event to said row.
      * @param {Aesthetic} currentaes  - The Aesthetic object.
      * @param {Map} mapobj - The map where to insert a polygon row.
-     * @param {number} type - The type of row to insert. 1=Polygon, 2=Point. @TODO: Should be constant
+     * @param {number} type - The type of row to insert. 1=Polygon, 2=Point, 3=Line. @TODO: Should be constant
      * @memberOf Legend
      */
     insertRow(currentaes, mapobj, type) {
@@ -126,7 +141,7 @@ export class Legend {
         const value = document.createElement('td');
         const color = document.createElement('td');
         let text;
-        if (typeof currentaes.range[0] === 'number') {
+        if (typeof currentaes.range[0] === 'number' && currentaes.range.length > 1) {
             const mininput = currentaes.range[0] != null ? currentaes.range[0] : mapobj.min;
             const maxinput = currentaes.range[1] != null ? currentaes.range[1] : mapobj.max;
             if (!currentaes.isOuter())
@@ -163,6 +178,11 @@ export class Legend {
             colorDiv.style.width = size;
             colorDiv.className = '_gisplaycircle';
         }
+        else if (type === this.LINE) {//line
+            colorDiv.style.height = `${Math.max(currentaes.getLineWidth(), 1)}px`;
+            colorDiv.style.width = '80px';
+            colorDiv.className = '_gisplayline';
+        }
 
         color.appendChild(colorDiv);
         row.appendChild(color);
@@ -178,7 +198,7 @@ export class Legend {
             }
             if (mapobj.gisplayOptions.legendOnClickFunction != null && mapobj.gisplayOptions.legendOnClickFunction != undefined)
                 mapobj.gisplayOptions.legendOnClickFunction(currentaes);
-            mapobj.draw();
+            mapobj.redraw();
         };
         this.table.appendChild(row);
     }
@@ -244,7 +264,7 @@ export class Legend {
                 }
                 if (mapobj.gisplayOptions.legendOnClickFunction != null && mapobj.gisplayOptions.legendOnClickFunction != undefined)
                     mapobj.gisplayOptions.legendOnClickFunction(currentaes);
-                mapobj.draw();
+                mapobj.redraw();
 
                 /*if (!e)
                     var e = window.event; //TODO: Remove??*/
@@ -272,22 +292,36 @@ export class Legend {
 
     /**
      * Appends the legend div element to the map container. Used by all Maps.
+     * When other maps already have a Legend on the same container this Legend is placed above them.
      * @param {BGMapWrapper} bgMap - The background map where the legend will be appended to. 
      */
     insertLegend(bgMap) {
         this.legendDiv.appendChild(this.table);
-        bgMap.getContainer().appendChild(this.legendDiv);
+        const container = bgMap.getContainer();
+        let bottom = 20;
+        for (const otherLegend of container.getElementsByClassName(this.legendDiv.className))
+            bottom += otherLegend.offsetHeight + 5;
+        this.legendDiv.style.bottom = `${bottom}px`;
+        container.appendChild(this.legendDiv);
+    }
+
+    /**
+     * Removes the legend div element from the map container. Used when the map is destroyed.
+     * @return {void}
+     */
+    removeLegend() {
+        if (this.legendDiv.parentNode !== null)
+            this.legendDiv.parentNode.removeChild(this.legendDiv);
     }
 
     /**
      * Inserts in the Legend one gradient according to the Aesthetic object.
-     * Use in Change Maps. 
+     * Used in Heat Maps (Change Maps used it before using classes). The map must have a color scale function in mapobj.fcolor.
      * @param {Map} mapobj - The map where to insert the gradient row.
-     * @param {number} left - Left value of the Legend (minimum change).
-     * @param {number} middle - Value at the center of the change(aka break point).
-     * @param {number} right - Right value of the legend (maximum value).
+     * @param {number|string} left - Left value of the Legend (minimum change).
+     * @param {number|string} middle - Value at the center of the change(aka break point).
+     * @param {number|string} right - Right value of the legend (maximum value).
      * @see Diogo's thesis page 69 Figure 5.1d
-     * @deprecated Not used, since now Change Maps use classes instead of gradient.
      * @memberOf Legend
      */
     insertGradient(mapobj, left, middle, right) {
@@ -302,11 +336,12 @@ export class Legend {
 
         let strcolor = '';
         for (let i = 0; i < numberofAesthetics; i++) {
-            let [r, g, b] = mapobj.fcolor(i / numberofAesthetics).rgb();
+            let [r, g, b] = mapobj.fcolor(i / (numberofAesthetics - 1)).rgb(); //From the first color (0) to the last one (1)
             let [roundR, roundG, roundB] = [Math.round(r), Math.round(g), Math.round(b)];
             strcolor += `,rgba(${roundR},${roundG},${roundB},${mapobj.gisplayOptions.alpha})`;
         }
         valueDiv.style.background = `-webkit-linear-gradient(left${strcolor})`;
+        valueDiv.style.background = `linear-gradient(to right${strcolor})`;
 
         valueDiv.style.height = 25;
         valueDiv.style.width = 130;
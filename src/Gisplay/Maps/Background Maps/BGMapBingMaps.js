@@ -29,7 +29,7 @@ export class BGMapBingMaps extends BGMapWrapper {
     /**
      * Given one id it creates a canvas object.
      * @todo Understand case mapbox comment bellow.
-     * @param {number} id - The id of the canvas to be created.
+     * @param {string} id - The id of the map. Used on the id of the canvas to be created.
      * @return {HTMLElement} Canvas object where everything will be drawn.
      * @see http://stackoverflow.com/a/6862022
      */
@@ -76,32 +76,54 @@ export class BGMapBingMaps extends BGMapWrapper {
         return this.bgMapObject.getCenter().latitude;
     }
 
+    /**
+     * Adds a listener to a specified event type.
+     * @param {string} eventstr - The event type to add a listen for.
+     * @param {Function} eventfunction - The function to be called when the event is fired.
+     * @return {Object} - The handler id given by Bing Maps.
+     * @see https://msdn.microsoft.com/en-us/library/mt750279.aspx
+     */
+    addEventListener(eventstr, eventfunction) {
+        return Microsoft.Maps.Events.addHandler(this.getBackgroundMapProviderObject(), eventstr, eventfunction);
+    }
+
+    /**
+     * Removes a listener previously added with addEventListener.
+     * @param {Object} listener - The handler id returned when it was added.
+     * @return {void} 
+     */
+    removeEventListener(listener) {
+        Microsoft.Maps.Events.removeHandler(listener);
+    }
+
     /**
      * Add Pan/Drag event.
      * @param {Function} fun - The function to be called when the user performs drag on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addPanEvent(fun) {
-        Microsoft.Maps.Events.addHandler(this.getBackgroundMapProviderObject(), 'mousewheel', fun);
-        // this.addEventListener('move', fun);
+        return this.addEventListener('mousewheel', fun);
     }
 
     /**
      * Add zoom event.
      * @param {Function} fun - The function to be called when the user performs zoom in/out on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addZoomEvent(fun) {
-        Microsoft.Maps.Events.addHandler(this.getBackgroundMapProviderObject(), 'viewchange', fun);
+        return this.addEventListener('viewchange', fun);
     }
 
     /**
      * Add click event.
      * @param {Map} map - The function to be called when the user clicks on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addClickEvent(map) {
-        Microsoft.Maps.Events.addHandler(this.getBackgroundMapProviderObject(), 'click', (e) => {
+        return this.addEventListener('click', (e) => {
             let point = new Microsoft.Maps.Point(e.getX(), e.getY());
             let loc = e.target.tryPixelToLocation(point);
             const lng = loc.longitude;
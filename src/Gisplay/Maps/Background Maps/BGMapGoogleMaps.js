@@ -30,7 +30,7 @@ export class BGMapGoogleMaps extends BGMapWrapper {
     /**
      * Given one id it creates a canvas object.
      * @todo Understand case mapbox comment bellow.
-     * @param {number} id - The id of the canvas to be created.
+     * @param {string} id - The id of the map. Used on the id of the canvas to be created.
      * @return {HTMLElement} Canvas object where everything will be drawn.
      * @see http://stackoverflow.com/a/6862022
      */
@@ -81,37 +81,50 @@ export class BGMapGoogleMaps extends BGMapWrapper {
      * Adds a listener to a specified event type.
      * @param {string} eventstr - The event type to add a listen for.
      * @param {Function} eventfunction - The function to be called when the event is fired. The listener function is called with the data object passed to  fire , extended with  target and  type properties.
-     * @return {void} 
+     * @return {google.maps.MapsEventListener} - The listener added.
      */
     addEventListener(eventstr, eventfunction) {
-        this.bgMapObject.addListener(eventstr, eventfunction);
+        return this.bgMapObject.addListener(eventstr, eventfunction);
+    }
+
+    /**
+     * Removes a listener previously added with addEventListener.
+     * @param {google.maps.MapsEventListener} listener - The listener returned when it was added.
+     * @return {void} 
+     * @see https://developers.google.com/maps/documentation/javascript/3.exp/reference#MapsEventListener
+     */
+    removeEventListener(listener) {
+        listener.remove();
     }
 
     /**
      * Add Pan/Drag event.
      * @param {Function} fun - The function to be called when the user performs drag on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addPanEvent(fun) {
-        this.addEventListener('drag', fun);
+        return this.addEventListener('drag', fun);
     }
 
     /**
      * Add zoom event.
      * @param {Function} fun - The function to be called when the user performs zoom in/out on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addZoomEvent(fun) {
-        this.addEventListener('zoom_changed', fun);
+        return this.addEventListener('zoom_changed', fun);
     }
 
     /**
      * Add click event.
      * @param {Map} map - The function to be called when the user clicks on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addClickEvent(map) {
-        this.addEventListener('click', e => {
+        return this.addEventListener('click', e => {
             const lng = e.latLng.lng();
             const lat = e.latLng.lat();
             map.clickEvent(lng, lat);
@@ -30,7 +30,7 @@ export class BGMapHereMaps extends BGMapWrapper {
     /**
      * Given one id it creates a canvas object.
      * @todo Understand case mapbox comment bellow.
-     * @param {number} id - The id of the canvas to be created.
+     * @param {string} id - The id of the map. Used on the id of the canvas to be created.
      * @return {HTMLElement} Canvas object where everything will be drawn.
      * @see http://stackoverflow.com/a/6862022
      */
@@ -81,37 +81,50 @@ export class BGMapHereMaps extends BGMapWrapper {
      * Adds a listener to a specified event type.
      * @param {string} eventstr - The event type to add a listen for.
      * @param {Function} eventfunction - The function to be called when the event is fired. The listener function is called with the data object passed to  fire , extended with  target and  type properties.
-     * @return {void} 
+     * @return {{eventstr: string, eventfunction: Function}} - The listener added.
      */
     addEventListener(eventstr, eventfunction) {
         this.bgMapObject.addEventListener(eventstr, eventfunction);
+        return { eventstr, eventfunction };
+    }
+
+    /**
+     * Removes a listener previously added with addEventListener.
+     * @param {{eventstr: string, eventfunction: Function}} listener - The listener returned when it was added.
+     * @return {void} 
+     */
+    removeEventListener(listener) {
+        this.bgMapObject.removeEventListener(listener.eventstr, listener.eventfunction);
     }
 
     /**
      * Add Pan/Drag event.
      * @param {Function} fun - The function to be called when the user performs drag on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addPanEvent(fun) {
-        this.addEventListener('drag', fun);
+        return this.addEventListener('drag', fun);
     }
 
     /**
      * Add zoom event.
      * @param {Function} fun - The function to be called when the user performs zoom in/out on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addZoomEvent(fun) {
-        this.addEventListener('mapviewchange', fun);
+        return this.addEventListener('mapviewchange', fun);
     }
 
     /**
      * Add click event.
      * @param {Map} map - The function to be called when the user clicks on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addClickEvent(map) {
-        this.addEventListener('tap', e => {
+        return this.addEventListener('tap', e => {
             let coords = this.getBackgroundMapProviderObject().screenToGeo(e.currentPointer.viewportX, e.currentPointer.viewportY);
             const lng = coords.lng;
             const lat = coords.lat;
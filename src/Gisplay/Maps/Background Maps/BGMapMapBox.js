@@ -46,7 +46,7 @@ export class BGMapMapBox extends BGMapWrapper {
     /**
      * Given one id it creates a canvas object.
      * @todo Understand case mapbox comment bellow.
-     * @param {number} id - The id of the canvas to be created.
+     * @param {string} id - The id of the map. Used on the id of the canvas to be created.
      * @return {HTMLElement} Canvas object where everything will be drawn.
      */
     createCanvas(id) {
@@ -92,37 +92,50 @@ export class BGMapMapBox extends BGMapWrapper {
      * Adds a listener to a specified event type.
      * @param {string} eventstr - The event type to add a listen for.
      * @param {Function} eventfunction - The function to be called when the event is fired. The listener function is called with the data object passed to  fire , extended with  target and  type properties.
-     * @return {void} 
+     * @return {{eventstr: string, eventfunction: Function}} - The listener added.
      */
     addEventListener(eventstr, eventfunction) {
         this.bgMapObject.on(eventstr, eventfunction);
+        return { eventstr, eventfunction };
+    }
+
+    /**
+     * Removes a listener previously added with addEventListener.
+     * @param {{eventstr: string, eventfunction: Function}} listener - The listener returned when it was added.
+     * @return {void} 
+     */
+    removeEventListener(listener) {
+        this.bgMapObject.off(listener.eventstr, listener.eventfunction);
     }
 
     /**
      * Add Pan/Drag event.
      * @param {Function} fun - The function to be called when the user performs drag on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addPanEvent(fun) {
-        this.addEventListener('move', fun);
+        return this.addEventListener('move', fun);
     }
 
     /**
      * Add zoom event.
      * @param {Function} fun - The function to be called when the user performs zoom in/out on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addZoomEvent(fun) {
-        this.addEventListener('move', fun);
+        return this.addEventListener('move', fun);
     }
 
     /**
      * Add click event.
      * @param {Map} map - The function to be called when the user clicks on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addClickEvent(map) {
-        this.addEventListener('click', e => {
+        return this.addEventListener('click', e => {
             const lng = ((((180 + e.latlng.lng) % 360) + 360) % 360) - 180;
             const lat = e.latlng.lat;
             map.clickEvent(lng, lat);
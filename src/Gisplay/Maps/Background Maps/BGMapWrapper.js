@@ -49,7 +49,7 @@ export class BGMapWrapper {
     /**
      * Given one id it creates a canvas object.
      * @todo Understand case mapbox comment bellow.
-     * @param {number} id - The id of the canvas to be created.
+     * @param {string} id - The id of the map. Used on the id of the canvas to be created.
      * @return {HTMLElement} Canvas object where everything will be drawn.
      */
     createCanvas(id) {
@@ -84,15 +84,25 @@ export class BGMapWrapper {
      * Adds a listener to a specified event type.
      * @param {string} eventstr - The event type to add a listen for.
      * @param {Function} eventfunction - The function to be called when the event is fired. The listener function is called with the data object passed to  fire , extended with  target and  type properties.
-     * @return {void} 
+     * @return {Object} - The listener added. Should be given to removeEventListener to remove it.
      */
     addEventListener(eventstr, eventfunction) {
         throw new Error("Not implemented.");
     }
 
+    /**
+     * Removes a listener previously added with addEventListener (or addPanEvent, addZoomEvent and addClickEvent).
+     * @param {Object} listener - The listener returned when it was added.
+     * @return {void} 
+     */
+    removeEventListener(listener) {
+        throw new Error("Not implemented.");
+    }
+
     /**
      * Add Pan/Drag event.
      * @param {Function} fun - The function to be called when the user performs drag on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addPanEvent(fun) {
@@ -102,6 +112,7 @@ export class BGMapWrapper {
     /**
      * Add zoom event.
      * @param {Function} fun - The function to be called when the user performs zoom in/out on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addZoomEvent(fun) {
@@ -111,6 +122,7 @@ export class BGMapWrapper {
     /**
      * Add click event.
      * @param {Map} map - The function to be called when the user clicks on the map.
+     * @return {Object} - The listener added.
      * @memberOf BGMapWrapper
      */
     addClickEvent(map) {
@@ -138,6 +150,51 @@ export class BGMapWrapper {
         }
     }
 
+    /**
+     * Hides the loader (if it exists and is visible). Unlike showLoader this doesn't toggle the loader, 
+     * so it's safe to call when something fails while loading the data.
+     * @return {void} 
+     */
+    hideLoader() {
+        if (this.loaderDiv === undefined)
+            return;
+        this.loaderDiv.style.display = 'none';
+        this.loaderDiv.className = this.loaderDiv.className.replace(/(?:^|\s)_gisplayLoaderOuterDiv(?!\S)/g, '_gisplayhidden');
+        this.setLoaderProgress(null);
+    }
+
+    /**
+     * Shows how much of the data was loaded: the spinner of the loader is replaced by a bar with the percentage.
+     * @param {number|null} fraction - The fraction loaded (0 to 1). With null (e.g., the size of the data is not known) the spinner is shown again.
+     * @return {void}
+     */
+    setLoaderProgress(fraction) {
+        if (this.loaderDiv === undefined)
+            return;
+        const spinner = this.loaderDiv.querySelector('._gisplayloader');
+        let progress = this.loaderDiv.querySelector('._gisplayLoaderProgress');
+        if (fraction === null) {
+            if (progress !== null)
+                this.loaderDiv.removeChild(progress);
+            spinner.style.display = '';
+            return;
+        }
+        if (progress === null) {
+            progress = document.createElement('div');
+            progress.className = '_gisplayLoaderProgress';
+            const bar = document.createElement('div');
+            bar.className = '_gisplayLoaderBar';
+            const label = document.createElement('span');
+            progress.appendChild(bar);
+            progress.appendChild(label);
+            this.loaderDiv.appendChild(progress);
+        }
+        const percentage = Math.round(Math.min(Math.max(fraction, 0), 1) * 100);
+        spinner.style.display = 'none';
+        progress.firstChild.style.width = `${percentage}%`;
+        progress.lastChild.textContent = `${percentage}%`;
+    }
+
     /**
      * Auxiliar method to be called when there is no loader  and we want to create one.
      * @return {void} 
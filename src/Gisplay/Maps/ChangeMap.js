@@ -13,11 +13,12 @@ export class ChangeMap extends Map {
      * @param {BGMapWrapper} bgmap - Background map object.
      * @param {JSON} geometry - JSON object with the geometry that was read from the file.
      * @param {Object} options - User options to be used.
+     * @param {string} [id] - This map unique identifier.
      * @memberOf ChangeMap
      */
-    constructor(bgmap, geometry, options) {
-        super(bgmap, geometry, options);
-        options.attr = "change"; //window.maps.push(this);
+    constructor(bgmap, geometry, options, id) {
+        super(bgmap, geometry, options, id);
+        options.attr = "change";
         this.loadOptions(options, bgmap);
         this.initializeCanvasAndEvents();
     }
@@ -37,6 +38,16 @@ export class ChangeMap extends Map {
         }
     }
 
+    /**
+     * The classes of a Change Map are not calculated with class breaks methods (see preProcessData), so nothing is requested to the worker.
+     * @returns {Promise<undefined>} - Resolved with undefined.
+     * @override
+     * @memberOf ChangeMap
+     */
+    requestClassBreaks() {
+        return Promise.resolve(undefined);
+    }
+
     /**
      * Process data loaded by the user. This mothed overrides the parent(Map class) default processData method.
      * @param {JSON} geojson - GeoJSON object.
@@ -50,8 +61,9 @@ export class ChangeMap extends Map {
         let opts = this.gisplayOptions;
         let gjonFeatures = geojson.features;
         for (let i = 0; i < gjonFeatures.length && i < opts.maxFeatures; i++) {
-            let gjsonMinuend = gjonFeatures[i].properties[opts.minuend];
-            let gjsonSubtrahend = gjonFeatures[i].properties[opts.subtrahend];
+            const properties = gjonFeatures[i].properties || {}; //Features can have null properties
+            let gjsonMinuend = properties[opts.minuend];
+            let gjsonSubtrahend = properties[opts.subtrahend];
             if (typeof gjsonMinuend === 'number' && typeof gjsonSubtrahend === 'number') {
                 this.max = Math.max(this.max, gjsonMinuend - gjsonSubtrahend);
                 this.min = Math.min(this.min, gjsonMinuend - gjsonSubtrahend);
@@ -68,15 +80,16 @@ export class ChangeMap extends Map {
         let classBreaks = [this.min, X, Y, bm, am, Z, W, this.max];//this.calcClassBreaks([this.min, X, Y, middle, Z, W, this.max], classBreaksMethod, 6);
         //let classBreaks = [this.min, X, Y, 0, Z, W, this.max];
 
+        const stroke = chroma(opts.strokeColor).rgba(); //Stroke color of every Aesthetic
         const aesarray = []; //Array of aesthetic objects loaded from the file
         let fcolor = this.getDefaultColors(classBreaks.length - 1);
         for (let i = 0; i < classBreaks.length - 1; i++) {
             let [r, g, b] = chroma(fcolor[i]).rgb();
             let aes;
             if (i !== classBreaks.length - 2)
-                aes = new Aesthetic(i, opts.attr, [Math.round(r), Math.round(g), Math.round(b), opts.alpha], [0, 0, 0, 1], null, [classBreaks[i], classBreaks[i + 1]]);
+                aes = new Aesthetic(i, opts.attr, [Math.round(r), Math.round(g), Math.round(b), opts.alpha], stroke, null, [classBreaks[i], classBreaks[i + 1]]);
             else {
-                aes = new Aesthetic(i, opts.attr, [Math.round(r), Math.round(g), Math.round(b), opts.alpha], [0, 0, 0, 1], null, [classBreaks[i], classBreaks[i + 1]]);
+                aes = new Aesthetic(i, opts.attr, [Math.round(r), Math.round(g), Math.round(b), opts.alpha], stroke, null, [classBreaks[i], classBreaks[i + 1]]);
                 aes.outer = true;
             }
             aesarray.push(aes);
@@ -105,6 +118,16 @@ export class ChangeMap extends Map {
         this.legend.insertLegend(this.bGMap);
     }
 
+    /**
+     * Change Maps only display polygons. The attribute is the difference between minuend and subtrahend.
+     * @returns {{geometryTypes: string[], attr: boolean}}
+     * @override
+     * @memberOf ChangeMap
+     */
+    requirements() {
+        return { geometryTypes: ["Polygon", "MultiPolygon"], attr: true };
+    }
+
     /**
      * Defaults for ChangeMap.
      * @memberOf ChangeMap
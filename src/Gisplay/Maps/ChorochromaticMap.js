@@ -0,0 +1,144 @@
+import { Map } from './Map';
+import { Legend } from '../Legend';
+import { Aesthetic } from '../Aesthetic';
+import { ColorBrewer } from '../Helpers/ColorBrewer';
+
+/**
+ * Chorochromatic Map implementation. Area based map for qualitative data, each category (e.g., land use, party, region) has it's own color.
+ */
+export class ChorochromaticMap extends Map {
+
+    /**
+     * Creates an instance of ChorochromaticMap.
+     * @param {BGMapWrapper} bgmap - Background map object.
+     * @param {JSON} geometry - JSON object with the geometry that was read from the file.
+     * @param {Object} options - User options to be used.
+     * @param {string} [id] - This map unique identifier.
+     * @memberOf ChorochromaticMap
+     */
+    constructor(bgmap, geometry, options, id) {
+        super(bgmap, geometry, options, id);
+        this.loadOptions(options, bgmap);
+        this.initializeCanvasAndEvents();
+    }
+
+    /**
+     * Draw Chorochromatic map, at the beginning and when the map is moved.
+     * @see initialize() and makeMap() methods.
+     * @override
+     * @memberOf ChorochromaticMap
+     */
+    draw() {
+        this.clear();
+        for (const aes of this.aesthetics) {
+            if (aes.isEnabled())
+                this.drawTriangles(aes);
+            this.drawBorders(aes);
+        }
+    }
+
+    /**
+     * The values of a Chorochromatic Map are categories, even when they are numbers (see preProcessData), so no class breaks are requested to the worker.
+     * @returns {Promise<undefined>} - Resolved with undefined.
+     * @override
+     * @memberOf ChorochromaticMap
+     */
+    requestClassBreaks() {
+        return Promise.resolve(undefined);
+    }
+
+    /**
+     * Creates one Aesthetic object for each category found on the attribute. Values are always treated as categories,
+     * even when they are numbers (e.g., region codes), so there are no class breaks to calculate.
+     * This mothed overrides the parent(Map class) default preProcessData method.
+     * @param {JSON} geojson - GeoJSON object.
+     * @param {number} numberOfClasses - Not used. The number of classes is the number of categories.
+     * @param {string} classBreaksMethod - Not used. Categories don't need class breaks.
+     * @param {string[]} colorScheme - Color scheme to be used by this map.
+     * @override
+     * @memberOf ChorochromaticMap
+     */
+    preProcessData(geojson, numberOfClasses, classBreaksMethod, colorScheme) {
+        let opts = this.gisplayOptions;
+        const categories = [];
+        let gjonFeatures = geojson.features;
+        for (let i = 0; i < gjonFeatures.length && i < opts.maxFeatures; i++) {
+            let attrValue = (gjonFeatures[i].properties || {})[opts.attr]; //Features can have null properties
+            if (attrValue !== null && attrValue !== undefined && !categories.includes(attrValue))
+                categories.push(attrValue);
+        }
+
+        let fcolor;
+        if (colorScheme !== undefined && colorScheme.length >= categories.length) //One user color per category
+            fcolor = colorScheme;
+        else if (colorScheme !== undefined)
+            fcolor = chroma.scale(colorScheme).colors(categories.length);
+        else
+            fcolor = this.getDefaultColors(categories.length);
+
+        const stroke = chroma(opts.strokeColor).rgba(); //Stroke color of every Aesthetic
+        const aesarray = [];
+        for (let i = 0; i < categories.length; i++) {
+            let [r, g, b] = chroma(fcolor[i]).rgb();
+            aesarray.push(new Aesthetic(i, opts.attr, [Math.round(r), Math.round(g), Math.round(b), opts.alpha], stroke, null, [categories[i]]));
+        }
+        /**
+         * Aesthetic objects. In the case of a Chorochromatic Map one for each category.
+         * @type {Array<Aesthetic>}
+         */
+        this.aesthetics = aesarray;
+    }
+
+    /**
+     * Method called to build the Map Legend.
+     * For all Aesthethics that exist crate one polygon row and then insert the Legend to the map.
+     * @override
+     * @memberOf ChorochromaticMap
+     */
+    buildLegend() {
+        /**
+         * The Legend to be used through the life of the map.
+         * @type {Legend}
+         */
+        this.legend = new Legend(this.id, this.gisplayOptions.legendTitle);
+        for (const aes of this.aesthetics)
+            this.legend.insertPolygonRow(aes, this);
+        this.legend.insertLegend(this.bGMap);
+    }
+
+    /**
+     * Chorochromatic Maps only display polygons and need the attribute with the categories.
+     * @returns {{geometryTypes: string[], attr: boolean}}
+     * @override
+     * @memberOf ChorochromaticMap
+     */
+    requirements() {
+        return { geometryTypes: ["Polygon", "MultiPolygon"], attr: true };
+    }
+
+    /**
+     * Defaults for ChorochromaticMap. There's no default number of classes since there will be one class per category.
+     * @returns {Object} - Empty object.
+     * @override
+     * @memberOf ChorochromaticMap
+     */
+    defaults() {
+        const options = {};
+        return options;
+    }
+
+    /**
+     * Returns the colors for this map given the number of classes and the nature of the data (qualitative).
+     * ColorBrewer only goes up to 12 classes, after that the extended qualitative colors are used.
+     * @param {number} numClasses - Number of classes.
+     * @param {string} dataNature - Nature of the data.
+     * @returns {Array<Array<RGB>>} Default colors for the map given the number of classes and nature of data.
+     * @override
+     * @memberOf ChorochromaticMap
+     */
+    getDefaultColors(numClasses, dataNature) {
+        if (numClasses > 12)
+            return ColorBrewer.getExtendedQualitativeColors(numClasses);
+        return ColorBrewer.getDefautls('Chorochromatic', numClasses, dataNature || "Qualitative");
+    }
+}
\ No newline at end of file
@@ -12,11 +12,12 @@ export class Choropleth extends Map {
      * @param {BGMapWrapper} bgmap - Background map object.
      * @param {JSON} geometry - JSON object with the geometry that was read from the file.
      * @param {Object} userOptions - User options to be used.
+     * @param {string} [id] - This map unique identifier.
      * @memberOf Choropleth
      */
-    constructor(bgmap, geometry, userOptions) {
-        super(bgmap, geometry, userOptions);
-        this.loadOptions(userOptions, bgmap);// this.type = 'CP'; window.maps.push(this);
+    constructor(bgmap, geometry, userOptions, id) {
+        super(bgmap, geometry, userOptions, id);
+        this.loadOptions(userOptions, bgmap);
         this.initializeCanvasAndEvents();
     }
 
@@ -52,6 +53,16 @@ export class Choropleth extends Map {
         this.legend.insertLegend(this.bGMap);
     }
 
+    /**
+     * Choropleth Maps only display polygons and need the attribute to be mapped.
+     * @returns {{geometryTypes: string[], attr: boolean}}
+     * @override
+     * @memberOf Choropleth
+     */
+    requirements() {
+        return { geometryTypes: ["Polygon", "MultiPolygon"], attr: true };
+    }
+
     /**
      * Returns the color scheme and number of classes associated with the id given.
      * @returns {{colorScheme: string[], numberOfClasses: number}} - Color scheme and number of classes associated with the id given, empty object otherwise.
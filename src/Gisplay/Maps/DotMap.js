@@ -1,9 +1,12 @@
 import { Map } from './Map';
 import { Legend } from '../Legend';
 import { ColorBrewer } from '../Helpers/ColorBrewer';
+import { Cluster } from '../Helpers/Cluster';
+import { Geometry } from '../Helpers/Geometry';
+import { GisplayOptionError } from '../GisplayErrors';
 
 /**
- * DotMap implemenetation
+ * DotMap implemenetation. With the cluster option the points are grouped in clusters (see Cluster) until clusterMaxZoom.
  */
 export class DotMap extends Map {
 
@@ -12,14 +15,53 @@ export class DotMap extends Map {
      * @param {BGMapWrapper} bgmap - Background map object.
      * @param {JSON} geometry - JSON object with the geometry that was read from the file.
      * @param {Object} options - User options to be used.
+     * @param {string} [id] - This map unique identifier.
      * @memberOf DotMap
      */
-    constructor(bgmap, geometry, options) {
-        super(bgmap, geometry, options);
+    constructor(bgmap, geometry, options, id) {
+        super(bgmap, geometry, options, id);
         this.loadOptions(options, bgmap);
         this.initializeCanvasAndEvents();
     }
 
+    /**
+     * Loads the options (see Map.loadOptions) and checks the ones of the clusters.
+     * @param {Object} userOptions - Options given by the user.
+     * @param {Object} bgmap - The background map provider.
+     * @throws {GisplayOptionError} When one of the options is not valid (see checkClusterOptions).
+     * @override
+     * @memberOf DotMap
+     */
+    loadOptions(userOptions, bgmap) {
+        this.checkClusterOptions(userOptions);
+        super.loadOptions(userOptions, bgmap);
+    }
+
+    /**
+     * Changes some of the options of the map (see Map.setOptions) and checks the ones of the clusters.
+     * @param {Object} options - The options to change.
+     * @throws {GisplayOptionError} When one of the options is not valid (see checkClusterOptions).
+     * @override
+     * @memberOf DotMap
+     */
+    setOptions(options) {
+        this.checkClusterOptions(Object.assign({}, this.userOptions, options));
+        super.setOptions(options);
+    }
+
+    /**
+     * Checks that the pop-ups (interactive) are not asked for with clusters: a cluster can have thousands of points, so they
+     * are given to the 'click' event and mapOnClickFunction instead (see onClusterClick).
+     * @param {Object} userOptions - The options given by the user.
+     * @throws {GisplayOptionError} When cluster and interactive are both true.
+     * @returns {void}
+     * @memberOf DotMap
+     */
+    checkClusterOptions(userOptions) {
+        if (userOptions !== null && typeof userOptions === 'object' && userOptions.cluster === true && userOptions.interactive === true)
+            throw new GisplayOptionError('interactive', "can't be used with cluster, use the 'click' event or mapOnClickFunction to show the points clicked.");
+    }
+
     /**
      * Draw Dot map, at the beginning and when the map is moved.
      * @see initialize() and makeMap() methods.
@@ -28,9 +70,303 @@ export class DotMap extends Map {
      */
     draw() {
         this.clear();
-        for (const aes of this.aesthetics)
-            if (aes.isEnabled())
+        const level = this.getClusterLevel();
+        for (const [i, aes] of this.aesthetics.entries()) {
+            if (!aes.isEnabled())
+                continue;
+            if (level === undefined)
                 this.drawPoints(aes);
+            else
+                this.drawClusters(aes, i, level);
+        }
+        this.drawClusterLabels(level);
+    }
+
+    /**
+     * Creates the grouped Features WebGLBuffers and discards the clusters, which are built again from the new points
+     * when they are drawn (see getClusters). Called when the data is loaded and every time it, or the classes, change.
+     * @param {Function} [isNew] - Returns true for the Features that are grouped (see Map.createGroupedBuffers).
+     * @override
+     * @memberOf DotMap
+     */
+    createGroupedBuffers(isNew) {
+        super.createGroupedBuffers(isNew);
+        this.deleteClusterBuffers();
+        this.clusters = undefined;
+    }
+
+    /**
+     * Returns the clusters of one Aesthetic object on one zoom level, so the colors of the classes are kept.
+     * The points of each Aesthetic object are only grouped the first time clusters are needed after the data changes,
+     * and each zoom level is only created the first time it's drawn or clicked (see Cluster.getLevel).
+     * @param {number} aesIndex - Position of the Aesthetic object.
+     * @param {number} level - The zoom level.
+     * @returns {Array<Object>} - The clusters.
+     * @memberOf DotMap
+     */
+    getClusters(aesIndex, level) {
+        const opts = this.gisplayOptions;
+        if (this.clusters === undefined) {
+            const aesPoints = this.aesthetics.map(() => []);
+            for (const p of this.treepoints)
+                for (const aesPos of this.fitFeature(p.properties))
+                    aesPoints[aesPos].push(p);
+            /**
+             * The levels of clusters of each Aesthetic object (see Cluster.build), undefined until they are needed.
+             * @type {Array<Array<Array<Object>>>}
+             */
+            this.clusters = aesPoints.map(points => Cluster.build(points, opts.clusterMaxZoom));
+            /**
+             * The WebGLBuffers of the clusters of each Aesthetic object and zoom level, created when needed.
+             * @type {Array<Array<WebGLBuffer>>}
+             */
+            this.clusterBuffers = this.aesthetics.map(() => []);
+        }
+        return Cluster.getLevel(this.clusters[aesIndex], level, opts.clusterRadius, opts.tileSize);
+    }
+
+    /**
+     * Deletes the WebGLBuffers of the clusters.
+     * @returns {void}
+     * @memberOf DotMap
+     */
+    deleteClusterBuffers() {
+        const gl = this._webgl.gl;
+        for (const buffers of this.clusterBuffers || [])
+            for (const buffer of buffers)
+                if (buffer !== undefined) {
+                    this._webgl.state.deleteVertexArray(buffer);
+                    gl.deleteBuffer(buffer);
+                }
+        this.clusterBuffers = [];
+    }
+
+    /**
+     * Returns the zoom level of the clusters to draw. While streamed data is loaded the points are drawn without clusters (see Map.loadStream).
+     * @returns {number} - The level or undefined if the points are not clustered at the current zoom.
+     * @memberOf DotMap
+     */
+    getClusterLevel() {
+        if (!this.gisplayOptions.cluster || this.streaming)
+            return undefined;
+        const zoom = Math.max(Math.floor(this.bGMap.getZoom()), 0);
+        return zoom <= this.gisplayOptions.clusterMaxZoom ? zoom : undefined;
+    }
+
+    /**
+     * Size, in pixels, of the circle of a cluster. Single points have the same size as when they are not clustered (see drawPoints),
+     * clusters grow with the logarithm of the number of points, up to the cluster radius.
+     * @param {number} count - Number of points of the cluster.
+     * @param {number} pointSize - Size of the points of the Aesthetic object.
+     * @param {number} zoom - The zoom level.
+     * @returns {number} - The size of the circle.
+     * @memberOf DotMap
+     */
+    getClusterSize(count, pointSize, zoom) {
+        const size = Math.max(zoom - 4.0 + pointSize, pointSize);
+        if (count === 1)
+            return size;
+        return Math.min(size + 10 + 3 * Math.log2(count), Math.max(this.gisplayOptions.clusterRadius, size));
+    }
+
+    /**
+     * Returns the WebGLBuffer with the clusters of one Aesthetic object on one zoom level, creating it the first time.
+     * Each cluster has 5 values: it's position (see Geometry.setPosition) and the size of it's circle.
+     * @param {Aesthetic} aes - The Aesthetic object.
+     * @param {number} aesIndex - Position of the Aesthetic object.
+     * @param {number} level - The zoom level.
+     * @returns {WebGLBuffer} - The buffer with itemSize and numItems.
+     * @memberOf DotMap
+     */
+    getClusterBuffer(aes, aesIndex, level) {
+        const clusters = this.getClusters(aesIndex, level);
+        if (this.clusterBuffers[aesIndex][level] === undefined) {
+            const gl = this._webgl.gl;
+            const vertArray = new Float32Array(clusters.length * 5);
+            for (const [i, c] of clusters.entries()) {
+                Geometry.setPosition(vertArray, i * 5, c.lon, c.lat);
+                vertArray[i * 5 + 4] = this.getClusterSize(c.count, aes.getPointSize(), level);
+            }
+            const buffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            gl.bufferData(gl.ARRAY_BUFFER, vertArray, gl.STATIC_DRAW);
+            buffer.itemSize = 5;
+            buffer.numItems = clusters.length;
+            this.clusterBuffers[aesIndex][level] = buffer;
+        }
+        return this.clusterBuffers[aesIndex][level];
+    }
+
+    /**
+     * Draws the clusters of one Aesthetic object as circles with the color of the Aesthetic object.
+     * The size of each circle comes from the buffer (see getClusterBuffer), the other points use a constant size.
+     * @param {Aesthetic} aes - The Aesthetic object.
+     * @param {number} aesIndex - Position of the Aesthetic object.
+     * @param {number} level - The zoom level of the clusters.
+     * @returns {void}
+     * @memberOf DotMap
+     */
+    drawClusters(aes, aesIndex, level) {
+        const gl = this._webgl.gl;
+        if (gl === null)
+            return;
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+        const state = this._webgl.state;
+        const program = this._webgl.program;
+        const layout = { stride: 5, attributes: [['coords', 4, 0], ['aPointSize', 1, 4]] }; //The other draws use a constant size
+        let [r, g, b, a] = aes.getFillColor();
+        state.useProgram(program);
+        state.uniform(program, 'isPoint', 'uniform1f', 1.0);
+        state.uniform(program, 'u_color', 'uniform4f', r / 255, g / 255, b / 255, a);
+
+        const buffer = this.getClusterBuffer(aes, aesIndex, level);
+        for (const worldCopy of this.getWorldCopies()) {
+            this.setMatrices(gl, program, worldCopy);
+            state.draw(program, buffer, layout, gl.POINTS);
+        }
+    }
+
+    /**
+     * Writes the number of points on the clusters, in a 2D canvas over the WebGL one (created the first time it's needed).
+     * Large numbers are abbreviated (e.g., 1.2k). The canvas is cleared when the points are not clustered.
+     * @param {number} level - The zoom level of the clusters, undefined if they are not drawn.
+     * @returns {void}
+     * @memberOf DotMap
+     */
+    drawClusterLabels(level) {
+        if (level === undefined && this.labelCanvas === undefined)
+            return;
+        const glCanvas = this._webgl.gl.canvas;
+        if (this.labelCanvas === undefined) {
+            /**
+             * Canvas with the labels of the clusters.
+             * @type {HTMLCanvasElement}
+             */
+            this.labelCanvas = document.createElement('canvas');
+            this.labelCanvas.id = `mapLabels${this.id}`;
+            this.labelCanvas.style.position = 'absolute';
+            this.labelCanvas.style.pointerEvents = 'none';
+            glCanvas.parentNode.insertBefore(this.labelCanvas, glCanvas.nextSibling);
+        }
+        const canvas = this.labelCanvas;
+        //Exactly over the WebGL canvas, so the labels are on top of their clusters
+        canvas.style.left = `${glCanvas.offsetLeft}px`;
+        canvas.style.top = `${glCanvas.offsetTop}px`;
+        canvas.style.width = `${glCanvas.offsetWidth}px`;
+        canvas.style.height = `${glCanvas.offsetHeight}px`;
+        canvas.style.zIndex = glCanvas.style.zIndex;
+        if (canvas.width !== glCanvas.width || canvas.height !== glCanvas.height) {
+            canvas.width = glCanvas.width;
+            canvas.height = glCanvas.height;
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (level === undefined)
+            return;
+
+        const worldSize = this.gisplayOptions.tileSize * 2 ** this.bGMap.getZoom();
+        const center = Cluster.project(this.bGMap.getCenterLng(), this.bGMap.getCenterLat());
+        ctx.font = 'bold 11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.lineWidth = 3;
+        for (const [i, aes] of this.aesthetics.entries()) {
+            if (!aes.isEnabled())
+                continue;
+            for (const c of this.getClusters(i, level)) {
+                if (c.count === 1)
+                    continue;
+                const label = c.count >= 1000 ? `${(c.count / 1000).toFixed(c.count >= 10000 ? 0 : 1)}k` : `${c.count}`;
+                for (const worldCopy of this.getWorldCopies()) {
+                    const x = canvas.width / 2 + (c.x + worldCopy - center.x) * worldSize;
+                    const y = canvas.height / 2 + (c.y - center.y) * worldSize;
+                    if (x < -50 || y < -50 || x > canvas.width + 50 || y > canvas.height + 50)
+                        continue;
+                    ctx.strokeText(label, x, y);
+                    ctx.fillText(label, x, y);
+                }
+            }
+        }
+    }
+
+    /**
+     * When the points are clustered, finds the cluster where the user clicked. Clusters of one point are clicked like the points,
+     * for the others onClusterClick is called. Without clusters the k-d Tree is used (see Map.clickEvent).
+     * @param {number} lng - Longitude of the click event. 
+     * @param {number} lat - Latitude of the click event.
+     * @override
+     * @memberOf DotMap
+     */
+    clickEvent(lng, lat) {
+        const level = this.getClusterLevel();
+        if (level === undefined) {
+            super.clickEvent(lng, lat);
+            return;
+        }
+
+        const zoom = this.bGMap.getZoom();
+        const worldSize = this.gisplayOptions.tileSize * 2 ** zoom;
+        const click = Cluster.project(lng, lat);
+        let nearest, nearestDistance = Infinity;
+        for (const [i, aes] of this.aesthetics.entries()) {
+            if (!aes.isEnabled())
+                continue;
+            for (const c of this.getClusters(i, level)) {
+                const dx = ((c.x - click.x) % 1 + 1.5) % 1 - 0.5; //The click can be on another copy of the world
+                const distance = Math.hypot(dx, c.y - click.y) * worldSize;
+                if (distance <= this.getClusterSize(c.count, aes.getPointSize(), level) / 2 + 2 && distance < nearestDistance) {
+                    nearest = c;
+                    nearestDistance = distance;
+                }
+            }
+        }
+        if (nearest === undefined)
+            return;
+        if (nearest.count === 1)
+            this.onFeatureClick(nearest.point);
+        else
+            this.onClusterClick(nearest);
+    }
+
+    /**
+     * Called when the user clicks on a cluster. Calls the mapOnClickFunction
+     * with the position, number of points and properties of every point of the cluster (members) and emits the 'click' event with the same object.
+     * @param {Object} cluster - The cluster that was clicked (see Cluster.build).
+     * @returns {void}
+     * @memberOf DotMap
+     */
+    onClusterClick(cluster) {
+        const result = {
+            cluster: true,
+            lon: cluster.lon,
+            lat: cluster.lat,
+            count: cluster.count,
+            members: Cluster.getPoints(cluster).map(p => p.properties)
+        };
+        if (this.gisplayOptions.mapOnClickFunction !== undefined)
+            this.gisplayOptions.mapOnClickFunction(result);
+        this.events.emit('click', result, this);
+    }
+
+    /**
+     * Removes the map (see Map.destroy), also the WebGLBuffers and labels of the clusters.
+     * @override
+     * @memberOf DotMap
+     */
+    destroy() {
+        if (this._webgl.gl === null)
+            return;
+        this.deleteClusterBuffers();
+        this.clusters = undefined;
+        if (this.labelCanvas !== undefined && this.labelCanvas.parentNode !== null)
+            this.labelCanvas.parentNode.removeChild(this.labelCanvas);
+        this.labelCanvas = undefined;
+        super.destroy();
     }
 
     /**
@@ -50,6 +386,16 @@ export class DotMap extends Map {
         this.legend.insertLegend(this.bGMap);
     }
 
+    /**
+     * Dot Maps only display points and need the attribute to be mapped.
+     * @returns {{geometryTypes: string[], attr: boolean}}
+     * @override
+     * @memberOf DotMap
+     */
+    requirements() {
+        return { geometryTypes: ["Point", "MultiPoint"], attr: true };
+    }
+
     /**
      * Returns the color scheme and number of classes associated with the id given.
      * @returns {{colorScheme: string[], numberOfClasses: number}}
@@ -0,0 +1,428 @@
+import { Map } from './Map';
+import { Legend } from '../Legend';
+import { Aesthetic } from '../Aesthetic';
+import { ColorBrewer } from '../Helpers/ColorBrewer';
+import { WebGLUtils } from '../Helpers/WebGLUtils';
+import { Geometry } from '../Helpers/Geometry';
+
+/**
+ * Heat Map (kernel density map) implementation. Used for point datasets.
+ * Each point is drawn as a Gaussian kernel into an offscreen framebuffer (the density) which is then colored using a color ramp.
+ * @see https://en.wikipedia.org/wiki/Kernel_density_estimation
+ */
+export class HeatMap extends Map {
+
+    /**
+     * Creates an instance of HeatMap.
+     * @param {BGMapWrapper} bgmap - Background map object.
+     * @param {JSON} geometry - JSON object with the geometry that was read from the file.
+     * @param {Object} options - User options to be used.
+     * @param {string} [id] - This map unique identifier.
+     * @memberOf HeatMap
+     */
+    constructor(bgmap, geometry, options, id) {
+        super(bgmap, geometry, options, id);
+        this.loadOptions(options, bgmap);
+        this.initializeCanvasAndEvents();
+        this.initializeHeatMapPrograms();
+    }
+
+    /**
+     * Creates the programs, the quad and the textures used to accumulate the density and color it.
+     * @returns {void}
+     * @memberOf HeatMap
+     */
+    initializeHeatMapPrograms() {
+        const gl = this._webgl.gl;
+        const sourceCode = WebGLUtils.generateHeatMapShadersSourceCode();
+
+        /**
+         * WebGL objects used only by the Heat Map.
+         * @type {Object} _heatmap
+         * @property {WebGLProgram} _heatmap.accumulationProgram - Program that adds the kernel of each point to the density texture.
+         * @property {WebGLProgram} _heatmap.colorProgram - Program that colors the density texture using the color ramp.
+         * @property {WebGLBuffer} _heatmap.quadBuffer - Quad that covers the whole canvas.
+         * @property {WebGLTexture} _heatmap.rampTexture - Color ramp (256x1) texture.
+         * @property {WebGLTexture} _heatmap.densityTexture - Texture where the density is accumulated.
+         * @property {WebGLFramebuffer} _heatmap.framebuffer - Offscreen framebuffer with the density texture attached.
+         * @property {number} _heatmap.textureType - Type of the density texture (FLOAT, HALF_FLOAT_OES or UNSIGNED_BYTE).
+         */
+        this._heatmap = {
+            accumulationProgram: WebGLUtils.createExtraWebGLProgram(this._webgl, sourceCode.accumulation.vertexCode, sourceCode.accumulation.fragmentCode),
+            colorProgram: WebGLUtils.createExtraWebGLProgram(this._webgl, sourceCode.color.vertexCode, sourceCode.color.fragmentCode),
+            quadBuffer: gl.createBuffer(),
+            rampTexture: null,
+            densityTexture: null,
+            framebuffer: null,
+            textureType: gl.UNSIGNED_BYTE,
+            width: 0,
+            height: 0
+        };
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this._heatmap.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        this._heatmap.quadBuffer.itemSize = 2;
+        this._heatmap.quadBuffer.numItems = 4;
+
+        const floatExt = gl.getExtension('OES_texture_float');
+        const halfFloatExt = gl.getExtension('OES_texture_half_float');
+        if (floatExt !== null)
+            this._heatmap.textureType = gl.FLOAT;
+        else if (halfFloatExt !== null)
+            this._heatmap.textureType = halfFloatExt.HALF_FLOAT_OES;
+    }
+
+    /**
+     * Creates (or creates again if the canvas changed size) the framebuffer where the density is accumulated.
+     * If the browser can't render to float textures it falls back to half float and then to unsigned byte textures.
+     * @param {number} width - Width of the canvas.
+     * @param {number} height - Height of the canvas.
+     * @returns {void}
+     * @memberOf HeatMap
+     */
+    createDensityFramebuffer(width, height) {
+        const gl = this._webgl.gl;
+        const hm = this._heatmap;
+        if (hm.framebuffer !== null && hm.width === width && hm.height === height)
+            return;
+        if (hm.framebuffer !== null) {
+            gl.deleteFramebuffer(hm.framebuffer);
+            gl.deleteTexture(hm.densityTexture);
+        }
+
+        hm.densityTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, hm.densityTexture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, hm.textureType, null);
+
+        hm.framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, hm.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, hm.densityTexture, 0);
+
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE && hm.textureType !== gl.UNSIGNED_BYTE) {
+            const halfFloatExt = gl.getExtension('OES_texture_half_float');
+            hm.textureType = (hm.textureType === gl.FLOAT && halfFloatExt !== null) ? halfFloatExt.HALF_FLOAT_OES : gl.UNSIGNED_BYTE;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            hm.width = 0;
+            hm.height = 0;
+            return this.createDensityFramebuffer(width, height);
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        hm.width = width;
+        hm.height = height;
+    }
+
+    /**
+     * Creates the color ramp texture (256x1) using the given colors. The lowest densities are transparent and fade in.
+     * @param {Array<string|Array<number>>} colors - The colors of the ramp, from lowest to highest density.
+     * @returns {void}
+     * @memberOf HeatMap
+     */
+    createRampTexture(colors) {
+        const gl = this._webgl.gl;
+        const scale = chroma.scale(colors.map(c => Array.isArray(c) ? c.map(Number) : c));
+        const ramp = new Uint8Array(256 * 4);
+        for (let i = 0; i < 256; i++) {
+            const [r, g, b] = scale(i / 255).rgb();
+            ramp[i * 4] = Math.round(r);
+            ramp[i * 4 + 1] = Math.round(g);
+            ramp[i * 4 + 2] = Math.round(b);
+            ramp[i * 4 + 3] = Math.round(Math.min(1, i / 255 * 5) * 255);
+        }
+
+        if (this._heatmap.rampTexture !== null)
+            gl.deleteTexture(this._heatmap.rampTexture);
+        this._heatmap.rampTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this._heatmap.rampTexture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 256, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, ramp);
+
+        /**
+         * Color scale used by the gradient of the Legend.
+         * @type {Function}
+         */
+        this.fcolor = scale;
+    }
+
+    /**
+     * Heat Maps don't have class breaks (see preProcessData), so nothing is requested to the worker.
+     * @returns {Promise<undefined>} - Resolved with undefined.
+     * @override
+     * @memberOf HeatMap
+     */
+    requestClassBreaks() {
+        return Promise.resolve(undefined);
+    }
+
+    /**
+     * Calculates the maximum value of the attribute (used to weight each point) and creates the color ramp.
+     * There's only one Aesthetic object, since there are no classes on a Heat Map.
+     * This mothed overrides the parent(Map class) default preProcessData method.
+     * @param {JSON} geojson - GeoJSON object.
+     * @param {number} numberOfClasses - Number of colors of the color ramp.
+     * @param {string} classBreaksMethod - Not used. Heat Maps don't have class breaks.
+     * @param {string[]} colorScheme - Color scheme to be used by this map.
+     * @override
+     * @memberOf HeatMap
+     */
+    preProcessData(geojson, numberOfClasses, classBreaksMethod, colorScheme) {
+        let opts = this.gisplayOptions;
+        let gjonFeatures = geojson.features;
+        if (opts.attr !== undefined) {
+            for (let i = 0; i < gjonFeatures.length && i < opts.maxFeatures; i++) {
+                let attrValue = (gjonFeatures[i].properties || {})[opts.attr];
+                if (typeof attrValue === 'number') {
+                    this.max = Math.max(this.max, attrValue);
+                    this.min = Math.min(this.min, attrValue);
+                }
+            }
+        }
+
+        let colors;
+        if (colorScheme !== undefined)
+            colors = chroma.scale(colorScheme).colors(numberOfClasses);
+        else
+            colors = this.getDefaultColors(numberOfClasses);
+        this.createRampTexture(colors);
+
+        let [r, g, b] = this.fcolor(1).rgb();
+        /**
+         * Aesthetic object. In the case of a Heat Map only one Aesthetic exists.
+         * @type {Array<Aesthetic>}
+         */
+        this.aesthetics = [new Aesthetic(0, opts.attr, [Math.round(r), Math.round(g), Math.round(b), opts.alpha], [0, 0, 0, 1], null, null)];
+    }
+
+    /**
+     * Returns the weight of the point with the given properties. If no attribute was given every point weights 1,
+     * otherwise the weight is the attribute value divided by the maximum value (points without a positive number weight 0).
+     * @param {JSON} properties - GeoJSON properties Object.
+     * @returns {number} - The weight of the point, between 0 and 1.
+     * @memberOf HeatMap
+     */
+    getWeight(properties) {
+        const attr = this.gisplayOptions.attr;
+        if (attr === undefined || this.max === null)
+            return 1.0;
+        const value = properties[attr];
+        if (typeof value !== 'number' || value <= 0 || this.max <= 0)
+            return 0.0;
+        return value / this.max;
+    }
+
+    /**
+     * Loads all the points into one WebGLBuffer with 5 values per point: longitude and latitude (see Geometry.setPosition) and weight.
+     * The k-d Tree is still built so the user can click on the points.
+     * @param {JSON} geojson - GeoJSON read from the file.
+     * @param {Array<Object>} [processed] - Not used, the points are taken from the geometries.
+     * @param {{pointOrder: Uint32Array}} [indexes] - The k-d Tree built in the worker (see Map.buildIndexes).
+     * @override
+     * @memberOf HeatMap
+     */
+    loadGeoJSON(geojson, processed, indexes) {
+        this.nextFeatureId = 0;
+        for (let i = 0; i < geojson.features.length && i < this.gisplayOptions.maxFeatures; i++) {
+            if (geojson.features[i].properties === null || geojson.features[i].properties === undefined)
+                geojson.features[i].properties = {};
+            geojson.features[i].properties['_gisplayid'] = i;
+            this.createAndInsertFeature(i, geojson.features[i].geometry, geojson.features[i].properties);
+            this.nextFeatureId = i + 1;
+        }
+        this.buildTrees(geojson, indexes);
+    }
+
+    /**
+     * Only points are used by a Heat Map and their WebGLBuffers are created when they are grouped (see createGroupedBuffers),
+     * so the points (all of them for MultiPoints and GeometryCollections) are just added to the k-d Tree points.
+     * @param {number} featureId - Feature id.
+     * @param {JSON} geometry - GeoJSON geometry Object.
+     * @param {JSON} properties - GeoJSON properties Object.
+     * @override
+     * @memberOf HeatMap
+     */
+    createAndInsertFeature(featureId, geometry, properties) {
+        for (const [lon, lat] of Geometry.decomposeGeometry(geometry).points)
+            this.treepoints.push({ lon, lat, properties });
+    }
+
+    /**
+     * Creates one WebGLBuffer with the points that are not in a WebGLBuffer yet (the ones added since the last call, e.g. the last chunk
+     * of a stream), 5 values per point: longitude and latitude (see Geometry.setPosition) and weight.
+     * The points are added to the end of treepoints, so the points already in WebGLBuffers are the first ones.
+     * @override
+     * @memberOf HeatMap
+     */
+    createGroupedBuffers() {
+        const gl = this._webgl.gl;
+        const aes = this.aesthetics[0];
+        let first = 0; //Number of points already in WebGLBuffers
+        for (const f of aes.getAllFeatures())
+            for (const buffer of f.getPoints())
+                first += buffer.numItems;
+        if (first >= this.treepoints.length)
+            return;
+
+        const vertArray = new Float32Array((this.treepoints.length - first) * 5);
+        for (let i = first; i < this.treepoints.length; i++) {
+            const p = this.treepoints[i];
+            Geometry.setPosition(vertArray, (i - first) * 5, p.lon, p.lat);
+            vertArray[(i - first) * 5 + 4] = this.getWeight(p.properties);
+        }
+
+        const bufferP = [gl.createBuffer()];
+        gl.bindBuffer(gl.ARRAY_BUFFER, bufferP[0]);
+        gl.bufferData(gl.ARRAY_BUFFER, vertArray, gl.STATIC_DRAW);
+        bufferP[0].itemSize = 5;
+        bufferP[0].numItems = vertArray.length / 5;
+        this.insertGroupedFeature(0, [], [], bufferP);
+    }
+
+    /**
+     * Creates again the WebGLBuffers with all the points of the map (see createGroupedBuffers).
+     * @override
+     * @memberOf HeatMap
+     */
+    rebuildGroupedFeatures() {
+        const aes = this.aesthetics[0];
+        for (const f of aes.getAllFeatures())
+            this.deleteFeatureBuffers(f);
+        aes.removeAllGroupedFeatures();
+        this.createGroupedBuffers();
+    }
+
+    /**
+     * Draw Heat map, at the beginning and when the map is moved.
+     * 1) Accumulates the kernel of every point into the density framebuffer (additive blending).
+     * 2) Colors the density using the color ramp and draws it on the canvas.
+     * @see initialize() and makeMap() methods.
+     * @override
+     * @memberOf HeatMap
+     */
+    draw() {
+        const gl = this._webgl.gl;
+        if (gl === null)
+            return;
+
+        const hm = this._heatmap;
+        const state = this._webgl.state;
+        const width = gl.drawingBufferWidth;
+        const height = gl.drawingBufferHeight;
+        this.createDensityFramebuffer(width, height);
+
+        // 1) Density
+        gl.bindFramebuffer(gl.FRAMEBUFFER, hm.framebuffer);
+        gl.viewport(0, 0, width, height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        state.useProgram(hm.accumulationProgram);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+
+        state.uniform(hm.accumulationProgram, 'u_radius', 'uniform1f', this.gisplayOptions.radius);
+        state.uniform(hm.accumulationProgram, 'u_intensity', 'uniform1f', this.gisplayOptions.intensity);
+        const pointLayout = { stride: 5, attributes: [['coords', 4, 0], ['a_weight', 1, 4]] };
+        for (const worldCopy of this.getWorldCopies()) {
+            this.setMatrices(gl, hm.accumulationProgram, worldCopy);
+            for (const aes of this.aesthetics) {
+                if (!aes.isEnabled())
+                    continue;
+                for (const allF of aes.getAllFeatures())
+                    for (const p of allF.getPoints())
+                        state.draw(hm.accumulationProgram, p, pointLayout, gl.POINTS);
+            }
+        }
+
+        // 2) Color
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        state.useProgram(hm.colorProgram);
+        this.clear();
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, hm.densityTexture);
+        state.uniform(hm.colorProgram, 'u_density', 'uniform1i', 0);
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, hm.rampTexture);
+        state.uniform(hm.colorProgram, 'u_ramp', 'uniform1i', 1);
+        state.uniform(hm.colorProgram, 'u_alpha', 'uniform1f', this.gisplayOptions.alpha);
+        state.draw(hm.colorProgram, hm.quadBuffer, { stride: 2, attributes: [['a_position', 2, 0]] }, gl.TRIANGLE_STRIP);
+
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    /**
+     * Removes this map. Deletes the Heat Map programs, textures and framebuffer and then everything else (see Map.destroy).
+     * @override
+     * @memberOf HeatMap
+     */
+    destroy() {
+        const gl = this._webgl.gl;
+        if (gl === null)
+            return;
+        const hm = this._heatmap;
+        gl.deleteProgram(hm.accumulationProgram);
+        gl.deleteProgram(hm.colorProgram);
+        this._webgl.state.deleteVertexArray(hm.quadBuffer);
+        gl.deleteBuffer(hm.quadBuffer);
+        gl.deleteTexture(hm.rampTexture);
+        gl.deleteTexture(hm.densityTexture);
+        gl.deleteFramebuffer(hm.framebuffer);
+        super.destroy();
+    }
+
+    /**
+     * Method called to build the Map Legend.
+     * Creates a gradient with the color ramp and insert legend onto background map.
+     * @override
+     * @memberOf HeatMap
+     */
+    buildLegend() {
+        /**
+         * The Legend to be used through the life of the map.
+         * @type {Legend}
+         */
+        this.legend = new Legend(this.id, this.gisplayOptions.legendTitle);
+        this.legend.insertGradient(this, 'Low', '', 'High');
+        this.legend.insertLegend(this.bGMap);
+    }
+
+    /**
+     * Heat Maps only display points. The attribute is optional, it's only used to weight the points.
+     * @returns {{geometryTypes: string[], attr: boolean}}
+     * @override
+     * @memberOf HeatMap
+     */
+    requirements() {
+        return { geometryTypes: ["Point", "MultiPoint"], attr: false };
+    }
+
+    /**
+     * Defaults for HeatMap. Number of colors of the color ramp.
+     * @returns {{numberOfClasses: number}}
+     * @override
+     * @memberOf HeatMap
+     */
+    defaults() {
+        const options = {};
+        options.numberOfClasses = 9;
+        return options;
+    }
+
+    /**
+     * Returns the colors for this map given the number of classes and the nature of the data (sequential).
+     * @param {number} numClasses - Number of classes.
+     * @param {string} dataNature - Nature of the data.
+     * @returns {Array<Array<RGB>>} Default colors for the map given the number of classes and nature of data.
+     * @override
+     * @memberOf HeatMap
+     */
+    getDefaultColors(numClasses, dataNature) {
+        return ColorBrewer.getDefautls('HeatMap', numClasses, dataNature || "Sequential");
+    }
+}
\ No newline at end of file
@@ -0,0 +1,114 @@
+import { Map } from './Map';
+import { Legend } from '../Legend';
+import { ColorBrewer } from '../Helpers/ColorBrewer';
+
+/**
+ * Line Map implementation. Used for line datasets (e.g., roads, rivers, routes or flows),
+ * the color and width of each line is given by the class of the attribute.
+ */
+export class LineMap extends Map {
+
+    /**
+     * Creates an instance of LineMap.
+     * @param {BGMapWrapper} bgmap - Background map object.
+     * @param {JSON} geometry - JSON object with the geometry that was read from the file.
+     * @param {Object} options - User options to be used.
+     * @param {string} [id] - This map unique identifier.
+     * @memberOf LineMap
+     */
+    constructor(bgmap, geometry, options, id) {
+        super(bgmap, geometry, options, id);
+        this.loadOptions(options, bgmap);
+        this.initializeCanvasAndEvents();
+    }
+
+    /**
+     * Draw Line map, at the beginning and when the map is moved.
+     * Classes with higher values are drawn last, so the widest lines stay on top.
+     * @see initialize() and makeMap() methods.
+     * @override
+     * @memberOf LineMap
+     */
+    draw() {
+        this.clear();
+        for (const aes of this.aesthetics)
+            if (aes.isEnabled())
+                this.drawLines(aes);
+    }
+
+    /**
+     * Creates the Aesthetic objects like the other maps (see Map.preProcessData) and then gives each one a line width.
+     * For numerical attributes the width goes from minLineWidth (1st class) to maxLineWidth (last class),
+     * for categories every line has the same width.
+     * @param {JSON} geojson - GeoJSON object.
+     * @param {number} numberOfClasses - Number of classes that the Legend will contain.
+     * @param {string} classBreaksMethod - Algorithm to be used to calculate class breaks. Only used it class breaks are not given by the user.
+     * @param {string[]} colorScheme - Color scheme to be used by this map.
+     * @param {number[]} [calculatedBreaks] - The class breaks already calculated (see Map.requestClassBreaks).
+     * @override
+     * @memberOf LineMap
+     */
+    preProcessData(geojson, numberOfClasses, classBreaksMethod, colorScheme, calculatedBreaks) {
+        super.preProcessData(geojson, numberOfClasses, classBreaksMethod, colorScheme, calculatedBreaks);
+        const opts = this.gisplayOptions;
+        const numAes = this.aesthetics.length;
+        for (const [i, aes] of this.aesthetics.entries()) {
+            const isNumerical = aes.range !== null && typeof aes.range[0] === 'number' && aes.range.length > 1;
+            if (isNumerical && numAes > 1)
+                aes.pointSize = opts.minLineWidth + (opts.maxLineWidth - opts.minLineWidth) * i / (numAes - 1);
+            else
+                aes.pointSize = (opts.minLineWidth + opts.maxLineWidth) / 2;
+        }
+    }
+
+    /**
+     * Method called to build the Map Legend.
+     * For all Aesthethics that exist crate one line row and then insert the Legend to the map.
+     * @override
+     * @memberOf LineMap
+     */
+    buildLegend() {
+        /**
+         * The Legend to be used through the life of the map.
+         * @type {Legend}
+         */
+        this.legend = new Legend(this.id, this.gisplayOptions.legendTitle);
+        for (const aes of this.aesthetics)
+            this.legend.insertLineRow(aes, this);
+        this.legend.insertLegend(this.bGMap);
+    }
+
+    /**
+     * Line Maps only display lines and need the attribute to be mapped.
+     * @returns {{geometryTypes: string[], attr: boolean}}
+     * @override
+     * @memberOf LineMap
+     */
+    requirements() {
+        return { geometryTypes: ["LineString", "MultiLineString"], attr: true };
+    }
+
+    /**
+     * Defaults for LineMap.
+     * @returns {{numberOfClasses: number}}
+     * @override
+     * @memberOf LineMap
+     */
+    defaults() {
+        const options = {};
+        options.numberOfClasses = 5;
+        return options;
+    }
+
+    /**
+     * Returns the colors for this map given the number of classes and the nature of the data (sequential or qualitative).
+     * @param {number} numClasses - Number of classes.
+     * @param {string} dataNature - Nature of the data.
+     * @returns {Array<Array<RGB>>} Default colors for the map given the number of classes and nature of data.
+     * @override
+     * @memberOf LineMap
+     */
+    getDefaultColors(numClasses, dataNature) {
+        return ColorBrewer.getDefautls('LineMap', numClasses, dataNature || "Sequential");
+    }
+}
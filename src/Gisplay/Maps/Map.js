@@ -3,10 +3,28 @@ import { Aesthetic } from '../Aesthetic';
 import { GisplayOptions } from '../GisplayOptions';
 import { WebGLUtils } from '../Helpers/WebGLUtils';
 import { ColorBrewer } from '../Helpers/ColorBrewer';
+import { EventEmitter } from '../Helpers/EventEmitter';
+import { Geometry } from '../Helpers/Geometry';
+import { GeometryWorker } from '../Helpers/GeometryWorker';
+import { SpatialIndex } from '../Helpers/SpatialIndex';
+import { ClassBreaks } from '../Helpers/ClassBreaks';
+import { PolygonIndex } from '../Helpers/PolygonIndex';
+import { RenderState } from '../Helpers/RenderState';
+import { TopoJSON } from '../Helpers/TopoJSON';
+import { Join } from '../Helpers/Join';
+import { GeoJSONStream } from '../Helpers/GeoJSONStream';
+import { Feature } from '../Feature';
+import { GisplayOptionError, GisplayDataError } from '../GisplayErrors';
+
+/**
+ * Number of maps created without an id (not created through a Gisplay instance). Used to give them a different id.
+ * @type {number}
+ */
+let standaloneMapCount = 0;
 
 /**
  * This class contains the Map class which represents the current map.
- * Each map has a group of functions available. There is only one map yet(maybe there will be two if we want to compare two).
+ * Each map has a group of functions available. Several maps can exist at the same time, each one with a different id.
  * @see Diogo's thesis 57-60 + 64/65
  */
 export class Map {
@@ -16,10 +34,18 @@ export class Map {
      * @param {BGMapWrapper|Object} bgmap - Background map.
      * @param {JSON} geometry - Geometry read from the file.
      * @param {Object} userOptions - The user defined options. 
+     * @param {string} [id] - This map unique identifier. Given by the Gisplay instance that creates the map.
      * @todo With the type of the map we can do an if statement inside constructor to use or not some of the variables.
      */
-    constructor(bgmap, geometry, userOptions) {
+    constructor(bgmap, geometry, userOptions, id) {
         //console.log("Map constructor called -> super()");
+        /**
+         * Emits the events of this map: 'dataprocessed', 'render', 'profile', 'join', 'progress', 'legendbuilt', 'click' and 'error'.
+         * @see on() method.
+         * @type {EventEmitter}
+         */
+        this.events = new EventEmitter();
+
         /**
           * This object holds for each point it's long, lat and associated properties. 
           * This points will be used by k-d Tree. And k-d Tree is used to find the closest point to where the user clicked.
@@ -40,16 +66,27 @@ export class Map {
          * @type {Array<Aesthetic>}
          */
         this.aesthetics = new Array();
+        /**
+         * Features that don't fit any Aesthetic object (e.g., their value is out of the class breaks, or it's category was not known
+         * when the classes of streamed data were calculated), kept so they are inserted again when the classes change (see reclassify).
+         * @type {Array<Feature>}
+         */
+        this.unfitFeatures = [];
         /**
          * JSON object with the geometry that was read from the file.
          * @type {JSON}
          */
         this.geometry = geometry;
         /**
-         * This map unique identifier.
-         * @type {number}
+         * This map unique identifier. Used on the ids of the canvas and Legend elements.
+         * @type {string}
+         */
+        this.id = id !== undefined ? id : `m${standaloneMapCount++}`;
+        /**
+         * The Gisplay instance that has this map in it's registry (see Gisplay.addMap), undefined if it was created without one.
+         * @type {Gisplay}
          */
-        this.id = window.mapcount++;
+        this.gisplay = undefined;
 
         /**
          * KdTree object to hold that will be used to calculate the closest point to the coordinates where the user made a click.
@@ -59,11 +96,9 @@ export class Map {
          */
         this.kdtree = undefined;
         /**
-         * RBush(Rtree implementation) that is used to calculate the polygon closest to the coordinates where the user made a click.
-         * @type {PolygonLookup}
+         * Index of the polygons that is used to find the polygon where the user made a click.
+         * @type {PolygonIndex}
          * @see Diogo's thesis page 61.
-         * @see https://github.com/pelias/polygon-lookup
-         * @see https://github.com/mourner/rbush
          */
         this.rtree = undefined;
         /**
@@ -71,6 +106,26 @@ export class Map {
          * @type {boolean}
          */
         this.hasPolygons = false;
+        /**
+         * Lines do/do not exist. This is used to know if it to create the line index or not on buildTrees method.
+         * @type {boolean}
+         */
+        this.hasLines = false;
+        /**
+         * Index used to find the lines close to the coordinates where the user made a click (see buildLineIndex).
+         * @type {SpatialIndex}
+         */
+        this.lineIndex = undefined;
+        /**
+         * The worker used to process the geometries, created when it's first needed (see getWorker).
+         * @type {GeometryWorker}
+         */
+        this.worker = undefined;
+        /**
+         * Minimum and maximum longitude of the data, after unwrapping the geometries that cross the antimeridian. Used by getWorldCopies.
+         * @type {number[]}
+         */
+        this.lonExtent = null;
 
         /**
          * This is the maixmum value found on the dataset. The final value for the break. E.g. [2, 37[ 37 is the max. 
@@ -99,7 +154,14 @@ export class Map {
          * All the options available in the Gisplay API.
          * @type {GisplayOptions}
          */
-        this.gisplayOptions = new GisplayOptions(userOptions);
+        this.gisplayOptions = new GisplayOptions(userOptions, this.requirements().attr);
+        /**
+         * The options given by the user, kept so they can be merged with the ones given later to setOptions.
+         * @type {Object}
+         */
+        this.userOptions = userOptions;
+        for (const event of Object.keys(this.gisplayOptions.on))
+            this.on(event, this.gisplayOptions.on[event]);
 
         /**
          * This is the Gisplay API Background map wrapper. It contains the background map provider object to access it's methods (zoom, coordinates,etc).
@@ -107,10 +169,95 @@ export class Map {
          * @type {BGMapWrapper}
          */
         this.bGMap = bgmap;
+        /**
+         * The arcs of the polygons of each Feature read from TopoJSON, by GeoJSON geometry (see readData).
+         * @type {WeakMap}
+         */
+        this.topologyBorders = new WeakMap();
+        if (GeoJSONStream.isSource(this.geometry)) {
+            if (this.gisplayOptions.join !== undefined && this.gisplayOptions.join !== null)
+                throw new GisplayOptionError('join', "can't be used when the data is streamed (a File, Blob, Response or ReadableStream), join the Features before.");
+            /**
+             * Where the GeoJSON is read from when it's streamed (see loadStream), undefined when the data was given as an object.
+             * @type {Blob|Response|ReadableStream}
+             */
+            this.source = this.geometry;
+            this.geometry = { type: 'FeatureCollection', features: [] };
+        }
+        else {
+            this.geometry = this.readData(this.geometry);
+            this.validateData(this.geometry);
+        }
         if (this.gisplayOptions.showLoader)
             this.showLoader();
     }
 
+    /**
+     * Converts the data given by the user to a GeoJSON FeatureCollection, which is what the map uses.
+     * TopoJSON topologies are converted using the object given by the topologyObject option (see TopoJSON.toGeoJSON),
+     * the arcs of the polygons of each Feature are kept in topologyBorders.
+     * When the join option is given it's table of attributes is joined to the Features (see Join.attributes),
+     * the report of the join is kept (see getJoinReport) and the 'join' event is emitted.
+     * @param {JSON} data - The data given by the user.
+     * @returns {JSON} - The GeoJSON FeatureCollection.
+     * @throws {GisplayOptionError} When topologyObject is not an object of the topology.
+     * @throws {GisplayDataError} When the join option doesn't accept duplicate keys and there are some.
+     * @memberOf Map
+     */
+    readData(data) {
+        this.topologyBorders = new WeakMap();
+        if (TopoJSON.isTopology(data))
+            data = TopoJSON.toGeoJSON(data, this.gisplayOptions.topologyObject, this.topologyBorders);
+        const join = this.gisplayOptions.join;
+        if (join !== undefined && join !== null && data !== null && typeof data === 'object' && Array.isArray(data.features)) {
+            const result = Join.attributes(data, join.data, join);
+            /**
+             * Report of the last join of the join option (see getJoinReport).
+             * @type {Object}
+             */
+            this.joinReport = result.report;
+            this.events.emit('join', result.report, this);
+            return result.geojson;
+        }
+        return data;
+    }
+
+    /**
+     * Checks if the data can be used by this map: it must be a GeoJSON FeatureCollection, the geometries must be 
+     * supported by the type of map (see requirements) and the attributes given in the options must exist in the properties.
+     * @param {JSON} geojson - GeoJSON object.
+     * @throws {GisplayDataError} When the data isn't a FeatureCollection or has geometries the map can't display.
+     * @throws {GisplayOptionError} When attr, minuend or subtrahend don't exist in the properties of any Feature.
+     * @returns {void}
+     * @memberOf Map
+     */
+    validateData(geojson) {
+        if (geojson === null || typeof geojson !== 'object' || !Array.isArray(geojson.features))
+            throw new GisplayDataError("The data must be a GeoJSON FeatureCollection (an object with a features array) or a TopoJSON Topology.");
+
+        const opts = this.gisplayOptions;
+        const geometryTypes = this.requirements().geometryTypes || ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon'];
+        const features = geojson.features.slice(0, Math.min(geojson.features.length, opts.maxFeatures));
+        const checkGeometry = (geometry, i) => {
+            if (geometry === null || geometry === undefined)
+                return;
+            if (geometry.type === "GeometryCollection") //Each geometry of the collection must be supported
+                geometry.geometries.forEach(g => checkGeometry(g, i));
+            else if (!geometryTypes.includes(geometry.type))
+                throw new GisplayDataError(`${this.constructor.name} can't display ${geometry.type} geometries (Feature ${i}). Supported geometries: ${geometryTypes.join(', ')} (also inside GeometryCollections).`);
+        };
+        features.forEach((feature, i) => checkGeometry(feature.geometry, i));
+
+        if (features.length === 0)
+            return;
+        const attributes = opts.minuend !== undefined ? ['minuend', 'subtrahend'] : (opts.attr !== undefined ? ['attr'] : []);
+        for (const option of attributes) {
+            const name = opts[option];
+            if (!features.some(f => f.properties !== null && f.properties !== undefined && f.properties[name] !== undefined))
+                throw new GisplayOptionError(option, `"${name}" was not found in the properties of any Feature.`);
+        }
+    }
+
     /**
      * M2) Calls the Background Map Wrapper to create the loader to be used later when the user feeds data to the API.
      * @deprecated Not used anymore
@@ -140,6 +287,8 @@ export class Map {
          * @property  {WebGLRenderingContext} _webgl.gl - The WebGLRenderingContext to be used.
          * @property  {WebGLProgram} _webgl.program -  The WebGLProgram to be used. 
          * @property  {Float32Array} _webgl.projection - The projection to be used. Deprecated in favor of better projection to work with multiple map background providers.
+         * @property  {boolean} _webgl.uintIndices - If 32 bit indices can be used on ELEMENT_ARRAY_BUFFERs (OES_element_index_uint).
+         * @property  {RenderState} _webgl.state - Current program, vertex array objects and uniforms, so each frame only changes what is needed.
          * @see Diogo's thesis page 64+
          */
         this._webgl = {
@@ -148,7 +297,8 @@ export class Map {
         };
 
         this._webgl.gl = canvas.getContext("webgl");
-        window.canvas = canvas;
+        this._webgl.uintIndices = this._webgl.gl.getExtension('OES_element_index_uint') !== null;
+        this._webgl.state = new RenderState(this._webgl.gl, worldCopy => this.getProjection(worldCopy));
         this._webgl.gl.viewport(0, 0, this.bGMap.getContainer().offsetWidth, this.bGMap.getContainer().offsetHeight);
         this._webgl.gl.disable(this._webgl.gl.DEPTH_TEST);
     }
@@ -160,7 +310,7 @@ export class Map {
      * rtree will be used to find the closest polygon to the where the clicked event happened.
      * kdtree will be used to find the closest point to where the click event happened.
      * @todo This method is doing uneccessary job if the user set interative to false and mapOnClickFunction is undefined.
-     * @param {number} mappos - This map id. 
+     * @param {string} mappos - This map id. 
      * @return {void}
      * @see https://www.mapbox.com/mapbox-gl-js/api/#events
      * @see http://stackoverflow.com/a/34349737
@@ -168,9 +318,15 @@ export class Map {
     setupEvents(mappos) {
         /*if(!this.gisplayOptions.interactive && this.gisplayOptions.mapOnClickFunction === undefined)
             return;*/
-        this.bGMap.addPanEvent(() => this.draw());
-        this.bGMap.addZoomEvent(() => this.draw());
-        this.bGMap.addClickEvent(this);
+        /**
+         * Listeners registered on the background map. Kept so they can be removed when the map is destroyed.
+         * @type {Array<Object>}
+         */
+        this.eventListeners = [
+            this.bGMap.addPanEvent(() => this.redraw()),
+            this.bGMap.addZoomEvent(() => this.redraw()),
+            this.bGMap.addClickEvent(this)
+        ];
     }
 
     /**
@@ -180,6 +336,7 @@ export class Map {
      * @memberOf Map
      */
     clickEvent(lng, lat) {
+        lng = ((lng + 180) % 360 + 360) % 360 - 180; //The click can be on another copy of the world
         /**
          * When dealing with polygons rtree will be used.
          * @see Diogo's thesis Page 62
@@ -193,6 +350,12 @@ export class Map {
          */
         if (this.kdtree !== undefined)
             this.searchKdTree(lng, lat);
+
+        /**
+         * When dealing with lines the distance to each segment is used.
+         */
+        if (this.lineIndex !== undefined)
+            this.searchLines(lng, lat);
     }
 
     /**
@@ -206,29 +369,8 @@ export class Map {
         let rtreeSearchResult = this.rtree.search(lng, lat);
         if (rtreeSearchResult === undefined)
             return;
-        else {
-            let res = "";
-            let showPrtOnClick = this.gisplayOptions.showPropertiesOnClick;
-            if (showPrtOnClick !== null) {
-                for (let i = 0; i < showPrtOnClick.length; i += 2) {
-                    if (i === 0)
-                        res += `${showPrtOnClick[i + 1]}: ${rtreeSearchResult.properties[showPrtOnClick[i]]}`;
-                    else
-                        res += `\n${showPrtOnClick[i + 1]}: ${rtreeSearchResult.properties[showPrtOnClick[i]]}`;
-                }
-            }
-            else {
-                let keys = Object.keys(rtreeSearchResult.properties);
-                for (let [i, key] of keys.entries())
-                    if (key !== "_gisplayid")
-                        i == 0 ? res += `${key}: ${rtreeSearchResult.properties[key]}` : res += `\n${key}: ${rtreeSearchResult.properties[key]}`;
-            }
-
-            if (this.gisplayOptions.interactive)
-                alert(res);//todo
-            if (this.gisplayOptions.mapOnClickFunction !== undefined)
-                this.gisplayOptions.mapOnClickFunction(rtreeSearchResult);
-        }
+        else
+            this.onFeatureClick(rtreeSearchResult);
     }
 
     /**
@@ -244,50 +386,642 @@ export class Map {
             return;
         else {
             let kdTreeSearchResult = nearest[0][0];
-            let res = "";
-            let showPrtOnClick = this.gisplayOptions.showPropertiesOnClick;
-            if (showPrtOnClick !== null) { //TODO: Remove if dentro do for e passar a começar no i=1 e passar o if para antes do for
-                for (let i = 0; i < showPrtOnClick.length; i += 2) {
-                    if (i === 0)
-                        res += `${showPrtOnClick[i + 1]}: ${kdTreeSearchResult.properties[showPrtOnClick[i]]}`;
-                    else
-                        res += `\n${showPrtOnClick[i + 1]}: ${kdTreeSearchResult.properties[showPrtOnClick[i]]}`;
+            this.onFeatureClick(kdTreeSearchResult);
+        }
+    }
+
+    /**
+     * Search the line closest to the lng, lat that was clicked. The distance is measured in pixels, from the click
+     * to the segments of the lines near the click (see lineIndex), and must be less than half the line width plus a few pixels.
+     * @param {number} lng - The longitude of the click.
+     * @param {number} lat - The latitude of the click.
+     * @returns {void}
+     * @memberOf Map
+     */
+    searchLines(lng, lat) {
+        const zoomScale = this.gisplayOptions.tileSize / 256 * 2 ** this.bGMap.getZoom(); //latLongToPixelXY pixels to screen pixels
+        const maxWidth = Math.max(1, ...this.aesthetics.map(aes => aes.getLineWidth()));
+        const tolerance = maxWidth / 2 + 3; //Pixels
+        const toleranceDegrees = tolerance * 360 / (256 * zoomScale); //Larger than needed for latitude (Mercator)
+
+        let nearest, nearestDistance = tolerance;
+        for (const clickLng of [lng, lng - 360, lng + 360]) { //Unwrapped lines can have longitudes beyond ±180
+            const click = this.latLongToPixelXY(clickLng, lat);
+            const candidates = this.lineIndex.search([clickLng - toleranceDegrees, lat - toleranceDegrees, clickLng + toleranceDegrees, lat + toleranceDegrees]);
+            for (const line of candidates) {
+                for (const part of line.parts) {
+                    for (let i = 0; i < part.length - 1; i++) {
+                        const [[x0, y0], [x1, y1]] = [part[i], part[i + 1]];
+                        if (clickLng < Math.min(x0, x1) - toleranceDegrees || clickLng > Math.max(x0, x1) + toleranceDegrees ||
+                            lat < Math.min(y0, y1) - toleranceDegrees || lat > Math.max(y0, y1) + toleranceDegrees)
+                            continue; //Only the segments near the click are projected
+                        const a = this.latLongToPixelXY(part[i][0], part[i][1]);
+                        const b = this.latLongToPixelXY(part[i + 1][0], part[i + 1][1]);
+                        const distance = this.distanceToSegment(click, a, b) * zoomScale;
+                        if (distance <= nearestDistance) {
+                            nearest = line.feature;
+                            nearestDistance = distance;
+                        }
+                    }
                 }
             }
-            else {
-                let keys = Object.keys(kdTreeSearchResult.properties);
-                for (let [i, key] of keys.entries())
-                    if (key !== "_gisplayid")
-                        i == 0 ? res += `${key}: ${kdTreeSearchResult.properties[key]}` : res += `\n${key}: ${kdTreeSearchResult.properties[key]}`;
+        }
+        if (nearest !== undefined)
+            this.onFeatureClick(nearest);
+    }
+
+    /**
+     * Returns the distance from point p to the segment [a, b].
+     * @param {{x: number, y: number}} p - The point.
+     * @param {{x: number, y: number}} a - Start of the segment.
+     * @param {{x: number, y: number}} b - End of the segment.
+     * @returns {number} - The distance.
+     * @memberOf Map
+     */
+    distanceToSegment(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const length2 = dx * dx + dy * dy;
+        let t = length2 === 0 ? 0 : ((p.x - a.x) * dx + (p.y - a.y) * dy) / length2;
+        t = Math.max(0, Math.min(1, t));
+        return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    }
+
+    /**
+     * Called when the user clicks on a Feature. Shows the properties of the Feature (if interactive), 
+     * calls the mapOnClickFunction and emits the 'click' event.
+     * @param {{properties: JSON}} result - The Feature (or point) that was clicked.
+     * @returns {void}
+     * @memberOf Map
+     */
+    onFeatureClick(result) {
+        let res = "";
+        let showPrtOnClick = this.gisplayOptions.showPropertiesOnClick;
+        if (showPrtOnClick !== null) { //TODO: Remove if dentro do for e passar a começar no i=1 e passar o if para antes do for
+            for (let i = 0; i < showPrtOnClick.length; i += 2) {
+                if (i === 0)
+                    res += `${showPrtOnClick[i + 1]}: ${result.properties[showPrtOnClick[i]]}`;
+                else
+                    res += `\n${showPrtOnClick[i + 1]}: ${result.properties[showPrtOnClick[i]]}`;
             }
+        }
+        else {
+            let keys = Object.keys(result.properties);
+            for (let [i, key] of keys.entries())
+                if (key !== "_gisplayid")
+                    i == 0 ? res += `${key}: ${result.properties[key]}` : res += `\n${key}: ${result.properties[key]}`;
+        }
+
+        if (this.gisplayOptions.interactive)
+            alert(res);//todo
+        if (this.gisplayOptions.mapOnClickFunction !== undefined)
+            this.gisplayOptions.mapOnClickFunction(result);
+        this.events.emit('click', result, this);
+    }
+
+    /** ########################    LIFECYCLE METHODS    ######################## */
+    /**
+     * Draws the map again. Should be called after changing Aesthetic objects or options.
+     * Emits the 'render' event and, when the profiling option is on, the 'profile' event with what was done in the frame (see getFrameStats).
+     * @returns {void}
+     * @memberOf Map
+     */
+    redraw() {
+        if (this._webgl.gl !== null) {
+            const start = performance.now();
+            this._webgl.state.beginFrame();
+            this.draw();
+            const stats = this._webgl.state.endFrame();
+            if (this.gisplayOptions.profiling) {
+                /**
+                 * What was done to draw the last frame (see getFrameStats).
+                 * @type {Object}
+                 */
+                this.frameStats = Object.assign({ time: performance.now() - start }, stats);
+                this.events.emit('profile', this.frameStats, this);
+            }
+            this.events.emit('render', this);
+        }
+    }
+
+    /**
+     * Returns what was done to draw the last frame, when the profiling option is on: the time (in milliseconds, the CPU time to send the
+     * commands to WebGL), the draw calls, the programs made current, the vertex array objects bound, the attributes set up (only when
+     * a VAO is created or there are no VAOs), the uniforms uploaded and the projections calculated (see RenderState).
+     * @returns {{time: number, drawCalls: number, programChanges: number, vertexArrayBinds: number, attributeSetups: number, uniformUploads: number, projections: number}}
+     * - The counters of the last frame or undefined if profiling is off or the map was not drawn yet.
+     * @memberOf Map
+     */
+    getFrameStats() {
+        return this.frameStats;
+    }
+
+    /**
+     * Returns the report of the join of the join option, made when the data was given (creating the map or calling setData):
+     * the number of Features joined, the Features and the records without a match and the duplicate keys of the records (see Join.attributes).
+     * @returns {{matchedFeatures: number, unmatchedFeatures: Array<JSON>, unmatchedRecords: Array<Object>, duplicateKeys: Array<string>}}
+     * - The report or undefined if the join option was not given.
+     * @memberOf Map
+     */
+    getJoinReport() {
+        return this.joinReport;
+    }
+
+    /**
+     * Adds a listener to one of the events of this map:
+     * - 'dataprocessed' (map): the Aesthetic objects were created and the data was loaded to WebGL.
+     * - 'render' (map): the map was drawn.
+     * - 'profile' (stats, map): the map was drawn with the profiling option on. Receives what was done in the frame (see getFrameStats).
+     * - 'join' (report, map): the table of the join option was joined to the data. Receives the report (see getJoinReport).
+     * - 'progress' (fraction, map): a chunk of streamed data was drawn. Receives the fraction of the data read (0 to 1), null if the size is not known.
+     * - 'legendbuilt' (legend, map): the Legend was built.
+     * - 'click' (feature, map): the user clicked on a Feature. Receives the GeoJSON Feature (polygons) or the point with it's properties.
+     * - 'error' (error, map): something failed while making the map.
+     * @param {string} event - The event name.
+     * @param {Function} listener - Function to be called when the event happens.
+     * @returns {Map} - This map, so calls can be chained.
+     * @memberOf Map
+     */
+    on(event, listener) {
+        this.events.on(event, listener);
+        return this;
+    }
+
+    /**
+     * Adds a listener that is called only the first time the event happens.
+     * @param {string} event - The event name (see on()).
+     * @param {Function} listener - Function to be called when the event happens.
+     * @returns {Map} - This map, so calls can be chained.
+     * @memberOf Map
+     */
+    once(event, listener) {
+        this.events.once(event, listener);
+        return this;
+    }
+
+    /**
+     * Removes a listener added with on() or once(). If no listener is given all listeners of the event are removed.
+     * @param {string} event - The event name.
+     * @param {Function} [listener] - The listener to remove.
+     * @returns {Map} - This map, so calls can be chained.
+     * @memberOf Map
+     */
+    off(event, listener) {
+        this.events.off(event, listener);
+        return this;
+    }
+
+    /**
+     * Removes this map from the background map: the canvas, the Legend, the listeners added in setupEvents 
+     * and all the WebGLBuffers created for the Features. It's also removed from the Gisplay instance that created it.
+     * After this the map can't be used anymore.
+     * @returns {void}
+     * @memberOf Map
+     */
+    destroy() {
+        if (this.gisplay !== undefined) {
+            this.gisplay.unregisterMap(this);
+            this.gisplay = undefined;
+        }
+        const gl = this._webgl.gl;
+        if (gl === null)
+            return;
+
+        for (const listener of this.eventListeners || [])
+            this.bGMap.removeEventListener(listener);
+        this.eventListeners = [];
+
+        for (const aes of this.aesthetics)
+            for (const f of aes.getFeatures().concat(aes.getAllFeatures()))
+                this.deleteFeatureBuffers(f);
+        for (const f of this.unfitFeatures)
+            this.deleteFeatureBuffers(f);
+
+        if (this.legend !== undefined)
+            this.legend.removeLegend();
+
+        const canvas = gl.canvas;
+        gl.deleteProgram(this._webgl.program);
+        if (this._webgl.lineProgram !== undefined)
+            gl.deleteProgram(this._webgl.lineProgram);
+        const loseContext = gl.getExtension('WEBGL_lose_context');
+        if (loseContext !== null)
+            loseContext.loseContext();
+        if (canvas.parentNode !== null)
+            canvas.parentNode.removeChild(canvas);
+
+        this._webgl.gl = null;
+        this._webgl.program = null;
+        this._webgl.lineProgram = undefined;
+        this.aesthetics = [];
+        this.unfitFeatures = [];
+        this.treepoints = [];
+        this.tempAestheticPoints = [];
+        this.kdtree = undefined;
+        this.rtree = undefined;
+        this.lineIndex = undefined;
+        if (this.worker !== undefined)
+            this.worker.terminate();
+        this.events.removeAllListeners();
+    }
+
+    /**
+     * Deletes all the WebGLBuffers (triangles, borders, points and lines) that belong to the given Feature.
+     * Polygon meshes (see Geometry.createPolygonMesh) are not WebGLBuffers, only the grouped Features have buffers for the polygons.
+     * @param {Feature} feature - The Feature whose buffers will be deleted.
+     * @returns {void}
+     * @memberOf Map
+     */
+    deleteFeatureBuffers(feature) {
+        const gl = this._webgl.gl;
+        const buffers = [...feature.getTriangles(), ...feature.getBorders(), ...feature.getPoints(), ...feature.getLines()];
+        for (const lod of feature.getLods())
+            buffers.push(...lod.triangles, ...lod.borders);
+        for (const buffer of buffers) {
+            if (buffer.vertices !== undefined) //Mesh
+                continue;
+            this._webgl.state.deleteVertexArray(buffer);
+            if (buffer.vertexBuffer !== undefined) //Indexed (see createIndexedBuffers)
+                gl.deleteBuffer(buffer.vertexBuffer);
+            gl.deleteBuffer(buffer);
+        }
+    }
+
+    /**
+     * Returns the Aesthetic objects of this map (one per Legend class).
+     * @returns {Array<Aesthetic>} - The Aesthetic objects of this map.
+     * @memberOf Map
+     */
+    getAesthetics() {
+        return this.aesthetics;
+    }
+
+    /**
+     * Returns the options being used by this map.
+     * @returns {GisplayOptions} - The options being used by this map.
+     * @memberOf Map
+     */
+    getOptions() {
+        return this.gisplayOptions;
+    }
+
+    /** ########################    DATA UPDATE METHODS    ######################## */
+    /**
+     * Replaces all the data of the map. The WebGLBuffers of the old data are deleted.
+     * @param {JSON} geojson - The new GeoJSON FeatureCollection (or TopoJSON Topology, see readData).
+     * @param {boolean} [recalculateClasses=false] - If true the class breaks (Aesthetic objects and Legend) are calculated again using the new data.
+     * @returns {void}
+     * @memberOf Map
+     */
+    setData(geojson, recalculateClasses = false) {
+        geojson = this.readData(geojson);
+        this.validateData(geojson);
+        for (const aes of this.aesthetics) {
+            for (const f of aes.getFeatures().concat(aes.getAllFeatures()))
+                this.deleteFeatureBuffers(f);
+            aes.removeAllFeatures();
+        }
+        for (const f of this.unfitFeatures)
+            this.deleteFeatureBuffers(f);
+        this.unfitFeatures = [];
+        this.geometry = geojson;
+        this.treepoints = [];
+        this.tempAestheticPoints = [];
+        this.hasPolygons = false;
+        this.hasLines = false;
+        this.lonExtent = null;
+        this.kdtree = undefined;
+        this.rtree = undefined;
+        this.lineIndex = undefined;
+
+        if (recalculateClasses)
+            this.calcAesthetics();
+        this.loadGeoJSON(geojson);
+        if (recalculateClasses)
+            this.rebuildLegend();
+        this.redraw();
+    }
+
+    /**
+     * Adds new Features to the map. Each one is inserted in the Aesthetic object(s) where it fits.
+     * Only the new Features are grouped and inserted in the indexes used on clicks, unless the classes are calculated again.
+     * With simplify on, the levels of detail of the Features that touch the new ones are created again (see updateNeighbourLods).
+     * Features with null properties get an empty properties object.
+     * @param {Array<JSON>} features - GeoJSON Feature objects.
+     * @param {boolean} [recalculateClasses=false] - If true the class breaks are calculated again with the new Features.
+     * @returns {Array<number>} - The ids (_gisplayid) given to the new Features.
+     * @memberOf Map
+     */
+    addFeatures(features, recalculateClasses = false) {
+        const ids = [];
+        const opts = this.gisplayOptions;
+        const firstId = this.nextFeatureId;
+        const firstPoint = this.treepoints.length;
+        //The junctions of all the Features, so the borders shared with the Features already on the map are simplified the same way
+        const junctions = opts.simplify ? Geometry.findJunctions(this.geometry.features.concat(features).map(f => f.geometry)) : undefined;
+        const processed = features.map(f => Geometry.processFeature(f.geometry, opts, junctions));
+        this.tempAestheticPoints = [];
+        for (const [i, feature] of features.entries()) {
+            const id = this.nextFeatureId++;
+            if (feature.properties === null || feature.properties === undefined)
+                feature.properties = {};
+            feature.properties['_gisplayid'] = id;
+            this.geometry.features.push(feature);
+            this.createAndInsertFeature(id, feature.geometry, feature.properties, processed[i]);
+            ids.push(id);
+        }
+
+        const neighbours = opts.simplify && this.updateNeighbourLods(processed.map(p => p.bbox), junctions, firstId);
+        if (recalculateClasses)
+            this.reclassify();
+        else if (neighbours) //The grouped Features with the neighbours have their old levels of detail
+            this.rebuildGroupedFeatures();
+        else
+            this.createGroupedBuffers(f => f.getId() >= firstId);
+        this.addToIndexes(features, this.treepoints.slice(firstPoint));
+        this.redraw();
+        return ids;
+    }
+
+    /**
+     * Creates again the levels of detail of the polygon Features whose bounding box touches one of the given ones, so the borders
+     * they share with new Features keep the new junctions when simplified and no gaps appear between them.
+     * @param {Array<number[]>} bboxes - Bounding boxes of the new Features (see Geometry.processFeature).
+     * @param {Set<string>} junctions - Junctions of all the Features of the map (see Geometry.findJunctions).
+     * @param {number} firstId - Id of the first new Feature, the new Features are not changed.
+     * @returns {boolean} - True if the levels of detail of some Feature were created again.
+     * @memberOf Map
+     */
+    updateNeighbourLods(bboxes, junctions, firstId) {
+        const added = new SpatialIndex(bboxes.filter(bbox => bbox.length > 0), bbox => bbox);
+        const neighbours = {}; //The Features of each id, a Feature in several Aesthetic objects has one Feature object in each
+        for (const f of this.aesthetics.reduce((all, aes) => all.concat(aes.getFeatures()), this.unfitFeatures))
+            if (f.getId() < firstId && f.getLods().length > 0 && f.getBoundingBox() !== null && added.search(f.getBoundingBox()).length > 0)
+                (neighbours[f.getId()] = neighbours[f.getId()] || []).push(f);
+        if (Object.keys(neighbours).length === 0)
+            return false;
+
+        for (const feature of this.geometry.features) {
+            const same = neighbours[(feature.properties || {})._gisplayid];
+            if (same === undefined)
+                continue;
+            const polygons = Geometry.decomposeGeometry(feature.geometry).polygons;
+            const lods = Geometry.createLodMeshes(polygons, this.gisplayOptions, junctions, this.topologyBorders.get(feature.geometry));
+            for (const f of same)
+                f.setLods(lods);
+        }
+        return true;
+    }
+
+    /**
+     * Removes Features from the map and deletes their WebGLBuffers.
+     * @param {Array<number>} ids - The ids (_gisplayid) of the Features to remove.
+     * @param {boolean} [recalculateClasses=false] - If true the class breaks are calculated again without the removed Features.
+     * @returns {void}
+     * @memberOf Map
+     */
+    removeFeatures(ids, recalculateClasses = false) {
+        const toRemove = new Set(ids);
+        for (const aes of this.aesthetics)
+            for (const f of aes.removeFeatures(toRemove))
+                this.deleteFeatureBuffers(f);
+        for (const f of this.unfitFeatures.filter(f => toRemove.has(f.getId())))
+            this.deleteFeatureBuffers(f);
+        this.unfitFeatures = this.unfitFeatures.filter(f => !toRemove.has(f.getId()));
+
+        this.geometry.features = this.geometry.features.filter(f => !toRemove.has((f.properties || {})._gisplayid));
+        this.treepoints = this.treepoints.filter(p => !toRemove.has(p.properties._gisplayid));
+        this.updateAfterDataChange(recalculateClasses);
+    }
+
+    /**
+     * Changes the properties of one Feature. The Feature is moved to the Aesthetic object(s) where it fits now, reusing it's WebGLBuffers.
+     * @param {number} id - The id (_gisplayid) of the Feature.
+     * @param {JSON} properties - The properties to change (the others are kept).
+     * @param {boolean} [recalculateClasses=false] - If true the class breaks are calculated again using the new values.
+     * @throws {GisplayDataError} When there's no Feature with the given id on the map.
+     * @returns {void}
+     * @memberOf Map
+     */
+    updateFeatureProperties(id, properties, recalculateClasses = false) {
+        const feature = this.geometry.features.find(f => (f.properties || {})._gisplayid === id);
+        if (feature === undefined)
+            throw new GisplayDataError(`There is no Feature with id ${id} on this map.`);
+        Object.assign(feature.properties, properties, { _gisplayid: id });
+        this.calcDerivedAttribute(feature.properties);
+
+        let removed = this.unfitFeatures.filter(f => f.getId() === id);
+        this.unfitFeatures = this.unfitFeatures.filter(f => f.getId() !== id);
+        for (const aes of this.aesthetics)
+            removed = removed.concat(aes.removeFeatures(new Set([id])));
+        if (removed.length > 0) {
+            const f = removed[0];
+            this.insertFeature(id, feature.properties, f.getTriangles(), f.getBorders(), f.getPoints(), f.getLines(), f.getLods(), f.getBoundingBox());
+        }
+        this.updateAfterDataChange(recalculateClasses);
+    }
+
+    /**
+     * Updates everything that depends on the Features after they were removed or changed:
+     * class breaks (only if asked), grouped Features, k-d Tree, RTree and Legend. Then draws the map again.
+     * @param {boolean} recalculateClasses - If true the class breaks are calculated again.
+     * @returns {void}
+     * @memberOf Map
+     */
+    updateAfterDataChange(recalculateClasses) {
+        if (recalculateClasses)
+            this.reclassify();
+        else
+            this.rebuildGroupedFeatures();
+
+        this.buildIndexes(this.geometry);
+        this.redraw();
+    }
+
+    /**
+     * Calculates the Aesthetic objects again (class breaks and colors) and moves every Feature to it's new Aesthetic object(s).
+     * The WebGLBuffers of the Features are reused, only the buffers of the grouped Features (points and polygons) are created again.
+     * @param {boolean} [updateLegend=true] - If the Legend is built again. Not needed when it was not built yet.
+     * @returns {void}
+     * @memberOf Map
+     */
+    reclassify(updateLegend = true) {
+        const features = {};
+        for (const f of this.unfitFeatures)
+            features[f.getId()] = f;
+        this.unfitFeatures = [];
+        for (const aes of this.aesthetics) {
+            for (const f of aes.getFeatures())
+                features[f.getId()] = f;
+            for (const f of aes.getAllFeatures())
+                this.deleteFeatureBuffers(f);
+        }
+
+        this.calcAesthetics();
+        for (const f of Object.values(features))
+            this.insertFeature(f.getId(), f.getProperties(), f.getTriangles(), f.getBorders(), f.getPoints(), f.getLines(), f.getLods(), f.getBoundingBox());
+        this.rebuildGroupedFeatures();
+        if (updateLegend)
+            this.rebuildLegend();
+    }
+
+    /**
+     * Changes some of the options of the map. The Aesthetic objects and the Legend are created again and the Features
+     * are moved to their new Aesthetic object(s), without creating their WebGLBuffers again.
+     * Useful to change numberOfClasses, classBreaksMethod, classBreaks, colorScheme, alpha or legendTitle.
+     * Options that change how the geometry is stored in WebGL (memorySaver and sizeByClass) are kept, a new map must be created to change them.
+     * To go back from user classBreaks to calculated ones, set classBreaks to undefined.
+     * @param {Object} options - The options to change, same as the ones given when creating the map (see GisplayOptions).
+     * @returns {void}
+     * @memberOf Map
+     */
+    setOptions(options) {
+        const isDynamic = this.gisplayOptions.isDynamic;
+        this.userOptions = Object.assign({}, this.userOptions, options);
+        this.gisplayOptions = new GisplayOptions(this.userOptions, this.requirements().attr);
+        this.gisplayOptions.isDynamic = isDynamic;
+        this.validateData(this.geometry);
+        if (this.gisplayOptions.numberOfClasses === undefined)
+            this.gisplayOptions.numberOfClasses = this.defaults().numberOfClasses;
+
+        this.reclassify();
+        this.redraw();
+    }
+
+    /**
+     * Calculates the Aesthetic objects (class breaks and colors) using the current data and options.
+     * @returns {void}
+     * @memberOf Map
+     */
+    calcAesthetics() {
+        const opts = this.gisplayOptions;
+        this.max = null;
+        this.min = null;
+        this.tempAestheticPoints = [];
+        this.preProcessData(this.geometry, opts.numberOfClasses, opts.classBreaksMethod, opts.colorScheme);
+    }
 
-            if (this.gisplayOptions.interactive)
-                alert(res);
-            if (this.gisplayOptions.mapOnClickFunction !== undefined)
-                this.gisplayOptions.mapOnClickFunction(kdTreeSearchResult);
+    /**
+     * Creates again the grouped Features WebGLBuffers (see createGroupedBuffers) using all the Features of the map.
+     * @returns {void}
+     * @memberOf Map
+     */
+    rebuildGroupedFeatures() {
+        for (const aes of this.aesthetics) {
+            for (const f of aes.getAllFeatures())
+                this.deleteFeatureBuffers(f);
+            aes.removeAllGroupedFeatures();
+        }
+
+        this.tempAestheticPoints = [];
+        if (!this.gisplayOptions.isDynamic) {
+            for (let i = 0; i < this.aesthetics.length; i++)
+                this.tempAestheticPoints[i] = [];
+            for (const p of this.treepoints)
+                for (const aesPos of this.fitFeature(p.properties))
+                    this.tempAestheticPoints[aesPos].push(p.lon, p.lat);
+        }
+        this.createGroupedBuffers();
+    }
+
+    /**
+     * Removes the current Legend (if any) and builds it again. Used when the Aesthetic objects change.
+     * @returns {void}
+     * @memberOf Map
+     */
+    rebuildLegend() {
+        if (this.legend !== undefined)
+            this.legend.removeLegend();
+        if (this.gisplayOptions.showLegend) {
+            this.buildLegend();
+            this.events.emit('legendbuilt', this.legend, this);
         }
     }
 
     /** ########################   METHOD from Gisplay.js    ######################## */
     /**
      * M9) Method that executes all the process associated with the creation of the thematic map.
+     * The class breaks, the geometries and the k-d Tree and the bounding boxes of the polygons used on clicks are calculated in a Web Worker (see GeometryWorker),
+     * then the Aesthetic objects are created, the meshes are uploaded to WebGL and the indexes are linked to the Features (see loadGeoJSON).
+     * Streamed data is read, processed and drawn in chunks (see loadStream).
+     * If something fails the loader is hidden and the 'error' event is emitted.
+     * @returns {Promise<Map>} - Resolved with this map after the first draw and the Legend are done, rejected with the error otherwise.
      * @memberOf Map
      */
     makeMap() {
         let opts = this.gisplayOptions;
-        setTimeout(() => { //TODO: Remove setTimeout(it is only here to allo the loader to appear)
+        const destroyedError = () => new Error(`Map ${this.id} was destroyed before being made.`);
+        return new Promise((resolve) => {
+            setTimeout(resolve, 1); //TODO: Remove setTimeout(it is only here to allo the loader to appear)
+        }).then(() => {
+            if (this._webgl.gl === null)
+                throw destroyedError();
             if (opts.numberOfClasses === undefined)
                 opts.numberOfClasses = this.defaults().numberOfClasses;
-            this.preProcessData(this.geometry, opts.numberOfClasses, opts.classBreaksMethod, opts.colorScheme);
-
-            this.loadGeoJSON(this.geometry);
-            this.draw();
-
-            if (opts.showLegend)
+            if (this.source !== undefined)
+                return this.loadStream(this.source, destroyedError);
+            return this.requestClassBreaks().then((classBreaks) => {
+                if (this._webgl.gl === null) //Destroyed while the worker was running
+                    throw destroyedError();
+                this.preProcessData(this.geometry, opts.numberOfClasses, opts.classBreaksMethod, opts.colorScheme, classBreaks);
+                const features = this.geometry.features.slice(0, opts.maxFeatures);
+                return this.getWorker().processAndIndex(features.map(f => f.geometry), opts, features.map(f => this.topologyBorders.get(f.geometry)));
+            }).then(({ results, pointOrder, polygonBoxes }) => {
+                if (this._webgl.gl === null)
+                    throw destroyedError();
+                this.loadGeoJSON(this.geometry, results, { pointOrder, polygonBoxes });
+            });
+        }).then(() => {
+            this.events.emit('dataprocessed', this);
+
+            this.redraw();
+
+            if (opts.showLegend) {
                 this.buildLegend();
+                this.events.emit('legendbuilt', this.legend, this);
+            }
             if (opts.showLoader) //@TODO: Change this if to be the 1st thing done inside the setTimeout
                 this.showLoader();
-        }, 1);
+            return this;
+        }).catch((error) => {
+            if (this._webgl.gl === null) //E.g., the requests to the worker are rejected when it's terminated
+                throw destroyedError();
+            this.bGMap.hideLoader();
+            this.events.emit('error', error, this);
+            throw error;
+        });
+    }
+
+    /**
+     * Returns the worker used to process the geometries of this map, created on the first call (see GeometryWorker).
+     * @returns {GeometryWorker} - The worker.
+     * @memberOf Map
+     */
+    getWorker() {
+        if (this.worker === undefined)
+            this.worker = new GeometryWorker(this.gisplayOptions);
+        return this.worker;
+    }
+
+    /**
+     * Calculates the class breaks of the numeric values of attr in the worker (see GeometryWorker.classBreaks), with the Features used by preProcessData.
+     * @returns {Promise<number[]>} - Resolved with the class breaks, or undefined when preProcessData doesn't calculate them
+     * (they are given by the user, there's only one class or the values are not numbers).
+     * @memberOf Map
+     */
+    requestClassBreaks() {
+        const opts = this.gisplayOptions;
+        if (opts.classBreaks !== undefined || opts.numberOfClasses <= 1 || opts.attr === undefined)
+            return Promise.resolve(undefined);
+        const values = [];
+        for (const feature of this.geometry.features.slice(0, opts.maxFeatures)) {
+            const value = (feature.properties || {})[opts.attr];
+            if (typeof value === 'number')
+                values.push(value);
+        }
+        if (values.length === 0)
+            return Promise.resolve(undefined);
+        return this.getWorker().classBreaks(new Float64Array(values), opts.classBreaksMethod, opts.numberOfClasses);
     }
 
     /**
@@ -297,9 +1031,10 @@ export class Map {
      * @param {number} numberOfClasses - Number of classes that the Legend will contain.
      * @param {string} classBreaksMethod - Algorithm to be used to calculate class breaks. Only used it class breaks are not given by the user.
      * @param {string[]} colorScheme - Color scheme to be used by this map.
+     * @param {number[]} [calculatedBreaks] - The class breaks already calculated (see requestClassBreaks), used instead of calcClassBreaks.
      * @memberOf Map
      */
-    preProcessData(geojson, numberOfClasses, classBreaksMethod, colorScheme) {
+    preProcessData(geojson, numberOfClasses, classBreaksMethod, colorScheme, calculatedBreaks) {
         /**
          * @type {Array<Aesthetic>}
          */
@@ -309,22 +1044,25 @@ export class Map {
         let classBreaks; //Class Breaks given by the user or calculated by the API
         let fcolor; //Fill Colors to be used
         let opts = this.gisplayOptions; //Options given by the user and defaults
+        const stroke = chroma(opts.strokeColor).rgba(); //Stroke color of every Aesthetic
 
         let geoJsonFeaturesLength = geojson.features.length;
         for (let i = 0; i < geoJsonFeaturesLength && (i < opts.maxFeatures); i++) { //@TODO?: Two fors one if attr is a string another if it a number
-            let attrValue = geojson.features[i].properties[opts.attr];
+            let attrValue = (geojson.features[i].properties || {})[opts.attr]; //Features can have null properties
             if (attrValue !== null && typeof attrValue === 'number') { //If "f3" exists and its a number
                 numberValues.push(attrValue);
                 this.max = Math.max(this.max, attrValue);
                 this.min = Math.min(this.min, attrValue);
             }
             else if (!stringValues.includes(attrValue)) //If its a string
-                stringValues.push(geojson.features[i].properties[opts.attr]);
+                stringValues.push(attrValue);
         }
 
         if (numberValues.length > 0) { //Quantitative
             if (opts.classBreaks === undefined) { //Not given by the user then calculate them
-                if (numberOfClasses > 1)
+                if (calculatedBreaks !== undefined)
+                    classBreaks = calculatedBreaks;
+                else if (numberOfClasses > 1)
                     classBreaks = this.calcClassBreaks(numberValues, classBreaksMethod, numberOfClasses);
                 else
                     classBreaks = [this.min, this.max]; //Change Map
@@ -342,9 +1080,9 @@ export class Map {
                     let [r, g, b] = chroma(fcolor[i]).rgb(); // let color = chroma(fcolor[i]).rgb();
                     let aes;
                     if (i !== classBreaks.length - 2)
-                        aes = new Aesthetic(i, opts.attr, [Math.round(r), Math.round(g), Math.round(b), opts.alpha], [0, 0, 0, 1], null, [classBreaks[i], classBreaks[i + 1]]);
+                        aes = new Aesthetic(i, opts.attr, [Math.round(r), Math.round(g), Math.round(b), opts.alpha], stroke, null, [classBreaks[i], classBreaks[i + 1]]);
                     else {
-                        aes = new Aesthetic(i, opts.attr, [Math.round(r), Math.round(g), Math.round(b), opts.alpha], [0, 0, 0, 1], null, [classBreaks[i], classBreaks[i + 1]]);
+                        aes = new Aesthetic(i, opts.attr, [Math.round(r), Math.round(g), Math.round(b), opts.alpha], stroke, null, [classBreaks[i], classBreaks[i + 1]]);
                         aes.outer = true;
                     }
                     aesarray.push(aes);
@@ -353,7 +1091,7 @@ export class Map {
             else {
                 colorScheme = this.getDefaultColors(classBreaks.length);
                 let [r, g, b] = chroma(colorScheme[0]).rgb();// let color = chroma(colorscheme[0]).rgb();
-                let aes = new Aesthetic(0, opts.attr, [Math.round(r), Math.round(g), Math.round(b), opts.alpha], [0, 0, 0, 1], null, [classBreaks[0], classBreaks[1]]);
+                let aes = new Aesthetic(0, opts.attr, [Math.round(r), Math.round(g), Math.round(b), opts.alpha], stroke, null, [classBreaks[0], classBreaks[1]]);
                 aes.outer = true;
                 aesarray.push(aes);
             }
@@ -368,7 +1106,7 @@ export class Map {
 
                 for (let i = 0; i < classBreaks.length; i++) {
                     let [r, g, b] = chroma(fcolor[i]).rgb();// let color = chroma(fcolor[i]).rgb();
-                    let aes = new Aesthetic(i, opts.attr, [Math.round(r), Math.round(g), Math.round(b), 1], [0, 0, 0, 1], null, [stringValues[i]]);
+                    let aes = new Aesthetic(i, opts.attr, [Math.round(r), Math.round(g), Math.round(b), 1], stroke, null, [stringValues[i]]);
                     aesarray.push(aes);
                 }
             }
@@ -392,177 +1130,357 @@ export class Map {
      * @memberOf Map
      */
     calcClassBreaks(numberValues, classBreakMethod, numberOfClasses) {
-        let classBreaks;
-        switch (classBreakMethod) {
-            case 'equidistant':
-                classBreaks = chroma.limits(numberValues, 'e', numberOfClasses);
-                break;
-
-            case 'quantile':
-                classBreaks = chroma.limits(numberValues, 'q', numberOfClasses);
-                break;
-
-            case 'k-means':
-                classBreaks = chroma.limits(numberValues, 'k', numberOfClasses);
-                break;
-
-            default:
-                classBreaks = chroma.limits(numberValues, 'q', numberOfClasses);
-                break;
-        }
-        return classBreaks;
+        return ClassBreaks.calculate(numberValues, classBreakMethod, numberOfClasses);
     }
 
     /**
      * M13) Loads GeoJSON object that came from the file uploaded by the user. 
      * Extracts the Features present in the geometry object and inserts them in Aesthetic object(s)
      * This method will create and insert features to Aesthetic objects and build trees of relationships between points or polygons.
+     * The indexes used on clicks reference the GeoJSON Features (to give their properties on clicks), so they are built here (see buildIndexes),
+     * from the indexes built in the worker when they are given.
      * @param {JSON} geojson - GeoJSON read from the file.
+     * @param {Array<Object>} [processed] - The processed geometry of each Feature (see Geometry.processFeatures), e.g., from the worker.
+     * Processed on the main thread if not given.
+     * @param {{pointOrder: Uint32Array, polygonBoxes: Float64Array}} [indexes] - The indexes built in the worker (see GeometryWorker.processAndIndex).
      * @see https://www.dashingd3js.com/lessons/geojson
      * @memberOf Map
      */
-    loadGeoJSON(geojson) {
-        for (let i = 0; i < geojson.features.length && (this.gisplayOptions.maxFeatures === undefined || i < this.gisplayOptions.maxFeatures); i++) {
-            geojson.features[i].properties['_gisplayid'] = i;
-            const geometry = geojson.features[i].geometry;
-            const properties = geojson.features[i].properties;
-            this.createAndInsertFeature(i, geometry, properties);
+    loadGeoJSON(geojson, processed, indexes) {
+        /**
+         * The id to give to the next Feature that is added to the map (see addFeatures).
+         * @type {number}
+         */
+        this.nextFeatureId = 0;
+        const features = geojson.features.slice(0, this.gisplayOptions.maxFeatures);
+        if (processed === undefined)
+            processed = Geometry.processFeatures(features.map(f => f.geometry), this.gisplayOptions, features.map(f => this.topologyBorders.get(f.geometry)));
+        for (const [i, feature] of features.entries()) {
+            if (feature.properties === null || feature.properties === undefined)
+                feature.properties = {};
+            feature.properties['_gisplayid'] = i;
+            this.createAndInsertFeature(i, feature.geometry, feature.properties, processed[i]);
+            this.nextFeatureId = i + 1;
         }
-        this.buildTrees(geojson); //@TODO: Only call this method if it's a low end device aka options.memorySaver is on
+        this.buildTrees(geojson, indexes); //@TODO: Only call this method if it's a low end device aka options.memorySaver is on
+    }
+
+    /**
+     * Loads a streamed GeoJSON (see GeoJSONStream.read) in chunks of chunkSize Features. The geometries of each chunk are processed
+     * (in the worker when useWorker is on), uploaded to WebGL as new grouped Features and drawn before the next chunk is read,
+     * so the map fills in while the file is read and the loader shows the percentage read ('progress' event).
+     * The classes are calculated with the first chunk and are provisional: the ranges of the first and last classes are widened for the values
+     * of later chunks outside them (see widenClasses) and Features with categories that were not in the first chunk are not drawn.
+     * When all the Features are read the classes are calculated again and the Features are moved to their Aesthetic objects (see reclassify).
+     * The indexes used on clicks are only built at the end.
+     * @param {Blob|Response|ReadableStream} source - Where the GeoJSON is read from.
+     * @param {Function} destroyedError - Returns the error thrown when the map is destroyed while loading.
+     * @returns {Promise<void>} - Resolved when all the Features were loaded.
+     * @memberOf Map
+     */
+    loadStream(source, destroyedError) {
+        const opts = this.gisplayOptions;
+        this.nextFeatureId = 0;
+        /**
+         * True while streamed data is being loaded (see loadStream).
+         * @type {boolean}
+         */
+        this.streaming = true;
+        return GeoJSONStream.read(source, (chunk, progress) => {
+            if (this._webgl.gl === null)
+                throw destroyedError();
+            const features = chunk.slice(0, opts.maxFeatures - this.nextFeatureId);
+            this.validateData({ type: 'FeatureCollection', features });
+            const first = this.geometry.features.length === 0;
+            for (const feature of features)
+                this.geometry.features.push(feature);
+            if (first) //Only used until all the Features are read
+                this.preProcessData(this.geometry, opts.numberOfClasses, opts.classBreaksMethod, opts.colorScheme);
+
+            return this.getWorker().process(features.map(f => f.geometry), opts).then((processed) => {
+                if (this._webgl.gl === null)
+                    throw destroyedError();
+                const firstId = this.nextFeatureId;
+                this.tempAestheticPoints = [];
+                for (const [i, feature] of features.entries()) {
+                    const id = this.nextFeatureId++;
+                    if (feature.properties === null || feature.properties === undefined)
+                        feature.properties = {};
+                    feature.properties['_gisplayid'] = id;
+                    this.createAndInsertFeature(id, feature.geometry, feature.properties, processed[i]);
+                }
+                this.createGroupedBuffers(f => f.getId() >= firstId);
+                this.redraw();
+                this.bGMap.setLoaderProgress(progress);
+                this.events.emit('progress', progress, this);
+                return new Promise(resolve => setTimeout(resolve, 0)); //Lets the browser show the chunk before the next one
+            }).then(() => this.nextFeatureId < opts.maxFeatures);
+        }, opts.chunkSize).then(() => {
+            this.streaming = false;
+            if (this._webgl.gl === null)
+                throw destroyedError();
+            this.reclassify(false);
+            this.buildIndexes(this.geometry);
+            this.bGMap.setLoaderProgress(null);
+        });
     }
 
     /**
      * M14) Creates a Feature and then calls a method to insert said Feature in one or more Aesthetic objects.
+     * Multi geometries and GeometryCollections are split into their parts (see Geometry.decomposeGeometry), all the parts belong to the same Feature.
+     * Only the WebGL upload is done here, the meshes are created by Geometry.processFeature (in the worker when the map is made).
      * @param {number} featureId - Id of the Feature.
      * @param {JSON} geometry - GeoJSON Geometry Object. 
      * @param {JSON} properties - GeoJSON properties Object.
+     * @param {Object} [processed] - The processed geometry (see Geometry.processFeature). Processed now if not given.
      * @see http://geojson.org/geojson-spec.html#geometry-objects
      * @memberOf Map
      */
-    createAndInsertFeature(featureId, geometry, properties) {
-        const gl = this._webgl.gl;
+    createAndInsertFeature(featureId, geometry, properties, processed = Geometry.processFeature(geometry, this.gisplayOptions, undefined, this.topologyBorders.get(geometry))) {
         /**
          * @type {GisplayOptions}
          */
         let opts = this.gisplayOptions;
-        if (opts.minuend !== undefined && opts.subtrahend !== undefined
-            && typeof properties[opts.minuend] === 'number' && typeof properties[opts.subtrahend] === 'number'
-            && properties[opts.minuend] !== undefined && properties[opts.subtrahend] !== undefined) {
-            properties[opts.attr] = properties[opts.minuend] - properties[opts.subtrahend]; //Used for Change map
-        }
+        this.calcDerivedAttribute(properties);
+        this.updateLonExtent(processed.bbox, 2); //The minimum and maximum longitude
 
-        //let isPoint = geometry.type == "Point";
-        if (geometry.type === "Polygon" || geometry.type === "MultiPolygon") {
+        let meshT = []; //Triangles mesh, the WebGLBuffers are created for each Aesthetic (see createPolygonBatches)
+        let meshB = []; //Borders mesh
+        let lods = [];
+        if (processed.polygons !== null) {
             this.hasPolygons = true;
-            const polygons = this.processPolygon({ geometry, properties });
-
-            const currentTriangles = []; //Polygon Triangles vertices
-            const bufferT = []; //WebGL Buffers with  triangles
-            const currentBorders = []; //Polygon Borders vertices
-            const bufferB = []; //Buffer borders
-
-            for (let i = 0; i < polygons.length; i++) { //For each Polygon
-                const trianglesPolygon = polygons[i].triangles;
-                const border = polygons[i].vertices;
-                currentTriangles[i] = new Array(); //Add This Polygon triangles
-                currentBorders[i] = new Array(); //Add this Polygon borders
-
-                for (let j = 0; j < trianglesPolygon.length; j++) { //Triangles
-                    currentTriangles[i].push(border[trianglesPolygon[j] * 2], border[trianglesPolygon[j] * 2 + 1]);
-
-                    if (j === trianglesPolygon.length - 1) {
-                        bufferT.push(gl.createBuffer());
-
-                        let vertArray = new Float32Array(currentTriangles[i]);
-                        gl.fsize = vertArray.BYTES_PER_ELEMENT;
-                        gl.bindBuffer(gl.ARRAY_BUFFER, bufferT[i]);
-                        gl.bufferData(gl.ARRAY_BUFFER, vertArray, gl.STATIC_DRAW);
+            ({ triangles: meshT, borders: meshB, lods } = processed.polygons);
+        }
 
-                        bufferT[i].itemSize = 2;
-                        bufferT[i].numItems = vertArray.length / 2;
-                    }
-                }
+        const bufferL = []; //Buffer lines, one for each part
+        for (const stroke of processed.lines) {
+            this.hasLines = true;
+            bufferL.push(...this.createIndexedBuffers([stroke], 14));
+        }
 
-                for (let k = 0; k < border.length; k += 2) { //Borders
-                    currentBorders[i].push(border[k], border[k + 1]);
+        const bufferPoints = []; //Buffer points, all the points of the Feature in one buffer
+        if (processed.points.length > 0) {
+            if (opts.isDynamic) {
+                const currentPoints = new Array();
+                for (const [lon, lat] of processed.points)
+                    currentPoints.push(lon, lat);
+                bufferPoints.push(this.createArrayBuffer(currentPoints));
+            }
+            else {
+                if (this.tempAestheticPoints.length === 0)
+                    for (let i = 0; i < this.aesthetics.length; i++)
+                        this.tempAestheticPoints[i] = [];
+
+                const aesPositions = this.fitFeature(properties);
+                for (const aesPos of aesPositions)
+                    for (const [lon, lat] of processed.points)
+                        this.tempAestheticPoints[aesPos].push(lon, lat);
+            }
+            for (const [lon, lat] of processed.points) //Every part shares the properties (and _gisplayid) of the Feature
+                this.treepoints.push({ lon, lat, properties });
+        }
 
-                    if (k === border.length - 2) {
-                        bufferB.push(gl.createBuffer());
+        if (meshT.length > 0 || bufferPoints.length > 0 || bufferL.length > 0)
+            this.insertFeature(featureId, properties, meshT, meshB, bufferPoints, bufferL, lods, processed.bbox.length > 0 ? processed.bbox : null);
+    }
 
-                        let vertArray = new Float32Array(currentBorders[i]);
-                        gl.fsize = vertArray.BYTES_PER_ELEMENT;
-                        gl.bindBuffer(gl.ARRAY_BUFFER, bufferB[i]);
-                        gl.bufferData(gl.ARRAY_BUFFER, vertArray, gl.STATIC_DRAW);
+    /**
+     * Groups the given meshes in WebGLBuffers: one ARRAY_BUFFER with the vertices and one ELEMENT_ARRAY_BUFFER with the indices.
+     * Without 32 bit indices (OES_element_index_uint) the vertices are split in batches of 65536, meshes with more vertices are split (see Geometry.splitMesh).
+     * @param {Array<{vertices: Float32Array, indices: Uint32Array}>} meshes - The meshes to group.
+     * @param {number} itemSize - Number of values of each vertex (4 for triangles, 14 for strokes).
+     * @returns {Array<WebGLBuffer>} - The ELEMENT_ARRAY_BUFFERs, with the ARRAY_BUFFER (vertexBuffer), 
+     * the number of indices (numItems) and the type of the indices (indexType).
+     * @memberOf Map
+     */
+    createIndexedBuffers(meshes, itemSize) {
+        const gl = this._webgl.gl;
+        const maxVertices = this._webgl.uintIndices ? 2 ** 32 : 2 ** 16;
+        const IndexArray = this._webgl.uintIndices ? Uint32Array : Uint16Array;
+        const indexType = this._webgl.uintIndices ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+        const buffers = [];
+        let batch = [];
+        let numVertices = 0;
+
+        const flush = () => {
+            if (batch.length === 0)
+                return;
+            const { vertices, indices } = Geometry.joinMeshes(batch, itemSize, IndexArray);
+            const vertexBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+            vertexBuffer.itemSize = itemSize;
+            vertexBuffer.numItems = vertices.length / itemSize;
+
+            const indexBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+            indexBuffer.vertexBuffer = vertexBuffer;
+            indexBuffer.numItems = indices.length;
+            indexBuffer.indexType = indexType;
+            buffers.push(indexBuffer);
+            batch = [];
+            numVertices = 0;
+        };
 
-                        bufferB[i].itemSize = 2;
-                        bufferB[i].numItems = vertArray.length / 2;
-                    }
-                }
+        for (const mesh of meshes) {
+            for (const part of Geometry.splitMesh(mesh, itemSize, maxVertices)) { //Only split without 32 bit indices
+                const n = part.vertices.length / itemSize;
+                if (numVertices + n > maxVertices)
+                    flush();
+                batch.push(part);
+                numVertices += n;
             }
-            this.insertFeature(featureId, properties, bufferT, bufferB, []);
         }
+        flush();
+        return buffers;
+    }
 
-        else if (geometry.type === "Point" && opts.isDynamic) {
-            const currentPoints = new Array();
-            currentPoints.push(geometry.coordinates[0], geometry.coordinates[1]);
-            const bufferPoints = [];//Buffer points
-            let vertArray = new Float32Array(currentPoints);
-
-            bufferPoints.push(gl.createBuffer());
-            gl.fsize = vertArray.BYTES_PER_ELEMENT;
-            gl.bindBuffer(gl.ARRAY_BUFFER, bufferPoints[0]);
-            gl.bufferData(gl.ARRAY_BUFFER, vertArray, gl.STATIC_DRAW);
+    /**
+     * Groups the polygon meshes of the given Features in WebGLBuffers (see createIndexedBuffers), one group for the triangles
+     * and another for the borders. So each Aesthetic object is drawn with one draw call for the triangles and one for the borders,
+     * instead of one per ring. The arcs of TopoJSON shared by several of the Features are only added once.
+     * @param {Array<Feature>} features - The Features to group.
+     * @param {number} [level] - Level of detail of the meshes to use (see Feature.getTriangles).
+     * @returns {{triangles: Array<WebGLBuffer>, borders: Array<WebGLBuffer>}} - The ELEMENT_ARRAY_BUFFERs of the triangles and borders.
+     * @memberOf Map
+     */
+    createPolygonBatches(features, level) {
+        const triangles = [];
+        const borders = [];
+        const arcs = new Set(); //Arcs of TopoJSON shared by several of the Features are drawn once
+        for (const f of features) {
+            triangles.push(...f.getTriangles(level));
+            for (const mesh of f.getBorders(level)) {
+                if (mesh.arc !== undefined && arcs.has(mesh.arc))
+                    continue;
+                arcs.add(mesh.arc);
+                borders.push(mesh);
+            }
+        }
+        return { triangles: this.createIndexedBuffers(triangles, 4), borders: this.createIndexedBuffers(borders, 14) };
+    }
 
-            bufferPoints[0].itemSize = 2;
-            bufferPoints[0].numItems = vertArray.length / 2;
+    /**
+     * Returns the level of detail to be drawn on the current zoom (see GisplayOptions.lodZoomLevels).
+     * @returns {number} - The level of detail or undefined if the original polygons must be drawn.
+     * @memberOf Map
+     */
+    getLodLevel() {
+        if (!this.gisplayOptions.simplify)
+            return undefined;
+        const zoom = this.bGMap.getZoom();
+        const level = this.gisplayOptions.lodZoomLevels.findIndex(z => zoom <= z);
+        return level === -1 ? undefined : level;
+    }
 
-            this.insertFeature(featureId, properties, [], [], bufferPoints);
-            this.treepoints.push({ lon: geometry.coordinates[0], lat: geometry.coordinates[1], properties });
+    /**
+     * Calculates the attribute of the Feature when it depends on other properties (minuend - subtrahend on Change Maps).
+     * @param {JSON} properties - GeoJSON properties Object. 
+     * @return {void}
+     * @memberOf Map
+     */
+    calcDerivedAttribute(properties) {
+        let opts = this.gisplayOptions;
+        if (opts.minuend !== undefined && opts.subtrahend !== undefined
+            && typeof properties[opts.minuend] === 'number' && typeof properties[opts.subtrahend] === 'number'
+            && properties[opts.minuend] !== undefined && properties[opts.subtrahend] !== undefined) {
+            properties[opts.attr] = properties[opts.minuend] - properties[opts.subtrahend]; //Used for Change map
         }
+    }
 
-        else if (geometry.type === "Point" && !opts.isDynamic) {
-            if (this.tempAestheticPoints.length === 0)
-                for (let i = 0; i < this.aesthetics.length; i++)
-                    this.tempAestheticPoints[i] = [];
-
-            const aesPositions = this.fitFeature(properties);
-            for (const aesPos of aesPositions)
-                this.tempAestheticPoints[aesPos].push(geometry.coordinates[0], geometry.coordinates[1]);
+    /**
+     * Creates a WebGLBuffer (ARRAY_BUFFER) with the given coordinates, 4 values (high and low parts of the longitude and latitude) per vertex.
+     * @param {Array<number>} coords - The coordinates (longitude, latitude) of the vertices.
+     * @returns {WebGLBuffer} - The buffer created, with itemSize and numItems.
+     * @see Geometry.setPosition
+     * @memberOf Map
+     */
+    createArrayBuffer(coords) {
+        const gl = this._webgl.gl;
+        const vertArray = Geometry.splitPositions(coords);
+        const buffer = gl.createBuffer();
+        gl.fsize = vertArray.BYTES_PER_ELEMENT;
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertArray, gl.STATIC_DRAW);
+        buffer.itemSize = 4;
+        buffer.numItems = vertArray.length / 4;
+        return buffer;
+    }
 
-            this.treepoints.push({ lon: geometry.coordinates[0], lat: geometry.coordinates[1], properties });
+    /**
+     * Updates the minimum and maximum longitude of the data (lonExtent) with the given vertices.
+     * @param {Array<number>} vertices - Vertices with the longitude as the first value.
+     * @param {number} stride - Number of values of each vertex.
+     * @returns {void}
+     * @memberOf Map
+     */
+    updateLonExtent(vertices, stride) {
+        if (vertices.length === 0)
+            return;
+        if (this.lonExtent === null)
+            this.lonExtent = [vertices[0], vertices[0]];
+        for (let i = 0; i < vertices.length; i += stride) {
+            if (vertices[i] < this.lonExtent[0])
+                this.lonExtent[0] = vertices[i];
+            else if (vertices[i] > this.lonExtent[1])
+                this.lonExtent[1] = vertices[i];
         }
     }
 
     /**
-     * M15) Deals with polygon triangulation.
+     * M15) Deals with polygon triangulation. Interior rings (holes, e.g., lakes or enclaves) are given to earcut so they aren't filled.
      * @param {{geometry: JSON, properties: JSON}} polygon - The geometry and properties of the polygon.
-     * @returns {{triangles: Array<number>, vertices: Array<number>}} - The triangles and vertices calculated by earcut triangulation. The vertices are the outside of the polygon, the triangles are the inside.
+     * @returns {Array<{triangles: Array<number>, vertices: Array<number>, rings: Array<Array<number>>}>} - For each polygon the triangles and vertices 
+     * calculated by earcut triangulation and the vertices of each ring (outside first, then the holes) to draw the borders.
      * @see http://www.macwright.org/2015/03/23/geojson-second-bite.html#polygons
      * @memberOf Map
      */
     processPolygon(polygon) {
         let polyarray = [];
-        if (polygon.geometry.type === "Polygon") { //@TODO: [Demos never use this if statement.]
-            let outsidepolygon = polygon.geometry.coordinates[0]; //See: http://geojson.org/geojson-spec.html#polygon
-            let tempVerts = new Array();
-            for (let out = 0; out < outsidepolygon.length - 1; out++)
-                tempVerts.push(outsidepolygon[out][0], outsidepolygon[out][1]);//_vertexcount += (outsidepolygon.length + 1) / 2;
-            let triangles_vert = earcut(tempVerts); // _tricount += (triangles_vert.length / 3);
-            polyarray.push({ triangles: triangles_vert, vertices: tempVerts });
-        }
+        if (polygon.geometry.type === "Polygon") //See: http://geojson.org/geojson-spec.html#polygon
+            polyarray.push(Geometry.triangulateRings(polygon.geometry.coordinates));
         else if (polygon.geometry.type == "MultiPolygon") { //See http://geojson.org/geojson-spec.html#multipolygon
-            for (const cs of polygon.geometry.coordinates) {
-                let outsidepolygon = cs[0];
-                let tempVerts = new Array();
-                for (const c of outsidepolygon)
-                    tempVerts.push(c[0], c[1]);
-                let triangles_vert = earcut(tempVerts);
-                polyarray.push({ triangles: triangles_vert, vertices: tempVerts });
-            }
+            for (const cs of polygon.geometry.coordinates)
+                polyarray.push(Geometry.triangulateRings(cs));
         }
         return polyarray;
     }
 
+    /**
+     * While a stream is loaded the classes are calculated with the first chunk (see loadStream). When a Feature of a later chunk has a
+     * value below the first class or above the last one, the range of that class is widened so the Feature is drawn until the classes
+     * are calculated again with all the Features. Class breaks given by the user and categories are not changed.
+     * @param {JSON} properties - The properties of the Feature that doesn't fit in any Aesthetic object.
+     * @returns {boolean} - True if a range was widened.
+     * @memberOf Map
+     */
+    widenClasses(properties) {
+        if (this.gisplayOptions.classBreaks !== undefined)
+            return false;
+        let first, last;
+        for (const aes of this.aesthetics) {
+            if (aes.range === null || aes.range.length !== 2 || typeof aes.range[0] !== 'number' || typeof aes.range[1] !== 'number')
+                continue;
+            if (first === undefined || aes.range[0] < first.range[0])
+                first = aes;
+            if (last === undefined || aes.range[1] > last.range[1])
+                last = aes;
+        }
+        if (first === undefined)
+            return false;
+        const value = properties[first.getAttr()];
+        if (typeof value !== 'number' || !isFinite(value))
+            return false;
+        if (value < first.range[0])
+            first.range[0] = value;
+        else if (value > last.range[1])
+            last.range[1] = value;
+        else
+            return false;
+        return true;
+    }
+
     /**
      * M16) Converts geographic coordinates(latitude, longitude) to canvas coordinate pixels.
      * @param {number} longitude - The longitude.
@@ -570,34 +1488,37 @@ export class Map {
      * @returns {x: number, y: number} - canvas coordinate system pixels.
      * @see http://gisgeography.com/latitude-longitude-coordinates/
      * @see https://www.w3schools.com/graphics/canvas_coordinates.asp
-     * @deprecated Not used anymore. YEAH...
+     * Used to measure distances in pixels (at zoom 0) when the user clicks on lines.
      * @memberOf Map
      */
     latLongToPixelXY(longitude, latitude) {
-        const pi_180 = Math.PI / 180.0;
-        const pi_4 = Math.PI * 4;
-        const sinLatitude = Math.sin(latitude * pi_180);
-        const pixelY = (0.5 - Math.log((1 + sinLatitude) / (1 - sinLatitude)) / (pi_4)) * 256;
-        const pixelX = ((longitude + 180) / 360) * 256;
-
-        const pixel = { x: pixelX, y: pixelY };
-        return pixel;
+        return Geometry.latLongToPixelXY(longitude, latitude);
     }
 
     /**
-     * M17) Inserts the Feature into one or more Aesthetic objects. If the Feature does not fit in any Aesthetic then does nothing.
+     * M17) Inserts the Feature into one or more Aesthetic objects. If the Feature does not fit in any Aesthetic it is kept in unfitFeatures.
      * @param {number} id - The Feature id. 
      * @param {JSON} properties - The Feature properties. 
      * @param {{itemSize: number, numItems: number}} triangles - Triangles, each in one WebGLBuffer.
      * @param {{itemSize: number, numItems: number}} borders - Borders, each in one WebGLBuffer.
      * @param {{itemSize: number, numItems: number}} points - Points, each in one WebGLBuffer.
+     * @param {{itemSize: number, numItems: number}} [lines=[]] - Lines, each in one WebGLBuffer.
+     * @param {Array<{triangles: Array<WebGLBuffer>, borders: Array<WebGLBuffer>}>} [lods=[]] - Triangles and borders of each level of detail.
+     * @param {number[]} [bbox=null] - Bounding box of the Feature, [minLon, minLat, maxLon, maxLat] (see Geometry.processFeature).
      * @return {void}
      * @memberOf Map
      */
-    insertFeature(id, properties, triangles, borders, points) {
+    insertFeature(id, properties, triangles, borders, points, lines = [], lods = [], bbox = null) {
+        let fits = false;
         for (const aes of this.aesthetics)
-            if (aes.checkProperty(properties[aes.getAttr()]))
-                aes.addFeature(id, properties, triangles, borders, points);
+            if (aes.checkProperty(properties[aes.getAttr()])) {
+                aes.addFeature(id, properties, triangles, borders, points, lines, lods, bbox);
+                fits = true;
+            }
+        if (!fits && this.streaming && this.widenClasses(properties))
+            return this.insertFeature(id, properties, triangles, borders, points, lines, lods, bbox);
+        if (!fits)
+            this.unfitFeatures.push(new Feature(id, properties, triangles, borders, points, lines, lods, bbox));
         /* for (let i = 0; i < this.aesthetics.length; i++)
              if (this.aesthetics[i].checkProperty(properties[this.aesthetics[i].getAttr()]))
                  this.aesthetics[i].addFeature(id, properties, triangles, borders, points);*/
@@ -621,32 +1542,171 @@ export class Map {
      * M19) Receives the dataset as parameter. This dataset in each row contains geometry and associated properties, then it creates one tree
      * either for points or polygons. This tree can be k-d Treee or RBush(RTree)
      * @param {JSON} geojson 
+     * @param {{pointOrder: Uint32Array, polygonBoxes: Float64Array}} [indexes] - The indexes built in the worker (see buildIndexes).
      * @return {void}
      * @see Diogo's thesis page 62
      * @memberOf Map
      */
-    buildTrees(geojson) {
-        const gl = this._webgl.gl;
+    buildTrees(geojson, indexes) {
+        this.createGroupedBuffers();
+        this.buildIndexes(geojson, indexes);
+    }
+
+    /**
+     * Builds the indexes used to find the Feature where the user clicked: the k-d Tree of the points (only when there are points),
+     * the index of the polygons (see PolygonIndex) and the line index (see buildLineIndex).
+     * The k-d Tree and the bounding boxes of the polygons calculated in the worker only have to be linked to the points and the Features: their order is checked against
+     * treepoints and the bounding boxes are of the first maxFeatures Features (see makeMap), otherwise they are calculated here.
+     * @param {JSON} geojson - GeoJSON object with all the Features of the map.
+     * @param {{pointOrder: Uint32Array, polygonBoxes: Float64Array}} [indexes={}] - The indexes built in the worker (see GeometryWorker.processAndIndex).
+     * @returns {void}
+     * @memberOf Map
+     */
+    buildIndexes(geojson, indexes = {}) {
+        const { pointOrder, polygonBoxes } = indexes;
+        const metric = (a, b) => (a.lon - b.lon) ** 2 + (a.lat - b.lat) ** 2;
+        if (this.treepoints.length > 0) { //Only maps with points have a k-d Tree
+            if (pointOrder !== undefined && pointOrder.length === this.treepoints.length)
+                this.kdtree = new kdTree(SpatialIndex.kdTreeNodes(pointOrder, this.treepoints), metric, ["lon", "lat", "properties"]);
+            else
+                this.kdtree = new kdTree(this.treepoints, metric, ["lon", "lat", "properties"]);
+        }
+        else //E.g., all the points were removed
+            this.kdtree = undefined;
+        if (this.hasPolygons) {
+            if (polygonBoxes !== undefined && polygonBoxes !== null)
+                this.rtree = new PolygonIndex(geojson.features.slice(0, this.gisplayOptions.maxFeatures), polygonBoxes);
+            else
+                this.rtree = new PolygonIndex(geojson.features);
+        }
+        if (this.hasLines)
+            this.lineIndex = new SpatialIndex(this.buildLineIndex(geojson), line => line.bbox);
+    }
+
+    /**
+     * Inserts new Features in the indexes used to find the Feature where the user clicked (see buildIndexes),
+     * creating the indexes that don't exist yet.
+     * @param {Array<JSON>} features - The new GeoJSON Features.
+     * @param {Array<{lon: number, lat: number, properties: JSON}>} points - The new points (see treepoints).
+     * @returns {void}
+     * @memberOf Map
+     */
+    addToIndexes(features, points) {
+        if (this.kdtree === undefined) {
+            if (this.treepoints.length > 0)
+                this.kdtree = new kdTree(this.treepoints, (a, b) => (a.lon - b.lon) ** 2 + (a.lat - b.lat) ** 2, ["lon", "lat", "properties"]);
+        }
+        else
+            for (const p of points)
+                this.kdtree.insert(p);
+        if (this.hasPolygons) {
+            if (this.rtree === undefined)
+                this.rtree = new PolygonIndex(this.geometry.features);
+            else
+                this.rtree.add(features);
+        }
+        if (this.hasLines) { //The grid of the SpatialIndex is created again, the parts of the old lines are reused
+            const lines = this.lineIndex !== undefined ? this.lineIndex.entries.map(e => e.item) : [];
+            this.lineIndex = new SpatialIndex(lines.concat(this.buildLineIndex({ type: 'FeatureCollection', features })), line => line.bbox);
+        }
+    }
+
+    /**
+     * Creates the items of the index used to find the line closest to where the user clicked (see lineIndex): for each line Feature it's bounding box and parts.
+     * @param {JSON} geojson - GeoJSON object.
+     * @returns {Array<{feature: JSON, bbox: number[], parts: Array<Array<Array<number>>>}>} - The items of the line index.
+     * @memberOf Map
+     */
+    buildLineIndex(geojson) {
+        const index = [];
+        for (const feature of geojson.features) {
+            const parts = Geometry.decomposeGeometry(feature.geometry).lines.map(line => Geometry.unwrapLongitudes(line));
+            if (parts.length === 0)
+                continue;
+
+            const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+            for (const part of parts)
+                for (const [lng, lat] of part) {
+                    bbox[0] = Math.min(bbox[0], lng);
+                    bbox[1] = Math.min(bbox[1], lat);
+                    bbox[2] = Math.max(bbox[2], lng);
+                    bbox[3] = Math.max(bbox[3], lat);
+                }
+            index.push({ feature, bbox, parts });
+        }
+        return index;
+    }
+
+    /**
+     * Creates the WebGLBuffers of each Aesthetic object with all the points that were grouped in tempAestheticPoints
+     * and inserts them as grouped Features. Points are only grouped when isDynamic is false (see insertGroupedFeature).
+     * The polygons of each Aesthetic object are always grouped (see createPolygonBatches), also for each level of detail.
+     * Points and polygons are grouped by location (see createSpatialBatches), so the groups outside the visible part of the map are not drawn.
+     * @param {Function} [isNew] - Returns true for the polygon Features that are grouped, all by default. Used to group only the
+     * Features of the last chunk of a stream (see loadStream), tempAestheticPoints must then only have the points of those Features.
+     * @return {void}
+     * @memberOf Map
+     */
+    createGroupedBuffers(isNew = () => true) {
+        if (this.hasPolygons) {
+            const numVertices = f => f.getTriangles().reduce((n, mesh) => n + mesh.vertices.length / 4, 0);
+            const maxVertices = this._webgl.uintIndices ? Infinity : 2 ** 16; //Each batch fits in one ELEMENT_ARRAY_BUFFER (see createIndexedBuffers)
+            for (const [i, aes] of this.aesthetics.entries()) {
+                const features = aes.getFeatures().filter(f => f.getTriangles().length > 0 && f.getBoundingBox() !== null && isNew(f));
+                for (const group of this.createSpatialBatches(features, f => f.getBoundingBox(), numVertices, maxVertices)) {
+                    const batches = this.createPolygonBatches(group);
+                    if (batches.triangles.length === 0)
+                        continue;
+                    const lods = this.gisplayOptions.simplify ? this.gisplayOptions.lodZoomLevels.map((z, level) => this.createPolygonBatches(group, level)) : [];
+                    this.insertGroupedFeature(i, batches.triangles, batches.borders, [], lods, SpatialIndex.union(group.map(f => f.getBoundingBox())));
+                }
+            }
+        }
         if (this.tempAestheticPoints.length > 0) {
             for (let i = 0; i < this.tempAestheticPoints.length; i++) {
-                if (this.tempAestheticPoints[i].length > 0) {
-                    const vertArray = new Float32Array(this.tempAestheticPoints[i]);
-                    const bufferP = [];
-                    bufferP.push(gl.createBuffer());
-
-                    gl.fsize = vertArray.BYTES_PER_ELEMENT;
-                    gl.bindBuffer(gl.ARRAY_BUFFER, bufferP[0]);
-                    gl.bufferData(gl.ARRAY_BUFFER, vertArray, gl.STATIC_DRAW);
-                    bufferP[0].itemSize = 2;
-                    bufferP[0].numItems = vertArray.length / 2;
-                    this.insertGroupedFeature(i, [], [], bufferP);
+                const coords = this.tempAestheticPoints[i];
+                const points = [];
+                for (let k = 0; k < coords.length; k += 2)
+                    points.push([coords[k], coords[k + 1], coords[k], coords[k + 1]]); //The bounding box of the point
+                for (const group of this.createSpatialBatches(points, p => p)) {
+                    const positions = [];
+                    for (const [lon, lat] of group)
+                        positions.push(lon, lat);
+                    this.insertGroupedFeature(i, [], [], [this.createArrayBuffer(positions)], [], SpatialIndex.union(group));
                 }
             }
         }
-        if (this.treepoints !== null)
-            this.kdtree = new kdTree(this.treepoints, (a, b) => (a.lon - b.lon) ** 2 + (a.lat - b.lat) ** 2, ["lon", "lat", "properties"]);
-        if (this.hasPolygons)
-            this.rtree = new PolygonLookup(geojson);
+    }
+
+    /**
+     * Splits items in groups of items that are close to each other on the map: one group per cell of a 16x16 grid over
+     * their extent (see SpatialIndex.groupByLocation), and groups bigger than maxSize are split again in Z-order.
+     * Each group is drawn as one grouped Feature, with the bounding box of all it's items.
+     * @param {Array<Object>} items - The items to group.
+     * @param {Function} bboxOf - Returns the bounding box of an item.
+     * @param {Function} [sizeOf] - Returns the size of an item, 1 by default. The items are counted by default.
+     * @param {number} [maxSize=Infinity] - Maximum size of each group, items bigger than this have a group for them.
+     * @returns {Array<Array<Object>>} - The groups.
+     * @memberOf Map
+     */
+    createSpatialBatches(items, bboxOf, sizeOf = () => 1, maxSize = Infinity) {
+        const groups = [];
+        for (const cell of SpatialIndex.groupByLocation(items, bboxOf)) {
+            let group = [];
+            let size = 0;
+            for (const item of cell) {
+                const n = sizeOf(item);
+                if (group.length > 0 && size + n > maxSize) {
+                    groups.push(group);
+                    group = [];
+                    size = 0;
+                }
+                group.push(item);
+                size += n;
+            }
+            groups.push(group);
+        }
+        return groups;
     }
 
     /**
@@ -654,15 +1714,18 @@ export class Map {
      * It creates one WebGLBuffer with all the points instead of one WebGLBuffer per point.
      * This method should only be used when we already grouped the Features by Aesthetic class (fitFeature() method).
      * This method exists to provide one alternative less expensive in terms of memory for low end devices.
-     * Used only on Dot Map because on those we can easily end up with millions of different Features.
+     * For points it's used only on Dot Map because on those we can easily end up with millions of different Features.
+     * Polygons are always grouped this way, in batches with indices (see createPolygonBatches).
      * @param {number} id - Aesthethics id. 
-     * @param {{itemSize: number, numItems: number}} triangles - Not used ?
-     * @param {{itemSize: number, numItems: number}} borders - Not used ?
+     * @param {Array<WebGLBuffer>} triangles - The triangles of the Aesthethic object (ELEMENT_ARRAY_BUFFERs).
+     * @param {Array<WebGLBuffer>} borders - The borders of the Aesthethic object (ELEMENT_ARRAY_BUFFERs).
      * @param {{itemSize: number, numItems: number}} points - All the points for the Aesthethic object in one WebGLBuffer.
+     * @param {Array<{triangles: Array<WebGLBuffer>, borders: Array<WebGLBuffer>}>} [lods=[]] - Triangles and borders of each level of detail.
+     * @param {number[]} [bbox=null] - Bounding box of the grouped Features. If not given they are always drawn.
      * @memberOf Map
      */
-    insertGroupedFeature(id, triangles, borders, points) {
-        this.aesthetics[id].addGroupedFeature(null, triangles, borders, points);
+    insertGroupedFeature(id, triangles, borders, points, lods = [], bbox = null) {
+        this.aesthetics[id].addGroupedFeature(null, triangles, borders, points, lods, bbox);
     }
 
     /** ########################    LEGEND METHODS    ######################## */
@@ -737,7 +1800,7 @@ export class Map {
 
     /**
      * M23) Receiving an Aesthetics object, draws the triangles contained in it's Features,
-     * using the color that the Aesthethics object has.
+     * using the color that the Aesthethics object has. When zoomed out the simplified triangles are used (see getLodLevel).
      * @param {Aesthetic} aes - The Aesthetic object.
      * @returns {void}
      * @see Diogo's thesis Page 58/59
@@ -748,71 +1811,53 @@ export class Map {
         if (gl === null)
             return;
 
-        const fsize = Float32Array.BYTES_PER_ELEMENT;
+        const state = this._webgl.state;
+        const program = this._webgl.program;
         const currentZoom = this.bGMap.getZoom();
         const pointSize = Math.max(currentZoom - 5.0, 1.0);
-        const vertexCoordsLocation = gl.getAttribLocation(this._webgl.program, 'coords');
-        const vertexSizeLocation = gl.getAttribLocation(this._webgl.program, 'aPointSize');
-        const fragmentColorLocation = gl.getUniformLocation(this._webgl.program, "u_color");
-        const isPointLocation = gl.getUniformLocation(this._webgl.program, 'isPoint');
+        const layout = { stride: 4, attributes: [['coords', 4, 0]] };
         let [r, g, b, a] = aes.getFillColor();
 
-        this.setMatrices(gl);
-        gl.vertexAttrib1f(vertexSizeLocation, pointSize);
-        gl.uniform1f(isPointLocation, 0.0);
-        gl.uniform4f(fragmentColorLocation, r / 255, g / 255, b / 255, a);// Draw Polygons' Interior
-
-        let features = aes.getFeatures();
-        for (const f of features) { // Draw Polygons' Interior
-            let triangles = f.getTriangles();
-            for (const t of triangles) {
-                gl.bindBuffer(gl.ARRAY_BUFFER, t);
-                gl.enableVertexAttribArray(vertexCoordsLocation);
-                gl.vertexAttribPointer(vertexCoordsLocation, 2, gl.FLOAT, false, fsize * 2, 0);
-                gl.drawArrays(gl.TRIANGLES, 0, t.numItems);
+        state.useProgram(program);
+        gl.vertexAttrib1f(program.attributes.aPointSize, pointSize);
+        state.uniform(program, 'isPoint', 'uniform1f', 0.0);
+        state.uniform(program, 'u_color', 'uniform4f', r / 255, g / 255, b / 255, a);// Draw Polygons' Interior
+        const level = this.getLodLevel();
+
+        for (const worldCopy of this.getWorldCopies()) { //Also draws the copies of the world that are visible
+            this.setMatrices(gl, program, worldCopy);
+            const bounds = this.getVisibleBounds(worldCopy);
+            let features = aes.getAllFeatures(); //The polygons of all Features are grouped (see createPolygonBatches)
+            for (const f of features) { // Draw Polygons' Interior
+                if (!this.isVisible(f.getBoundingBox(), bounds))
+                    continue;
+                for (const t of f.getTriangles(level))
+                    state.draw(program, t, layout, gl.TRIANGLES);
             }
         }
     }
 
     /**
      * M24) Receiving an Aesthetics object, draws the borders contained in it's Features, 
-     * aplying the color specified in the Aeshteic object for the line color(Aeshteic.strokeColor).
+     * aplying the color specified in the Aeshteic object for the line color(Aeshteic.strokeColor). When zoomed out the simplified borders are used.
+     * The borders are strokes with the width, join and dashes given in the options (see drawStrokes) and are not drawn below strokeMinZoom.
      * @param {Aesthetic} aes - The Aesthetic object.
      * @returns {void}
      * @memberOf Map
      */
     drawBorders(aes) {
-        const gl = this._webgl.gl;
-        if (gl === null)
+        const opts = this.gisplayOptions;
+        if (this._webgl.gl === null || opts.strokeWidth <= 0 || this.bGMap.getZoom() < opts.strokeMinZoom)
             return;
 
-        gl.enable(gl.BLEND);
-        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
-
-        const fsize = Float32Array.BYTES_PER_ELEMENT;
-        const currentZoom = this.bGMap.getZoom();
-        const pointSize = Math.max(currentZoom - 5.0, 1.0);
-        const vertexCoordsLocation = gl.getAttribLocation(this._webgl.program, 'coords');
-        const vertexSizeLocation = gl.getAttribLocation(this._webgl.program, 'aPointSize');
-        const fragmentColorLocation = gl.getUniformLocation(this._webgl.program, "u_color");
-        const isPointLocation = gl.getUniformLocation(this._webgl.program, 'isPoint');
-        let [r, g, b, a] = aes.getStrokeColor();
-
-        this.setMatrices(gl);
-        gl.vertexAttrib1f(vertexSizeLocation, pointSize);
-        gl.uniform1f(isPointLocation, 0.0);
-        gl.uniform4f(fragmentColorLocation, r / 255, g / 255, b / 255, a);
-
-        let features = aes.getFeatures();
-        for (const f of features) {
-            let borders = f.getBorders();
-            for (const b of borders) {
-                gl.bindBuffer(gl.ARRAY_BUFFER, b);
-                gl.enableVertexAttribArray(vertexCoordsLocation);
-                gl.vertexAttribPointer(vertexCoordsLocation, 2, gl.FLOAT, false, fsize * 2, 0);
-                gl.drawArrays(gl.LINE_LOOP, 0, b.numItems);
-            }
-        }
+        const level = this.getLodLevel();
+        this.drawStrokes(bounds => {
+            const borders = [];
+            for (const f of aes.getAllFeatures())
+                if (this.isVisible(f.getBoundingBox(), bounds))
+                    borders.push(...f.getBorders(level));
+            return borders;
+        }, aes.getStrokeColor(), opts.strokeWidth, opts.strokeDash);
     }
 
     /**
@@ -830,41 +1875,34 @@ export class Map {
         gl.enable(gl.BLEND);
         gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
 
-        const fsize = Float32Array.BYTES_PER_ELEMENT;
+        const state = this._webgl.state;
+        const program = this._webgl.program;
         const currentZoom = this.bGMap.getZoom();
         const pointSize = Math.max(currentZoom - 4.0 + aes.getPointSize(), aes.getPointSize());
-        const vertexCoordsLocation = gl.getAttribLocation(this._webgl.program, 'coords');
-        const vertexSizeLocation = gl.getAttribLocation(this._webgl.program, 'aPointSize');
-        const fragmentColorLocation = gl.getUniformLocation(this._webgl.program, "u_color");
-        const isPointLocation = gl.getUniformLocation(this._webgl.program, 'isPoint');
+        const layout = { stride: 4, attributes: [['coords', 4, 0]] };
         let [r, g, b, a] = aes.getFillColor();
 
-        this.setMatrices(gl); //Set M1, M2 and M3
-        gl.vertexAttrib1f(vertexSizeLocation, pointSize);
-        gl.uniform1f(isPointLocation, 1.0);
-        gl.uniform4f(fragmentColorLocation, r / 255, g / 255, b / 255, a);
-
-        let features = aes.getFeatures();
-        let allFeatures = aes.getAllFeatures();
-        if (this.gisplayOptions.isDynamic && aes.getFeatures().length > 0) {
-            for (const f of features) {
-                let points = f.getPoints();
-                for (const p of points) {
-                    gl.bindBuffer(gl.ARRAY_BUFFER, p);
-                    gl.enableVertexAttribArray(vertexCoordsLocation);
-                    gl.vertexAttribPointer(vertexCoordsLocation, 2, gl.FLOAT, false, fsize * 2, 0);
-                    gl.drawArrays(gl.POINTS, 0, p.numItems);
-                }
+        state.useProgram(program);
+        gl.vertexAttrib1f(program.attributes.aPointSize, pointSize);
+        state.uniform(program, 'isPoint', 'uniform1f', 1.0);
+        state.uniform(program, 'u_color', 'uniform4f', r / 255, g / 255, b / 255, a);
+
+        for (const worldCopy of this.getWorldCopies()) {
+            this.setMatrices(gl, program, worldCopy);
+            const bounds = this.getVisibleBounds(worldCopy, pointSize);
+            let allFeatures = aes.getAllFeatures();
+            if (this.gisplayOptions.isDynamic && aes.getFeatures().length > 0) {
+                let features = aes.getVisibleFeatures(bounds);
+                for (const f of features)
+                    for (const p of f.getPoints())
+                        state.draw(program, p, layout, gl.POINTS);
             }
-        }
-        else if (allFeatures !== null && !this.gisplayOptions.isDynamic) {
-            for (const allF of allFeatures) {
-                let points = allF.getPoints();
-                for (const p of points) {
-                    gl.bindBuffer(gl.ARRAY_BUFFER, p);
-                    gl.enableVertexAttribArray(vertexCoordsLocation);
-                    gl.vertexAttribPointer(vertexCoordsLocation, 2, gl.FLOAT, false, fsize * 2, 0);
-                    gl.drawArrays(gl.POINTS, 0, p.numItems);
+            else if (allFeatures !== null && !this.gisplayOptions.isDynamic) {
+                for (const allF of allFeatures) {
+                    if (!this.isVisible(allF.getBoundingBox(), bounds))
+                        continue;
+                    for (const p of allF.getPoints())
+                        state.draw(program, p, layout, gl.POINTS);
                 }
             }
         }
@@ -886,56 +1924,181 @@ export class Map {
         gl.enable(gl.BLEND);
         gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
 
+        const state = this._webgl.state;
+        const program = this._webgl.program;
         const currentZoom = this.bGMap.getZoom();
-        const vertexCoordsLocation = gl.getAttribLocation(this._webgl.program, 'coords');
-        const vertexSizeLocation = gl.getAttribLocation(this._webgl.program, 'aPointSize');
-        const fragmentColorLocation = gl.getUniformLocation(this._webgl.program, "u_color");
-        const isPointLocation = gl.getUniformLocation(this._webgl.program, 'isPoint');
+        const layout = { stride: 4, attributes: [['coords', 4, 0]] };
         let [r, g, b] = aes.getFillColor();
 
-        this.setMatrices(gl);
-        gl.uniform1f(isPointLocation, 1.0);
-        gl.uniform4f(fragmentColorLocation, r / 255, g / 255, b / 255, this.gisplayOptions.alpha); //TODO: Para 2.5D usar alpha a 0?
+        state.useProgram(program);
+        state.uniform(program, 'isPoint', 'uniform1f', 1.0);
+        state.uniform(program, 'u_color', 'uniform4f', r / 255, g / 255, b / 255, this.gisplayOptions.alpha); //TODO: Para 2.5D usar alpha a 0?
 
-        const fsize = Float32Array.BYTES_PER_ELEMENT;
         let opts = this.gisplayOptions;
-        if (this.gisplayOptions.isDynamic) {
-            let features = aes.getFeatures();
-            for (const f of features) {
-                const propvalue = parseFloat(f.getProperties()[opts.attr]);
-                const temppointsize = ((opts.maxPointSize - opts.minPointSize) / (this.max - this.min)) * (propvalue - this.min);
-                const pointSize = Math.max(currentZoom - 4.0 + temppointsize * currentZoom / 4, 2);
-
-                let points = f.getPoints();
-                for (let p of points) {
-                    gl.bindBuffer(gl.ARRAY_BUFFER, p);
-                    gl.vertexAttrib1f(vertexSizeLocation, pointSize);
-                    gl.enableVertexAttribArray(vertexCoordsLocation);
-                    gl.vertexAttribPointer(vertexCoordsLocation, 2, gl.FLOAT, false, fsize * 2, 0);
-                    gl.drawArrays(gl.POINTS, 0, p.numItems);
+        const maxPointSize = Math.max(currentZoom - 4.0 + (opts.maxPointSize - opts.minPointSize) * currentZoom / 4, 2);
+        for (const worldCopy of this.getWorldCopies()) {
+            this.setMatrices(gl, program, worldCopy);
+            if (this.gisplayOptions.isDynamic) {
+                let features = aes.getVisibleFeatures(this.getVisibleBounds(worldCopy, maxPointSize));
+                for (const f of features) {
+                    const propvalue = parseFloat(f.getProperties()[opts.attr]);
+                    const temppointsize = ((opts.maxPointSize - opts.minPointSize) / (this.max - this.min)) * (propvalue - this.min);
+                    const pointSize = Math.max(currentZoom - 4.0 + temppointsize * currentZoom / 4, 2);
+
+                    gl.vertexAttrib1f(program.attributes.aPointSize, pointSize);
+                    for (let p of f.getPoints())
+                        state.draw(program, p, layout, gl.POINTS);
                 }
             }
         }
     }
 
     /**
-     * This method will set all matrices needed to compute each point/vertex position. This will use the 
-     * Before sending the matrix to webGL we change the last column transformation in X and Y to the last row X and Y 
-     * because WebGL is column major. See MMatrix[6] =...
+     * Receiving an Aesthetics object, draws the lines contained in it's Features with the fill color and line width of the Aesthetic object.
+     * Lines use their own WebGLProgram (see getLineProgram).
+     * @param {Aesthetic} aes - The Aesthetic object. 
+     * @returns {void} 
+     * @memberOf Map
+     */
+    drawLines(aes) {
+        if (this._webgl.gl === null)
+            return;
+        this.drawStrokes(bounds => {
+            const lines = [];
+            for (const f of aes.getVisibleFeatures(bounds))
+                lines.push(...f.getLines());
+            return lines;
+        }, aes.getFillColor(), aes.getLineWidth());
+    }
+
+    /**
+     * Draws strokes (see Geometry.createStroke) with the line program: antialiased, with a width in pixels, 
+     * the join given by the strokeJoin option and, optionally, dashes.
+     * @param {Function} getBuffers - Returns the ELEMENT_ARRAY_BUFFERs of the strokes (see createIndexedBuffers) visible in the given bounds,
+     * it's called for each copy of the world (see getVisibleBounds).
+     * @param {number[]} color - RGBA color, the alpha between 0 and 1.
+     * @param {number} width - Width in pixels.
+     * @param {number[]} [dash] - Lengths, in pixels, of the dashes and gaps (2 or 4 values). If not given the strokes are solid.
+     * @returns {void}
+     * @memberOf Map
+     */
+    drawStrokes(getBuffers, color, width, dash) {
+        const gl = this._webgl.gl;
+        const state = this._webgl.state;
+        const program = this.getLineProgram();
+        state.useProgram(program);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+        const opts = this.gisplayOptions;
+        const layout = { stride: 14, attributes: [['coords', 4, 0], ['a_other', 4, 4], ['a_neighbour', 4, 8], ['a_side', 1, 12], ['a_distance', 1, 13]] };
+        const [r, g, b, a] = color;
+        const [d1, g1, d2, g2] = dash === undefined ? [0, 0, 0, 0] : (dash.length === 2 ? [...dash, ...dash] : dash);
+
+        state.uniform(program, 'u_resolution', 'uniform2f', gl.drawingBufferWidth, gl.drawingBufferHeight);
+        state.uniform(program, 'u_width', 'uniform1f', width);
+        state.uniform(program, 'u_scale', 'uniform1f', opts.tileSize / 256 * 2 ** this.bGMap.getZoom());
+        state.uniform(program, 'u_join', 'uniform1f', ['miter', 'round', 'none'].indexOf(opts.strokeJoin));
+        state.uniform(program, 'u_dash', 'uniform4f', d1, g1, d2, g2);
+        state.uniform(program, 'u_color', 'uniform4f', r / 255, g / 255, b / 255, a);
+
+        for (const worldCopy of this.getWorldCopies()) {
+            this.setMatrices(gl, program, worldCopy);
+            for (const l of getBuffers(this.getVisibleBounds(worldCopy, width)))
+                state.draw(program, l, layout, gl.TRIANGLES);
+        }
+    }
+
+    /**
+     * Returns the WebGLProgram used to draw lines, creating it the first time it's needed.
+     * @returns {WebGLProgram} - The program used to draw lines.
      * @memberOf Map
      */
-    setMatrices(gl) {
-        let lngCenter = this.bGMap.getCenterLng();
+    getLineProgram() {
+        if (this._webgl.lineProgram === undefined) {
+            const lineShaders = WebGLUtils.generateLineShadersSourceCode();
+            this._webgl.lineProgram = WebGLUtils.createExtraWebGLProgram(this._webgl, lineShaders.vertexCode, lineShaders.fragmentCode);
+        }
+        return this._webgl.lineProgram;
+    }
+
+    /**
+     * This method will set the uniforms needed to compute each point/vertex position (see WebGLUtils.highPrecisionProjection).
+     * The positions are projected relative to the center of the map, so they don't jitter at street level zooms.
+     * The projection is calculated once per frame and only uploaded when the program has another one (see RenderState.setProjection).
+     * @param {WebGLRenderingContext} gl - The WebGLRenderingContext to be used.
+     * @param {WebGLProgram} [program=this._webgl.program] - The program that receives the uniforms, must be current.
+     * @param {number} [worldCopy=0] - Copy of the world to draw (see getWorldCopies). The geometry is moved worldCopy*360 degrees in longitude.
+     * @memberOf Map
+     */
+    setMatrices(gl, program = this._webgl.program, worldCopy = 0) {
+        this._webgl.state.setProjection(program, worldCopy);
+    }
+
+    /**
+     * Calculates the projection uniforms for the current center and zoom of the background map (see WebGLUtils.highPrecisionProjection).
+     * @param {number} [worldCopy=0] - Copy of the world to draw (see getWorldCopies).
+     * @returns {{center: Float32Array, mercator: Float32Array, clipScale: Float32Array}} - The uniforms.
+     * @memberOf Map
+     */
+    getProjection(worldCopy = 0) {
+        let lngCenter = this.bGMap.getCenterLng() - 360 * worldCopy; //Moving the world is the same as moving the center the other way
         let latCenter = this.bGMap.getCenterLat();
         let zoom = this.bGMap.getZoom();
         let tileSize = this.gisplayOptions.tileSize;
         let width = this.bGMap.getWidth();
         let height = this.bGMap.getHeight();
-        let mercator = WebGLUtils.webMercatorProjection(lngCenter, latCenter, zoom, tileSize, width, height);
+        return WebGLUtils.highPrecisionProjection(lngCenter, latCenter, zoom, tileSize, width, height);
+    }
 
-        let MMatrix = WebGLUtils.finalMatrix(mercator.scale, width, height, mercator.offsetX, mercator.offsetY);
-        const Mloc = gl.getUniformLocation(this._webgl.program, 'M')
-        gl.uniformMatrix3fv(Mloc, false, MMatrix);
+    /**
+     * Returns the copies of the world (0 is the original, -1 the one on the left, 1 the one on the right...) where there's data visible.
+     * At low zoom the background map shows several copies of the world and geometries that cross the antimeridian 
+     * (with longitudes beyond ±180, see Geometry.unwrapLongitudes) must also be drawn on the copy next to them.
+     * @returns {Array<number>} - The copies of the world to draw.
+     * @memberOf Map
+     */
+    getWorldCopies() {
+        if (this.lonExtent === null)
+            return [0];
+        const span = this.bGMap.getWidth() * 360 / (this.gisplayOptions.tileSize * 2 ** this.bGMap.getZoom());
+        const center = this.bGMap.getCenterLng();
+        const left = center - span / 2;
+        const right = center + span / 2;
+        const copies = [];
+        for (let k = Math.ceil((left - this.lonExtent[1]) / 360); k <= Math.floor((right - this.lonExtent[0]) / 360); k++)
+            copies.push(k);
+        return copies;
+    }
+
+    /**
+     * Returns the part of the world visible on the map, in the coordinates of the given copy of the world (see getWorldCopies),
+     * so it can be compared with the bounding boxes of the Features.
+     * @param {number} [worldCopy=0] - Copy of the world being drawn.
+     * @param {number} [margin=0] - Pixels added to each side, for what is drawn around the vertices (points and strokes).
+     * @returns {number[]} - [minLon, minLat, maxLon, maxLat].
+     * @memberOf Map
+     */
+    getVisibleBounds(worldCopy = 0, margin = 0) {
+        const worldSize = this.gisplayOptions.tileSize * 2 ** this.bGMap.getZoom(); //Pixels of the whole world
+        const halfWidth = (this.bGMap.getWidth() / 2 + margin) / worldSize;
+        const halfHeight = (this.bGMap.getHeight() / 2 + margin) / worldSize;
+        const lng = this.bGMap.getCenterLng() - 360 * worldCopy;
+        const sin = Math.sin(this.bGMap.getCenterLat() * Math.PI / 180);
+        const y = 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI); //Web Mercator, from 0 (north) to 1 (south)
+        const toLat = v => Math.atan(Math.sinh(Math.PI * (1 - 2 * v))) * 180 / Math.PI;
+        return [lng - halfWidth * 360, toLat(y + halfHeight), lng + halfWidth * 360, toLat(y - halfHeight)];
+    }
+
+    /**
+     * Checks if a bounding box intersects the visible part of the world (see getVisibleBounds).
+     * @param {number[]|null} bbox - [minLon, minLat, maxLon, maxLat]. When it's null (not known) it's considered visible.
+     * @param {number[]} bounds - The visible part of the world.
+     * @returns {boolean} - True if it must be drawn.
+     * @memberOf Map
+     */
+    isVisible(bbox, bounds) {
+        return bbox === null || SpatialIndex.intersects(bbox, bounds);
     }
 
     /** ########################    ABSTRACT METHODS    ######################## */
@@ -947,6 +2110,17 @@ export class Map {
         throw new Error("Draw must be implemented by subclass.");
     }
 
+    /**
+     * What this map needs from the data and options. Subclasses should override this method.
+     * geometryTypes are the GeoJSON geometry types the map can display (null means any GeoJSON geometry type) and attr tells if the attr option is needed.
+     * GeometryCollections are accepted when all their geometries are of these types.
+     * @returns {{geometryTypes: string[], attr: boolean}}
+     * @memberOf Map
+     */
+    requirements() {
+        return { geometryTypes: null, attr: true };
+    }
+
     /**
      * M10) Defaults for each map. Subclasses should override this method.
      * @abstract 
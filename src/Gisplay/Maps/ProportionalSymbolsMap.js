@@ -12,10 +12,11 @@ export class ProportionalSymbolsMap extends Map {
      * @param {BGMapWrapper} bgmap - Background map object.
      * @param {JSON} geometry - JSON object with the geometry that was read from the file.
      * @param {Object} options - User options to be used.
+     * @param {string} [id] - This map unique identifier.
      * @memberOf ProportionalSymbolsMap
      */
-    constructor(bgmap, geometry, options) {
-        super(bgmap, geometry, options);
+    constructor(bgmap, geometry, options, id) {
+        super(bgmap, geometry, options, id);
         this.loadOptions(options, bgmap);
         this.gisplayOptions.isDynamic = !options.sizeByClass;
         this.initializeCanvasAndEvents();
@@ -66,6 +67,16 @@ export class ProportionalSymbolsMap extends Map {
         this.legend.insertLegend(this.bGMap);
     }
 
+    /**
+     * Proportional Symbols Maps only display points and need the attribute that gives the size of each symbol.
+     * @returns {{geometryTypes: string[], attr: boolean}}
+     * @override
+     * @memberOf ProportionalSymbolsMap
+     */
+    requirements() {
+        return { geometryTypes: ["Point", "MultiPoint"], attr: true };
+    }
+
     /**
      * Returns the color scheme, number of classes, minimum point size and max point size associated with the id given.
      * @returns {{maxPointSize: number, minPointSize: number, colorScheme: string[], numberOfClasses: number}}
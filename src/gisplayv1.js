@@ -4,6 +4,90 @@
 import { Gisplay } from './Gisplay/Gisplay';
 import { BGMapMapBox } from './Gisplay/Maps/Background Maps/BGMapMapBox';
 
+/**
+ * Reads the files of a shapefile chosen in the "file" input (.shp with the .dbf, .prj and .cpg) and converts them to GeoJSON.
+ * @param {FileList} files - The files chosen.
+ * @param {Function} callback - Receives the GeoJSON.
+ */
+function readShapefile(files, callback) {
+    var parts = {};
+    var pending = files.length;
+    Array.prototype.forEach.call(files, function (file) {
+        var extension = file.name.split('.').pop().toLowerCase();
+        var reader = new FileReader();
+        reader.onloadend = function () {
+            parts[extension] = reader.result;
+            if (--pending === 0)
+                callback(Gisplay.readShapefile(parts));
+        };
+        if (extension === 'prj' || extension === 'cpg')
+            reader.readAsText(file);
+        else
+            reader.readAsArrayBuffer(file);
+    });
+}
+
+/**
+ * Reads the file chosen in the "file" input. CSV and TSV files (one point per row, with lat and lon columns) are converted to GeoJSON,
+ * the rows without valid coordinates are given to the callback. Shapefiles (all their files chosen together) are converted to GeoJSON.
+ * TopoJSON is found by it's content, since topologies are usually saved as .json: when the start of the file has the members of a topology
+ * ("type": "Topology" or "arcs") the whole file is parsed and the map converts it if it's type is Topology (see TopoJSON.isTopology).
+ * Other files are given as they are, so the map streams the GeoJSON (see Map.loadStream) instead of parsing the whole file first.
+ * @param {Function} callback - Receives the GeoJSON (or the File to stream) and, for CSV and TSV files, the rows that were not converted (see Gisplay.readCSV).
+ */
+function readDataFile(callback) {
+    var files = document.getElementById("file").files;
+    if (Array.prototype.some.call(files, function (f) { return /\.shp$/i.test(f.name); })) {
+        readShapefile(files, callback);
+        return;
+    }
+    var file = files[0];
+    var reader = new FileReader();
+    if (/\.(csv|tsv|txt)$/i.test(file.name)) {
+        reader.onloadend = function () {
+            var csv = Gisplay.readCSV(reader.result);
+            callback(csv.geojson, csv.invalidRows);
+        };
+        reader.readAsText(file);
+        return;
+    }
+    var head = new FileReader();
+    head.onloadend = function () {
+        if (!/"type"\s*:\s*"Topology"|"arcs"\s*:\s*\[/.test(head.result)) {
+            callback(file);
+            return;
+        }
+        reader.onloadend = function () {
+            callback(JSON.parse(reader.result));
+        };
+        reader.readAsText(file);
+    };
+    head.readAsText(file.slice(0, 4096));
+}
+
+/**
+ * Tells the user which rows of the CSV or TSV file were not shown on the map, and why (see Gisplay.readCSV).
+ * @param {Array<{line: number, reason: string}>} [invalidRows] - The rows that were not converted, undefined for other files.
+ */
+function showInvalidRows(invalidRows) {
+    if (invalidRows === undefined || invalidRows.length === 0)
+        return;
+    var shown = invalidRows.slice(0, 10).map(function (row) { return "Line " + row.line + ": " + row.reason; });
+    if (invalidRows.length > shown.length)
+        shown.push("... and " + (invalidRows.length - shown.length) + " more rows.");
+    console.warn(invalidRows);
+    alert(invalidRows.length + " rows of the file are not on the map:\n" + shown.join("\n"));
+}
+
+/**
+ * Tells the user why the map could not be created (e.g., a GisplayOptionError for a wrong option or a GisplayDataError for data that can't be shown).
+ * @param {Error} error - The error the map was rejected with.
+ */
+function showError(error) {
+    console.error(error);
+    alert("The map could not be created. " + error.name + ": " + error.message);
+}
+
 module.exports = {
 
     /** ######################### CHOROPLETH MAPS ################################# */
@@ -20,15 +104,14 @@ module.exports = {
             /*colorScheme: ["white", "yellow", "orange", "red"],*/
             numberOfClasses: 4,
             attr: 'f3',
-            legendTitle: 'Fatals'
+            legendTitle: 'Fatals',
+            useWorker: true //Triangulates the polygons in a Web Worker, so the page doesn't freeze while big files load
         };
 
-        var reader = new FileReader();
-        reader.onloadend = function () {
-            var data = JSON.parse(reader.result);
-            gisplay.makeChoropleth(mb, data, options);
-        };
-        reader.readAsText(document.getElementById("file").files[0]);
+        readDataFile(function (data, invalidRows) {
+            showInvalidRows(invalidRows);
+            gisplay.makeChoropleth(mb, data, options).catch(showError);
+        });
     },
 
     /** ######################### DOT MAPS ################################# */
@@ -49,12 +132,10 @@ module.exports = {
             legendTitle: "Alcohol"
         };
 
-        var reader = new FileReader();
-        reader.onloadend = function () {
-            var data = JSON.parse(reader.result);
-            gisplay.makeDotMap(mb, data, options);
-        };
-        reader.readAsText(document.getElementById("file").files[0]);
+        readDataFile(function (data, invalidRows) {
+            showInvalidRows(invalidRows);
+            gisplay.makeDotMap(mb, data, options).catch(showError);
+        });
     },
 
     //DOT MAP Example 2
@@ -70,15 +151,14 @@ module.exports = {
             classBreaksMethod: "k-means",
             minPointSize: 1,
             attr: 'f2',
-            legendTitle: "Fatals"
+            legendTitle: "Fatals",
+            useWorker: true //The k-means class breaks are calculated in a Web Worker
         };
 
-        var reader = new FileReader();
-        reader.onloadend = function () {
-            var data = JSON.parse(reader.result);
-            gisplay.makeDotMap(mb, data, options);
-        };
-        reader.readAsText(document.getElementById("file").files[0]);
+        readDataFile(function (data, invalidRows) {
+            showInvalidRows(invalidRows);
+            gisplay.makeDotMap(mb, data, options).catch(showError);
+        });
     },
 
     /** ######################### CHANGE MAPS ################################# */
@@ -100,12 +180,10 @@ module.exports = {
             legendTitle: "Change between 2009 and 2013"
         };
 
-        var reader = new FileReader();
-        reader.onloadend = function () {
-            var data = JSON.parse(reader.result);
-            gisplay.makeChangeMap(mb, data, options);
-        };
-        reader.readAsText(document.getElementById("file").files[0]);
+        readDataFile(function (data, invalidRows) {
+            showInvalidRows(invalidRows);
+            gisplay.makeChangeMap(mb, data, options).catch(showError);
+        });
     },
 
     /** ######################## PROP. SYMBOLS MAPS ########################### */
@@ -128,11 +206,9 @@ module.exports = {
             legendTitle: "Accidents"
         };
 
-        var reader = new FileReader();
-        reader.onloadend = function () {
-            var data = JSON.parse(reader.result);
-            gisplay.makeProportionalSymbolsMap(mb, data, options);
-        };
-        reader.readAsText(document.getElementById("file").files[0]);
+        readDataFile(function (data, invalidRows) {
+            showInvalidRows(invalidRows);
+            gisplay.makeProportionalSymbolsMap(mb, data, options).catch(showError);
+        });
     }
 };
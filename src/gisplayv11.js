@@ -6,6 +6,15 @@ import { BGMapGoogleMaps } from './Gisplay/Maps/Background Maps/BGMapGoogleMaps'
 import { BGMapHereMaps } from './Gisplay/Maps/Background Maps/BGMapHereMaps';
 import { BGMapBingMaps } from './Gisplay/Maps/Background Maps/BGMapBingMaps';
 
+/**
+ * Tells the user why the map could not be created (e.g., a GisplayOptionError for a wrong option or a GisplayDataError for data that can't be shown).
+ * @param {Error} error - The error the map was rejected with.
+ */
+function showError(error) {
+    console.error(error);
+    alert("The map could not be created. " + error.name + ": " + error.message);
+}
+
 module.exports = {
 
     /** #############   Google Maps example   #############  */
@@ -32,7 +41,7 @@ module.exports = {
         let reader = new FileReader();
         reader.onloadend = function () {
             let data = JSON.parse(reader.result);
-            gisplay.makeChoropleth(gm, data, options);
+            gisplay.makeChoropleth(gm, data, options).catch(showError);
         };
         reader.readAsText(document.getElementById("file").files[0]);
     },
@@ -70,7 +79,7 @@ module.exports = {
         let reader = new FileReader();
         reader.onloadend = function () {
             let data = JSON.parse(reader.result);
-            gisplay.makeChoropleth(hereMaps, data, options);
+            gisplay.makeChoropleth(hereMaps, data, options).catch(showError);
         };
         reader.readAsText(document.getElementById("file").files[0]);
     },
@@ -99,7 +108,7 @@ module.exports = {
         let reader = new FileReader();
         reader.onloadend = function () {
             let data = JSON.parse(reader.result);
-            gisplay.makeChoropleth(hereMaps, data, options);
+            gisplay.makeChoropleth(hereMaps, data, options).catch(showError);
         };
         reader.readAsText(document.getElementById("file").files[0]);
     },
@@ -119,7 +128,7 @@ module.exports = {
         let reader = new FileReader();
         reader.onloadend = function () {
             let data = JSON.parse(reader.result);
-            gisplay.makeDotMap(gm, data, options);
+            gisplay.makeDotMap(gm, data, options).catch(showError);
         };
         reader.readAsText(document.getElementById("file").files[0]);
     },
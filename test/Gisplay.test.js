@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+import { Gisplay } from '../src/Gisplay/Gisplay';
+import { Choropleth } from '../src/Gisplay/Maps/Choropleth';
+import { GisplayOptionError } from '../src/Gisplay/GisplayErrors';
+
+//The libraries the page loads with <script>
+for (const lib of ['earcut.js', 'chroma.min.js', 'kdtree.js'])
+    vm.runInThisContext(fs.readFileSync(new URL(`../src/lib/${lib}`, import.meta.url), 'utf8'));
+
+/**
+ * A Choropleth without WebGL and DOM: no canvas is created and nothing is drawn.
+ */
+class HeadlessChoropleth extends Choropleth {
+    initializeCanvasAndEvents() {
+        this.destroyed = false;
+        this._webgl = {
+            gl: { deleteProgram() { }, deleteBuffer() { }, getExtension() { return null; }, canvas: { parentNode: null } },
+            program: null
+        };
+    }
+    createGroupedBuffers() { }
+    redraw() { }
+    destroy() {
+        this.destroyed = true;
+        super.destroy();
+    }
+}
+
+/**
+ * Background map that records the calls to the loader.
+ * @returns {Object} - The background map.
+ */
+function backgroundMap() {
+    const calls = [];
+    return {
+        calls,
+        showLoader() { calls.push('showLoader'); },
+        hideLoader() { calls.push('hideLoader'); },
+        removeEventListener() { }
+    };
+}
+
+const countries = {
+    type: 'FeatureCollection',
+    features: [[0, 0, 12], [2, 0, 30], [4, 0, 7]].map(([x, y, population]) => ({
+        type: 'Feature',
+        properties: { population },
+        geometry: { type: 'Polygon', coordinates: [[[x, y], [x + 1, y], [x + 1, y + 1], [x, y + 1], [x, y]]] }
+    }))
+};
+const options = { attr: 'population', showLegend: false, showLoader: false };
+
+test('map ids are unique in the page, also between instances and for maps created without an instance', () => {
+    const first = new Gisplay(), second = new Gisplay();
+    assert.notEqual(first.id, second.id);
+    assert.deepEqual([first.nextMapId(), first.nextMapId(), second.nextMapId()], [`${first.id}_0`, `${first.id}_1`, `${second.id}_0`]);
+
+    const standalone = [new HeadlessChoropleth(backgroundMap(), countries, options), new HeadlessChoropleth(backgroundMap(), countries, options)];
+    assert.match(standalone[0].id, /^m\d+$/);
+    assert.notEqual(standalone[0].id, standalone[1].id);
+    assert.equal(standalone[0].gisplay, undefined);
+});
+
+test('created maps are registered before they are made and can be found by id', async () => {
+    const gisplay = new Gisplay();
+    const making = gisplay.createMap(HeadlessChoropleth, backgroundMap(), countries, options);
+    assert.equal(gisplay.getMaps().length, 1, 'registered right away');
+
+    const map = await making;
+    assert.equal(map.id, `${gisplay.id}_0`);
+    assert.equal(map.gisplay, gisplay);
+    assert.equal(gisplay.getMap(map.id), map);
+    assert.equal(gisplay.getMap('nope'), undefined);
+    assert.deepEqual(gisplay.getMaps(), [map]);
+});
+
+test('removed maps are destroyed and maps destroyed directly are also removed', async () => {
+    const gisplay = new Gisplay();
+    const [kept, removed, destroyed] = await Promise.all([0, 1, 2].map(() => gisplay.createMap(HeadlessChoropleth, backgroundMap(), countries, options)));
+
+    gisplay.removeMap(removed);
+    destroyed.destroy();
+    assert.ok(removed.destroyed);
+    assert.deepEqual(gisplay.getMaps(), [kept]);
+
+    gisplay.removeMap(removed); //Not on this instance anymore
+    assert.equal(gisplay.getMaps().length, 1);
+});
+
+test('maps that throw while being created reject and hide the loader', async () => {
+    const gisplay = new Gisplay();
+    const bgmap = backgroundMap();
+    await assert.rejects(gisplay.createMap(HeadlessChoropleth, bgmap, countries, { showLegend: false }), GisplayOptionError);
+    assert.deepEqual(bgmap.calls, ['hideLoader']);
+    assert.deepEqual(gisplay.getMaps(), []);
+
+    await assert.rejects(gisplay.createMap(HeadlessChoropleth, null, countries, { attr: 7 }), /attr/);
+});
+
+test('maps that fail while being made are destroyed and removed', async () => {
+    const gisplay = new Gisplay();
+    const error = new Error('No data');
+    class FailingChoropleth extends HeadlessChoropleth {
+        makeMap() { return Promise.reject(error); }
+    }
+
+    const making = gisplay.createMap(FailingChoropleth, backgroundMap(), countries, options);
+    const [map] = gisplay.getMaps();
+    await assert.rejects(making, error);
+    assert.ok(map.destroyed);
+    assert.equal(map.gisplay, undefined);
+    assert.deepEqual(gisplay.getMaps(), []);
+});
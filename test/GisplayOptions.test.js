@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GisplayOptions } from '../src/Gisplay/GisplayOptions';
+import { GisplayOptionError } from '../src/Gisplay/GisplayErrors';
+
+/**
+ * Asserts that the options are rejected because of the given option.
+ * @param {Object} userOptions - The options given to the map.
+ * @param {string} option - The option the error must point to.
+ * @param {RegExp} message - What the message must say.
+ * @param {boolean} [attrRequired=true] - If the map needs attr.
+ */
+function assertInvalid(userOptions, option, message, attrRequired = true) {
+    assert.throws(() => new GisplayOptions(userOptions, attrRequired), (error) => {
+        assert.ok(error instanceof GisplayOptionError, `${error.name}: ${error.message}`);
+        assert.equal(error.option, option);
+        assert.match(error.message, message);
+        return true;
+    });
+}
+
+test('valid options are kept and the missing ones get their defaults', () => {
+    const options = new GisplayOptions({ attr: 'population', numberOfClasses: 5, classBreaksMethod: 'k-means', alpha: 0.5, minPointSize: '2' });
+    assert.equal(options.attr, 'population');
+    assert.equal(options.numberOfClasses, 5);
+    assert.equal(options.classBreaksMethod, 'k-means');
+    assert.equal(options.alpha, 0.5);
+    assert.equal(options.useWorker, true);
+    assert.equal(options.showLegend, true);
+});
+
+test('unknown options are ignored with one warning each', (t) => {
+    const warn = t.mock.method(console, 'warn', () => { });
+    const options = new GisplayOptions({ attr: 'population', numberOfClases: 3, legendTittle: 'Typo' });
+    new GisplayOptions({ attr: 'population', numberOfClases: 4 });
+    assert.equal(options.numberOfClases, undefined);
+    assert.equal(options.numberOfClasses, undefined);
+    assert.deepEqual(warn.mock.calls.map(call => call.arguments[0].match(/"(\w+)"/)[1]), ['numberOfClases', 'legendTittle']);
+});
+
+test('null and undefined values are the same as not giving the option', () => {
+    const options = new GisplayOptions({ attr: 'population', colorScheme: null, classBreaks: undefined });
+    assert.equal(options.classBreaks, undefined);
+});
+
+test('options with the wrong type, value or range throw GisplayOptionError', () => {
+    assertInvalid({ attr: 42 }, 'attr', /expected string but got number/);
+    assertInvalid({ attr: 'a', colorScheme: 'red' }, 'colorScheme', /expected array/);
+    assertInvalid({ attr: 'a', classBreaksMethod: 'jenks' }, 'classBreaksMethod', /"jenks" is not one of: quantile, k-means, equidistant/);
+    assertInvalid({ attr: 'a', numberOfClasses: 2.5 }, 'numberOfClasses', /integer/);
+    assertInvalid({ attr: 'a', numberOfClasses: 0 }, 'numberOfClasses', /at least 1/);
+    assertInvalid({ attr: 'a', alpha: 1.5 }, 'alpha', /at most 1/);
+    assertInvalid({ attr: 'a', tileSize: NaN }, 'tileSize', /NaN/);
+    assertInvalid({ attr: 'a', strokeJoin: 'bevel' }, 'strokeJoin', /not one of/);
+    assertInvalid(null, 'options', /must be an object/);
+});
+
+test('options that depend on each other are checked together', () => {
+    assertInvalid({ attr: 'a', classBreaks: [10, 5, 20] }, 'classBreaks', /ascending/);
+    assertInvalid({ attr: 'a', classBreaks: [10] }, 'classBreaks', /at least 2/);
+    assertInvalid({ attr: 'a', minPointSize: 10, maxPointSize: '2' }, 'minPointSize', /maxPointSize/);
+    assertInvalid({ attr: 'a', minLineWidth: 5, maxLineWidth: 1 }, 'minLineWidth', /maxLineWidth/);
+    assertInvalid({ attr: 'a', strokeDash: [4, 2, 1] }, 'strokeDash', /2 or 4/);
+    assertInvalid({ attr: 'a', strokeDash: [0, 0] }, 'strokeDash', /zeros/);
+    assertInvalid({ attr: 'a', lodZoomLevels: [4, 4] }, 'lodZoomLevels', /ascending/);
+    assertInvalid({ minuend: 'y2013' }, 'subtrahend', /together/);
+});
+
+test('attr is only required by the maps that need it', () => {
+    assertInvalid({}, 'attr', /define one attribute/);
+    assert.doesNotThrow(() => new GisplayOptions({}, false));
+    assert.doesNotThrow(() => new GisplayOptions({ minuend: 'y2013', subtrahend: 'y2009' }));
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CSV } from '../../src/Gisplay/Helpers/CSV';
+import { GisplayDataError, GisplayOptionError } from '../../src/Gisplay/GisplayErrors';
+
+test('toGeoJSON finds the coordinate columns and infers the type of the others', () => {
+    const text = 'name,Lat,LNG,accidents,code\nLisbon,38.72,-9.14,12,01\nPorto,41.15,-8.61,,02\n';
+    const { geojson, columns, invalidRows } = CSV.toGeoJSON(text);
+    assert.deepEqual(columns, { name: 'string', Lat: 'number', LNG: 'number', accidents: 'number', code: 'number' });
+    assert.deepEqual(invalidRows, []);
+    assert.equal(geojson.type, 'FeatureCollection');
+    assert.deepEqual(geojson.features[0].geometry, { type: 'Point', coordinates: [-9.14, 38.72] });
+    assert.deepEqual(geojson.features[1].properties, { name: 'Porto', Lat: 41.15, LNG: -8.61, accidents: null, code: 2 });
+});
+
+test('toGeoJSON reports the rows it can\'t convert with their line', () => {
+    const text = 'lat,lon,name\n10,20,ok\nnorth,20,bad\n95,20,far\n10,20\n"1\n2",3,multiline\n1,2,last';
+    const { geojson, invalidRows } = CSV.toGeoJSON(text);
+    assert.deepEqual(geojson.features.map(f => f.properties.name), ['ok', 'last']);
+    assert.deepEqual(invalidRows.map(row => row.line), [3, 4, 5, 6]);
+    assert.match(invalidRows[0].reason, /not numbers/);
+    assert.match(invalidRows[1].reason, /out of range/);
+    assert.match(invalidRows[2].reason, /2 fields/);
+});
+
+test('toGeoJSON uses the columns, delimiter and types given', () => {
+    const text = 'a;b;zip\n1,5;2;0100';
+    assert.throws(() => CSV.toGeoJSON(text), GisplayDataError);
+    const { geojson } = CSV.toGeoJSON('north|east|zip\n1|2|0100', { latitude: 'north', longitude: 'east', types: { zip: 'string' } });
+    assert.deepEqual(geojson.features[0].properties, { north: 1, east: 2, zip: '0100' });
+    assert.throws(() => CSV.toGeoJSON('lat,lon\n1,2', { latitude: 'y' }), (error) => error instanceof GisplayOptionError && error.option === 'latitude');
+    assert.throws(() => CSV.toGeoJSON('\n\n'), GisplayDataError);
+});
+
+test('parse handles quotes, escaped quotes, CRLF and the byte order mark', () => {
+    const rows = CSV.parse('\uFEFFa,b\r\n"x, ""y""",2\r\n"line\nbreak",3', ',');
+    assert.deepEqual(rows.map(row => row.fields), [['a', 'b'], ['x, "y"', '2'], ['line\nbreak', '3']]);
+    assert.deepEqual(rows.map(row => row.line), [1, 2, 3]);
+});
+
+test('detectDelimiter picks the most used delimiter of the first line', () => {
+    assert.equal(CSV.detectDelimiter('a\tb\tc\n1,2,3'), '\t');
+    assert.equal(CSV.detectDelimiter('a;b,c;d'), ';');
+    assert.equal(CSV.detectDelimiter('single'), ',');
+});
+
+test('toNumber only accepts whole numeric fields', () => {
+    assert.equal(CSV.toNumber(' -1.5e3 '), -1500);
+    assert.equal(CSV.toNumber('.5'), 0.5);
+    for (const value of ['', '1,5', '0x10', 'Infinity', '12abc', undefined])
+        assert.equal(CSV.toNumber(value), null);
+});
+
+test('toRecords reads tables without coordinates and skips malformed rows', () => {
+    const { records, columns } = CSV.toRecords('state,total\nCA,10\nTX\nNY,3');
+    assert.deepEqual(records, [{ state: 'CA', total: 10 }, { state: 'NY', total: 3 }]);
+    assert.deepEqual(columns, { state: 'string', total: 'number' });
+});
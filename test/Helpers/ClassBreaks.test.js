@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+import { ClassBreaks } from '../../src/Gisplay/Helpers/ClassBreaks';
+
+//The chroma.js used by the demos, the breaks must not change when they are calculated without it
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(new URL('../../src/lib/chroma.min.js', import.meta.url), 'utf8'), context);
+const chroma = context.chroma;
+
+let seed = 7;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+const datasets = {
+    uniform: Array.from({ length: 500 }, () => random() * 1000),
+    skewed: Array.from({ length: 300 }, () => Math.round(random() ** 4 * 5000)),
+    repeated: [1, 1, 1, 1, 2, 2, 50, 50, 50, 51],
+    negative: [-40, -3.5, 0, 2.25, 7, 7, 19, 120],
+    tiny: [3, 9]
+};
+
+for (const [name, values] of Object.entries(datasets))
+    for (const [method, mode] of [['quantile', 'q'], ['equidistant', 'e'], ['k-means', 'k']])
+        test(`${method} breaks of the ${name} values are the ones of chroma.limits`, () => {
+            for (const classes of [2, 3, 5, 7])
+                assert.deepEqual(ClassBreaks.calculate(values.slice(), method, classes), Array.from(chroma.limits(values.slice(), mode, classes)), `${classes} classes`);
+        });
+
+test('quantile is used when the method is not known', () => {
+    const values = datasets.uniform;
+    assert.deepEqual(ClassBreaks.calculate(values, undefined, 4), ClassBreaks.calculate(values, 'quantile', 4));
+});
+
+test('null and NaN values are ignored and the values given are not changed', () => {
+    const values = [5, null, 1, NaN, 3];
+    assert.deepEqual(ClassBreaks.calculate(values, 'equidistant', 2), [1, 3, 5]);
+    assert.deepEqual(values, [5, null, 1, NaN, 3]);
+});
+
+test('empty k-means clusters give no break', () => {
+    const breaks = ClassBreaks.calculate([0, 0, 0, 100], 'k-means', 4);
+    assert.deepEqual(breaks, Array.from(chroma.limits([0, 0, 0, 100], 'k', 4)));
+    assert.ok(breaks.length < 5);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Cluster } from '../../src/Gisplay/Helpers/Cluster';
+
+const point = (lon, lat, id) => ({ lon, lat, properties: { id } });
+
+test('project and unproject are inverse and keep y between 0 and 1', () => {
+    assert.deepEqual(Cluster.project(0, 0), { x: 0.5, y: 0.5 });
+    const { x, y } = Cluster.project(-9.14, 38.72);
+    const back = Cluster.unproject(x, y);
+    assert.ok(Math.abs(back.lon + 9.14) < 1e-9 && Math.abs(back.lat - 38.72) < 1e-9);
+    assert.equal(Cluster.project(0, 90).y, 0);
+    assert.equal(Cluster.project(0, -90).y, 1);
+});
+
+test('build only creates the last level, with one cluster per point', () => {
+    const levels = Cluster.build([point(0, 0, 1), point(10, 10, 2)], 5);
+    assert.equal(levels.length, 7);
+    assert.equal(levels[6].length, 2);
+    assert.ok(levels.slice(0, 6).every(level => level === undefined));
+    assert.deepEqual(levels[6].map(c => c.count), [1, 1]);
+});
+
+test('getLevel merges the points closer than the radius and keeps the ones far away', () => {
+    const points = [point(0, 0, 1), point(0.01, 0.01, 2), point(0.02, 0, 3), point(100, 40, 4)];
+    const levels = Cluster.build(points, 10);
+    const clusters = Cluster.getLevel(levels, 5, 40, 256);
+    assert.equal(clusters.length, 2);
+    const [group, alone] = clusters;
+    assert.equal(group.count, 3);
+    assert.deepEqual(Cluster.getPoints(group).map(p => p.properties.id).sort(), [1, 2, 3]);
+    assert.equal(alone.point, points[3]);
+    assert.ok(Math.abs(group.lon - 0.01) < 1e-6, 'the cluster is at the center of it\'s points');
+    //The levels between the one asked and the last one are created once, the ones above are not
+    assert.ok(levels[6] !== undefined && levels[4] === undefined);
+    assert.equal(Cluster.getLevel(levels, 5, 40, 256), clusters);
+});
+
+test('the counts of every level add up to the number of points', () => {
+    const points = [];
+    for (let i = 0; i < 200; i++)
+        points.push(point((i * 37) % 360 - 180, (i * 53) % 160 - 80, i));
+    const levels = Cluster.build(points, 8);
+    for (let zoom = 9; zoom >= 0; zoom--) {
+        const clusters = Cluster.getLevel(levels, zoom, 60, 256);
+        assert.equal(clusters.reduce((sum, c) => sum + c.count, 0), points.length);
+    }
+    assert.ok(levels[0].length < levels[9].length);
+    assert.equal(Cluster.getPoints({ children: levels[0] }).length, points.length);
+});
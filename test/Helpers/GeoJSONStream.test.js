@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GeoJSONStream } from '../../src/Gisplay/Helpers/GeoJSONStream';
+import { GisplayDataError } from '../../src/Gisplay/GisplayErrors';
+
+const feature = i => ({ type: 'Feature', properties: { id: i, name: `a "quoted" {name} [${i}] \\ é` }, geometry: { type: 'Point', coordinates: [i, i * 2] } });
+const collection = n => ({ type: 'FeatureCollection', crs: { properties: { features: 'not these' } }, features: Array.from({ length: n }, (v, i) => feature(i)), bbox: [0, 0, 1, 1] });
+
+//A stream of the bytes of the text, split in pieces of the given size (splitting multi-byte characters too)
+const byteStream = (text, size) => {
+    const bytes = new TextEncoder().encode(text);
+    let offset = 0;
+    return new ReadableStream({
+        pull(controller) {
+            if (offset >= bytes.length)
+                return controller.close();
+            controller.enqueue(bytes.slice(offset, offset + size));
+            offset += size;
+        }
+    });
+};
+
+test('push returns each Feature once it\'s complete, wherever the text is split', () => {
+    const text = JSON.stringify(collection(5), null, 2);
+    for (const size of [1, 7, 64, text.length]) {
+        const parser = new GeoJSONStream();
+        const features = [];
+        for (let i = 0; i < text.length; i += size)
+            features.push(...parser.push(text.slice(i, i + size)));
+        parser.end();
+        assert.deepEqual(features, collection(5).features);
+    }
+});
+
+test('push only keeps the text of the Feature that is not complete', () => {
+    const parser = new GeoJSONStream();
+    const text = JSON.stringify(collection(3));
+    const cut = text.indexOf('"Feature"', text.indexOf('"Feature"') + 1);
+    assert.equal(parser.push(text.slice(0, cut)).length, 1);
+    assert.ok(parser.pending.startsWith('{') && parser.pending.length < 20);
+    assert.equal(parser.push(text.slice(cut)).length, 2);
+});
+
+test('end and parseFeature throw a GisplayDataError on data that is not a FeatureCollection', () => {
+    const parser = new GeoJSONStream();
+    parser.push('{"type": "FeatureCollection", "features": [');
+    assert.throws(() => parser.end(), GisplayDataError);
+    const other = new GeoJSONStream();
+    assert.deepEqual(other.push('[{"type": "Feature"}]'), []);
+    assert.throws(() => other.end(), GisplayDataError);
+    assert.throws(() => new GeoJSONStream().push('{"features": [{"type": Feature}]}'), GisplayDataError);
+});
+
+test('read gives the Features in chunks with the progress', async () => {
+    const text = JSON.stringify(collection(25));
+    const chunks = [];
+    await GeoJSONStream.read(new Blob([text]), (features, progress) => { chunks.push({ features, progress }); }, 10);
+    assert.deepEqual([].concat(...chunks.map(c => c.features)), collection(25).features);
+    assert.ok(chunks.slice(0, -1).every(c => c.features.length >= 10));
+    assert.equal(chunks[chunks.length - 1].progress, 1);
+    const progresses = chunks.map(c => c.progress);
+    assert.deepEqual(progresses, progresses.slice().sort((a, b) => a - b));
+});
+
+test('read accepts Responses and ReadableStreams, split anywhere', async () => {
+    const text = JSON.stringify(collection(4));
+    const fromStream = [];
+    await GeoJSONStream.read(byteStream(text, 3), features => { fromStream.push(...features); }, 2);
+    assert.deepEqual(fromStream, collection(4).features);
+
+    const progresses = [];
+    await GeoJSONStream.read(new Response(byteStream(text, 50)), (features, progress) => { progresses.push(progress); }, 1);
+    assert.ok(progresses.slice(0, -1).every(p => p === null), 'the size is not known without Content-Length');
+});
+
+test('read stops when onChunk resolves with false and rejects on errors', async () => {
+    let calls = 0;
+    await GeoJSONStream.read(byteStream(JSON.stringify(collection(50)), 16), () => { calls++; return Promise.resolve(false); }, 5);
+    assert.equal(calls, 1);
+    await assert.rejects(GeoJSONStream.read(new Blob(['{"type": "FeatureCollection", "features": [{"a": 1}']), () => { }), GisplayDataError);
+    await assert.rejects(GeoJSONStream.read(new Blob([JSON.stringify(collection(3))]), () => { throw new Error('draw failed'); }, 1), /draw failed/);
+    assert.ok(GeoJSONStream.isSource(new Blob([])) && !GeoJSONStream.isSource(collection(1)));
+});
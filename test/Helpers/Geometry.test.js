@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+import { Geometry } from '../../src/Gisplay/Helpers/Geometry';
+import { GisplayDataError } from '../../src/Gisplay/GisplayErrors';
+
+vm.runInThisContext(fs.readFileSync(new URL('../../src/lib/earcut.js', import.meta.url), 'utf8'));
+
+/**
+ * Area of the triangles of a triangulated polygon.
+ * @param {{triangles: Array<number>, vertices: Array<number>}} polygon - The result of Geometry.triangulateRings.
+ * @returns {number} - The sum of the areas.
+ */
+function area({ triangles, vertices }) {
+    let sum = 0;
+    for (let t = 0; t < triangles.length; t += 3) {
+        const [ax, ay, bx, by, cx, cy] = [0, 1, 2].flatMap(k => [vertices[triangles[t + k] * 2], vertices[triangles[t + k] * 2 + 1]]);
+        sum += Math.abs((bx - ax) * (cy - ay) - (cx - ax) * (by - ay)) / 2;
+    }
+    return sum;
+}
+
+/**
+ * Longest jump between consecutive longitudes of each ring, closing the ring.
+ * @param {Array<Array<number>>} rings - The vertices of each ring.
+ * @returns {number} - The longest jump.
+ */
+function longestJump(rings) {
+    let longest = 0;
+    for (const ring of rings)
+        for (let i = 0; i < ring.length; i += 2)
+            longest = Math.max(longest, Math.abs(ring[(i + 2) % ring.length] - ring[i]));
+    return longest;
+}
+
+test('triangulateRings leaves the holes out of the triangles', () => {
+    const lake = Geometry.triangulateRings([
+        [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+        [[2, 2], [2, 4], [4, 4], [4, 2], [2, 2]],
+        [[6, 6], [6, 9], [9, 9], [9, 6]] //Not closed, all the positions are used
+    ]);
+    assert.equal(area(lake), 100 - 4 - 9);
+    assert.deepEqual(lake.rings.map(ring => ring.length / 2), [4, 4, 4]);
+    assert.equal(lake.vertices.length, 24);
+
+    const noHoles = Geometry.triangulateRings([[[0, 0], [4, 0], [0, 3], [0, 0]], []]);
+    assert.equal(area(noHoles), 6);
+    assert.equal(noHoles.rings.length, 1, 'empty rings are skipped');
+});
+
+test('triangulateRings unwraps rings on the antimeridian and keeps their holes on the same copy of the world', () => {
+    const fiji = Geometry.triangulateRings([
+        [[178, -18], [-178, -18], [-178, -16], [178, -16], [178, -18]],
+        [[179, -17.5], [-179.5, -17.5], [-179.5, -17], [179, -17], [179, -17.5]]
+    ]);
+    assert.ok(longestJump(fiji.rings) <= 180);
+    assert.equal(area(fiji), 8 - 0.75, 'not a triangle across the world');
+    assert.deepEqual(fiji.rings[0], [178, -18, 182, -18, 182, -16, 178, -16]);
+    assert.deepEqual(fiji.rings[1], [179, -17.5, 180.5, -17.5, 180.5, -17, 179, -17]);
+
+    //The hole doesn't cross the antimeridian but it's on the other side of it
+    const island = Geometry.triangulateRings([
+        [[179, 0], [-177, 0], [-177, 4], [179, 4], [179, 0]],
+        [[-179, 1], [-178, 1], [-178, 2], [-179, 2], [-179, 1]]
+    ]);
+    assert.deepEqual(island.rings[1], [181, 1, 182, 1, 182, 2, 181, 2]);
+    assert.equal(area(island), 16 - 1);
+});
+
+test('unwrapLongitudes returns the same array when the line does not cross the antimeridian', () => {
+    const line = [[170, 0], [179, 1], [-100, 2]];
+    assert.notEqual(Geometry.unwrapLongitudes(line), line);
+    assert.deepEqual(Geometry.unwrapLongitudes(line), [[170, 0], [179, 1], [260, 2]]);
+
+    const straight = [[-10, 0], [10, 0]];
+    assert.equal(Geometry.unwrapLongitudes(straight), straight);
+    assert.deepEqual(Geometry.unwrapLongitudes(straight, 350), [[350, 0], [370, 0]]);
+});
+
+test('decomposeGeometry splits multi geometries and collections', () => {
+    const parts = Geometry.decomposeGeometry({
+        type: 'GeometryCollection',
+        geometries: [
+            { type: 'MultiPoint', coordinates: [[0, 0], [1, 1]] },
+            { type: 'GeometryCollection', geometries: [{ type: 'LineString', coordinates: [[0, 0], [2, 2]] }, null] },
+            { type: 'MultiPolygon', coordinates: [[[[0, 0], [1, 0], [0, 1], [0, 0]]], [[[5, 5], [6, 5], [5, 6], [5, 5]]]] }
+        ]
+    });
+    assert.deepEqual([parts.points.length, parts.lines.length, parts.polygons.length], [2, 1, 2]);
+    assert.deepEqual(Geometry.decomposeGeometry(null), { polygons: [], lines: [], points: [] });
+    assert.throws(() => Geometry.decomposeGeometry({ type: 'Circle', coordinates: [0, 0] }), GisplayDataError);
+});
+
+test('setPosition keeps what float32 loses in the low parts', () => {
+    const array = new Float32Array(4);
+    Geometry.setPosition(array, 0, -9.142685123456, 38.736946987654);
+    assert.notEqual(array[0], -9.142685123456);
+    assert.ok(Math.abs(array[0] + array[2] - -9.142685123456) < 1e-12);
+    assert.ok(Math.abs(array[1] + array[3] - 38.736946987654) < 1e-12);
+    assert.deepEqual(Array.from(Geometry.splitPositions([1, 2, 3, 4])), [1, 2, 0, 0, 3, 4, 0, 0]);
+});
+
+test('split meshes have all the triangles and join back to the same drawing', () => {
+    const grid = { vertices: new Float32Array(20), indices: new Uint32Array([0, 1, 2, 2, 3, 4, 4, 5, 6, 6, 7, 8, 8, 9, 0]) };
+    grid.vertices.forEach((_, i) => grid.vertices[i] = i);
+
+    assert.deepEqual(Geometry.splitMesh(grid, 2, 10), [grid]);
+    const meshes = Geometry.splitMesh(grid, 2, 4);
+    assert.ok(meshes.every(mesh => mesh.vertices.length / 2 <= 4));
+    const joined = Geometry.joinMeshes(meshes, 2, Uint16Array);
+    assert.ok(joined.indices instanceof Uint16Array);
+    const corners = indices => Array.from(indices, i => joined.vertices[i * 2]);
+    assert.deepEqual(corners(joined.indices), Array.from(grid.indices, i => grid.vertices[i * 2]));
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+import { GeometryWorker } from '../../src/Gisplay/Helpers/GeometryWorker';
+import { GisplayOptions } from '../../src/Gisplay/GisplayOptions';
+
+const options = new GisplayOptions({ attr: 'value' });
+const earcutScript = fs.readFileSync(new URL('../../src/lib/earcut.js', import.meta.url), 'utf8');
+
+const lake = {
+    type: 'Polygon',
+    coordinates: [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]], [[2, 2], [2, 4], [4, 4], [4, 2], [2, 2]]]
+};
+const requests = [
+    { type: 'processAndIndex', geometries: [lake, { type: 'MultiPoint', coordinates: [[5, 5], [1, 9]] }], options: GeometryWorker.geometryOptions(options), borders: [] },
+    { type: 'classBreaks', values: new Float64Array([4, 8, 15, 16, 23, 42]), method: 'equidistant', numberOfClasses: 3 },
+    { type: 'unknown' }
+];
+
+/**
+ * Runs the worker script in a new context, without the globals of the page (only the ones of a worker), and sends it the requests.
+ * @param {string} source - The worker script.
+ * @returns {Array<Object>} - The answers posted by the worker.
+ */
+function runWorker(source) {
+    const answers = [];
+    const self = { postMessage: answer => answers.push(answer) };
+    vm.runInNewContext(source, { self });
+    for (const [id, request] of requests.entries())
+        self.onmessage({ data: Object.assign({ id }, request) });
+    return answers;
+}
+
+test('without earcut there is no worker script and the requests run on the main thread', (t) => {
+    const warn = t.mock.method(console, 'warn', () => { });
+    assert.throws(() => GeometryWorker.source(options), /earcut is not loaded/);
+    assert.equal(GeometryWorker.scriptUrl(options), null);
+    assert.equal(GeometryWorker.scriptUrl(options), null);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal(new GeometryWorker(options).worker, null);
+});
+
+test('the worker script copies earcut and answers like the main thread', () => {
+    vm.runInThisContext(earcutScript); //Like the <script> of the page, earcut and it's helpers are global functions
+    const source = GeometryWorker.source(options);
+    assert.match(source, /var earcut = function earcut\(/);
+    assert.match(source, /var eliminateHoles = /);
+    assert.match(source, /GeometryWorker\.listen\(self\);$/);
+
+    const [indexed, breaks, unknown] = runWorker(source);
+    const expected = GeometryWorker.handle(requests[0]).result;
+    assert.equal(indexed.id, 0);
+    assert.deepEqual(Array.from(indexed.result.pointOrder), Array.from(expected.pointOrder));
+    assert.deepEqual(Array.from(indexed.result.polygonBoxes), [0, 0, 10, 10]);
+    assert.deepEqual(Array.from(indexed.result.results[0].polygons.triangles[0].indices), Array.from(expected.results[0].polygons.triangles[0].indices));
+    assert.equal(breaks.id, 1);
+    assert.deepEqual(Array.from(breaks.result), [4, 16.666666666666664, 29.333333333333332, 42]); //Arrays of the worker context
+    assert.equal(unknown.id, 2);
+    assert.equal(unknown.error.message, '"unknown" is not a geometry worker request.');
+});
+
+test('requests without a worker are answered on the main thread, errors reject them', async () => {
+    const worker = new GeometryWorker(Object.assign({}, options, { useWorker: false }));
+    const { results, pointOrder, polygonBoxes } = await worker.processAndIndex([lake], options);
+    assert.equal(results[0].polygons.triangles.length, 1);
+    assert.equal(pointOrder, undefined, 'the indexes are built by the map');
+    assert.equal(polygonBoxes, undefined);
+    assert.deepEqual(await worker.classBreaks(new Float64Array([1, 2, 3, 4]), 'quantile', 2), [1, 3, 4]);
+    await assert.rejects(worker.request({ type: 'unknown' }), /not a geometry worker request/);
+
+    worker.terminate();
+    await assert.rejects(worker.process([lake], options), /terminated/);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Join } from '../../src/Gisplay/Helpers/Join';
+import { GisplayDataError, GisplayOptionError } from '../../src/Gisplay/GisplayErrors';
+
+const states = () => ({
+    type: 'FeatureCollection',
+    features: [
+        { type: 'Feature', id: 'al', properties: { FIPS: 1, name: 'Alabama' }, geometry: null },
+        { type: 'Feature', properties: { FIPS: '06', name: 'California' }, geometry: null },
+        { type: 'Feature', properties: { FIPS: 99, name: 'Nowhere' }, geometry: null },
+        { type: 'Feature', properties: null, geometry: null }
+    ]
+});
+
+test('attributes joins the records by key, numeric keys as numbers', () => {
+    const geojson = states();
+    const records = [{ fips: '01', total: 10 }, { fips: 6, total: 20, rate: 0.5 }, { fips: '48', total: 30 }];
+    const { geojson: joined, report } = Join.attributes(geojson, records, { featureKey: 'FIPS', recordKey: 'fips' });
+    assert.deepEqual(joined.features[0].properties, { FIPS: 1, name: 'Alabama', total: 10, rate: null });
+    assert.deepEqual(joined.features[1].properties, { FIPS: '06', name: 'California', total: 20, rate: 0.5 });
+    assert.deepEqual(joined.features[2].properties, { FIPS: 99, name: 'Nowhere', total: null, rate: null });
+    assert.deepEqual(joined.features[3].properties, { total: null, rate: null });
+    assert.equal(joined.features[0].id, 'al');
+    assert.equal(report.matchedFeatures, 2);
+    assert.deepEqual(report.unmatchedFeatures, [geojson.features[2], geojson.features[3]]);
+    assert.deepEqual(report.unmatchedRecords, [records[2]]);
+    assert.deepEqual(report.duplicateKeys, []);
+    assert.deepEqual(geojson, states(), 'the Features given are not changed');
+});
+
+test('attributes can drop the Features without a record and only join some fields', () => {
+    const { geojson, report } = Join.attributes(states(), [{ FIPS: 1, total: 10, rate: 1 }], { featureKey: 'FIPS', fields: ['total'], missing: 'drop' });
+    assert.deepEqual(geojson.features.map(f => f.properties), [{ FIPS: 1, name: 'Alabama', total: 10 }]);
+    assert.equal(report.unmatchedFeatures.length, 3);
+});
+
+test('attributes reads CSV text', () => {
+    const { geojson } = Join.attributes(states(), 'FIPS,total\n01,10\n06,20', { featureKey: 'FIPS' });
+    assert.deepEqual(geojson.features.map(f => f.properties.total), [10, 20, null, null]);
+});
+
+test('duplicate keys keep the first or the last record, or throw', () => {
+    const records = [{ FIPS: 1, total: 1 }, { FIPS: '1', total: 2 }];
+    const first = Join.attributes(states(), records, { featureKey: 'FIPS' });
+    assert.equal(first.geojson.features[0].properties.total, 1);
+    assert.deepEqual(first.report.duplicateKeys, ['1']);
+    assert.equal(Join.attributes(states(), records, { featureKey: 'FIPS', duplicates: 'last' }).geojson.features[0].properties.total, 2);
+    assert.throws(() => Join.attributes(states(), records, { featureKey: 'FIPS', duplicates: 'error' }), GisplayDataError);
+});
+
+test('invalid options throw a GisplayOptionError', () => {
+    for (const options of [null, {}, { featureKey: 'FIPS', fields: 'total' }, { featureKey: 'FIPS', missing: 'skip' }, { featureKey: 'FIPS', duplicates: 'any' }])
+        assert.throws(() => Join.attributes(states(), [], options), (error) => error instanceof GisplayOptionError && error.option === 'join');
+});
+
+test('normalizeKey compares numbers and text', () => {
+    assert.equal(Join.normalizeKey('007'), '7');
+    assert.equal(Join.normalizeKey(7), '7');
+    assert.equal(Join.normalizeKey(' CA '), 'CA');
+    assert.equal(Join.normalizeKey(''), null);
+    assert.equal(Join.normalizeKey(null), null);
+});
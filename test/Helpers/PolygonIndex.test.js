@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PolygonIndex } from '../../src/Gisplay/Helpers/PolygonIndex';
+
+const square = (x0, y0, x1, y1) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+
+//A country with a lake (hole), an enclave without a hole in the country, islands of one Feature and an island state on the antimeridian
+const country = { type: 'Feature', properties: { name: 'country' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 10, 10), square(1, 1, 3, 3)] } };
+const enclave = { type: 'Feature', properties: { name: 'enclave' }, geometry: { type: 'Polygon', coordinates: [square(6, 6, 8, 8)] } };
+const islands = {
+    type: 'Feature', properties: { name: 'islands' },
+    geometry: { type: 'MultiPolygon', coordinates: [[square(20, 0, 21, 1)], [square(22, 0, 23, 1)]] }
+};
+const collection = {
+    type: 'Feature', properties: { name: 'collection' },
+    geometry: { type: 'GeometryCollection', geometries: [{ type: 'Point', coordinates: [30, 0] }, { type: 'Polygon', coordinates: [square(30, 0, 31, 1)] }] }
+};
+const fiji = {
+    type: 'Feature', properties: { name: 'fiji' },
+    geometry: { type: 'Polygon', coordinates: [[[178, -18], [-178, -18], [-178, -16], [178, -16], [178, -18]], [[179, -17.5], [-179.5, -17.5], [-179.5, -17], [179, -17], [179, -17.5]]] }
+};
+const empty = { type: 'Feature', properties: { name: 'empty' }, geometry: null };
+const features = [country, enclave, islands, collection, fiji, empty];
+
+const nameAt = (index, lon, lat) => {
+    const feature = index.search(lon, lat);
+    return feature === undefined ? undefined : feature.properties.name;
+};
+
+describe('PolygonIndex', () => {
+    const index = new PolygonIndex(features);
+
+    it('indexes every polygon of every Feature and skips empty geometries', () => {
+        assert.equal(index.polygons.length, 6);
+        assert.deepEqual(index.polygons.map(p => p.feature.properties.name), ['country', 'enclave', 'islands', 'islands', 'collection', 'fiji']);
+    });
+
+    for (const [lon, lat, expected] of [
+        [5, 5, 'country'],
+        [2, 2, undefined], //In the lake
+        [7, 7, 'enclave'], //The smallest polygon wins
+        [22.5, 0.5, 'islands'],
+        [30.5, 0.5, 'collection'],
+        [15, 5, undefined]
+    ])
+        it(`finds ${expected} at ${lon}, ${lat}`, () => assert.equal(nameAt(index, lon, lat), expected));
+
+    it('returns the whole Feature of a part of a MultiPolygon', () => {
+        assert.equal(index.search(20.5, 0.5), islands);
+    });
+
+    it('finds polygons that cross the antimeridian on both sides of it, outside of their holes', () => {
+        assert.deepEqual(index.polygons[5].bbox, [178, -18, 182, -16]);
+        assert.equal(nameAt(index, 178.5, -16.5), 'fiji');
+        assert.equal(nameAt(index, -178.5, -16.5), 'fiji');
+        assert.equal(nameAt(index, 179.5, -17.2), undefined);
+        assert.equal(nameAt(index, -179.8, -17.2), undefined);
+        assert.equal(nameAt(index, 0, -17), undefined);
+    });
+
+    it('uses the bounding boxes calculated in the worker when they match the polygons', () => {
+        const bboxes = PolygonIndex.bboxes(features.map(f => f.geometry));
+        assert.ok(bboxes instanceof Float64Array);
+        assert.deepEqual(Array.from(bboxes.subarray(0, 4)), [0, 0, 10, 10]);
+        const fromWorker = new PolygonIndex(features, bboxes);
+        assert.deepEqual(fromWorker.polygons.map(p => p.bbox), index.polygons.map(p => p.bbox));
+        assert.equal(nameAt(fromWorker, -178.5, -16.5), 'fiji');
+
+        const stale = new PolygonIndex(features, bboxes.subarray(0, 8));
+        assert.deepEqual(stale.polygons.map(p => p.bbox), index.polygons.map(p => p.bbox));
+    });
+
+    it('adds the polygons of new Features', () => {
+        const grown = new PolygonIndex([country]);
+        assert.equal(nameAt(grown, 7, 7), 'country');
+        grown.add([enclave]);
+        assert.equal(nameAt(grown, 7, 7), 'enclave');
+        assert.equal(nameAt(grown, 5, 5), 'country');
+    });
+
+    it('finds nothing when there are no polygons', () => {
+        assert.equal(new PolygonIndex([empty]).search(0, 0), undefined);
+    });
+});
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Shapefile } from '../../src/Gisplay/Helpers/Shapefile';
+import { GisplayDataError, GisplayOptionError } from '../../src/Gisplay/GisplayErrors';
+
+/**
+ * Writes a .shp file with the given records: {type: 1, point: [x, y]}, {type: 8, points: [[x, y]]}, {type: 3 or 5, parts: [[[x, y]]]} or {type: 0}.
+ */
+const writeShp = (records) => {
+    const contents = records.map((r) => {
+        if (r.type === 0)
+            return [0, []];
+        if (r.type === 1)
+            return [20, [['i', 0, 1], ['d', 4, r.point[0]], ['d', 12, r.point[1]]]];
+        const points = r.type === 8 ? r.points : [].concat(...r.parts);
+        const values = [['i', 0, r.type]];
+        let offset = 36;
+        if (r.type !== 8) {
+            values.push(['i', 36, r.parts.length], ['i', 40, points.length]);
+            let start = 0;
+            r.parts.forEach((part, p) => {
+                values.push(['i', 44 + p * 4, start]);
+                start += part.length;
+            });
+            offset = 44 + r.parts.length * 4;
+        }
+        else {
+            values.push(['i', 36, points.length]);
+            offset = 40;
+        }
+        points.forEach(([x, y], i) => values.push(['d', offset + i * 16, x], ['d', offset + i * 16 + 8, y]));
+        return [offset + points.length * 16, values];
+    });
+    const length = 100 + contents.reduce((sum, [size]) => sum + 8 + Math.max(size, 4), 0);
+    const view = new DataView(new ArrayBuffer(length));
+    view.setInt32(0, 9994, false);
+    view.setInt32(24, length / 2, false);
+    view.setInt32(28, 1000, true);
+    let offset = 100;
+    contents.forEach(([size, values], i) => {
+        size = Math.max(size, 4);
+        view.setInt32(offset, i + 1, false);
+        view.setInt32(offset + 4, size / 2, false);
+        for (const [type, at, value] of values) {
+            if (type === 'i')
+                view.setInt32(offset + 8 + at, value, true);
+            else
+                view.setFloat64(offset + 8 + at, value, true);
+        }
+        offset += 8 + size;
+    });
+    return view.buffer;
+};
+
+/**
+ * Writes a .dbf file. fields are [name, type, length], rows are arrays of bytes or text (padded to the length of the field),
+ * deleted rows start with '*'.
+ */
+const writeDbf = (fields, rows, languageDriver = 0) => {
+    const headerLength = 32 + fields.length * 32 + 1;
+    const recordLength = 1 + fields.reduce((sum, [, , length]) => sum + length, 0);
+    const bytes = new Uint8Array(headerLength + rows.length * recordLength);
+    const view = new DataView(bytes.buffer);
+    bytes[0] = 3;
+    view.setUint32(4, rows.length, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+    bytes[29] = languageDriver;
+    fields.forEach(([name, type, length], i) => {
+        bytes.set(new TextEncoder().encode(name), 32 + i * 32);
+        bytes[32 + i * 32 + 11] = type.charCodeAt(0);
+        bytes[32 + i * 32 + 16] = length;
+    });
+    bytes[headerLength - 1] = 0x0D;
+    rows.forEach((row, r) => {
+        let offset = headerLength + r * recordLength;
+        bytes.fill(0x20, offset, offset + recordLength);
+        bytes[offset++] = row.deleted ? 0x2A : 0x20;
+        fields.forEach(([, , length], i) => {
+            const value = typeof row[i] === 'string' ? new TextEncoder().encode(row[i]) : row[i];
+            bytes.set(value.subarray(0, length), offset);
+            offset += length;
+        });
+    });
+    return bytes.buffer;
+};
+
+const square = (x, y, size, clockwise) => {
+    const ring = [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+    return clockwise ? ring.reverse() : ring;
+};
+
+test('toGeoJSON reads points, lines and polygons with their attributes', () => {
+    const shp = writeShp([
+        { type: 1, point: [-9.14, 38.72] },
+        { type: 8, points: [[1, 2], [3, 4]] },
+        { type: 3, parts: [[[0, 0], [1, 1]]] },
+        { type: 3, parts: [[[0, 0], [1, 1]], [[2, 2], [3, 3]]] },
+        { type: 5, parts: [square(0, 0, 10, true), square(2, 2, 2, false), square(20, 0, 1, true)] },
+        { type: 0 }
+    ]);
+    const dbf = writeDbf([['NAME', 'C', 10], ['TOTAL', 'N', 8], ['OPEN', 'L', 1], ['SINCE', 'D', 8]], [
+        ['Lisbon', '  12.5', 'T', '20170131'], ['Porto', '', 'n', ''], ['A1', '3', '?', '2017'], ['A2', '4', 'Y', ''],
+        ['Counties', '5', 'F', ''], ['Empty', '6', ' ', '']
+    ]);
+    const { type, features } = Shapefile.toGeoJSON(shp, dbf);
+    assert.equal(type, 'FeatureCollection');
+    assert.deepEqual(features.map(f => f.geometry === null ? null : f.geometry.type), ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'MultiPolygon', null]);
+    assert.deepEqual(features[0].geometry.coordinates, [-9.14, 38.72]);
+    assert.deepEqual(features[0].properties, { NAME: 'Lisbon', TOTAL: 12.5, OPEN: true, SINCE: '2017-01-31' });
+    assert.deepEqual(features[1].properties, { NAME: 'Porto', TOTAL: null, OPEN: false, SINCE: null });
+    assert.equal(features[2].properties.OPEN, null);
+
+    const [withHole, island] = features[4].geometry.coordinates;
+    assert.equal(withHole.length, 2, 'the counterclockwise ring is a hole of the ring that contains it');
+    assert.ok(Shapefile.signedArea(withHole[0]) > 0 && Shapefile.signedArea(withHole[1]) < 0, 'GeoJSON orientation');
+    assert.equal(island.length, 1);
+});
+
+test('readFeatures skips deleted records and checks the number of records', () => {
+    const shp = writeShp([{ type: 1, point: [1, 1] }, { type: 1, point: [2, 2] }, { type: 1, point: [3, 3] }]);
+    const deleted = ['b'];
+    deleted.deleted = true;
+    const features = Array.from(Shapefile.readFeatures(shp, writeDbf([['ID', 'C', 2]], [['a'], deleted, ['c']])));
+    assert.deepEqual(features.map(f => f.properties.ID), ['a', 'c']);
+    assert.deepEqual(Shapefile.toGeoJSON(shp).features[2].properties, {});
+    assert.throws(() => Shapefile.toGeoJSON(shp, writeDbf([['ID', 'C', 2]], [['a'], ['b']])), GisplayDataError);
+    assert.throws(() => Shapefile.toGeoJSON(shp, writeDbf([['ID', 'C', 2]], [['a'], ['b'], ['c'], ['d']])), GisplayDataError);
+});
+
+test('invalid files throw a GisplayDataError', () => {
+    assert.throws(() => Shapefile.toGeoJSON(new ArrayBuffer(100)), GisplayDataError);
+    const truncated = writeShp([{ type: 5, parts: [square(0, 0, 1, true)] }]).slice(0, 150);
+    assert.throws(() => Shapefile.toGeoJSON(truncated), GisplayDataError);
+    const multiPatch = writeShp([{ type: 1, point: [0, 0] }]);
+    new DataView(multiPatch).setInt32(108, 31, true);
+    assert.throws(() => Shapefile.toGeoJSON(multiPatch), /MultiPatch/);
+    assert.throws(() => Shapefile.toGeoJSON(writeShp([]), new ArrayBuffer(10)), GisplayDataError);
+});
+
+test('the .prj decides how the coordinates are converted', () => {
+    const mercator = writeShp([{ type: 1, point: [1113194.9, 0] }]);
+    const prj = 'PROJCS["WGS_1984_Web_Mercator_Auxiliary_Sphere",GEOGCS["GCS_WGS_1984"]]';
+    const [lon, lat] = Shapefile.toGeoJSON(mercator, undefined, { prj }).features[0].geometry.coordinates;
+    assert.ok(Math.abs(lon - 10) < 1e-6 && Math.abs(lat) < 1e-9);
+    assert.throws(() => Shapefile.toGeoJSON(mercator, undefined, { prj: 'PROJCS["ETRS89 / Portugal TM06",GEOGCS["ETRS89"]]' }), /Portugal TM06/);
+    const projected = writeShp([{ type: 1, point: [-87000, -105000] }]);
+    new DataView(projected).setFloat64(36, -87000, true);
+    assert.throws(() => Shapefile.toGeoJSON(projected), GisplayDataError);
+    const converted = Shapefile.toGeoJSON(projected, undefined, { toLonLat: (x, y) => [x / 1000, y / 1000] });
+    assert.deepEqual(converted.features[0].geometry.coordinates, [-87, -105]);
+    const geographic = new TextEncoder().encode('GEOGCS["GCS_WGS_1984"]').buffer;
+    assert.deepEqual(Shapefile.toGeoJSON(writeShp([{ type: 1, point: [1, 2] }]), undefined, { prj: geographic }).features[0].geometry.coordinates, [1, 2]);
+});
+
+test('text is decoded with the encoding option, the .cpg, the language driver or guessed', () => {
+    const latin = Uint8Array.from([0x53, 0xE3, 0x6F]); //"São" in windows-1252
+    const utf8 = new TextEncoder().encode('São');
+    const shp = writeShp([{ type: 1, point: [0, 0] }]);
+    const name = (dbf, options) => Shapefile.toGeoJSON(shp, dbf, options).features[0].properties.NAME;
+    assert.equal(name(writeDbf([['NAME', 'C', 6]], [[latin]])), 'São', 'not UTF-8, so windows-1252');
+    assert.equal(name(writeDbf([['NAME', 'C', 6]], [[utf8]])), 'São');
+    assert.equal(name(writeDbf([['NAME', 'C', 6]], [[latin]], 0x57)), 'São');
+    assert.equal(name(writeDbf([['NAME', 'C', 6]], [[latin]]), { cpg: '1252' }), 'São');
+    assert.equal(name(writeDbf([['NAME', 'C', 6]], [[utf8]]), { cpg: 'UTF-8', encoding: 'windows-1252' }), 'SÃ£o');
+    assert.throws(() => name(writeDbf([['NAME', 'C', 6]], [[utf8]]), { encoding: 'klingon' }), GisplayOptionError);
+    assert.throws(() => name(writeDbf([['NAME', 'C', 6]], [[utf8]]), { cpg: 'klingon' }), GisplayDataError);
+});
+
+test('encodingOfCodePage converts the code pages of .cpg files', () => {
+    assert.equal(Shapefile.encodingOfCodePage('1252'), 'windows-1252');
+    assert.equal(Shapefile.encodingOfCodePage('ANSI 1251'), 'windows-1251');
+    assert.equal(Shapefile.encodingOfCodePage('88591'), 'iso-8859-1');
+    assert.equal(Shapefile.encodingOfCodePage('CP936'), 'gbk');
+    assert.equal(Shapefile.encodingOfCodePage('UTF-8'), 'UTF-8');
+});
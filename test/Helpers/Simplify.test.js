@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simplify } from '../../src/Gisplay/Helpers/Simplify';
+
+test('douglasPeucker keeps the ends and drops the positions within the tolerance', () => {
+    const line = [[0, 0], [1, 0.01], [2, -0.01], [3, 1], [4, 0]];
+    assert.deepEqual(Simplify.douglasPeucker(line, 0.1), [[0, 0], [2, -0.01], [3, 1], [4, 0]]);
+    assert.deepEqual(Simplify.douglasPeucker(line, 2), [[0, 0], [4, 0]]);
+    assert.deepEqual(Simplify.douglasPeucker([[0, 0], [1, 1]], 10), [[0, 0], [1, 1]]);
+});
+
+test('sqSegmentDistance measures to the closest point of the segment', () => {
+    assert.equal(Simplify.sqSegmentDistance([1, 1], [0, 0], [2, 0]), 1);
+    assert.equal(Simplify.sqSegmentDistance([4, 0], [0, 0], [2, 0]), 4);
+    assert.equal(Simplify.sqSegmentDistance([3, 4], [0, 0], [0, 0]), 25);
+});
+
+test('simplifyRing returns a closed ring, or nothing when it becomes smaller than a triangle', () => {
+    const square = [[0, 0], [1, 0.001], [2, 0], [2, 2], [0, 2], [0, 0]];
+    const simplified = Simplify.simplifyRing(square, 0.01);
+    assert.deepEqual(simplified, [[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]);
+    assert.deepEqual(Simplify.simplifyRing([[0, 0], [10, 0], [10, 0.001], [0, 0.001], [0, 0]], 1), []);
+    const triangle = [[0, 0], [1, 0], [0, 1], [0, 0]];
+    assert.equal(Simplify.simplifyRing(triangle, 10), triangle);
+});
+
+test('findJunctions keeps the ends of the shared border of two polygons, not the positions inside it', () => {
+    const left = [[0, 0], [1, 0], [1, 1], [1, 2], [0, 2], [0, 0]];
+    const right = [[1, 0], [2, 0], [2, 2], [1, 2], [1, 1], [1, 0]];
+    const junctions = Simplify.findJunctions([left, right]);
+    assert.ok(junctions.has('1,0'));
+    assert.ok(junctions.has('1,2'));
+    assert.ok(!junctions.has('1,1'));
+    assert.equal(Simplify.findJunctions([left]).size, 0);
+});
+
+test('neighbour rings are simplified the same way on their shared border', () => {
+    const border = [[1, 0], [1.01, 0.5], [0.99, 1], [1.02, 1.5], [1, 2]];
+    const left = [[0, 0], ...border, [0, 2], [0, 0]];
+    const right = [[1, 2], ...border.slice().reverse().slice(1), [2, 0], [2, 2], [1, 2]];
+    const junctions = Simplify.findJunctions([left, right]);
+    const shared = ring => [...new Set(ring.filter(([x]) => x > 0.5 && x < 1.5).map(Simplify.key))].sort();
+    const a = Simplify.simplifyRing(left, 0.05, junctions);
+    const b = Simplify.simplifyRing(right, 0.05, junctions);
+    assert.deepEqual(shared(a), shared(b));
+    assert.ok(a.length < left.length);
+});
+
+test('simplifyLine keeps the junctions and simplifies closed lines as rings', () => {
+    const line = [[0, 0], [1, 0.001], [2, 0], [3, 0.001], [4, 0]];
+    assert.deepEqual(Simplify.simplifyLine(line, 0.1), [[0, 0], [4, 0]]);
+    assert.deepEqual(Simplify.simplifyLine(line, 0.1, new Set(['2,0'])), [[0, 0], [2, 0], [4, 0]]);
+    const closed = [[0, 0], [1, 0.001], [2, 0], [2, 2], [0, 2], [0, 0]];
+    assert.deepEqual(Simplify.simplifyLine(closed, 0.01), Simplify.simplifyRing(closed, 0.01));
+});
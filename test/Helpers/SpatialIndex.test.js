@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialIndex } from '../../src/Gisplay/Helpers/SpatialIndex';
+
+const box = (x, y, size = 1) => ({ id: `${x},${y}`, bbox: [x, y, x + size, y + size] });
+
+test('intersects counts touching bounding boxes and union contains all of them', () => {
+    assert.ok(SpatialIndex.intersects([0, 0, 1, 1], [1, 1, 2, 2]));
+    assert.ok(!SpatialIndex.intersects([0, 0, 1, 1], [1.1, 0, 2, 1]));
+    assert.deepEqual(SpatialIndex.union([[0, 5, 1, 6], [-3, 2, 0, 4], [200, 1, 250, 2]]), [-3, 1, 250, 6]);
+    assert.deepEqual(SpatialIndex.union([]), []);
+});
+
+test('search returns the same items as checking every bounding box, each one once', () => {
+    const items = [];
+    for (let i = 0; i < 500; i++)
+        items.push(box((i * 97) % 360 - 180, (i * 41) % 170 - 85, (i % 7) + 0.5));
+    items.push({ id: 'large', bbox: [-180, -85, 180, 85] });
+    const index = new SpatialIndex(items, item => item.bbox);
+    assert.ok(index.large.length > 0, 'items covering many cells are kept apart');
+    for (const query of [[0, 0, 10, 10], [-200, -90, -170, -60], [100, 20, 100, 20], [181, 86, 190, 90]]) {
+        const expected = items.filter(item => SpatialIndex.intersects(query, item.bbox)).map(item => item.id).sort();
+        const found = index.search(query).map(item => item.id);
+        assert.equal(new Set(found).size, found.length);
+        assert.deepEqual(found.sort(), expected);
+    }
+});
+
+test('search works without items and with items that are points', () => {
+    assert.deepEqual(new SpatialIndex([], item => item.bbox).search([0, 0, 1, 1]), []);
+    const index = new SpatialIndex([box(5, 5, 0), box(5, 5, 0)], item => item.bbox);
+    assert.equal(index.search([4, 4, 6, 6]).length, 2);
+    assert.equal(index.search([6, 6, 7, 7]).length, 0);
+});
+
+test('sortByLocation puts the items that are close together next to each other', () => {
+    const items = [box(0, 0), box(100, 100), box(1, 1), box(101, 101), box(0, 1), box(100, 101)];
+    const sorted = SpatialIndex.sortByLocation(items, item => item.bbox).map(item => item.id);
+    const near = id => id.startsWith('100') || id.startsWith('101');
+    assert.deepEqual(sorted.map(near), [false, false, false, true, true, true]);
+    assert.equal(items[1].id, '100,100', 'the items given are not changed');
+});
+
+test('groupByLocation splits the items by the cell of their center', () => {
+    const items = [box(0, 0), box(99, 99), box(1, 1), box(98, 98), box(50, 0)];
+    const groups = SpatialIndex.groupByLocation(items, item => item.bbox, 2);
+    assert.deepEqual(groups.map(group => group.map(item => item.id).sort()), [['0,0', '1,1'], ['50,0'], ['98,98', '99,99']]);
+    assert.equal(SpatialIndex.groupByLocation(items, item => item.bbox, 1).length, 1);
+    assert.deepEqual(SpatialIndex.groupByLocation([], item => item.bbox), []);
+});
+
+test('kdTreeOrder and kdTreeNodes build a balanced k-d Tree that alternates longitude and latitude', () => {
+    const points = [];
+    for (let i = 0; i < 100; i++)
+        points.push({ lon: Math.sin(i) * 180, lat: Math.cos(i * 7) * 85 });
+    const coords = new Float64Array(points.flatMap(p => [p.lon, p.lat]));
+    const order = SpatialIndex.kdTreeOrder(coords);
+    assert.deepEqual(Array.from(order).sort((a, b) => a - b), points.map((p, i) => i));
+
+    const root = SpatialIndex.kdTreeNodes(order, points);
+    const names = ['lon', 'lat'];
+    const check = (node, depth) => { //Returns the points of the subtree and checks that it's split by the median
+        if (node === null)
+            return [];
+        assert.equal(node.dimension, depth % 2);
+        const left = check(node.left, depth + 1), right = check(node.right, depth + 1);
+        const name = names[node.dimension];
+        assert.ok(left.every(p => p[name] <= node.obj[name]) && right.every(p => p[name] >= node.obj[name]));
+        assert.ok(Math.abs(left.length - right.length) <= 1);
+        return left.concat(node.obj, right);
+    };
+    assert.equal(check(root, 0).length, points.length);
+    assert.equal(SpatialIndex.kdTreeNodes(new Uint32Array(0), []), null);
+});
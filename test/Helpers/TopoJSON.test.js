@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TopoJSON } from '../../src/Gisplay/Helpers/TopoJSON';
+import { GisplayDataError, GisplayOptionError } from '../../src/Gisplay/GisplayErrors';
+
+//Two squares side by side sharing the arc 0 (x = 1), the left one is [0, 1] x [0, 1]
+const topology = () => ({
+    type: 'Topology',
+    arcs: [
+        [[1, 0], [1, 1]],
+        [[1, 1], [0, 1], [0, 0], [1, 0]],
+        [[1, 0], [2, 0], [2, 1], [1, 1]]
+    ],
+    objects: {
+        squares: {
+            type: 'GeometryCollection',
+            geometries: [
+                { type: 'Polygon', arcs: [[0, 1]], id: 'left', properties: { name: 'Left' } },
+                { type: 'Polygon', arcs: [[2, ~0]], properties: { name: 'Right' } }
+            ]
+        },
+        places: { type: 'MultiPoint', coordinates: [[0.5, 0.5], [1.5, 0.5]] }
+    }
+});
+
+test('isTopology only accepts topologies', () => {
+    assert.ok(TopoJSON.isTopology(topology()));
+    assert.ok(!TopoJSON.isTopology({ type: 'FeatureCollection', features: [] }));
+    assert.ok(!TopoJSON.isTopology(null));
+});
+
+test('toGeoJSON stitches the arcs in closed rings and keeps the properties and ids', () => {
+    const geojson = TopoJSON.toGeoJSON(topology());
+    assert.equal(geojson.features.length, 2);
+    const [left, right] = geojson.features;
+    assert.deepEqual(left.geometry, { type: 'Polygon', coordinates: [[[1, 0], [1, 1], [0, 1], [0, 0], [1, 0]]] });
+    assert.deepEqual(right.geometry.coordinates, [[[1, 0], [2, 0], [2, 1], [1, 1], [1, 0]]]);
+    assert.equal(left.id, 'left');
+    assert.equal(right.id, undefined);
+    assert.deepEqual(left.properties, { name: 'Left' });
+    assert.equal(left.geometry.arcs, undefined, 'the geometries only have GeoJSON members');
+});
+
+test('toGeoJSON converts the object given and gives every Feature the arcs of it\'s polygons', () => {
+    const points = TopoJSON.toGeoJSON(topology(), 'places');
+    assert.deepEqual(points.features[0].geometry, { type: 'MultiPoint', coordinates: [[0.5, 0.5], [1.5, 0.5]] });
+
+    const borders = new WeakMap();
+    const [left, right] = TopoJSON.toGeoJSON(topology(), 'squares', borders).features;
+    assert.deepEqual(borders.get(left.geometry).map(b => b.arc), [0, 1]);
+    assert.deepEqual(borders.get(right.geometry).map(b => b.arc), [2, 0]);
+    assert.equal(borders.get(left.geometry)[0].line, borders.get(right.geometry)[1].line, 'the shared arc is the same line');
+    assert.deepEqual(borders.get(right.geometry)[1].line, [[1, 0], [1, 1]]);
+});
+
+test('quantized topologies are decoded with the transform', () => {
+    const quantized = {
+        type: 'Topology',
+        transform: { scale: [0.5, 2], translate: [10, 20] },
+        arcs: [[[0, 0], [2, 0], [0, 1], [-2, 0], [0, -1]]],
+        objects: {
+            shape: { type: 'Polygon', arcs: [[0]] },
+            point: { type: 'Point', coordinates: [4, 4] }
+        }
+    };
+    assert.deepEqual(TopoJSON.toGeoJSON(quantized, 'shape').features[0].geometry.coordinates, [[[10, 20], [11, 20], [11, 22], [10, 22], [10, 20]]]);
+    assert.deepEqual(TopoJSON.toGeoJSON(quantized, 'point').features[0].geometry.coordinates, [12, 28]);
+});
+
+test('null geometries, lines and collections are converted', () => {
+    const arcs = [[[0, 0], [1, 1]], [[1, 1], [2, 0]]];
+    assert.equal(TopoJSON.convertGeometry({ type: null }, arcs), null);
+    assert.deepEqual(TopoJSON.convertGeometry({ type: 'LineString', arcs: [0, 1] }, arcs).coordinates, [[0, 0], [1, 1], [2, 0]]);
+    assert.deepEqual(TopoJSON.convertGeometry({ type: 'LineString', arcs: [~1] }, arcs).coordinates, [[2, 0], [1, 1]]);
+    const collection = TopoJSON.convertGeometry({ type: 'GeometryCollection', geometries: [{ type: null }, { type: 'MultiLineString', arcs: [[0], [1]] }] }, arcs);
+    assert.deepEqual(collection.geometries.map(g => g.type), ['MultiLineString']);
+});
+
+test('invalid topologies and unknown objects throw typed errors', () => {
+    assert.throws(() => TopoJSON.toGeoJSON({ type: 'Topology', arcs: [], objects: {} }), GisplayDataError);
+    assert.throws(() => TopoJSON.toGeoJSON({ type: 'Topology', objects: { a: { type: 'Point', coordinates: [0, 0] } } }), GisplayDataError);
+    assert.throws(() => TopoJSON.toGeoJSON(topology(), 'counties'), (error) => error instanceof GisplayOptionError && error.option === 'topologyObject');
+});
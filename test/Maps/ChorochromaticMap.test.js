@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+import { ChorochromaticMap } from '../../src/Gisplay/Maps/ChorochromaticMap';
+
+for (const lib of ['earcut.js', 'chroma.min.js', 'kdtree.js'])
+    vm.runInThisContext(fs.readFileSync(new URL(`../../src/lib/${lib}`, import.meta.url), 'utf8'));
+
+class HeadlessChorochromaticMap extends ChorochromaticMap {
+    initializeCanvasAndEvents() {
+        this._webgl = { gl: { deleteProgram() { }, deleteBuffer() { }, getExtension() { return null; }, canvas: { parentNode: null } }, program: null };
+    }
+    createGroupedBuffers() { }
+    redraw() { }
+}
+
+//Regions with numeric codes, that are categories and not quantities
+const regions = {
+    type: 'FeatureCollection',
+    features: [11, 16, 11, 17, null, 16, 11].map((code, i) => ({
+        type: 'Feature',
+        properties: code === null ? null : { code },
+        geometry: { type: 'Polygon', coordinates: [[[i, 0], [i + 1, 0], [i + 1, 1], [i, 1], [i, 0]]] }
+    }))
+};
+
+test('numeric values are categories with one Aesthetic each and no class breaks', async (t) => {
+    const map = new HeadlessChorochromaticMap(null, regions, { attr: 'code', showLegend: false, showLoader: false, numberOfClasses: 2 });
+    const worker = t.mock.method(map.getWorker(), 'classBreaks');
+
+    assert.equal(await map.requestClassBreaks(), undefined);
+    await map.makeMap();
+    assert.equal(worker.mock.callCount(), 0);
+    assert.deepEqual(map.aesthetics.map(aes => aes.range), [[11], [16], [17]]);
+    assert.deepEqual(map.aesthetics.map(aes => aes.getFeatures().map(f => f.getId())), [[0, 2, 6], [1, 5], [3]]);
+    assert.deepEqual(map.unfitFeatures.map(f => f.getId()), [4]);
+});
+
+test('each category gets one color of the color scheme, interpolated when there are less colors than categories', async () => {
+    const colors = async colorScheme => {
+        const map = new HeadlessChorochromaticMap(null, regions, { attr: 'code', showLegend: false, showLoader: false, colorScheme, alpha: 0.5 });
+        await map.makeMap();
+        return map.aesthetics.map(aes => aes.getFillColor());
+    };
+    const given = await colors(['#ff0000', '#00ff00', '#0000ff', '#ffffff']);
+    assert.deepEqual(given.map(color => Array.from(color)), [[255, 0, 0, 0.5], [0, 255, 0, 0.5], [0, 0, 255, 0.5]]);
+    const interpolated = await colors(['#000000', '#ffffff']);
+    assert.deepEqual(interpolated.map(color => color[0]), [0, 127, 255]);
+});
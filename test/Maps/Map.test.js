@@ -0,0 +1,133 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+import { Choropleth } from '../../src/Gisplay/Maps/Choropleth';
+import { DotMap } from '../../src/Gisplay/Maps/DotMap';
+import { GisplayDataError } from '../../src/Gisplay/GisplayErrors';
+
+for (const lib of ['earcut.js', 'chroma.min.js', 'kdtree.js'])
+    vm.runInThisContext(fs.readFileSync(new URL(`../../src/lib/${lib}`, import.meta.url), 'utf8'));
+
+/**
+ * Subclass of the given map without WebGL and DOM, the Features are processed, classified and indexed but not drawn.
+ * @param {Function} MapType - The Map subclass.
+ * @returns {Function} - The headless map class.
+ */
+const headless = MapType => class extends MapType {
+    initializeCanvasAndEvents() {
+        this._webgl = { gl: { deleteProgram() { }, deleteBuffer() { }, getExtension() { return null; }, canvas: { parentNode: null } }, program: null };
+    }
+    createGroupedBuffers() { }
+    redraw() { }
+};
+const HeadlessChoropleth = headless(Choropleth);
+const HeadlessDotMap = headless(DotMap);
+
+const bgmap = { showLoader() { }, hideLoader() { }, removeEventListener() { }, getZoom: () => 4 };
+const options = { attr: 'value', showLegend: false, showLoader: false, interactive: false, useWorker: false };
+
+const polygon = (x, value) => ({
+    type: 'Feature',
+    properties: value === undefined ? null : { value },
+    geometry: { type: 'Polygon', coordinates: [[[x, 0], [x + 1, 0], [x + 1, 1], [x, 1], [x, 0]]] }
+});
+const point = (x, y, value) => ({ type: 'Feature', properties: { value }, geometry: { type: 'Point', coordinates: [x, y] } });
+
+/**
+ * Makes a map with the given Features.
+ * @param {Function} MapType - The headless map class.
+ * @param {Array<JSON>} features - GeoJSON Features.
+ * @param {Object} [extra] - Options added to the default ones.
+ * @returns {Promise<Map>} - The map made.
+ */
+async function make(MapType, features, extra = {}) {
+    const map = new MapType(bgmap, { type: 'FeatureCollection', features }, Object.assign({}, options, extra));
+    await map.makeMap();
+    return map;
+}
+
+/**
+ * The Feature the user clicks on (see Map.clickEvent).
+ * @param {Map} map - The map.
+ * @param {number} lon - The longitude of the click.
+ * @param {number} lat - The latitude of the click.
+ * @returns {JSON|undefined} - The properties of the Feature or undefined if none was clicked.
+ */
+function click(map, lon, lat) {
+    let clicked;
+    map.once('click', result => clicked = result.properties);
+    map.clickEvent(lon, lat);
+    return clicked;
+}
+
+const featuresOf = map => map.aesthetics.map(aes => aes.getFeatures().map(f => f.getId()).sort());
+
+describe('Map', () => {
+    describe('makeMap', () => {
+        it('classifies the Features using the class breaks of the options', async () => {
+            const map = await make(HeadlessChoropleth, [polygon(0, 5), polygon(2, 15), polygon(4, 25), polygon(6, 12)], { classBreaks: [0, 10, 20, 30] });
+            assert.deepEqual(featuresOf(map), [[0], [1, 3], [2]]);
+            assert.deepEqual(map.geometry.features.map(f => f.properties._gisplayid), [0, 1, 2, 3]);
+        });
+
+        it('gives Features with null properties an empty object and does not classify them', async () => {
+            const map = await make(HeadlessChoropleth, [polygon(0, 5), polygon(2), polygon(4, 25)], { numberOfClasses: 2 });
+            assert.deepEqual(map.geometry.features[1].properties, { _gisplayid: 1 });
+            assert.ok(featuresOf(map).every(ids => !ids.includes(1)));
+            assert.deepEqual(click(map, 2.5, 0.5), { _gisplayid: 1 }, 'but it can be clicked');
+        });
+    });
+
+    describe('buildIndexes', () => {
+        it('only creates the k-d tree for maps with points', async () => {
+            const polygons = await make(HeadlessChoropleth, [polygon(0, 1), polygon(2, 2)]);
+            assert.equal(polygons.kdtree, undefined);
+            assert.equal(click(polygons, 2.5, 0.5).value, 2);
+            assert.equal(click(polygons, 1.5, 0.5), undefined, 'between the polygons');
+
+            const points = await make(HeadlessDotMap, [point(0, 0, 1), point(10, 10, 2)]);
+            assert.equal(points.rtree, undefined);
+            assert.equal(click(points, 10, 10.01).value, 2);
+        });
+
+        it('finds the polygons clicked on another copy of the world', async () => {
+            const map = await make(HeadlessChoropleth, [polygon(178, 1)]);
+            assert.equal(click(map, 178.5 - 360, 0.5).value, 1);
+        });
+    });
+
+    describe('changing the data', () => {
+        let map;
+        beforeEach(async () => {
+            map = await make(HeadlessDotMap, [point(0, 0, 1), point(1, 1, 2), point(2, 2, 3)]);
+        });
+
+        it('adds Features with new ids and finds them on click', () => {
+            const ids = map.addFeatures([point(20, 20, 4), { type: 'Feature', properties: null, geometry: { type: 'Point', coordinates: [30, 30] } }]);
+            assert.deepEqual(ids, [3, 4]);
+            assert.equal(click(map, 20, 20).value, 4);
+            assert.deepEqual(click(map, 30, 30), { _gisplayid: 4 });
+        });
+
+        it('removes Features from the classes and the indexes', () => {
+            map.removeFeatures([0, 2]);
+            assert.deepEqual(map.geometry.features.map(f => f.properties._gisplayid), [1]);
+            assert.deepEqual(map.treepoints.map(p => p.properties._gisplayid), [1]);
+            assert.deepEqual(map.tempAestheticPoints.flat(), [1, 1], 'the points grouped by class');
+            assert.equal(click(map, 0, 0), undefined);
+
+            map.removeFeatures([1]);
+            assert.equal(map.kdtree, undefined, 'no points left');
+            map.addFeatures([point(5, 5, 9)]);
+            assert.equal(click(map, 5, 5).value, 9);
+        });
+
+        it('updates the properties of a Feature and throws GisplayDataError for unknown ids', () => {
+            map.updateFeatureProperties(0, { value: 30, name: 'updated' });
+            assert.deepEqual(map.geometry.features[0].properties, { value: 30, _gisplayid: 0, name: 'updated' });
+            assert.deepEqual(click(map, 0, 0), map.geometry.features[0].properties);
+            assert.throws(() => map.updateFeatureProperties(42, { value: 1 }), GisplayDataError);
+        });
+    });
+});
@@ -0,0 +1,32 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+/**
+ * Module hooks used to run the tests with Node.js (see README.md): the source is written for the bundler,
+ * so the files are ES modules with a .js extension and the imports don't have the extension.
+ * The names of the files are not case sensitive, like on the file systems the bundler is used on (e.g., ../Helpers/WebGLUtils is WebglUtils.js).
+ */
+export async function resolve(specifier, context, nextResolve) {
+    try {
+        return await nextResolve(specifier, context);
+    }
+    catch (error) {
+        if (specifier.startsWith('.') && !specifier.endsWith('.js'))
+            return resolve(specifier + '.js', context, nextResolve);
+        if (specifier.startsWith('.') && context.parentURL !== undefined) {
+            const file = fileURLToPath(new URL(specifier, context.parentURL));
+            const directory = path.dirname(file);
+            const name = fs.existsSync(directory) ? fs.readdirSync(directory).find(n => n.toLowerCase() === path.basename(file).toLowerCase()) : undefined;
+            if (name !== undefined)
+                return nextResolve(pathToFileURL(path.join(directory, name)).href, context);
+        }
+        throw error;
+    }
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith('file:') && url.endsWith('.js'))
+        return nextLoad(url, Object.assign({}, context, { format: 'module' }));
+    return nextLoad(url, context);
+}